@@ -174,12 +174,18 @@ function getRandomApiKeyOKX(keys) {
  * Send a compact status message to Telegram (startup/online, etc.).
  * Prefers proxy (PROXY_URL) but falls back to direct bot API when not provided.
  * Link previews are disabled by default.
+ * @param {string} message - HTML message
+ * @param {object} [override] - { CHAT_ID, BOT_TOKEN, PROXY_URL } per channel (services/notify.js); kosong = CONFIG_TELEGRAM
+ * @returns {Promise<void>}
  */
-function sendTelegramHTML(message) {
+function sendTelegramHTML(message, override) {
   try {
-    const cfg = (typeof CONFIG_TELEGRAM !== 'undefined' && CONFIG_TELEGRAM) ? CONFIG_TELEGRAM : {};
+    const base = (typeof CONFIG_TELEGRAM !== 'undefined' && CONFIG_TELEGRAM) ? CONFIG_TELEGRAM : {};
+    const cfg = Object.assign({}, base, override || {});
+    // Chat lain dengan bot sendiri → kirim langsung (proxy default terikat ke chat default)
+    if (override && override.BOT_TOKEN && !override.PROXY_URL) delete cfg.PROXY_URL;
     const chatId = cfg.CHAT_ID;
-    if (!chatId) return;
+    if (!chatId) return Promise.reject(new Error('CHAT_ID Telegram kosong'));
 
     // prefer proxy to avoid exposing bot token
     let endpoint = cfg.PROXY_URL;
@@ -192,16 +198,32 @@ function sendTelegramHTML(message) {
 
     if (!endpoint) {
       const token = cfg.BOT_TOKEN;
-      if (!token) return;
+      if (!token) return Promise.reject(new Error('BOT_TOKEN Telegram kosong'));
       endpoint = `https://api.telegram.org/bot${token}/sendMessage`;
     }
 
-    fetch(endpoint, {
+    return fetch(endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
-    }).catch(() => { });
-  } catch (_) { /* noop */ }
+    }).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    });
+  } catch (e) { return Promise.reject(e); }
+}
+
+/**
+ * Route a message to every notification channel (services/notify.js).
+ * Falls back to the default Telegram chat when Notify is not loaded.
+ * @param {{kind:'signal'|'closed'|'status', html:string, title?:string, meta?:object}} msg
+ */
+function sendNotification(msg) {
+  try {
+    if (typeof window !== 'undefined' && window.Notify && typeof window.Notify.dispatch === 'function') {
+      return window.Notify.dispatch(msg);
+    }
+  } catch (_) { }
+  return Promise.resolve(sendTelegramHTML(msg.html)).catch(() => { });
 }
 
 // =================================================================================
@@ -210,6 +232,8 @@ function sendTelegramHTML(message) {
 
 /**
  * Parse orderbook response from various CEX formats.
+ * Format per exchange berasal dari adapter di services/cex/registry.js;
+ * exchange ber-quote IDR (INDODAX) dikonversi ke USDT.
  * @param {string} cex - CEX name (GATE, BINANCE, MEXC, etc.)
  * @param {object} response - Raw API response
  * @returns {{ asks: Array<[number, number]>, bids: Array<[number, number]> }}
@@ -217,38 +241,19 @@ function sendTelegramHTML(message) {
 function parseOrderbook(cex, response) {
   try {
     const cexUpper = String(cex || '').toUpperCase();
-    const parser = CONFIG_CEX[cexUpper]?.ORDERBOOK?.parser || 'standard';
-
-    switch (parser) {
-      case 'standard':
-        // Format: { asks: [[price, amount], ...], bids: [[price, amount], ...] }
-        return {
-          asks: Array.isArray(response.asks) ? response.asks.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : [],
-          bids: Array.isArray(response.bids) ? response.bids.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : []
-        };
-
-      case 'kucoin':
-        // Format: { data: { asks: [...], bids: [...] } }
-        const data = response.data || response;
-        return {
-          asks: Array.isArray(data.asks) ? data.asks.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : [],
-          bids: Array.isArray(data.bids) ? data.bids.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : []
-        };
-
-      case 'mexc':
-        // Format: { asks: [...], bids: [...] } sama seperti standard
-        return {
-          asks: Array.isArray(response.asks) ? response.asks.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : [],
-          bids: Array.isArray(response.bids) ? response.bids.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : []
-        };
-
-      default:
-        // Fallback ke standard
-        return {
-          asks: Array.isArray(response.asks) ? response.asks.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : [],
-          bids: Array.isArray(response.bids) ? response.bids.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : []
-        };
+    const registry = (typeof window !== 'undefined') ? window.CEX : null;
+    if (!registry || typeof registry.parseOrderbook !== 'function') {
+      // Fallback standard: { asks: [[price, amount], ...], bids: [[price, amount], ...] }
+      return {
+        asks: Array.isArray(response?.asks) ? response.asks.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : [],
+        bids: Array.isArray(response?.bids) ? response.bids.map(([p, a]) => [parseFloat(p), parseFloat(a)]) : []
+      };
     }
+
+    const book = registry.parseOrderbook(cexUpper, response);
+    if (registry.quoteOf(cexUpper) !== 'IDR' || typeof convertIDRtoUSDT !== 'function') return book;
+    const toUSDT = ([p, a]) => [convertIDRtoUSDT(p), a];
+    return { asks: book.asks.map(toUSDT), bids: book.bids.map(toUSDT) };
   } catch (error) {
     console.error('[parseOrderbook] Error parsing orderbook:', error);
     return { asks: [], bids: [] };
@@ -405,6 +410,77 @@ function calculateAutoVolume(orderbook, maxModal, maxLevels, side) {
   }
 }
 
+/**
+ * Build CEX-side sizing for a multi-size "ladder" (e.g. 25/50/100/200% of modal).
+ * Setiap rung dihitung dengan logika orderbook yang sama seperti calculateAutoVolume,
+ * sehingga sisi CEX dan sisi DEX memakai ukuran trade yang konsisten.
+ * @param {object|null} orderbook - Parsed orderbook { asks, bids } (boleh null → pakai harga top-of-book)
+ * @param {number} baseModal - Modal user (100%)
+ * @param {Array<number>} steps - Persentase modal per rung, contoh [25, 50, 100, 200]
+ * @param {string} side - 'asks' (CEX→DEX) or 'bids' (DEX→CEX)
+ * @param {number} fallbackPrice - Harga CEX top-of-book jika orderbook tidak tersedia
+ * @returns {Array<object>} [{ pct, targetModal, modal, avgPrice, lastLevelPrice, totalCoins, levelsUsed, insufficient, autoVolResult }]
+ */
+function buildSizeLadder(orderbook, baseModal, steps, side, fallbackPrice) {
+  const modal = Number(baseModal) || 0;
+  const price = Number(fallbackPrice) || 0;
+  if (!(modal > 0)) return [];
+
+  const pcts = Array.from(new Set((Array.isArray(steps) ? steps : [])
+    .map(v => Number(v))
+    .filter(v => Number.isFinite(v) && v > 0)))
+    .sort((a, b) => a - b);
+
+  const hasBook = orderbook && Array.isArray(orderbook[side]) && orderbook[side].length > 0;
+
+  return pcts.map(pct => {
+    const targetModal = modal * pct / 100;
+    if (hasBook) {
+      // Depth ladder memakai semua level yang tersedia (max 4, sama dengan AUTO LEVEL)
+      const res = calculateAutoVolume(orderbook, targetModal, 4, side);
+      if (res && !res.error && res.totalCoins > 0) {
+        return {
+          pct,
+          targetModal,
+          modal: res.actualModal,
+          avgPrice: res.avgPrice,
+          lastLevelPrice: res.lastLevelPrice,
+          totalCoins: res.totalCoins,
+          levelsUsed: res.levelsUsed,
+          insufficient: res.actualModal < targetModal,
+          autoVolResult: res
+        };
+      }
+    }
+    return {
+      pct,
+      targetModal,
+      modal: targetModal,
+      avgPrice: price,
+      lastLevelPrice: price,
+      totalCoins: price > 0 ? targetModal / price : 0,
+      levelsUsed: 0,
+      insufficient: false,
+      autoVolResult: null
+    };
+  });
+}
+
+/**
+ * Pick the ladder rung with the best NET profit (profitLoss dari calculateResult, sudah termasuk fee).
+ * @param {Array<{rung: object, update: object}>} results - Hasil per rung yang sukses
+ * @returns {{rung: object, update: object}|null}
+ */
+function pickBestLadderRung(results) {
+  let best = null;
+  (Array.isArray(results) ? results : []).forEach(item => {
+    const pnl = Number(item?.update?.profitLoss);
+    if (!item || item.update?.type !== 'update' || !Number.isFinite(pnl)) return;
+    if (!best || pnl > Number(best.update.profitLoss)) best = item;
+  });
+  return best;
+}
+
 async function sendStatusTELE(user, status) {
   const settings = (typeof getFromLocalStorage === 'function') ? getFromLocalStorage('SETTING_SCANNER', {}) : {};
   const walletMeta = settings.walletMeta || 'N/A';
@@ -420,12 +496,18 @@ async function sendStatusTELE(user, status) {
   } catch (_) { }
 
   const message = `<b>${APP_HEADER}</b>\n<b>USER:</b> ${user ? user.toUpperCase() : '-'}[<b>${status ? status.toUpperCase() : '-'}]</b>\n<b>IP:</b> ${ipAddress}\n<b>CHAIN :</b> ${chainInfo}`;
-  sendTelegramHTML(message);
+  sendNotification({
+    kind: 'status',
+    title: `${APP_HEADER} ${user ? user.toUpperCase() : '-'} ${status ? status.toUpperCase() : '-'}`,
+    html: message,
+    meta: { user, status, chain: chainInfo }
+  });
 }
 
 /**
- * Send a detailed arbitrage signal message to Telegram.
+ * Send a detailed arbitrage signal message to every notification channel.
  * Links include CEX trade pages and DEX aggregator swap link.
+ * Rute yang sama dibatasi cooldown / kenaikan PNL (services/alert-dedup.js).
  */
 async function MultisendMessage(
   cex, dex, tokenData, modal, PNL, priceBUY, priceSELL,
@@ -462,6 +544,14 @@ async function MultisendMessage(
   const scIn = isC2D ? SC_TOKEN : SC_PAIR;
   const scOut = isC2D ? SC_PAIR : SC_TOKEN;
 
+  // === DEDUP / COOLDOWN per rute ===
+  const alertMeta = { chain: chainKey, cex, dex, token: TOKEN_SYM, pair: PAIR_SYM, direction, pnl: Number(PNL || 0) };
+  let dedup = { send: true, reason: 'new', prev: null };
+  try {
+    if (typeof window !== 'undefined' && window.AlertDedup) dedup = await window.AlertDedup.evaluate(alertMeta);
+  } catch (_) { }
+  if (!dedup.send) return;
+
   // Links dasar (pakai symbol yg sesuai arah current view)
   const urls = (typeof GeturlExchanger === 'function')
     ? GeturlExchanger(String(cex).toUpperCase(), fromSymbol, toSymbol) || {}
@@ -530,6 +620,12 @@ async function MultisendMessage(
   lines.push(`${APP_HEADER} #${String(chainConfig.Nama_Chain || '').toUpperCase()}`);
   lines.push(`<b>IP:</b> ${ipAddress}\n<b>WALLET:</b> ${walletMeta}`);
   lines.push(`#USERNAME : #${String(nickname || '').trim() || '-'}`);
+  if (dedup.prev && dedup.reason === 'grow') {
+    lines.push(`🔁 <b>PNL NAIK :</b> ${Number(dedup.prev.lastPnl || 0).toFixed(2)}$ => ${Number(PNL || 0).toFixed(2)}$`);
+  } else if (dedup.prev && dedup.reason === 'expired') {
+    const since = new Date(dedup.prev.firstAlertAt).toLocaleTimeString('id-ID', { hour12: false });
+    lines.push(`🔁 <b>MASIH TERBUKA</b> sejak ${since} (alert ke-${Number(dedup.prev.count || 0) + 1})`);
+  }
   lines.push('---------------------------------------------------');
   lines.push(`<b>PROSES :</b> <b>${procLeft}</b>[ #${String(fromSymbol).toUpperCase()} ] => <b>${procRight}</b>[ #${String(toSymbol).toUpperCase()} ]`);
   lines.push(`<b>TRANSAKSI :</b> <a href="${linkScFrom}">${String(fromSymbol).toUpperCase()}</a> => <a href="${linkScTo}">${String(toSymbol).toUpperCase()}</a>`);
@@ -550,7 +646,24 @@ async function MultisendMessage(
   lines.push(`<b>${pairSym}:</b> <a href="${wdPairUrl}">WD</a>${emo(wdPair)} | <a href="${dpPairUrl}">DP</a>${emo(depPair)}`);
   lines.push('---------------------------------------------------');
 
-  sendTelegramHTML(lines.join('\n'));
+  sendNotification({
+    kind: 'signal',
+    title: `${String(cex).toUpperCase()} ${String(dex).toUpperCase()} ${String(fromSymbol).toUpperCase()}->${String(toSymbol).toUpperCase()} +${Number(PNL || 0).toFixed(2)}$`,
+    html: lines.join('\n'),
+    meta: {
+      pnl: Number(PNL || 0),
+      chain: chainKey,
+      cex: String(cex).toUpperCase(),
+      dex: String(dex).toLowerCase(),
+      token: TOKEN_SYM,
+      pair: PAIR_SYM,
+      direction,
+      modal: Number(modal || 0),
+      totalFee: Number(totalFee || 0),
+      priceBuy: Number(priceBUY || 0),
+      priceSell: Number(priceSELL || 0)
+    }
+  });
 }
 
 
@@ -618,9 +731,16 @@ async function fetchAllCEXPrices(cex) {
 // =================================================================================
 // DEX Shims (final override to delegate to services)
 // =================================================================================
-function getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId) {
+function getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options) {
   if (window.App && window.App.Services && window.App.Services.DEX && typeof window.App.Services.DEX.getPriceDEX === 'function') {
-    return window.App.Services.DEX.getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId);
+    return window.App.Services.DEX.getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options);
+  }
+  return Promise.reject(new Error('DEX service not available'));
+}
+
+function getPriceDEXLadder(sc_input_in, des_input, sc_output_in, des_output, amounts, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options) {
+  if (window.App && window.App.Services && window.App.Services.DEX && typeof window.App.Services.DEX.getPriceDEXLadder === 'function') {
+    return window.App.Services.DEX.getPriceDEXLadder(sc_input_in, des_input, sc_output_in, des_output, amounts, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options);
   }
   return Promise.reject(new Error('DEX service not available'));
 }
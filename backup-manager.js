@@ -0,0 +1,486 @@
+// =================================================================================
+// BACKUP MANAGER MODULE
+// =================================================================================
+/**
+ * Backup & restore per section di atas exportIDB (storage.js)
+ * - Format kv-v2: key tanpa storagePrefix + section, ada nomor versi skema
+ * - Section: koin per chain, koin multichain, filter, setting, RPC, profil modal, riwayat, lainnya
+ * - Restore: preview diff (token tambah/hapus/ubah, field setting berubah) lalu mode per section
+ *   skip / merge (data lokal dipertahankan, backup menambah yang belum ada) / overwrite
+ * - Backup lama (kv-v1 dari exportIDB) dimigrasi otomatis ke format terbaru sebelum diff
+ *
+ * Overwrite hanya mengganti key yang ada di backup; key lokal di luar isi backup
+ * (mis. chain yang tidak dipilih saat backup) tidak dihapus.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const BACKUP_SCHEMA = 'kv-v2';
+    const BACKUP_VERSION = 2;
+    const SETTINGS_KEY = 'SETTING_SCANNER';
+    const HISTORY_KEY = 'HISTORY_LOG';
+    const HISTORY_LIMIT = 1000;     // Sama dengan batas HISTORY_LOG di storage.js
+    const RPC_FIELDS = ['userRPCs', 'userRPCPools'];
+    const PREVIEW_LIMIT = 30;       // Nama token/field maksimal per daftar di preview
+    const MODES = ['skip', 'merge', 'overwrite'];
+
+    // ====================
+    // SECTIONS
+    // ====================
+
+    function chainCodes() {
+        return Object.keys(root.CONFIG_CHAINS || {}).map(c => c.toUpperCase());
+    }
+
+    /** Chain dari key TOKEN_<CHAIN> (hanya chain di CONFIG_CHAINS), selain itu null */
+    function tokenChainOf(key) {
+        const m = /^TOKEN_([A-Z0-9]+)$/.exec(String(key || ''));
+        return (m && chainCodes().includes(m[1])) ? m[1] : null;
+    }
+
+    const SECTIONS = [
+        { id: 'tokens', label: 'Koin per Chain', kind: 'tokens', match: k => !!tokenChainOf(k) },
+        { id: 'multichain', label: 'Koin Multichain', kind: 'tokens', match: k => k === 'TOKEN_MULTICHAIN' },
+        { id: 'filters', label: 'Filter', kind: 'object', match: k => /^FILTER_/.test(k) },
+        { id: 'settings', label: 'Setting Scanner', kind: 'fields', match: k => k === SETTINGS_KEY },
+        { id: 'rpc', label: 'RPC', kind: 'fields', match: k => k === SETTINGS_KEY },
+        { id: 'profiles', label: 'Profil Modal & Scan', kind: 'list', match: k => /^MODAL_PROFILE_/.test(k) || k === 'SCAN_PROFILES' },
+        { id: 'history', label: 'Riwayat Aksi', kind: 'history', match: k => k === HISTORY_KEY },
+        { id: 'other', label: 'Lainnya', kind: 'key', match: () => true }
+    ];
+    const SECTION_BY_ID = SECTIONS.reduce((acc, s) => { acc[s.id] = s; return acc; }, {});
+
+    /** Section untuk key biasa (SETTING_SCANNER dipecah terpisah: settings + rpc) */
+    function sectionOf(key) {
+        return (SECTIONS.find(s => s.id !== 'rpc' && s.match(key)) || SECTION_BY_ID.other).id;
+    }
+
+    function pickFields(obj, fields) {
+        const out = {};
+        fields.forEach(f => { if (obj && obj[f] !== undefined) out[f] = obj[f]; });
+        return out;
+    }
+
+    function omitFields(obj, fields) {
+        const out = Object.assign({}, obj || {});
+        fields.forEach(f => { delete out[f]; });
+        return out;
+    }
+
+    /** 1 record storage → item backup (SETTING_SCANNER jadi 2 item: settings & rpc) */
+    function toItems(key, val) {
+        if (key === SETTINGS_KEY && val && typeof val === 'object') {
+            const items = [{ key, section: 'settings', val: omitFields(val, RPC_FIELDS) }];
+            const rpc = pickFields(val, RPC_FIELDS);
+            if (Object.keys(rpc).length) items.push({ key, section: 'rpc', val: rpc });
+            return items;
+        }
+        return [{ key, section: sectionOf(key), val }];
+    }
+
+    // ====================
+    // MIGRATION
+    // ====================
+
+    /** Bersihkan data lama yang juga dimigrasi saat boot (bootApp / migrateOldModalProfiles) */
+    function cleanupLegacyValue(key, val) {
+        if (key === SETTINGS_KEY && val && typeof val === 'object') {
+            const s = Object.assign({}, val);
+            delete s.JedaCexs;
+            if (s.JedaDexs && typeof s.JedaDexs === 'object') {
+                s.JedaDexs = Object.assign({}, s.JedaDexs);
+                delete s.JedaDexs.fly;
+            }
+            return s;
+        }
+        return val;
+    }
+
+    const MIGRATIONS = {
+        // kv-v1: dump mentah exportIDB (key masih ber-prefix, tanpa section)
+        1: function (payload) {
+            const prefix = String(payload.prefix || '');
+            const records = new Map();
+            payload.items.forEach(it => {
+                if (!it || it.key === undefined || it.key === null) return;
+                let key = String(it.key);
+                if (prefix && key.startsWith(prefix)) key = key.slice(prefix.length);
+                if (/^MODAL_LAST_PROFILE_/.test(key)) return;
+                records.set(key, it.val);
+            });
+            // MODAL_PROFILES_<CHAIN> (lama) → MODAL_PROFILE_<CHAIN>
+            Array.from(records.keys()).forEach(key => {
+                const m = /^MODAL_PROFILES_(.+)$/.exec(key);
+                if (!m) return;
+                const newKey = `MODAL_PROFILE_${m[1]}`;
+                if (!records.has(newKey)) records.set(newKey, records.get(key));
+                records.delete(key);
+            });
+            const items = [];
+            records.forEach((val, key) => { items.push(...toItems(key, cleanupLegacyValue(key, val))); });
+            return Object.assign({}, payload, {
+                schema: BACKUP_SCHEMA,
+                version: 2,
+                prefix: '',
+                sections: SECTIONS.map(s => s.id),
+                chains: null,
+                count: items.length,
+                items
+            });
+        }
+    };
+
+    function detectVersion(payload) {
+        const v = parseInt(payload.version, 10);
+        if (Number.isFinite(v)) return v;
+        if (!payload.schema || payload.schema === 'kv-v1') return 1;
+        const m = /^kv-v(\d+)$/.exec(String(payload.schema));
+        return m ? parseInt(m[1], 10) : NaN;
+    }
+
+    /**
+     * Validasi + migrasi payload backup ke versi terbaru.
+     * @returns {{payload: object, migratedFrom: number|null}}
+     */
+    function migrate(payload) {
+        if (!payload || typeof payload !== 'object' || !Array.isArray(payload.items)) {
+            throw new Error('File backup tidak valid atau schema tidak dikenali.');
+        }
+        const from = detectVersion(payload);
+        if (!Number.isFinite(from) || from < 1) throw new Error(`Schema backup tidak dikenali: ${payload.schema}`);
+        if (from > BACKUP_VERSION) throw new Error(`Backup dibuat oleh versi aplikasi yang lebih baru (schema v${from}).`);
+        let out = payload;
+        for (let v = from; v < BACKUP_VERSION; v++) out = MIGRATIONS[v](out);
+        out.items = out.items.filter(it => it && it.key && SECTION_BY_ID[it.section]);
+        return { payload: out, migratedFrom: from < BACKUP_VERSION ? from : null };
+    }
+
+    // ====================
+    // BACKUP
+    // ====================
+
+    /**
+     * Buat backup kv-v2.
+     * @param {{sections?: string[], chains?: string[], credentials?: 'encrypted'|'none'}} [opts]
+     *   sections default semua; chains membatasi section 'tokens' (default semua chain)
+     */
+    async function create(opts) {
+        const o = opts || {};
+        if (typeof root.exportIDB !== 'function') throw new Error('Storage belum siap.');
+        const raw = await root.exportIDB({ credentials: o.credentials });
+        if (!raw || raw.error || !Array.isArray(raw.items)) throw new Error(raw && raw.error ? raw.error : 'Gagal membaca database.');
+        const { payload } = migrate(raw);
+        const sections = (Array.isArray(o.sections) && o.sections.length) ? o.sections.filter(id => SECTION_BY_ID[id]) : SECTIONS.map(s => s.id);
+        const chains = (Array.isArray(o.chains) && o.chains.length) ? o.chains.map(c => String(c).toUpperCase()) : null;
+        const items = payload.items.filter(it => {
+            if (!sections.includes(it.section)) return false;
+            if (it.section === 'tokens' && chains) return chains.includes(tokenChainOf(it.key));
+            return true;
+        });
+        return {
+            schema: BACKUP_SCHEMA,
+            version: BACKUP_VERSION,
+            app: (root.CONFIG_APP && root.CONFIG_APP.APP && root.CONFIG_APP.APP.NAME) || '',
+            appVersion: (root.CONFIG_APP && root.CONFIG_APP.APP && root.CONFIG_APP.APP.VERSION) || '',
+            db: raw.db,
+            store: raw.store,
+            exportedAt: raw.exportedAt || new Date().toISOString(),
+            credentials: raw.credentials,
+            credentialsOmitted: !!raw.credentialsOmitted,
+            sections,
+            chains,
+            count: items.length,
+            items
+        };
+    }
+
+    // ====================
+    // DIFF
+    // ====================
+
+    function stableStringify(val) {
+        if (Array.isArray(val)) return `[${val.map(stableStringify).join(',')}]`;
+        if (val && typeof val === 'object') {
+            return `{${Object.keys(val).sort().map(k => `${JSON.stringify(k)}:${stableStringify(val[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(val === undefined ? null : val);
+    }
+
+    function tokenKey(token) {
+        return (typeof root.getTokenMergeKey === 'function')
+            ? root.getTokenMergeKey(token)
+            : [token.symbol_in, token.symbol_out, token.chain].map(x => String(x || '').toUpperCase()).join('|');
+    }
+
+    function tokenLabel(token) {
+        const pair = `${String(token.symbol_in || '?').toUpperCase()}/${String(token.symbol_out || '?').toUpperCase()}`;
+        return token.chain ? `${pair} (${String(token.chain).toUpperCase()})` : pair;
+    }
+
+    function readLocal(key) {
+        return (typeof root.getFromLocalStorage === 'function') ? root.getFromLocalStorage(key, undefined) : undefined;
+    }
+
+    /** Bandingkan token tanpa id (id di-generate ulang saat import) */
+    function sameToken(a, b) {
+        return stableStringify(omitFields(a, ['id'])) === stableStringify(omitFields(b, ['id']));
+    }
+
+    function diffTokens(localList, backupList, acc) {
+        const local = Array.isArray(localList) ? localList : [];
+        const incoming = Array.isArray(backupList) ? backupList : [];
+        const localMap = new Map(local.map(t => [tokenKey(t), t]));
+        const incomingKeys = new Set();
+        incoming.forEach(t => {
+            const k = tokenKey(t);
+            incomingKeys.add(k);
+            const cur = localMap.get(k);
+            if (!cur) acc.added.push(tokenLabel(t));
+            else if (!sameToken(cur, t)) acc.changed.push(tokenLabel(t));
+        });
+        local.forEach(t => { if (!incomingKeys.has(tokenKey(t))) acc.removed.push(tokenLabel(t)); });
+    }
+
+    function diffFields(localObj, backupObj, acc, prefix) {
+        const local = (localObj && typeof localObj === 'object') ? localObj : {};
+        const incoming = (backupObj && typeof backupObj === 'object') ? backupObj : {};
+        const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+        keys.forEach(f => {
+            const name = prefix ? `${prefix}.${f}` : f;
+            if (!(f in local)) acc.added.push(name);
+            else if (!(f in incoming)) acc.removed.push(name);
+            else if (stableStringify(local[f]) !== stableStringify(incoming[f])) acc.changed.push(name);
+        });
+    }
+
+    /**
+     * Diff isi backup terhadap data lokal, per section.
+     * @returns {Array<{id,label,kind,count,added:string[],removed:string[],changed:string[],same:number}>}
+     */
+    function diff(payload) {
+        const result = new Map();
+        payload.items.forEach(it => {
+            const sec = SECTION_BY_ID[it.section];
+            if (!result.has(sec.id)) result.set(sec.id, { id: sec.id, label: sec.label, kind: sec.kind, count: 0, added: [], removed: [], changed: [], same: 0 });
+            const acc = result.get(sec.id);
+            acc.count++;
+            const local = readLocal(it.key);
+            if (sec.kind === 'tokens') {
+                diffTokens(local, it.val, acc);
+            } else if (sec.kind === 'fields') {
+                const localPart = sec.id === 'rpc' ? pickFields(local, RPC_FIELDS) : omitFields(local, RPC_FIELDS);
+                diffFields(localPart, it.val, acc, '');
+            } else if (sec.kind === 'object') {
+                diffFields(local, it.val, acc, it.key);
+            } else if (local === undefined) {
+                acc.added.push(it.key);
+            } else if (stableStringify(local) !== stableStringify(it.val)) {
+                acc.changed.push(it.key);
+            } else {
+                acc.same++;
+            }
+        });
+        return SECTIONS.filter(s => result.has(s.id)).map(s => result.get(s.id));
+    }
+
+    // ====================
+    // RESTORE
+    // ====================
+
+    /** Gabung list: item lokal dipertahankan, item backup yang belum ada ditambahkan */
+    function unionBy(localList, incomingList, keyFn) {
+        const local = Array.isArray(localList) ? localList : [];
+        const seen = new Set(local.map(keyFn));
+        const extra = (Array.isArray(incomingList) ? incomingList : []).filter(x => !seen.has(keyFn(x)));
+        return local.concat(extra);
+    }
+
+    function mergeValue(sec, local, incoming) {
+        switch (sec.kind) {
+            case 'tokens':
+                return unionBy(local, incoming, tokenKey);
+            case 'list':
+                return unionBy(local, incoming, p => String((p && p.name) || stableStringify(p)));
+            case 'history':
+                return unionBy(local, incoming, e => String(e && e.id))
+                    .sort((a, b) => String(a.timeISO || '').localeCompare(String(b.timeISO || '')))
+                    .slice(-HISTORY_LIMIT);
+            case 'object':
+                return Object.assign({}, incoming, local);
+            default:
+                return local === undefined ? incoming : local;
+        }
+    }
+
+    /** RPC merge: primary lokal dipertahankan, pool digabung (urutan lokal dulu) */
+    function mergeRpc(local, incoming) {
+        const out = Object.assign({}, local);
+        out.userRPCs = Object.assign({}, incoming.userRPCs, local.userRPCs);
+        const pools = Object.assign({}, local.userRPCPools);
+        Object.entries(incoming.userRPCPools || {}).forEach(([chain, list]) => {
+            pools[chain] = unionBy(pools[chain], list, url => String(url).toLowerCase());
+        });
+        out.userRPCPools = pools;
+        return out;
+    }
+
+    /** Nilai SETTING_SCANNER baru dari item settings / rpc */
+    function applySettingsPart(section, mode, current, incoming) {
+        const cur = (current && typeof current === 'object') ? current : {};
+        if (section === 'rpc') {
+            const localRpc = pickFields(cur, RPC_FIELDS);
+            const nextRpc = mode === 'overwrite' ? Object.assign({}, localRpc, incoming) : mergeRpc(localRpc, incoming || {});
+            return Object.assign({}, cur, nextRpc);
+        }
+        const localSettings = omitFields(cur, RPC_FIELDS);
+        const nextSettings = mode === 'overwrite' ? incoming : Object.assign({}, incoming, localSettings);
+        return Object.assign({}, nextSettings, pickFields(cur, RPC_FIELDS));
+    }
+
+    /**
+     * Terapkan restore sesuai mode per section.
+     * @param {object} payload - hasil migrate()
+     * @param {Object<string,'skip'|'merge'|'overwrite'>} plan
+     * @returns {Promise<{ok:number, fail:number, skipped:number}>}
+     */
+    async function apply(payload, plan) {
+        const modes = plan || {};
+        const pending = new Map();   // key → nilai akhir (SETTING_SCANNER bisa disentuh 2 section)
+        let skipped = 0;
+        payload.items.forEach(it => {
+            const mode = MODES.includes(modes[it.section]) ? modes[it.section] : 'skip';
+            if (mode === 'skip') { skipped++; return; }
+            const sec = SECTION_BY_ID[it.section];
+            const current = pending.has(it.key) ? pending.get(it.key) : readLocal(it.key);
+            let next;
+            if (sec.kind === 'fields') next = applySettingsPart(sec.id, mode, current, it.val);
+            else next = mode === 'overwrite' ? it.val : mergeValue(sec, current, it.val);
+            pending.set(it.key, next);
+        });
+        let ok = 0, fail = 0;
+        for (const [key, val] of pending) {
+            try {
+                const res = (typeof root.saveToLocalStorageAsync === 'function')
+                    ? await root.saveToLocalStorageAsync(key, val)
+                    : (root.saveToLocalStorage(key, val), { ok: true });
+                if (res && res.ok) ok++; else fail++;
+            } catch (_) { fail++; }
+        }
+        return { ok, fail, skipped };
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function escapeHtml(s) {
+        return String(s === undefined || s === null ? '' : s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    function renderList(title, list, cls) {
+        if (!list.length) return '';
+        const shown = list.slice(0, PREVIEW_LIMIT).map(escapeHtml).join(', ');
+        const more = list.length > PREVIEW_LIMIT ? ` … +${list.length - PREVIEW_LIMIT}` : '';
+        return `<div class="uk-text-small"><span class="${cls}">${title} (${list.length}):</span> ${shown}${more}</div>`;
+    }
+
+    function summaryText(d) {
+        const unit = d.kind === 'tokens' ? 'token' : (d.kind === 'fields' || d.kind === 'object') ? 'field' : 'key';
+        const parts = [];
+        if (d.added.length) parts.push(`+${d.added.length} baru`);
+        if (d.changed.length) parts.push(`~${d.changed.length} berubah`);
+        if (d.removed.length) parts.push(`-${d.removed.length} hanya lokal`);
+        return parts.length ? `${parts.join(', ')} ${unit}` : 'sama dengan lokal';
+    }
+
+    /** Opsi backup: checkbox section + chain (untuk section koin per chain) */
+    function renderBackupOptions(container) {
+        const $c = $(container);
+        if (!$c.length) return;
+        const sectionHtml = SECTIONS.map(s => `
+            <label class="uk-margin-small-right uk-text-small"><input class="uk-checkbox backup-section" type="checkbox" value="${s.id}" checked> ${escapeHtml(s.label)}</label>`).join('');
+        const chainHtml = chainCodes().map(c => `
+            <label class="uk-margin-small-right uk-text-small"><input class="uk-checkbox backup-chain" type="checkbox" value="${c}" checked> ${c}</label>`).join('');
+        $c.html(`
+            <div class="uk-text-small uk-text-bold">Isi backup:</div>
+            <div>${sectionHtml}</div>
+            <div class="uk-text-small uk-text-bold uk-margin-small-top">Chain (koin per chain):</div>
+            <div>${chainHtml}</div>`);
+    }
+
+    /** Baca pilihan dari renderBackupOptions() */
+    function readBackupOptions(container) {
+        const $c = $(container);
+        return {
+            sections: $c.find('.backup-section:checked').map(function () { return this.value; }).get(),
+            chains: $c.find('.backup-chain:checked').map(function () { return this.value; }).get()
+        };
+    }
+
+    /** Preview restore: ringkasan per section + select mode */
+    function renderPreview(container, payload, meta) {
+        const $c = $(container);
+        const diffs = diff(payload);
+        const info = meta || {};
+        const header = `
+            <div class="uk-text-small uk-margin-small-bottom">
+                Backup ${escapeHtml(payload.app || '')} ${escapeHtml(payload.appVersion || '')} · ${escapeHtml(payload.exportedAt || '-')} · ${payload.items.length} item
+                ${info.migratedFrom ? `<span class="uk-label uk-label-warning">migrasi v${info.migratedFrom} → v${BACKUP_VERSION}</span>` : ''}
+            </div>`;
+        const rows = diffs.map(d => `
+            <tr data-section="${d.id}">
+                <td class="uk-text-bold uk-text-small">${escapeHtml(d.label)}</td>
+                <td class="uk-text-small">
+                    ${escapeHtml(summaryText(d))}
+                    ${(d.added.length || d.changed.length || d.removed.length) ? `<details><summary class="uk-text-meta">detail</summary>
+                        ${renderList('Baru', d.added, 'uk-text-success')}
+                        ${renderList('Berubah', d.changed, 'uk-text-warning')}
+                        ${renderList('Hanya di lokal', d.removed, 'uk-text-danger')}
+                    </details>` : ''}
+                </td>
+                <td>
+                    <select class="uk-select uk-form-small restore-mode" data-section="${d.id}" style="width:auto;">
+                        <option value="merge" selected>Gabung</option>
+                        <option value="overwrite">Timpa</option>
+                        <option value="skip">Lewati</option>
+                    </select>
+                </td>
+            </tr>`).join('');
+        $c.html(`${header}
+            <div class="uk-overflow-auto" style="max-height:50vh;">
+                <table class="uk-table uk-table-small uk-table-divider uk-margin-remove">
+                    <thead><tr><th>Section</th><th>Perubahan</th><th>Mode</th></tr></thead>
+                    <tbody>${rows || '<tr><td colspan="3" class="uk-text-meta">Backup kosong.</td></tr>'}</tbody>
+                </table>
+            </div>
+            <div class="uk-text-meta uk-text-small uk-margin-small-top">Gabung: data lokal dipertahankan, backup menambah yang belum ada. Timpa: data di backup menggantikan data lokal.</div>`).show();
+        return diffs;
+    }
+
+    /** Baca mode per section dari renderPreview() */
+    function readPlan(container) {
+        const plan = {};
+        $(container).find('.restore-mode').each(function () { plan[$(this).data('section')] = $(this).val(); });
+        return plan;
+    }
+
+    const BackupManager = {
+        SCHEMA: BACKUP_SCHEMA,
+        VERSION: BACKUP_VERSION,
+        SECTIONS,
+        sectionOf, migrate, create, diff, apply,
+        renderBackupOptions, readBackupOptions, renderPreview, readPlan
+    };
+
+    root.BackupManager = BackupManager;
+    if (typeof App.register === 'function') {
+        App.register('Backup', BackupManager);
+    } else {
+        App.Backup = BackupManager;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
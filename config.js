@@ -6,8 +6,13 @@ const CONFIG_APP = {
         SCAN_LIMIT: false,
         AUTORUN: true,
         AUTO_VOLUME: true,   // Set false untuk menyembunyikan & menonaktifkan fitur auto volume
+        SIZE_LADDER: true,   // Set false untuk menyembunyikan fitur size ladder (quote DEX di beberapa ukuran modal)
+        PRIORITY_SCAN: true, // Set false untuk menyembunyikan fitur priority scan (token panas di-scan lebih sering)
+        CONTINUOUS_SCAN: true, // Set false untuk menyembunyikan mode scan kontinu (LOOP tanpa restart tabel)
+        CEX_STREAM: true,    // Set false untuk menyembunyikan orderbook CEX via WebSocket (toggle WS)
         VOL_CHECK: true,
         META_DEX: false,     // Set true untuk menghidupkan fitur META-DEX aggregator (LIFI, Rubic, Rango, Kamino)
+        DEX_RECORD: false,   // Set true untuk merekam request/response DEX sebagai fixture replay (lihat services/dex-recorder.js)
     }
     // ✅ Global fallback removed - each DEX now has explicit primary/alternative configuration
     // ✅ DEX API Keys moved to secrets.js for centralized management
@@ -27,6 +32,168 @@ const CONFIG_DB = {
 
 try { if (typeof window !== 'undefined') { window.CONFIG_DB = window.CONFIG_DB || CONFIG_DB; } } catch (_) { }
 
+// RATE LIMIT: token bucket per host API (core/performance/request-batcher.js → HostRateLimiter)
+// rps = request per detik awal (turun otomatis saat 429, naik pelan lagi saat sukses), burst = kapasitas bucket.
+// Budget dibagi rata ke semua tab yang aktif scan (koordinasi via CONFIG_DB.BROADCAST_CHANNEL).
+const CONFIG_RATE_LIMIT = {
+    enabled: true,
+    default: { rps: 5, burst: 5 },
+    hosts: {
+        // CEX
+        'api.binance.me': { rps: 10, burst: 20 },
+        'api.mexc.com': { rps: 8, burst: 10 },
+        'api.gateio.ws': { rps: 8, burst: 10 },
+        'api.kucoin.com': { rps: 8, burst: 10 },
+        'api.bybit.com': { rps: 8, burst: 10 },
+        'api.bitget.com': { rps: 8, burst: 10 },
+        'indodax.com': { rps: 3, burst: 5 },
+        // DEX / aggregator
+        'aggregator-api.kyberswap.com': { rps: 8, burst: 8 },
+        'api.0x.org': { rps: 2, burst: 2 },
+        'api.odos.xyz': { rps: 4, burst: 4 },
+        'api.paraswap.io': { rps: 4, burst: 4 },
+        'apiv5.paraswap.io': { rps: 4, burst: 4 },
+        'web3.okx.com': { rps: 2, burst: 2 },
+        'li.quest': { rps: 2, burst: 4 },
+        'api.dzap.io': { rps: 1, burst: 2 },
+        'api-edge.rango.exchange': { rps: 1, burst: 2 },
+        'api-v2.rubic.exchange': { rps: 2, burst: 3 },
+        'platform.swing.xyz': { rps: 2, burst: 3 },
+        'api.jup.ag': { rps: 1, burst: 2 }
+    },
+    minRps: 0.2,            // Batas bawah saat backoff
+    backoffFactor: 0.5,     // 429 → rps x0.5
+    recoverFactor: 1.15,    // Setiap `recoverAfter` sukses beruntun → rps x1.15 (maks rps awal)
+    recoverAfter: 20,
+    backoffMs: 2000,        // Pause saat 429 tanpa Retry-After (x2 per 429 beruntun)
+    maxBlockMs: 120000,
+    tabTtlMs: 15000         // Tab dianggap aktif jika mengirim heartbeat dalam 15s terakhir
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_RATE_LIMIT = window.CONFIG_RATE_LIMIT || CONFIG_RATE_LIMIT; } } catch (_) { }
+
+// NOTIFY: channel notifikasi sinyal (services/notify.js). Daftar channel per user disimpan di
+// SETTING_SCANNER.notifyChannels; tanpa daftar → 1 channel Telegram default (CONFIG_TELEGRAM).
+const CONFIG_NOTIFY = {
+    timeoutMs: 8000,
+    types: {
+        telegram: { label: 'TELEGRAM', color: '#229ED9', urlPlaceholder: 'Proxy URL (opsional)' },
+        webhook: { label: 'WEBHOOK', color: '#555555', urlPlaceholder: 'https://example.com/hook (JSON POST)' },
+        discord: { label: 'DISCORD', color: '#5865F2', urlPlaceholder: 'https://discord.com/api/webhooks/...' },
+        ntfy: { label: 'NTFY', color: '#317F6F', urlPlaceholder: 'https://ntfy.sh/topik-anda' }
+    },
+    maxDiscordLength: 1900, // Batas content Discord 2000 karakter
+    // Dedup sinyal per rute (chain/CEX/DEX/token/pair/arah), state di IndexedDB (services/alert-dedup.js)
+    dedup: {
+        enabled: true,
+        cooldownMs: 15 * 60 * 1000, // Rute yang sama tidak dikirim ulang selama 15 menit...
+        pnlDelta: 1,                // ...kecuali PNL naik >= $1 dari alert terakhir
+        sendClosed: true,           // Kirim follow-up "CLOSED" saat spread hilang (PNL <= 0)
+        maxAgeMs: 24 * 60 * 60 * 1000 // State lebih tua dari ini dibuang tanpa follow-up
+    }
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_NOTIFY = window.CONFIG_NOTIFY || CONFIG_NOTIFY; } } catch (_) { }
+
+// RPC POOL: beberapa RPC per chain (rpc-manager.js). Urutan = SETTING_SCANNER.userRPCPools[chain],
+// lalu RPC cadangan (RPCDatabaseMigrator.FALLBACK_RPC_VALUES). RPC user selalu dipakai selama tidak error;
+// RPC cadangan hanya saat RPC user gagal. Probe berkala: eth_blockNumber + eth_chainId
+// (Solana: getSlot + getGenesisHash), endpoint error di-skip sementara (failover otomatis).
+const CONFIG_RPC_POOL = {
+    enabled: true,
+    probeIntervalMs: 120000,   // Probe tiap 2 menit, hanya chain yang dipakai di halaman ini (saat tab terlihat)
+    probeDelayMs: 5000,        // Probe pertama setelah RPC pertama kali dipakai
+    timeoutMs: 8000,           // Timeout probe
+    slowMs: 1500,              // Latency di atas ini → status 'slow' (tetap dipakai, ranking turun)
+    failCooldownMs: 30000,     // Endpoint gagal di-skip selama ini (x2 per gagal beruntun)
+    maxCooldownMs: 600000,
+    failoverStatus: [403, 408, 429, 500, 502, 503, 504]
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_RPC_POOL = window.CONFIG_RPC_POOL || CONFIG_RPC_POOL; } } catch (_) { }
+
+// TOKEN SAFETY: screening on-chain saat Sinkronisasi Koin (services/token-safety.js), hanya eth_call /
+// eth_getStorageAt lewat RPC pool (Solana: getMultipleAccounts). Aktif jika checkbox "Cek Keamanan"
+// di modal sync dicentang (SNAPSHOT_SAFETY_CHECK). Hasil disimpan di token.safety → badge di Manajemen Koin.
+const CONFIG_TOKEN_SAFETY = {
+    concurrency: 3,            // Token EVM diperiksa paralel (1 JSON-RPC batch per token)
+    delayMs: 150,              // Jeda antar grup
+    timeoutMs: 10000,
+    ttlMs: 24 * 60 * 60 * 1000, // Hasil lebih muda dari ini tidak diperiksa ulang
+    flags: {
+        fee: { label: 'FEE', color: '#e53935', title: 'Fee-on-transfer / pajak transfer' },
+        proxy: { label: 'PROXY', color: '#fb8c00', title: 'Kontrak proxy (upgradeable)' },
+        paused: { label: 'PAUSED', color: '#b71c1c', title: 'Transfer token sedang di-pause' },
+        blacklist: { label: 'BLACKLIST', color: '#6d4c41', title: 'Kontrak punya blacklist / freeze authority' },
+        decimals: { label: 'DES?', color: '#8e24aa', title: 'Decimals on-chain berbeda dengan data CEX/database' }
+    }
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_TOKEN_SAFETY = window.CONFIG_TOKEN_SAFETY || CONFIG_TOKEN_SAFETY; } } catch (_) { }
+
+// VAULT: API key CEX terenkripsi dengan master passphrase (services/credential-vault.js).
+// PBKDF2-SHA256 → AES-GCM 256; terbuka per sesi tab, auto-lock setelah idle (override: SETTING_SCANNER.vaultIdleMinutes).
+const CONFIG_VAULT = {
+    idleLockMs: 15 * 60 * 1000,
+    iterations: 310000,        // Iterasi PBKDF2 (rekomendasi OWASP untuk SHA-256)
+    minPassphrase: 8,
+    exportCredentials: 'encrypted' // Default exportIDB: 'encrypted' (blob vault) | 'none' (tanpa kredensial)
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_VAULT = window.CONFIG_VAULT || CONFIG_VAULT; } } catch (_) { }
+
+// SHARD SCAN: 1 daftar token dibagi ke beberapa tab (core/scanner/shard-coordinator.js).
+// Tab yang menekan START jadi leader; tab lain dengan toggle SHARD aktif & idle jadi follower.
+const CONFIG_SCAN_SHARD = {
+    heartbeatMs: 2000,         // Ping status tab lewat CONFIG_DB.BROADCAST_CHANNEL
+    staleMs: 10000,            // Tab tanpa ping/hasil selama ini dianggap mati → shard dialihkan
+    ackTimeoutMs: 5000,        // Follower wajib konfirmasi shard dalam waktu ini
+    maxTabs: 4,                // Total tab per scan (leader + follower)
+    minTokensPerShard: 5       // Daftar kecil tidak dibagi
+};
+
+try { if (typeof window !== 'undefined') { window.CONFIG_SCAN_SHARD = window.CONFIG_SCAN_SHARD || CONFIG_SCAN_SHARD; } } catch (_) { }
+
+// PRIORITY SCAN: token "panas" di-scan tiap siklus, token "dingin" lebih jarang (core/scanner/priority-scheduler.js).
+// Skor 0..100 = bobot PNL % terakhir + volatilitas harga CEX + status WD/DP wallet CEX.
+const CONFIG_SCAN_PRIORITY = {
+    hotScore: 60,              // Skor >= ini → HOT (di-scan setiap siklus)
+    warmScore: 25,             // Skor >= ini → WARM, di bawahnya COLD
+    hotIntervalMs: 0,
+    warmIntervalMs: 60000,     // WARM di-scan ulang paling cepat setelah 1 menit
+    maxIntervalMs: 300000,     // Jaminan: setiap token dikunjungi paling lambat 5 menit (COLD)
+    minTokensPerCycle: 10,     // Siklus minimal berisi sekian token (diisi token paling lama tidak dikunjungi)
+    pnlFloorPct: -1,           // PNL % <= ini → skor PNL 0
+    pnlRefPct: 1,              // PNL % >= ini → skor PNL penuh
+    volRefPct: 0.5,            // Perubahan harga CEX % antar kunjungan untuk skor volatilitas penuh
+    emaAlpha: 0.5,             // Bobot kunjungan terbaru pada rata-rata PNL & volatilitas
+    weights: { pnl: 0.6, volatility: 0.25, wallet: 0.15 }
+};
+try { if (typeof window !== 'undefined') { window.CONFIG_SCAN_PRIORITY = window.CONFIG_SCAN_PRIORITY || CONFIG_SCAN_PRIORITY; } } catch (_) { }
+
+// Scan kontinu (toggle LOOP): scanner mengulang daftar token tanpa render ulang tabel.
+// Sel hanya ditulis ulang jika hasilnya berubah; umur quote tampil per sel.
+const CONFIG_SCAN_CONTINUOUS = {
+    staleMs: 60000,            // Quote lebih tua dari ini → sel memudar (stale)
+    tickMs: 1000,              // Interval update label umur quote
+    cycleDelayMs: 1000         // Jeda antar siklus scan
+};
+try { if (typeof window !== 'undefined') { window.CONFIG_SCAN_CONTINUOUS = window.CONFIG_SCAN_CONTINUOUS || CONFIG_SCAN_CONTINUOUS; } } catch (_) { }
+
+// CEX STREAM (toggle WS): orderbook top-N via WebSocket publik (services/cex-stream.js).
+// Endpoint per exchange di CONFIG_CEX.<CEX>.STREAM; orderbook yang tidak segar → REST (ORDERBOOK.urlTpl).
+const CONFIG_CEX_STREAM = {
+    depth: 5,                  // Level orderbook yang disimpan (sama dengan REST limit=5)
+    maxAgeMs: 10000,           // Orderbook lebih tua dari ini dianggap basi → fallback REST
+    maxSymbolsPerCex: 200,     // Batas simbol per koneksi (MEXC dibatasi 30 oleh exchange)
+    reconnectMs: 2000,         // Jeda reconnect awal (berlipat tiap gagal)
+    maxReconnectMs: 60000
+};
+try { if (typeof window !== 'undefined') { window.CONFIG_CEX_STREAM = window.CONFIG_CEX_STREAM || CONFIG_CEX_STREAM; } } catch (_) { }
+
+// Exchange baru cukup lewat adapter (services/cex/adapters/*.js); entri di sini = default yang bisa diubah.
+// FEES: spot trading fee per CEX dalam PERSEN (0.1 = 0.1%).
+// Scanner memakai 'taker' (market order); override per user di Settings (SETTING_SCANNER.cexFees).
 const CONFIG_CEX = {
     GATE: {
         WARNA: "#D5006D",  // Pink tua
@@ -39,7 +206,9 @@ const CONFIG_CEX = {
         ORDERBOOK: {
             urlTpl: ({ symbol }) => `https://api.gateio.ws/api/v4/spot/order_book?limit=5&currency_pair=${String(symbol || '')}_USDT`,
             parser: 'standard' // use standard orderbook parser
-        }
+        },
+        STREAM: { url: 'wss://api.gateio.ws/ws/v4/' }, // spot.order_book (snapshot 5 level / 100ms)
+        FEES: { maker: 0.2, taker: 0.2 } // Gate spot VIP0; GT deduction via override
     },
     BINANCE: {
         WARNA: "#e0a50c",  // Orange tua
@@ -52,7 +221,9 @@ const CONFIG_CEX = {
         ORDERBOOK: {
             urlTpl: ({ symbol }) => `https://api.binance.me/api/v3/depth?limit=5&symbol=${String(symbol || '')}USDT`,
             parser: 'standard'
-        }
+        },
+        STREAM: { url: 'wss://stream.binance.com:9443/stream' }, // <symbol>@depth5@100ms (combined stream)
+        FEES: { maker: 0.1, taker: 0.1 } // Binance spot VIP0; BNB discount via override
     },
     MEXC: {
         WARNA: "#0b38abff",  // Biru muda
@@ -65,7 +236,9 @@ const CONFIG_CEX = {
         ORDERBOOK: {
             urlTpl: ({ symbol }) => `${CONFIG_PROXY.PREFIX}https://api.mexc.com/api/v3/depth?symbol=${String(symbol || '')}USDT&limit=5`,
             parser: 'standard'
-        }
+        },
+        STREAM: { url: 'wss://wbs-api.mexc.com/ws' }, // spot@public.limit.depth.v3.api.pb (protobuf)
+        FEES: { maker: 0, taker: 0.05 }
     },
     KUCOIN: {
         WARNA: "#0ba930ff",
@@ -79,7 +252,9 @@ const CONFIG_CEX = {
             // KuCoin returns { data: { bids:[[price, size]], asks:[[price, size]] } }
             urlTpl: ({ symbol }) => `https://api.kucoin.com/api/v1/market/orderbook/level2_20?symbol=${String(symbol || '').toUpperCase()}-USDT`,
             parser: 'kucoin'
-        }
+        },
+        STREAM: { tokenUrl: 'https://api.kucoin.com/api/v1/bullet-public' }, // endpoint WS dari bullet-public; /spotMarket/level2Depth5
+        FEES: { maker: 0.1, taker: 0.1 }
     },
     BYBIT: {
         WARNA: "#f29900",
@@ -93,7 +268,9 @@ const CONFIG_CEX = {
             // Bybit returns { result: { a:[[price, size]], b:[[price, size]] } }
             urlTpl: ({ symbol }) => `https://api.bybit.com/v5/market/orderbook?category=spot&symbol=${String(symbol || '').toUpperCase()}USDT&limit=5`,
             parser: 'bybit'
-        }
+        },
+        STREAM: { url: 'wss://stream.bybit.com/v5/public/spot' }, // orderbook.50 (snapshot + delta)
+        FEES: { maker: 0.1, taker: 0.1 }
     },
     BITGET: {
         WARNA: "#48deefff",
@@ -107,7 +284,9 @@ const CONFIG_CEX = {
             // Bitget returns { data: { bids:[[price, size]], asks:[[price, size]] } }
             urlTpl: ({ symbol }) => `https://api.bitget.com/api/v2/spot/market/orderbook?symbol=${String(symbol || '').toUpperCase()}USDT&limit=5`,
             parser: 'bitget'
-        }
+        },
+        STREAM: { url: 'wss://ws.bitget.com/v2/ws/public' }, // books5 (snapshot)
+        FEES: { maker: 0.1, taker: 0.1 }
     },
 
     INDODAX: {
@@ -121,25 +300,10 @@ const CONFIG_CEX = {
         ORDERBOOK: {
             urlTpl: ({ symbol }) => `https://indodax.com/api/depth/${String(symbol || '').toLowerCase()}idr`,
             parser: 'indodax'
-        }
+        },
+        FEES: { maker: 0.2, taker: 0.3 }
     },
-    // LBANK: {
-    //     WARNA: "#3461ff",  // Blue LBank color
-    //     LINKS: {
-    //         tradeToken: ({ token }) => `https://www.lbank.com/trade/${String(token || '').toLowerCase()}_usdt`,
-    //         tradePair: ({ pair }) => `https://www.lbank.com/trade/${String(pair || '').toLowerCase()}_usdt`,
-    //         // Withdraw: https://www.lbank.com/wallet/account/main/withdrawal/crypto/{token}
-    //         withdraw: ({ token }) => `https://www.lbank.com/wallet/account/main/withdrawal/crypto/${String(token || '').toLowerCase()}`,
-    //         // Deposit: https://www.lbank.com/wallet/account/main/deposit/crypto/{token} (user pilih network di halaman)
-    //         deposit: ({ token }) => `https://www.lbank.com/wallet/account/main/deposit/crypto/${String(token || '').toLowerCase()}`
-    //     },
-    //     ORDERBOOK: {
-    //         // Menggunakan domain resmi api.lbkex.com (bukan .info)
-    //         // Ref: https://github.com/LBank-exchange/lbank-official-api-docs/blob/master/API-For-Spot-EN/Market%20REST%20API.md
-    //         urlTpl: ({ symbol }) => `https://api.lbkex.com/v1/depth.do?symbol=${String(symbol || '').toLowerCase()}_usdt&size=5`,
-    //         parser: 'standard'  // LBank response format: { asks: [[p,q], ...], bids: [[p,q], ...] }
-    //     }
-    // }
+    // LBANK: didefinisikan lengkap di services/cex/adapters/lbank.js (registry mengisi CONFIG_CEX.LBANK)
 };
 
 // Merge secrets into CONFIG_CEX (legacy secrets.js)
@@ -396,7 +560,10 @@ const CONFIG_UI = {
 
             // Snapshot validation timing controls
             snapshotBatchDelay: 300,        // Delay between snapshot validation batches (ms)
-            snapshotRequestDelay: 150       // Delay between Web3 requests in snapshot batch (ms)
+            snapshotRequestDelay: 150,      // Delay between Web3 requests in snapshot batch (ms)
+
+            // Size ladder: ukuran quote dalam % dari modal (aktif via toggle LADDER)
+            sizeLadderSteps: [25, 50, 100, 200]
         },
 
         // Per-DEX overrides (optional)
@@ -698,6 +865,21 @@ const CONFIG_DEXS = {
 
             // ========== Default Fallback ==========
             'default': 4000          // Default: 4s (balanced)
+        },
+
+        // ✅ Circuit breaker per strategy (services/dex-health.js)
+        // Strategy yang terus gagal (429/403/timeout/5xx) di-pause sementara dan request
+        // otomatis dialihkan ke alternative/secondary yang sehat
+        circuitBreaker: {
+            enabled: true,
+            failureThreshold: 4,         // OPEN setelah 4 kegagalan beruntun
+            tripOnStatus: [403, 429],    // Rate limit / forbidden: OPEN lebih cepat
+            tripThreshold: 2,            // ... setelah 2x beruntun
+            windowSize: 20,              // Rolling window sampel untuk error rate
+            minSamples: 8,               // Minimal sampel sebelum error rate dievaluasi
+            errorRateThreshold: 0.6,     // OPEN jika >= 60% request di window gagal
+            cooldownMs: 60000,           // Pause awal 60s, lalu 1 request probe (HALF-OPEN)
+            maxCooldownMs: 600000        // Probe gagal → cooldown x2, maks 10 menit
         }
     },
 
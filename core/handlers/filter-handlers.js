@@ -8,6 +8,7 @@
  * - Filter chip toggling
  * - Sort order toggle (A-Z / Z-A)
  * - PNL filter input
+ * - Min streak filter input (spread persistence)
  * - Search input (global filter card search)
  *
  * Dependencies:
@@ -17,6 +18,7 @@
  * - refreshTokensTable, loadAndDisplaySingleChainTokens (table rendering)
  * - renderFilterCard, renderTokenManagementList (UI rendering)
  * - getPNLFilter, setPNLFilter (PNL filter utilities)
+ * - getStreakFilter, setStreakFilter (min streak filter, core/scanner/spread-tracker.js)
  * - debounce utility function
  * - toast notifications
  *
@@ -72,6 +74,22 @@
         } catch(_) {}
     });
 
+    /**
+     * Min streak filter input handler
+     * Sinyal hanya tampil jika spread bertahan >= N scan beruntun (kosong/1 = nonaktif)
+     */
+    $(document).on('change blur', '#streakFilterInput', function(){
+        const v = parseInt($(this).val(), 10);
+        const clean = isFinite(v) && v > 1 ? v : 0;
+        try {
+            setStreakFilter(clean);
+            $(this).val(clean > 1 ? clean : '');
+            try { if (typeof toast !== 'undefined' && toast.info) toast.info(clean > 1 ? `Streak Filter diset: min ${clean} scan` : 'Streak Filter nonaktif'); } catch(_) {}
+            // Clear previously displayed scan signal cards when streak filter changes
+            try { if (typeof window.clearSignalCards === 'function') window.clearSignalCards(); } catch(_) {}
+        } catch(_) {}
+    });
+
     /**
      * Global search handler (filter card)
      * Updates both monitoring and management views
@@ -7,6 +7,7 @@
  * - Start/Stop scan buttons
  * - Reload button
  * - Auto-run toggle functionality
+ * - Continuous scan (LOOP) toggle & Pause/Resume button
  * - Scan execution logic (single and multi-chain)
  *
  * Dependencies:
@@ -17,6 +18,9 @@
  * - getAppMode, getTokensChain, getTokensMulti (data access)
  * - flattenDataKoin, loadKointoTable (data rendering)
  * - setScanUIGating (UI gating)
+ * - getScanRunning, getScanPaused, setScanPaused (scanner state)
+ * - window.ScanCoordinator (shard scan lintas tab)
+ * - window.CEXStream (orderbook CEX via WebSocket)
  * - toast notifications
  *
  * @module core/handlers/scanner-handlers
@@ -41,6 +45,20 @@
         if (window.App?.Scanner?.stopScanner) window.App.Scanner.stopScanner();
     });
 
+    /**
+     * Pause/Resume button handler (mode scan kontinu)
+     * Loop scan berhenti di antara grup token; tabel, antrian UI & state scan tetap utuh.
+     */
+    $("#pauseSCAN").click(function () {
+        if (typeof getScanRunning !== 'function' || !getScanRunning()) return;
+        const paused = !getScanPaused();
+        setScanPaused(paused);
+        $(this).text(paused ? 'RESUME' : 'PAUSE')
+            .toggleClass('uk-button-primary', paused)
+            .toggleClass('uk-button-secondary', !paused);
+        if (paused) $('#progress').text('PAUSED - tekan RESUME untuk melanjutkan scan');
+    });
+
     /**
      * Autorun toggle initialization and handler
      * Controlled by CONFIG_APP.APP.AUTORUN
@@ -141,6 +159,136 @@
         }
     } catch (_) { }
 
+    /**
+     * Size Ladder toggle initialization and handler
+     * Controlled by CONFIG_APP.APP.SIZE_LADDER
+     */
+    try {
+        const sizeLadderEnabled = (window.CONFIG_APP?.APP?.SIZE_LADDER !== false);
+
+        if (!sizeLadderEnabled) {
+            $('#sizeLadderToggle').prop('checked', false).closest('label').hide();
+        } else {
+            $('#sizeLadderToggle').closest('label').show();
+
+            $('#sizeLadderToggle').on('change', function () {
+                const isChecked = $(this).is(':checked');
+
+                // ✅ AUTO-SAVE: Save to per-chain filter storage
+                try {
+                    if (typeof saveCheckboxPreference === 'function') {
+                        saveCheckboxPreference('sizeLadder', isChecked);
+                    }
+                } catch (e) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn('[AUTO-SAVE] Failed to save sizeLadder:', e.message); } catch(_) {}
+                }
+            });
+        }
+    } catch (_) { }
+
+    /**
+     * Priority Scan toggle initialization and handler
+     * Controlled by CONFIG_APP.APP.PRIORITY_SCAN
+     */
+    try {
+        const priorityEnabled = (window.CONFIG_APP?.APP?.PRIORITY_SCAN !== false) && !!window.priorityScheduler;
+
+        if (!priorityEnabled) {
+            $('#priorityScanToggle').prop('checked', false).closest('label').hide();
+        } else {
+            $('#priorityScanToggle').closest('label').show();
+
+            $('#priorityScanToggle').on('change', function () {
+                const isChecked = $(this).is(':checked');
+
+                // ✅ AUTO-SAVE: Save to per-chain filter storage
+                try {
+                    if (typeof saveCheckboxPreference === 'function') {
+                        saveCheckboxPreference('priorityScan', isChecked);
+                    }
+                } catch (e) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn('[AUTO-SAVE] Failed to save priorityScan:', e.message); } catch(_) {}
+                }
+                try { if (typeof window.refreshPriorityBadges === 'function') window.refreshPriorityBadges(); } catch (_) { }
+            });
+        }
+    } catch (_) { }
+
+    /**
+     * CEX Stream (WS) toggle initialization and handler
+     * Controlled by CONFIG_APP.APP.CEX_STREAM
+     * Subscribe terjadi saat START (daftar token aktif); mematikan toggle langsung menutup koneksi.
+     */
+    try {
+        const cexStreamEnabled = (window.CONFIG_APP?.APP?.CEX_STREAM !== false) && !!window.CEXStream;
+
+        if (!cexStreamEnabled) {
+            $('#cexStreamToggle').prop('checked', false).closest('label').hide();
+        } else {
+            $('#cexStreamToggle').closest('label').show();
+
+            $('#cexStreamToggle').on('change', function () {
+                const isChecked = $(this).is(':checked');
+                if (!isChecked) { try { window.CEXStream.stop(); } catch (_) { } }
+
+                // ✅ AUTO-SAVE: Save to per-chain filter storage
+                try {
+                    if (typeof saveCheckboxPreference === 'function') {
+                        saveCheckboxPreference('cexStream', isChecked);
+                    }
+                } catch (e) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn('[AUTO-SAVE] Failed to save cexStream:', e.message); } catch(_) {}
+                }
+            });
+        }
+    } catch (_) { }
+
+    /**
+     * Continuous Scan (LOOP) toggle initialization and handler
+     * Controlled by CONFIG_APP.APP.CONTINUOUS_SCAN
+     * Dibaca saat START; mengubah toggle selama scan tidak menghentikan loop yang berjalan.
+     */
+    try {
+        const continuousEnabled = (window.CONFIG_APP?.APP?.CONTINUOUS_SCAN !== false);
+
+        if (!continuousEnabled) {
+            $('#continuousScanToggle').prop('checked', false).closest('label').hide();
+            $('#pauseSCAN').hide();
+        } else {
+            $('#continuousScanToggle').closest('label').show();
+
+            $('#continuousScanToggle').on('change', function () {
+                const isChecked = $(this).is(':checked');
+
+                // ✅ AUTO-SAVE: Save to per-chain filter storage
+                try {
+                    if (typeof saveCheckboxPreference === 'function') {
+                        saveCheckboxPreference('continuousScan', isChecked);
+                    }
+                } catch (e) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn('[AUTO-SAVE] Failed to save continuousScan:', e.message); } catch(_) {}
+                }
+            });
+        }
+    } catch (_) { }
+
+    /**
+     * Shard Scan toggle: tab ikut dalam pembagian token lintas tab
+     * (leader saat START, follower saat idle). Lihat core/scanner/shard-coordinator.js
+     */
+    try {
+        const coordinator = window.ScanCoordinator;
+        if (!coordinator || !window.__MC_BC) {
+            $('#shardModeToggle').prop('checked', false).closest('label').hide();
+        } else {
+            $('#shardModeToggle').prop('checked', coordinator.isEnabled());
+            $('#shardModeToggle').on('change', function () {
+                coordinator.setEnabled($(this).is(':checked'));
+                try { coordinator.renderStatus(); } catch (_) { }
+            });
+        }
+    } catch (_) { }
+
     /**
      * Vol Check toggle initialization and handler
      * Controlled by CONFIG_APP.APP.VOL_CHECK
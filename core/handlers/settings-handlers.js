@@ -7,9 +7,12 @@
  * - Settings modal open/close
  * - Settings form save
  * - Settings cancel button
- * - RPC configuration
+ * - RPC configuration (pool per chain, 1 RPC per baris) + cek health RPC
  * - DEX delay configuration
  * - User profile settings
+ * - CEX trading fee overrides (maker/taker)
+ * - Notification channels (Telegram / Webhook / Discord / ntfy) + tes kirim
+ * - Vault API key CEX (aktifkan / buka / kunci / nonaktifkan)
  *
  * Dependencies:
  * - jQuery
@@ -17,6 +20,9 @@
  * - renderSettingsForm (UI rendering)
  * - showMainSection (section navigation)
  * - window.RPCDatabaseMigrator (RPC migration utility)
+ * - window.RPCManager, renderRPCStatus (RPC pool health)
+ * - buildNotifyChannelRow, window.Notify (services/notify.js)
+ * - window.CredentialVault, renderVaultStatus, loadCEXApiKeys (vault API key terenkripsi)
  * - CONFIG_CHAINS, CONFIG_DEXS (chain/dex configurations)
  * - toast notifications
  * - UIkit notifications
@@ -46,6 +52,142 @@
         try { location.reload(); } catch (_) { }
     });
 
+    /**
+     * RPC health check handler: probe semua endpoint lalu tampilkan status
+     */
+    $(document).on('click', '#btn-probe-rpc', async function () {
+        if (!window.RPCManager || typeof window.RPCManager.probeChain !== 'function') return;
+        const $btn = $(this);
+        $btn.prop('disabled', true);
+        try {
+            // Probe memakai pool tersimpan (RPC baru di form perlu disimpan dulu)
+            const chains = $('.rpc-input').map(function () { return $(this).data('chain'); }).get();
+            await Promise.all(chains.map(chain => window.RPCManager.probeChain(chain)));
+            if (typeof renderRPCStatus === 'function') renderRPCStatus();
+        } catch (_) {
+        } finally {
+            $btn.prop('disabled', false);
+        }
+    });
+
+    // Status RPC ter-update otomatis dari probe berkala / failover selama form settings terbuka
+    try {
+        if (window.RPCManager && typeof window.RPCManager.onChange === 'function') {
+            const refreshRpcStatus = (typeof window.throttle === 'function')
+                ? window.throttle(() => { if ($('#form-setting-app').is(':visible') && typeof renderRPCStatus === 'function') renderRPCStatus(); }, 1000)
+                : () => { };
+            window.RPCManager.onChange(refreshRpcStatus);
+        }
+    } catch (_) { }
+
+    /**
+     * Baca 1 baris channel notifikasi dari form settings.
+     * @param {jQuery} $row - .notify-channel-row
+     * @returns {object} channel (format SETTING_SCANNER.notifyChannels)
+     */
+    function readNotifyChannelRow($row) {
+        const raw = {
+            id: String($row.data('id') || ''),
+            type: $row.find('.notify-type').val(),
+            name: $row.find('.notify-name').val(),
+            enabled: $row.find('.notify-enabled').is(':checked'),
+            url: $row.find('.notify-url').val(),
+            chatId: $row.find('.notify-chat').val(),
+            botToken: $row.find('.notify-token').val(),
+            minPnl: $row.find('.notify-minpnl').val(),
+            chains: $row.find('.notify-chains').val(),
+            cexes: $row.find('.notify-cexes').val(),
+            quietStart: $row.find('.notify-quiet-start').val(),
+            quietEnd: $row.find('.notify-quiet-end').val()
+        };
+        return (window.Notify && typeof window.Notify.normalizeChannel === 'function') ? window.Notify.normalizeChannel(raw) : raw;
+    }
+
+    /**
+     * Notification channel handlers (tambah / hapus / ganti tipe / tes)
+     */
+    $(document).on('click', '#btn-add-notify-channel', function () {
+        const channel = { id: `ch-${Date.now().toString(36)}`, type: 'webhook', name: '' };
+        $('#notify-channels-container').append(buildNotifyChannelRow(channel));
+    });
+
+    $(document).on('click', '.notify-remove-btn', function () {
+        $(this).closest('.notify-channel-row').remove();
+    });
+
+    $(document).on('change', '.notify-type', function () {
+        // Render ulang baris agar field sesuai tipe (chat id / token / placeholder URL)
+        const $row = $(this).closest('.notify-channel-row');
+        $row.replaceWith(buildNotifyChannelRow(readNotifyChannelRow($row)));
+    });
+
+    $(document).on('click', '.notify-test-btn', async function () {
+        const $btn = $(this);
+        const channel = readNotifyChannelRow($btn.closest('.notify-channel-row'));
+        if (!window.Notify) return UIkit.notification({ message: 'Modul notifikasi tidak dimuat', status: 'danger' });
+        $btn.prop('disabled', true);
+        try {
+            await window.Notify.test(channel);
+            UIkit.notification({ message: `✅ Tes ${channel.name} terkirim`, status: 'success' });
+        } catch (e) {
+            UIkit.notification({ message: `❌ Tes ${channel.name} gagal: ${e?.message || e}`, status: 'danger', timeout: 5000 });
+        } finally {
+            $btn.prop('disabled', false);
+        }
+    });
+
+    /**
+     * Vault API key CEX handlers (aktifkan / buka / kunci / nonaktifkan)
+     */
+    function refreshVaultPanel() {
+        if (typeof renderVaultStatus === 'function') renderVaultStatus();
+        if (typeof loadCEXApiKeys === 'function') loadCEXApiKeys();
+    }
+
+    async function runVaultAction($btn, action, successMsg) {
+        if (!window.CredentialVault) return UIkit.notification({ message: 'Modul vault tidak dimuat', status: 'danger' });
+        const pass = String($('#vault-passphrase').val() || '');
+        $btn.prop('disabled', true);
+        try {
+            await action(window.CredentialVault, pass);
+            UIkit.notification({ message: successMsg, status: 'success' });
+        } catch (e) {
+            UIkit.notification({ message: `❌ ${e?.message || e}`, status: 'danger', timeout: 4000 });
+        } finally {
+            $('#vault-passphrase').val('');
+            $btn.prop('disabled', false);
+            refreshVaultPanel();
+        }
+    }
+
+    $(document).on('click', '#btn-vault-setup', function () {
+        runVaultAction($(this), (vault, pass) => vault.setup(pass), '🔐 Vault aktif, API key CEX tersimpan terenkripsi');
+    });
+
+    $(document).on('click', '#btn-vault-unlock', function () {
+        runVaultAction($(this), (vault, pass) => vault.unlock(pass), '🔓 Vault terbuka');
+    });
+
+    $(document).on('click', '#btn-vault-lock', function () {
+        runVaultAction($(this), (vault) => vault.lock(), '🔒 Vault terkunci');
+    });
+
+    $(document).on('click', '#btn-vault-disable', function () {
+        const $btn = $(this);
+        UIkit.modal.confirm('Nonaktifkan vault? API key CEX akan disimpan kembali tanpa enkripsi.').then(() => {
+            runVaultAction($btn, (vault) => vault.disable(), '⚠️ Vault dinonaktifkan');
+        }, () => { });
+    });
+
+    // Auto-lock / unlock dari tab lain (prompt modal) → refresh panel jika form settings terbuka
+    try {
+        if (window.CredentialVault && typeof window.CredentialVault.onChange === 'function') {
+            window.CredentialVault.onChange(() => {
+                if ($('#form-setting-app').is(':visible')) refreshVaultPanel();
+            });
+        }
+    } catch (_) { }
+
     /**
      * Save settings button handler
      * Validates and saves all settings to localStorage
@@ -114,7 +256,10 @@
         try { if (window.SCAN_LOG_ENABLED) console.log('[Settings Save] Valid JedaDexs to save:', Object.keys(JedaDexs)); } catch(_) {}
 
         // Collect user RPC settings (NEW: simplified structure using database)
+        // userRPCs[chain] = RPC utama (format lama), userRPCPools[chain] = semua RPC (urutan prioritas)
         let userRPCs = {};
+        const userRPCPools = {};
+        let invalidRPC = null;
         // Get initial values from database migrator (not hardcoded anymore)
         const getInitialRPC = (chain) => {
             if (window.RPCDatabaseMigrator && window.RPCDatabaseMigrator.INITIAL_RPC_VALUES) {
@@ -125,11 +270,21 @@
 
         $('.rpc-input').each(function () {
             const chain = $(this).data('chain');
-            const rpc = $(this).val().trim();
+            const rpcList = String($(this).val() || '')
+                .split(/[\n,]+/)
+                .map(r => r.trim())
+                .filter(r => r !== '');
+            const bad = rpcList.find(r => !/^https?:\/\//i.test(r));
+            if (bad) {
+                invalidRPC = `${chain}: ${bad}`;
+                return false;
+            }
+            const rpc = rpcList[0];
 
             // Simpan RPC yang diinput user, atau gunakan initial value dari migrator jika kosong
             if (rpc) {
                 userRPCs[chain] = rpc;
+                userRPCPools[chain] = Array.from(new Set(rpcList));
             } else {
                 const initialRPC = getInitialRPC(chain);
                 if (initialRPC) {
@@ -138,6 +293,10 @@
             }
         });
 
+        if (invalidRPC) {
+            return UIkit.notification({ message: `RPC tidak valid (harus http/https): ${invalidRPC}`, status: 'danger', timeout: 5000 });
+        }
+
         // Validasi: pastikan semua chain punya RPC
         const missingRPCs = Object.keys(CONFIG_CHAINS).filter(chain => !userRPCs[chain]);
         if (missingRPCs.length > 0) {
@@ -185,13 +344,53 @@
             }
         });
 
+        // Collect trading fee overrides (persen). Kosong = pakai CONFIG_CEX[cex].FEES
+        const cexFees = {};
+        let invalidFee = null;
+        $('.cex-fee-input').each(function () {
+            const raw = String($(this).val() || '').trim();
+            if (raw === '') return;
+            const cex = String($(this).data('cex') || '').toUpperCase();
+            const side = String($(this).data('side') || '').toLowerCase();
+            const pct = parseFloat(raw);
+            if (!Number.isFinite(pct) || pct < 0 || pct > 5) {
+                invalidFee = `${cex} ${side}`;
+                return false;
+            }
+            cexFees[cex] = Object.assign({}, cexFees[cex], { [side]: pct });
+        });
+        if (invalidFee) {
+            return UIkit.notification({ message: `Fee trading ${invalidFee} tidak valid (0 - 5%)!`, status: 'danger' });
+        }
+
+        // Collect notification channels (urutan sesuai form)
+        const notifyChannels = [];
+        let invalidChannel = null;
+        $('.notify-channel-row').each(function () {
+            const ch = readNotifyChannelRow($(this));
+            if (ch.type !== 'telegram' && ch.enabled && !/^https?:\/\//i.test(ch.url)) {
+                invalidChannel = ch.name;
+                return false;
+            }
+            notifyChannels.push(ch);
+        });
+        if (invalidChannel) {
+            return UIkit.notification({ message: `URL channel notifikasi ${invalidChannel} tidak valid!`, status: 'danger' });
+        }
+
+        const vaultIdleMinutes = Math.min(1440, Math.max(1, parseInt($('#vault-idle-minutes').val(), 10) || 15));
+
         const settingData = {
             nickname, jedaTimeGroup, jedaKoin, walletMeta,
             matchaApiKeys,  // ✅ Save user-defined Matcha API keys (REQUIRED, multiple keys with rotation)
             scanPerKoin: parseInt(scanPerKoin, 10),
             speedScan: parseFloat(speedScan),
             JedaDexs,
-            userRPCs  // NEW: hanya simpan RPC yang diinput user (1 per chain)
+            cexFees,  // Override fee trading per CEX (persen, maker/taker)
+            notifyChannels,  // Channel notifikasi + filter per channel (services/notify.js)
+            userRPCs,  // NEW: hanya simpan RPC yang diinput user (1 per chain)
+            userRPCPools,  // Pool RPC per chain (failover + ranking latency, rpc-manager.js)
+            vaultIdleMinutes  // Auto-lock vault API key setelah idle (menit, services/credential-vault.js)
             // ✅ REMOVED: Checkbox preferences (now stored per-chain in FILTER_*)
             // autoRun, autoVol, walletCex, autoLevel, autoLevelValue
         };
@@ -204,8 +403,22 @@
         saveToLocalStorage('SETTING_SCANNER', settingData);
 
         // Save CEX API keys to IndexedDB only (no localStorage sync)
-        if (Object.keys(cexKeys).length > 0) {
-            saveToLocalStorage('CEX_API_KEYS', cexKeys);
+        // Vault aktif → disimpan terenkripsi; vault terkunci → key lama dibiarkan (input disabled)
+        const vault = window.CredentialVault;
+        const vaultEnabled = !!(vault && vault.isEnabled());
+        if (vaultEnabled && !vault.isUnlocked()) {
+            cexSavedCount = 0;
+            UIkit.notification({ message: '🔒 Vault terkunci, API key CEX tidak diubah.', status: 'warning', timeout: 3000 });
+        } else if (Object.keys(cexKeys).length > 0) {
+            if (vaultEnabled) {
+                try {
+                    await vault.saveAll(cexKeys);
+                } catch (e) {
+                    return UIkit.notification({ message: `❌ Gagal simpan API key ke vault: ${e?.message || e}`, status: 'danger' });
+                }
+            } else {
+                saveToLocalStorage('CEX_API_KEYS', cexKeys);
+            }
             localStorage.setItem('CEX_KEYS_MIGRATED', 'true');
             try { if (window.SCAN_LOG_ENABLED) console.log(`[SETTINGS] ✅ Saved ${cexSavedCount} CEX API key(s) to IndexedDB`); } catch(_) {}
 
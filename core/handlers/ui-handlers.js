@@ -21,6 +21,7 @@
  * - showMainSection (section navigation)
  * - renderTokenManagementList (token rendering)
  * - renderHistoryTable (history rendering)
+ * - window.BackupManager (backup-manager.js: backup per section, preview & merge restore)
  * - toast notifications
  * - UIkit modal
  *
@@ -179,17 +180,66 @@
     });
 
     /**
-     * Backup database button handler
+     * Backup modal: render pilihan section + chain saat modal dibuka
+     */
+    $(document).on('beforeshow', '#backup-modal', function(ev){
+        if (ev.target !== this) return;
+        try {
+            if (window.BackupManager && !$('#backupOptions').children().length) window.BackupManager.renderBackupOptions('#backupOptions');
+        } catch(_) {}
+        renderBackupCredentialNote();
+    });
+
+    /**
+     * Catatan API key CEX di backup: plaintext tidak pernah diekspor, jadi tanpa vault
+     * backup tidak membawa key sama sekali (restore = semua key hilang).
+     */
+    function renderBackupCredentialNote() {
+        try {
+            const mode = $('#backupCredentialMode').val() || 'encrypted';
+            const vault = window.CredentialVault;
+            const vaultOn = !!(vault && vault.isEnabled());
+            const plain = (typeof getFromLocalStorage === 'function') ? getFromLocalStorage('CEX_API_KEYS', null) : null;
+            const hasKeys = vaultOn || !!(plain && typeof plain === 'object' && Object.keys(plain).length);
+            let text = '', cls = 'uk-text-warning';
+            if (!hasKeys) {
+                // tidak ada key tersimpan → tidak ada yang hilang
+            } else if (mode === 'none') {
+                text = '⚠️ API key CEX TIDAK ikut backup. Setelah restore, key harus diisi ulang.';
+            } else if (!vaultOn) {
+                text = '⚠️ Vault belum aktif: API key CEX (plaintext) TIDAK ikut backup. Aktifkan vault di Pengaturan agar key ikut dalam bentuk terenkripsi.';
+                cls = 'uk-text-danger';
+            } else {
+                text = '🔐 API key CEX ikut sebagai blob vault terenkripsi (butuh master passphrase setelah restore).';
+                cls = 'uk-text-meta';
+            }
+            $('#backupCredentialNote').removeClass('uk-text-warning uk-text-danger uk-text-meta').addClass(cls).text(text).toggle(!!text);
+        } catch(_) {}
+    }
+    $(document).on('change', '#backupCredentialMode', renderBackupCredentialNote);
+
+    /**
+     * Backup database button handler (kv-v2, section terpilih)
      */
     $(document).on('click', '#btnBackupDb', async function(){
         try {
-            const payload = await (window.exportIDB ? window.exportIDB() : Promise.resolve(null));
+            // API key CEX hanya ikut sebagai blob terenkripsi vault (plaintext tidak pernah diekspor; lihat #backupCredentialNote)
+            const credentials = $('#backupCredentialMode').val() || undefined;
+            const selection = window.BackupManager ? window.BackupManager.readBackupOptions('#backupOptions') : {};
+            if (window.BackupManager && !selection.sections.length) {
+                if (typeof toast !== 'undefined' && toast.warning) toast.warning('Pilih minimal 1 bagian untuk di-backup.');
+                return;
+            }
+            const payload = window.BackupManager
+                ? await window.BackupManager.create(Object.assign({ credentials }, selection))
+                : await (window.exportIDB ? window.exportIDB({ credentials }) : Promise.resolve(null));
             if (!payload || !payload.items) { if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal membuat backup.'); return; }
             const filename = `${MAIN_APP_NAME_SAFE}_BACKUP_${new Date().toISOString().replace(/[:.]/g,'-')}.json`;
             const ok = window.downloadJSON ? window.downloadJSON(filename, payload) : false;
             if (ok) {
                 if (typeof toast !== 'undefined' && toast.success) toast.success(`Backup berhasil. ${payload.count||payload.items.length} item disalin.`);
-                try { setLastAction('BACKUP DATABASE'); } catch(_) {}
+                if (payload.credentialsOmitted && typeof toast !== 'undefined' && toast.warning) toast.warning('API key CEX tidak ikut dalam backup ini.');
+                try { setLastAction('BACKUP DATABASE', 'success', { sections: payload.sections, chains: payload.chains }); } catch(_) {}
                 try { $('#backupSummary').text(`Backup: ${payload.items.length} item pada ${new Date().toLocaleString('id-ID',{hour12:false})}`); } catch(_) {}
             } else {
                 if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal mengunduh file backup.');
@@ -208,8 +258,33 @@
         $('#restoreFileInput').trigger('click');
     });
 
+    // Backup hasil migrasi yang sedang di-preview (menunggu konfirmasi)
+    let pendingRestore = null;
+
+    function resetRestorePreview() {
+        pendingRestore = null;
+        $('#restorePreview').empty().hide();
+        $('#restoreActions').hide();
+    }
+
+    function finishRestore(res) {
+        try { setLastAction('RESTORE DATABASE'); } catch(_) {}
+        const msg = `Restore selesai. OK: ${res.ok}, Fail: ${res.fail}`;
+        try { $('#backupSummary').text(`Restore OK: ${res.ok}, Fail: ${res.fail}${res.skipped ? `, Dilewati: ${res.skipped}` : ''}`); } catch(_) {}
+        // Tampilkan notifikasi sukses dan reload halaman agar data hasil restore terpakai penuh
+        try {
+            if (typeof UIkit !== 'undefined' && UIkit.notification) {
+                UIkit.notification(`✅ ${msg}<br>Halaman akan di-reload untuk menerapkan perubahan.`, {status:'success'});
+            } else if (typeof toast !== 'undefined' && toast.success) {
+                toast.success(`✅ ${msg}\nHalaman akan di-reload untuk menerapkan perubahan.`);
+            }
+        } catch(_) {}
+        setTimeout(() => { try { location.reload(); } catch(_) {} }, 1000);
+    }
+
     /**
      * Restore database file input change handler
+     * Backup dimigrasi ke format terbaru lalu ditampilkan preview diff per section
      */
     $(document).on('change', '#restoreFileInput', function(ev){
         const file = ev.target.files && ev.target.files[0];
@@ -219,11 +294,6 @@
             try{
                 const text = String(e.target.result||'').trim();
                 const json = JSON.parse(text);
-                // Validasi dasar payload backup
-                if (!json || typeof json !== 'object' || json.schema !== 'kv-v1' || !Array.isArray(json.items)) {
-                    if (typeof toast !== 'undefined' && toast.error) toast.error('File backup tidak valid atau schema tidak dikenali.');
-                    return;
-                }
                 // Info jika DB/Store berbeda (tetap lanjut restore)
                 try {
                     if (json.db && String(json.db) !== String(PRIMARY_DB_NAME)) {
@@ -233,19 +303,26 @@
                         if (typeof toast !== 'undefined' && toast.warning) toast.warning(`Nama store berbeda: ${json.store}`);
                     }
                 } catch(_) {}
-                const res = await (window.restoreIDB ? window.restoreIDB(json) : Promise.resolve({ ok:0, fail:0 }));
-                try { setLastAction('RESTORE DATABASE'); } catch(_) {}
-                const msg = `Restore selesai. OK: ${res.ok}, Fail: ${res.fail}`;
-                try { $('#backupSummary').text(`Restore OK: ${res.ok}, Fail: ${res.fail}`); } catch(_) {}
-                // Tampilkan notifikasi sukses dan reload halaman agar data hasil restore terpakai penuh
-                try {
-                    if (typeof UIkit !== 'undefined' && UIkit.notification) {
-                        UIkit.notification(`✅ ${msg}<br>Halaman akan di-reload untuk menerapkan perubahan.`, {status:'success'});
-                    } else if (typeof toast !== 'undefined' && toast.success) {
-                        toast.success(`✅ ${msg}\nHalaman akan di-reload untuk menerapkan perubahan.`);
+                if (!window.BackupManager) {
+                    // Fallback tanpa backup-manager.js: restore penuh kv-v1
+                    if (!json || json.schema !== 'kv-v1' || !Array.isArray(json.items)) {
+                        if (typeof toast !== 'undefined' && toast.error) toast.error('File backup tidak valid atau schema tidak dikenali.');
+                        return;
                     }
-                } catch(_) {}
-                setTimeout(() => { try { location.reload(); } catch(_) {} }, 1000);
+                    finishRestore(await (window.restoreIDB ? window.restoreIDB(json) : Promise.resolve({ ok:0, fail:0 })));
+                    return;
+                }
+                let migrated;
+                try {
+                    migrated = window.BackupManager.migrate(json);
+                } catch(err) {
+                    if (typeof toast !== 'undefined' && toast.error) toast.error(err.message || 'File backup tidak valid atau schema tidak dikenali.');
+                    return;
+                }
+                pendingRestore = migrated.payload;
+                window.BackupManager.renderPreview('#restorePreview', migrated.payload, { migratedFrom: migrated.migratedFrom });
+                $('#restoreActions').show();
+                try { $('#backupSummary').text(`Preview restore: ${file.name}`); } catch(_) {}
             } catch(err){
                 // console.error('Restore parse error:', err);
                 if (typeof toast !== 'undefined' && toast.error) toast.error('File tidak valid. Pastikan format JSON benar.');
@@ -257,4 +334,33 @@
         reader.readAsText(file);
     });
 
+    /**
+     * Terapkan restore sesuai mode per section di preview
+     */
+    $(document).on('click', '#btnRestoreApply', async function(){
+        if (!pendingRestore || !window.BackupManager) return;
+        const plan = window.BackupManager.readPlan('#restorePreview');
+        if (!Object.values(plan).some(m => m !== 'skip')) {
+            if (typeof toast !== 'undefined' && toast.info) toast.info('Semua bagian dilewati, tidak ada yang di-restore.');
+            return;
+        }
+        const $btn = $(this);
+        $btn.prop('disabled', true);
+        try {
+            const res = await window.BackupManager.apply(pendingRestore, plan);
+            resetRestorePreview();
+            finishRestore(res);
+        } catch(err) {
+            if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal menerapkan restore.');
+            try { setLastAction('RESTORE DATABASE', 'error', { error: String(err && err.message || err) }); } catch(_) {}
+        } finally {
+            $btn.prop('disabled', false);
+        }
+    });
+
+    $(document).on('click', '#btnRestoreCancel', function(){
+        resetRestorePreview();
+        try { $('#backupSummary').text(''); } catch(_) {}
+    });
+
 })();
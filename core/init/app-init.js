@@ -282,6 +282,18 @@ $(document).ready(function () {
             if (prefs.autoLevelValue !== undefined) {
                 $('#autoVolLevels').val(prefs.autoLevelValue);
             }
+            if (prefs.sizeLadder !== undefined && window.CONFIG_APP?.APP?.SIZE_LADDER !== false) {
+                $('#sizeLadderToggle').prop('checked', prefs.sizeLadder);
+            }
+            if (prefs.priorityScan !== undefined && window.CONFIG_APP?.APP?.PRIORITY_SCAN !== false) {
+                $('#priorityScanToggle').prop('checked', prefs.priorityScan);
+            }
+            if (prefs.continuousScan !== undefined && window.CONFIG_APP?.APP?.CONTINUOUS_SCAN !== false) {
+                $('#continuousScanToggle').prop('checked', prefs.continuousScan);
+            }
+            if (prefs.cexStream !== undefined && window.CONFIG_APP?.APP?.CEX_STREAM !== false) {
+                $('#cexStreamToggle').prop('checked', prefs.cexStream);
+            }
 
             // ✅ TRIGGER CHANGE EVENTS: Enforce mutually exclusive after restore
             // This ensures event handlers run and uncheck the other if needed
@@ -138,6 +138,292 @@
         }
     }
 
+    /**
+     * Adaptive Host Rate Limiter
+     * ✅ OPTIMIZATION: Token bucket per API host (api.kyberswap.com, api.0x.org, api.binance.me, ...)
+     *
+     * - Rate awal dari CONFIG_RATE_LIMIT.hosts[host] (fallback: CONFIG_RATE_LIMIT.default)
+     * - 429/418 atau header limit habis → pause (Retry-After / X-RateLimit-Reset) + rate x backoffFactor
+     * - Sukses beruntun → rate naik pelan kembali ke rate awal
+     * - Antar tab: 429/pause disiarkan lewat CONFIG_DB.BROADCAST_CHANNEL dan budget dibagi
+     *   rata ke tab yang sedang aktif (heartbeat)
+     *
+     * Usage:
+     * ```javascript
+     * await HostRateLimiter.acquire(url);           // tunggu token
+     * HostRateLimiter.report(url, jqXHR);           // setelah response (status + header)
+     * const data = await HostRateLimiter.run(url, () => $.getJSON(url));
+     * ```
+     */
+    class HostRateLimiter {
+        /**
+         * @param {object} options - Override CONFIG_RATE_LIMIT
+         * @param {BroadcastChannel} [options.channel] - Channel lintas tab
+         */
+        constructor(options = {}) {
+            this.options = options;
+            this.buckets = new Map();
+            this.peers = new Map();       // tabId → lastSeen
+            this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            this.lastHeartbeat = 0;
+            this.channel = options.channel || null;
+            if (this.channel) {
+                this.channel.addEventListener('message', (ev) => this._onMessage(ev && ev.data));
+            }
+        }
+
+        get config() {
+            const base = (typeof window !== 'undefined' && window.CONFIG_RATE_LIMIT) || {};
+            return Object.assign({
+                enabled: true, default: { rps: 5, burst: 5 }, hosts: {},
+                minRps: 0.2, backoffFactor: 0.5, recoverFactor: 1.15, recoverAfter: 20,
+                backoffMs: 2000, maxBlockMs: 120000, tabTtlMs: 15000
+            }, base, this.options);
+        }
+
+        /**
+         * Host tujuan dari URL; URL proxy CORS (`https://worker.../?https://api.x.com/...`)
+         * dihitung ke host tujuan, bukan host proxy.
+         * @param {string} url
+         * @returns {string}
+         */
+        hostOf(url) {
+            try {
+                let target = String(url || '');
+                const inner = target.match(/^https?:\/\/[^?]+\?(https?:\/\/.+)$/i);
+                if (inner) target = inner[1];
+                return new URL(target).host.toLowerCase();
+            } catch (_) {
+                return '';
+            }
+        }
+
+        _bucket(host) {
+            if (!this.buckets.has(host)) {
+                const cfg = this.config;
+                const limits = Object.assign({}, cfg.default, (cfg.hosts || {})[host] || {});
+                const rps = Math.max(Number(limits.rps) || 5, cfg.minRps);
+                const burst = Math.max(Number(limits.burst) || 1, 1);
+                this.buckets.set(host, {
+                    host,
+                    baseRate: rps,
+                    rate: rps,
+                    capacity: burst,
+                    tokens: burst,
+                    lastRefill: Date.now(),
+                    blockedUntil: 0,
+                    strikes: 0,
+                    okStreak: 0,
+                    waiters: [],
+                    timer: null
+                });
+            }
+            return this.buckets.get(host);
+        }
+
+        /** Jumlah tab yang aktif memakai limiter (termasuk tab ini). */
+        activeTabs() {
+            const ttl = this.config.tabTtlMs;
+            const now = Date.now();
+            let count = 1;
+            this.peers.forEach((seen, id) => {
+                if (now - seen <= ttl) count++;
+                else this.peers.delete(id);
+            });
+            return count;
+        }
+
+        _effectiveRate(bucket) {
+            return Math.max(bucket.rate / this.activeTabs(), this.config.minRps / 4);
+        }
+
+        _refill(bucket) {
+            const now = Date.now();
+            const elapsed = (now - bucket.lastRefill) / 1000;
+            bucket.lastRefill = now;
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * this._effectiveRate(bucket));
+        }
+
+        _pump(bucket) {
+            if (bucket.timer) {
+                clearTimeout(bucket.timer);
+                bucket.timer = null;
+            }
+            this._refill(bucket);
+            const now = Date.now();
+            while (bucket.waiters.length && now >= bucket.blockedUntil && bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                bucket.waiters.shift()();
+            }
+            if (!bucket.waiters.length) return;
+            const wait = bucket.blockedUntil > now
+                ? bucket.blockedUntil - now
+                : Math.ceil(((1 - bucket.tokens) / this._effectiveRate(bucket)) * 1000);
+            bucket.timer = setTimeout(() => this._pump(bucket), Math.max(wait, 10));
+        }
+
+        /**
+         * Tunggu sampai host punya token.
+         * @param {string} url
+         * @returns {Promise<void>}
+         */
+        acquire(url) {
+            const host = this.hostOf(url);
+            if (!host || this.config.enabled === false) return Promise.resolve();
+            this._heartbeat();
+            const bucket = this._bucket(host);
+            return new Promise(resolve => {
+                bucket.waiters.push(resolve);
+                this._pump(bucket);
+            });
+        }
+
+        /**
+         * Laporkan hasil request agar rate beradaptasi.
+         * @param {string} url
+         * @param {object} xhr - jqXHR / objek { status, getResponseHeader? }
+         */
+        report(url, xhr) {
+            const host = this.hostOf(url);
+            if (!host || this.config.enabled === false) return;
+            const cfg = this.config;
+            const bucket = this._bucket(host);
+            const now = Date.now();
+            const status = Number(xhr && xhr.status) || 0;
+            const header = (name) => {
+                try { return (xhr && typeof xhr.getResponseHeader === 'function') ? xhr.getResponseHeader(name) : null; } catch (_) { return null; }
+            };
+
+            const retryAfterMs = this._parseRetryAfter(header('Retry-After'));
+            const remaining = this._firstNumber(header('X-RateLimit-Remaining'), header('RateLimit-Remaining'));
+            const resetMs = this._parseReset(this._firstNumber(header('X-RateLimit-Reset'), header('RateLimit-Reset')));
+
+            if (status === 429 || status === 418) {
+                bucket.strikes++;
+                bucket.okStreak = 0;
+                bucket.rate = Math.max(cfg.minRps, bucket.rate * cfg.backoffFactor);
+                const pause = retryAfterMs || resetMs || cfg.backoffMs * Math.pow(2, bucket.strikes - 1);
+                this._block(bucket, now + Math.min(pause, cfg.maxBlockMs), true);
+                return;
+            }
+
+            // Header limit: sisa kuota habis → pause sampai reset
+            if (remaining !== null) {
+                bucket.tokens = Math.min(bucket.tokens, remaining);
+                if (remaining <= 0) this._block(bucket, now + Math.min(resetMs || cfg.backoffMs, cfg.maxBlockMs), true);
+            }
+
+            // Binance: weight terpakai per menit (limit 6000) → perlambat saat > 80%
+            const usedWeight = this._firstNumber(header('X-MBX-USED-WEIGHT-1M'));
+            if (usedWeight !== null && usedWeight > 4800) {
+                bucket.rate = Math.max(cfg.minRps, bucket.rate * 0.7);
+            }
+
+            if (status >= 200 && status < 400) {
+                bucket.strikes = 0;
+                bucket.okStreak++;
+                if (bucket.okStreak >= cfg.recoverAfter && bucket.rate < bucket.baseRate) {
+                    bucket.rate = Math.min(bucket.baseRate, bucket.rate * cfg.recoverFactor);
+                    bucket.okStreak = 0;
+                }
+            }
+        }
+
+        /**
+         * Jalankan request lewat limiter: acquire → fn() → report (jqXHR atau Promise biasa).
+         * @param {string} url
+         * @param {Function} fn - Mengembalikan jqXHR / Promise
+         * @returns {Promise<any>}
+         */
+        async run(url, fn) {
+            await this.acquire(url);
+            const req = fn();
+            if (req && typeof req.done === 'function' && typeof req.fail === 'function') {
+                req.done((data, textStatus, xhr) => this.report(url, xhr || { status: 200 }))
+                    .fail((xhr) => this.report(url, xhr));
+            } else if (req && typeof req.then === 'function') {
+                req.then(() => this.report(url, { status: 200 }), (err) => this.report(url, err));
+            }
+            return req;
+        }
+
+        /** Status per host (debug / console). */
+        getStats() {
+            const now = Date.now();
+            return Array.from(this.buckets.values()).map(b => ({
+                host: b.host,
+                rps: Number(b.rate.toFixed(2)),
+                baseRps: b.baseRate,
+                effectiveRps: Number(this._effectiveRate(b).toFixed(2)),
+                tokens: Number(b.tokens.toFixed(2)),
+                queued: b.waiters.length,
+                blockedMs: Math.max(0, b.blockedUntil - now)
+            }));
+        }
+
+        _block(bucket, until, broadcast) {
+            if (until <= bucket.blockedUntil) return;
+            bucket.blockedUntil = until;
+            try {
+                if (window.SCAN_LOG_ENABLED) {
+                    console.warn(`[RateLimiter] ${bucket.host} paused ${Math.round((until - Date.now()) / 1000)}s (rps ${bucket.rate.toFixed(2)})`);
+                }
+            } catch (_) { }
+            if (broadcast) this._post({ type: 'ratelimit', host: bucket.host, rate: bucket.rate, blockedUntil: until });
+            this._pump(bucket);
+        }
+
+        _heartbeat() {
+            const now = Date.now();
+            if (now - this.lastHeartbeat < this.config.tabTtlMs / 3) return;
+            this.lastHeartbeat = now;
+            this._post({ type: 'ratelimit_ping' });
+        }
+
+        _post(msg) {
+            try { if (this.channel) this.channel.postMessage(Object.assign({ from: this.tabId }, msg)); } catch (_) { }
+        }
+
+        _onMessage(msg) {
+            if (!msg || msg.from === this.tabId) return;
+            if (msg.type === 'ratelimit_ping') {
+                this.peers.set(msg.from, Date.now());
+            } else if (msg.type === 'ratelimit' && msg.host) {
+                this.peers.set(msg.from, Date.now());
+                // Tab lain kena 429 → ikut turunkan rate & pause (tanpa siar ulang)
+                const bucket = this._bucket(String(msg.host));
+                if (Number(msg.rate) > 0) bucket.rate = Math.max(this.config.minRps, Math.min(bucket.rate, Number(msg.rate)));
+                if (Number(msg.blockedUntil) > 0) this._block(bucket, Number(msg.blockedUntil), false);
+            }
+        }
+
+        _firstNumber(...values) {
+            for (const v of values) {
+                if (v === null || v === undefined || v === '') continue;
+                const n = parseFloat(String(v).split(',')[0]);
+                if (Number.isFinite(n)) return n;
+            }
+            return null;
+        }
+
+        // Retry-After: detik atau HTTP-date
+        _parseRetryAfter(value) {
+            if (value === null || value === undefined || value === '') return 0;
+            const secs = Number(value);
+            if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+            const at = Date.parse(value);
+            return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+        }
+
+        // X-RateLimit-Reset: detik tersisa, epoch detik, atau epoch ms
+        _parseReset(value) {
+            if (value === null || !Number.isFinite(value) || value <= 0) return 0;
+            if (value > 1e12) return Math.max(0, value - Date.now());
+            if (value > 1e9) return Math.max(0, value * 1000 - Date.now());
+            return value * 1000;
+        }
+    }
+
     // =================================================================================
     // EXPORT TO GLOBAL SCOPE
     // =================================================================================
@@ -157,6 +443,10 @@
             maxConcurrency: 5
         });
 
+        // ✅ Rate limiter per host, dibagi lintas tab lewat channel storage.js (CONFIG_DB.BROADCAST_CHANNEL)
+        window.HostRateLimiterClass = HostRateLimiter;
+        window.HostRateLimiter = new HostRateLimiter({ channel: window.__MC_BC || null });
+
         try {
             if (window.SCAN_LOG_ENABLED) {
                 console.log('[RequestBatcher] ✅ Initialized - CEX & DEX batchers ready');
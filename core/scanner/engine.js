@@ -0,0 +1,548 @@
+/**
+ * =================================================================================
+ * SCAN ENGINE MODULE (HEADLESS)
+ * =================================================================================
+ *
+ * DOM-free scan engine: loop token → CEX → (orderbook) → DEX → calculateResult,
+ * hasilnya dikirim lewat event stream. Tidak ada jQuery, `$('#...')` ataupun
+ * `SavedSettingData` di sini, sehingga logika yang sama bisa jalan di browser
+ * maupun di Node (lihat tools/headless-scan.js).
+ *
+ * Exports:
+ * - ScanEventStream: Event emitter minimal (on/once/off/emit)
+ * - ScanEngine: Engine scan dengan dependency (fetch/price/kalkulasi) yang bisa diganti
+ * - ScanEngineMath: Fungsi murni yang juga dipakai scanner.js di browser
+ *   - resolveContracts: Normalisasi alamat kontrak & desimal (fallback pair NON)
+ *   - resolveTradeSize: Modal & amount_in (fixed modal atau AUTO LEVEL orderbook)
+ *   - resolveLadderRungs: Rung SIZE LADDER lengkap dengan amount_in DEX
+ *   - sumCexVolume: Total volume orderbook CEX sesuai arah trade
+ *   - buildDexUpdate: Susun argumen & panggil calculateResult
+ * - ScanEvents: Stream global browser (subscriber UI: DisplayPNL via antrian UI)
+ *
+ * Events (payload selalu object):
+ * - scan:start  { total, startedAt }
+ * - token:start { token, index, total }
+ * - cex:result  { token, ok, data, error }
+ * - dex:update  { token, dex, direction, update, sizeLadder }
+ * - dex:error   { token, dex, direction, error, message }
+ * - token:done  { token, index, total, skipped }
+ * - scan:done   { total, updates, errors, startedAt, finishedAt, stopped }
+ *
+ * @module core/scanner/engine
+ */
+
+(function (root) {
+    'use strict';
+
+    const DIRECTIONS = ['TokentoPair', 'PairtoToken'];
+
+    function isLogEnabled() {
+        try { return !!(root && root.SCAN_LOG_ENABLED); } catch (_) { return false; }
+    }
+
+    // =================================================================================
+    // EVENT STREAM
+    // =================================================================================
+
+    /**
+     * Event emitter minimal (API sama dengan AppEvents: on/once/off/emit).
+     * Error di listener tidak menghentikan listener lain maupun engine.
+     */
+    class ScanEventStream {
+        constructor() {
+            this.listeners = new Map();
+            this.seq = 0;
+        }
+
+        on(event, callback, options = {}) {
+            if (typeof callback !== 'function') return null;
+            if (!this.listeners.has(event)) this.listeners.set(event, []);
+            const id = `scan_${++this.seq}`;
+            this.listeners.get(event).push({ id, callback, once: !!options.once });
+            return id;
+        }
+
+        once(event, callback) {
+            return this.on(event, callback, { once: true });
+        }
+
+        off(event, callbackOrId) {
+            if (!this.listeners.has(event)) return;
+            if (callbackOrId === undefined) { this.listeners.delete(event); return; }
+            const list = this.listeners.get(event).filter(l => l.callback !== callbackOrId && l.id !== callbackOrId);
+            this.listeners.set(event, list);
+        }
+
+        emit(event, data = {}) {
+            const targets = [...(this.listeners.get(event) || []), ...(this.listeners.get('*') || [])];
+            targets.forEach(l => {
+                if (l.once) this.off(event, l.id);
+                try {
+                    l.callback(data, event);
+                } catch (e) {
+                    if (isLogEnabled()) console.error(`[SCAN ENGINE] Listener error on "${event}":`, e);
+                }
+            });
+        }
+    }
+
+    // =================================================================================
+    // PURE HELPERS (dipakai browser & headless)
+    // =================================================================================
+
+    /**
+     * Normalisasi alamat kontrak dan desimal untuk satu arah trade.
+     * Pair 'NON' / alamat tidak valid memakai PAIRDEXS.NON dari config chain.
+     * @param {object} token - Token row (sc_in, sc_out, des_in, des_out, symbol_out, chain)
+     * @param {boolean} isKiri - true untuk TokentoPair (CEX→DEX)
+     * @param {object} chainCfg - CONFIG_CHAINS[chain]
+     * @returns {{scInSafe: string, scOutSafe: string, desInSafe: number, desOutSafe: number}}
+     */
+    function resolveContracts(token, isKiri, chainCfg) {
+        const nonDef = ((chainCfg || {}).PAIRDEXS || {})['NON'] || {};
+        const isAddrInvalid = (addr) => !addr || String(addr).toLowerCase() === '0x' || String(addr).length < 6;
+        let scInSafe = isKiri ? token.sc_in : token.sc_out;
+        let scOutSafe = isKiri ? token.sc_out : token.sc_in;
+        const desInSafe = isKiri ? Number(token.des_in) : Number(token.des_out);
+        let desOutSafe = isKiri ? Number(token.des_out) : Number(token.des_in);
+        const symOut = isKiri ? String(token.symbol_out || '') : String(token.symbol_in || '');
+        if (symOut.toUpperCase() === 'NON' || isAddrInvalid(scOutSafe)) {
+            if (nonDef.scAddressPair) {
+                scOutSafe = nonDef.scAddressPair;
+                desOutSafe = Number(nonDef.desPair || desOutSafe || 18);
+            }
+        }
+        return { scInSafe, scOutSafe, desInSafe, desOutSafe };
+    }
+
+    /**
+     * Hitung modal & amount_in untuk satu arah trade.
+     * - Fixed modal: modal user, amount dari harga top-of-book CEX
+     * - AUTO LEVEL: modal & harga AKTUAL dari orderbook (calculateAutoVolume)
+     * @param {object} params
+     * @param {boolean} params.isKiri - true untuk TokentoPair (CEX→DEX)
+     * @param {number} params.userModal - Modal user (kiri/kanan)
+     * @param {object} params.DataCEX - Hasil getPriceCEX (+ orderbook opsional)
+     * @param {boolean} params.autoLevel - AUTO LEVEL aktif
+     * @param {number} params.levels - Jumlah level orderbook AUTO LEVEL
+     * @param {Function} [params.calculateAutoVolume] - Implementasi calculateAutoVolume (api.js)
+     * @returns {{modal: number, amountIn: number, avgPriceCEX: number, autoVolResult: object|null}}
+     */
+    function resolveTradeSize({ isKiri, userModal, DataCEX, autoLevel, levels, calculateAutoVolume }) {
+        const maxModal = Number(userModal) || 0;
+        const cex = DataCEX || {};
+        const priceIn = isKiri ? cex.priceBuyToken : cex.priceBuyPair;
+        const fixed = {
+            modal: maxModal,
+            amountIn: Number(priceIn) > 0 ? maxModal / priceIn : 0,
+            avgPriceCEX: priceIn,
+            autoVolResult: null
+        };
+
+        if (!autoLevel || !cex.orderbook || typeof calculateAutoVolume !== 'function') return fixed;
+
+        const side = isKiri ? 'asks' : 'bids';
+        const autoVolResult = calculateAutoVolume(cex.orderbook, maxModal, levels, side);
+        if (isLogEnabled()) console.log('📦 [SCAN ENGINE] Auto Level Result:', { side, maxModal, levels, autoVolResult });
+
+        if (!autoVolResult || autoVolResult.error || !(autoVolResult.totalCoins > 0)) {
+            if (isLogEnabled()) console.warn('⚠️  [SCAN ENGINE] Auto Level fallback to user modal:', autoVolResult?.error || 'No valid result');
+            return fixed;
+        }
+
+        // CEX→DEX: swap TOKEN hasil beli di CEX; DEX→CEX: swap PAIR senilai modal aktual
+        const amountIn = isKiri
+            ? autoVolResult.totalCoins
+            : autoVolResult.actualModal / (cex.priceBuyPair || 1);
+        if (autoVolResult.actualModal < maxModal && isLogEnabled()) {
+            console.warn('📊 [SCAN ENGINE] Orderbook has less volume than user modal:', { maxModal, actual: autoVolResult.actualModal });
+        }
+        return { modal: autoVolResult.actualModal, amountIn, avgPriceCEX: autoVolResult.avgPrice, autoVolResult };
+    }
+
+    /**
+     * Bangun rung SIZE LADDER (buildSizeLadder di api.js) + amount_in DEX per rung.
+     * @returns {Array<object>} Rung dengan field tambahan `amountIn` (rung amount <= 0 dibuang)
+     */
+    function resolveLadderRungs({ isKiri, userModal, DataCEX, steps, buildSizeLadder }) {
+        if (typeof buildSizeLadder !== 'function') return [];
+        const cex = DataCEX || {};
+        const side = isKiri ? 'asks' : 'bids';
+        const topPrice = isKiri ? cex.priceBuyToken : cex.priceSellToken;
+        return buildSizeLadder(cex.orderbook || null, Number(userModal) || 0, steps, side, topPrice)
+            .map(rung => ({
+                ...rung,
+                amountIn: isKiri ? rung.totalCoins : rung.modal / (cex.priceBuyPair || 1)
+            }))
+            .filter(rung => rung.amountIn > 0);
+    }
+
+    /**
+     * Total volume orderbook CEX untuk validasi AUTO VOL.
+     * TokenToPair: BUY token di CEX → butuh ASK (volumes_sellToken)
+     * PairToToken: SELL token di CEX → butuh BID (volumes_buyToken)
+     */
+    function sumCexVolume(DataCEX, isKiri) {
+        try {
+            const volArray = isKiri
+                ? ((DataCEX || {}).volumes_sellToken || [])
+                : ((DataCEX || {}).volumes_buyToken || []);
+            return volArray.reduce((sum, v) => sum + (parseFloat(v?.volume) || 0), 0);
+        } catch (_) { return 0; }
+    }
+
+    /**
+     * Susun argumen calculateResult untuk satu respons DEX pada ukuran trade tertentu.
+     * PNL memakai harga rata-rata orderbook bila autoVolResult tersedia.
+     * @param {object} params
+     * @param {Function} params.calculateResult - Implementasi calculateResult (dom-renderer.js)
+     * @returns {object} Payload update/error dari calculateResult
+     */
+    function buildDexUpdate({ calculateResult, baseId, tableBodyId, token, dex, direction, kodeChain, DataCEX, dexRes, modal, amountIn, autoVolResult }) {
+        const isKiri = direction === 'TokentoPair';
+        const cex = DataCEX || {};
+        const useAvg = autoVolResult && !autoVolResult.error;
+        const cexBuyPriceCalc = (useAvg && isKiri) ? autoVolResult.avgPrice : cex.priceBuyToken;
+        const cexSellPriceCalc = (useAvg && !isKiri) ? autoVolResult.avgPrice : cex.priceSellToken;
+
+        return calculateResult(
+            baseId, tableBodyId, dexRes.amount_out, dexRes.FeeSwap,
+            isKiri ? token.sc_in : token.sc_out, isKiri ? token.sc_out : token.sc_in,
+            token.cex, modal, amountIn,
+            cexBuyPriceCalc, cexSellPriceCalc, cex.priceBuyPair, cex.priceSellPair,
+            isKiri ? token.symbol_in : token.symbol_out, isKiri ? token.symbol_out : token.symbol_in,
+            isKiri ? cex.feeWDToken : cex.feeWDPair,
+            dex, token.chain, kodeChain,
+            direction,
+            sumCexVolume(cex, isKiri),
+            dexRes
+        );
+    }
+
+    /**
+     * ID sel/baris yang sama dengan scanner.js (CEX_DEX_SYM1_SYM2_CHAIN_TOKENID).
+     */
+    function buildBaseId(token, dex, isKiri) {
+        const sym1 = String((isKiri ? token.symbol_in : token.symbol_out) || '').toUpperCase();
+        const sym2 = String((isKiri ? token.symbol_out : token.symbol_in) || '').toUpperCase();
+        const tokenId = String(token.id || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return `${String(token.cex).toUpperCase()}_${String(dex).toUpperCase()}_${sym1}_${sym2}_${String(token.chain).toUpperCase()}_${tokenId}`
+            .replace(/[^A-Z0-9_]/g, '');
+    }
+
+    // =================================================================================
+    // SCAN ENGINE
+    // =================================================================================
+
+    /**
+     * Resolve dependency default dari global browser (window) bila tidak diberikan.
+     */
+    function resolveDeps(deps) {
+        const g = root || {};
+        const pick = (name) => (typeof deps[name] === 'function') ? deps[name] : (typeof g[name] === 'function' ? g[name] : null);
+        const fetchImpl = deps.fetch || (typeof g.fetch === 'function' ? g.fetch.bind(g) : null);
+        return {
+            getPriceCEX: pick('getPriceCEX'),
+            getPriceDEX: pick('getPriceDEX'),
+            parseOrderbook: pick('parseOrderbook'),
+            calculateAutoVolume: pick('calculateAutoVolume'),
+            buildSizeLadder: pick('buildSizeLadder'),
+            pickBestLadderRung: pick('pickBestLadderRung'),
+            calculateResult: pick('calculateResult'),
+            normalizeDex: (typeof deps.normalizeDex === 'function')
+                ? deps.normalizeDex
+                : ((g.DEX && typeof g.DEX.normalize === 'function') ? g.DEX.normalize.bind(g.DEX) : (d) => d),
+            fetchJSON: (typeof deps.fetchJSON === 'function')
+                ? deps.fetchJSON
+                : async (url) => {
+                    if (!fetchImpl) throw new Error('fetch tidak tersedia');
+                    // Rate limit per host yang sama dengan browser (HostRateLimiter) bila dimuat
+                    const limiter = g.HostRateLimiter || null;
+                    if (limiter) await limiter.acquire(url);
+                    const res = await fetchImpl(url);
+                    if (limiter) limiter.report(url, { status: res.status, getResponseHeader: (name) => (res.headers && res.headers.get) ? res.headers.get(name) : null });
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    return res.json();
+                }
+        };
+    }
+
+    /**
+     * Headless scan engine.
+     *
+     * Usage:
+     *   const engine = new ScanEngine({ settings: { autoLevel: true }, deps: { fetch } });
+     *   engine.on('dex:update', ({ token, update }) => { ... });
+     *   await engine.run(tokens);
+     */
+    class ScanEngine extends ScanEventStream {
+        /**
+         * @param {object} [options]
+         * @param {object} [options.deps] - getPriceCEX, getPriceDEX, calculateResult, calculateAutoVolume,
+         *   parseOrderbook, buildSizeLadder, pickBestLadderRung, normalizeDex, fetchJSON, fetch
+         * @param {object} [options.config] - { chains: CONFIG_CHAINS, cex: CONFIG_CEX }
+         * @param {object} [options.settings] - autoLevel, levels, sizeLadder, ladderSteps, positions,
+         *   allowedDexs, concurrency, delayMs, tableBodyId
+         */
+        constructor(options = {}) {
+            super();
+            this.deps = resolveDeps(options.deps || {});
+            this.config = {
+                chains: (options.config && options.config.chains) || (root && root.CONFIG_CHAINS) || {},
+                cex: (options.config && options.config.cex) || (root && root.CONFIG_CEX) || {}
+            };
+            this.settings = Object.assign({
+                autoLevel: false,
+                levels: 1,
+                sizeLadder: false,
+                ladderSteps: (root && root.CONFIG_UI?.SETTINGS?.defaults?.sizeLadderSteps) || [25, 50, 100, 200],
+                positions: { kiri: true, kanan: true },
+                allowedDexs: null,
+                concurrency: 3,
+                delayMs: 0,
+                tableBodyId: 'headless'
+            }, options.settings || {});
+            this.running = false;
+            this.stopRequested = false;
+        }
+
+        /** Minta engine berhenti setelah request yang sedang berjalan selesai. */
+        stop() {
+            this.stopRequested = true;
+        }
+
+        /**
+         * Jalankan satu putaran scan untuk daftar token (format token flat seperti di browser).
+         * @param {Array<object>} tokens
+         * @returns {Promise<object>} Ringkasan (sama dengan payload scan:done)
+         */
+        async run(tokens) {
+            if (this.running) throw new Error('ScanEngine sudah berjalan');
+            const list = Array.isArray(tokens) ? tokens : [];
+            const summary = { total: list.length, updates: 0, errors: 0, startedAt: Date.now(), finishedAt: null, stopped: false };
+            this.running = true;
+            this.stopRequested = false;
+            this.emit('scan:start', { total: list.length, startedAt: summary.startedAt });
+
+            let cursor = 0;
+            const worker = async () => {
+                while (!this.stopRequested && cursor < list.length) {
+                    const index = cursor++;
+                    const counts = await this.scanToken(list[index], index, list.length);
+                    summary.updates += counts.updates;
+                    summary.errors += counts.errors;
+                    if (this.settings.delayMs > 0) await new Promise(r => setTimeout(r, this.settings.delayMs));
+                }
+            };
+            const poolSize = Math.max(1, Math.min(Number(this.settings.concurrency) || 1, list.length || 1));
+            try {
+                await Promise.all(Array.from({ length: poolSize }, worker));
+            } finally {
+                this.running = false;
+                summary.stopped = this.stopRequested;
+                summary.finishedAt = Date.now();
+                this.emit('scan:done', summary);
+            }
+            return summary;
+        }
+
+        /**
+         * Scan satu token: CEX → orderbook (opsional) → setiap DEX & arah.
+         * @returns {Promise<{updates: number, errors: number}>}
+         */
+        async scanToken(token, index = 0, total = 1) {
+            const counts = { updates: 0, errors: 0 };
+            this.emit('token:start', { token, index, total });
+
+            const DataCEX = await this.fetchCEX(token);
+            if (!DataCEX) {
+                this.emit('token:done', { token, index, total, skipped: 'CEX gagal' });
+                return counts;
+            }
+
+            const chainCfg = this.config.chains[String(token.chain || '').toLowerCase()] || {};
+            const allowed = Array.isArray(this.settings.allowedDexs) ? this.settings.allowedDexs.map(d => String(d).toLowerCase()) : null;
+            const jobs = [];
+            (Array.isArray(token.dexs) ? token.dexs : []).forEach(dexData => {
+                const rawDex = String(dexData.dex || '').toLowerCase();
+                if (allowed && !allowed.includes(rawDex)) return;
+                const dex = this.deps.normalizeDex(rawDex);
+                DIRECTIONS.forEach(direction => {
+                    const isKiri = direction === 'TokentoPair';
+                    if (isKiri && this.settings.positions?.kiri === false) return;
+                    if (!isKiri && this.settings.positions?.kanan === false) return;
+                    jobs.push({ dex, direction, userModal: Number(isKiri ? dexData.left : dexData.right) || 0 });
+                });
+            });
+
+            // DEX dijalankan berurutan per token (sama seperti antrian semaphore di browser)
+            for (const job of jobs) {
+                if (this.stopRequested) break;
+                const ok = await this.quoteDex(token, job, DataCEX, chainCfg);
+                if (ok) counts.updates++; else counts.errors++;
+            }
+
+            this.emit('token:done', { token, index, total, skipped: null });
+            return counts;
+        }
+
+        /**
+         * Ambil harga CEX (+ orderbook bila AUTO LEVEL / SIZE LADDER aktif).
+         * @returns {Promise<object|null>} DataCEX atau null bila gagal
+         */
+        async fetchCEX(token) {
+            try {
+                if (!this.deps.getPriceCEX) throw new Error('getPriceCEX tidak tersedia');
+                const data = await this.deps.getPriceCEX(token, token.symbol_in, token.symbol_out, token.cex, this.settings.tableBodyId);
+                const prices = [data?.priceBuyToken, data?.priceSellToken, data?.priceBuyPair, data?.priceSellPair];
+                if (!prices.every(p => Number.isFinite(p) && Number(p) > 0)) {
+                    throw new Error('Harga CEX tidak valid');
+                }
+                const DataCEX = Object.assign({}, data);
+                if (this.settings.autoLevel || this.settings.sizeLadder) {
+                    DataCEX.orderbook = await this.fetchOrderbook(token);
+                }
+                this.emit('cex:result', { token, ok: true, data: DataCEX, error: null });
+                return DataCEX;
+            } catch (error) {
+                this.emit('cex:result', { token, ok: false, data: null, error });
+                return null;
+            }
+        }
+
+        /**
+         * Orderbook mentah via CONFIG_CEX[cex].ORDERBOOK.urlTpl + fetch yang bisa diganti.
+         * Gagal → null (engine kembali ke modal tetap, sama seperti browser).
+         */
+        async fetchOrderbook(token) {
+            try {
+                const cexUpper = String(token.cex || '').toUpperCase();
+                const cexConfig = this.config.cex[cexUpper];
+                if (!cexConfig || !cexConfig.ORDERBOOK || typeof cexConfig.ORDERBOOK.urlTpl !== 'function') return null;
+                const url = cexConfig.ORDERBOOK.urlTpl({ symbol: String(token.symbol_in || '').toUpperCase() });
+                if (!url) return null;
+                const raw = await this.deps.fetchJSON(url);
+                return this.deps.parseOrderbook ? this.deps.parseOrderbook(cexUpper, raw) : { asks: [], bids: [] };
+            } catch (e) {
+                if (isLogEnabled()) console.warn('[SCAN ENGINE] Failed to fetch orderbook:', e);
+                return null;
+            }
+        }
+
+        /**
+         * Quote satu DEX untuk satu arah, hitung PNL, emit dex:update / dex:error.
+         * @returns {Promise<boolean>} true bila menghasilkan update
+         */
+        async quoteDex(token, job, DataCEX, chainCfg) {
+            const { dex, direction, userModal } = job;
+            const isKiri = direction === 'TokentoPair';
+            const baseId = buildBaseId(token, dex, isKiri);
+            const kodeChain = chainCfg.Kode_Chain;
+            const { scInSafe, scOutSafe, desInSafe, desOutSafe } = resolveContracts(token, isKiri, chainCfg);
+            const fail = (error) => {
+                const message = (error && (error.pesanDEX || error.message)) ? String(error.pesanDEX || error.message) : 'Unknown Error';
+                this.emit('dex:error', { token, dex, direction, error, message });
+                return false;
+            };
+
+            if (!kodeChain) return fail({ pesanDEX: 'Kode chain tidak tersedia' });
+            if (!scInSafe || !scOutSafe || String(scInSafe).length < 6 || String(scOutSafe).length < 6) {
+                return fail({ pesanDEX: 'Alamat kontrak tidak lengkap' });
+            }
+            if (!this.deps.getPriceDEX || !this.deps.calculateResult) {
+                return fail({ pesanDEX: 'getPriceDEX/calculateResult tidak tersedia' });
+            }
+
+            const quote = (amountIn) => this.deps.getPriceDEX(
+                scInSafe, desInSafe, scOutSafe, desOutSafe, amountIn,
+                DataCEX.priceBuyPair > 0 ? DataCEX.priceBuyPair : 1,
+                dex,
+                isKiri ? token.symbol_in : token.symbol_out, isKiri ? token.symbol_out : token.symbol_in,
+                token.cex, token.chain, kodeChain, direction, this.settings.tableBodyId
+            );
+            const evaluate = (dexRes, modal, amountIn, autoVolResult) => {
+                const update = buildDexUpdate({
+                    calculateResult: this.deps.calculateResult,
+                    baseId, tableBodyId: this.settings.tableBodyId, token, dex, direction, kodeChain,
+                    DataCEX, dexRes, modal, amountIn, autoVolResult
+                });
+                update.autoLevelEnabled = !!this.settings.autoLevel;
+                if (autoVolResult && !autoVolResult.error) {
+                    update.autoVolResult = autoVolResult;
+                    update.maxModal = userModal;
+                }
+                return update;
+            };
+
+            try {
+                // SIZE LADDER: quote per rung, pilih PNL bersih terbaik
+                if (this.settings.sizeLadder) {
+                    const rungs = resolveLadderRungs({
+                        isKiri, userModal, DataCEX, steps: this.settings.ladderSteps, buildSizeLadder: this.deps.buildSizeLadder
+                    });
+                    if (rungs.length > 0) {
+                        const evaluated = [];
+                        for (const rung of rungs) {
+                            try {
+                                const dexRes = await quote(rung.amountIn);
+                                evaluated.push({ rung, dexRes, update: evaluate(dexRes, rung.modal, rung.amountIn, rung.autoVolResult) });
+                            } catch (error) {
+                                evaluated.push({ rung, error });
+                            }
+                        }
+                        const best = this.deps.pickBestLadderRung ? this.deps.pickBestLadderRung(evaluated) : null;
+                        if (!best) return fail(evaluated.find(e => e.error)?.error || { pesanDEX: 'SIZE LADDER: semua rung gagal' });
+                        if (best.rung.autoVolResult) best.update.maxModal = best.rung.targetModal;
+                        const sizeLadder = {
+                            best: { pct: best.rung.pct, targetModal: best.rung.targetModal, modal: best.rung.modal, amountIn: best.rung.amountIn, profitLoss: Number(best.update.profitLoss) },
+                            rungs: evaluated.map(e => ({
+                                pct: e.rung.pct,
+                                targetModal: e.rung.targetModal,
+                                modal: e.rung.modal,
+                                insufficient: e.rung.insufficient,
+                                ok: !!(e.update && e.update.type === 'update'),
+                                profitLoss: e.update ? Number(e.update.profitLoss) : null,
+                                error: e.error ? String(e.error.pesanDEX || e.error.message || '') : ''
+                            }))
+                        };
+                        best.update.sizeLadder = sizeLadder;
+                        this.emit('dex:update', { token, dex, direction, update: best.update, sizeLadder });
+                        return true;
+                    }
+                }
+
+                const size = resolveTradeSize({
+                    isKiri, userModal, DataCEX,
+                    autoLevel: this.settings.autoLevel, levels: this.settings.levels,
+                    calculateAutoVolume: this.deps.calculateAutoVolume
+                });
+                if (!(size.modal > 0) || !(size.amountIn > 0)) return fail({ pesanDEX: 'Modal/amount input tidak valid (<= 0)' });
+
+                const dexRes = await quote(size.amountIn);
+                const update = evaluate(dexRes, size.modal, size.amountIn, size.autoVolResult);
+                if (update.type === 'error') return fail({ pesanDEX: update.message });
+                this.emit('dex:update', { token, dex, direction, update, sizeLadder: null });
+                return true;
+            } catch (error) {
+                return fail(error);
+            }
+        }
+    }
+
+    // =================================================================================
+    // EXPORT
+    // =================================================================================
+    const ScanEngineMath = { resolveContracts, resolveTradeSize, resolveLadderRungs, sumCexVolume, buildDexUpdate, buildBaseId };
+
+    if (typeof window !== 'undefined') {
+        window.ScanEventStream = ScanEventStream;
+        window.ScanEngine = ScanEngine;
+        window.ScanEngineMath = ScanEngineMath;
+        // Stream global untuk scanner browser; UI (DisplayPNL) adalah salah satu subscriber
+        window.ScanEvents = window.ScanEvents || new ScanEventStream();
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ScanEventStream, ScanEngine, ScanEngineMath };
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,262 @@
+// =================================================================================
+// PRIORITY SCAN SCHEDULER
+// =================================================================================
+/**
+ * Menentukan token mana yang di-scan pada satu siklus dan urutannya.
+ *
+ * Skor prioritas (0..100) per token dari:
+ * - PNL %   : PNL % terbaik per kunjungan (semua DEX & arah), dihaluskan EMA
+ * - Volatil : perubahan harga tengah CEX antar kunjungan (%), dihaluskan EMA
+ * - Wallet  : status WD/DP CEX — minimal satu arah lengkap terbuka (CEX→DEX butuh
+ *             WD token + DP pair, DEX→CEX butuh WD pair + DP token)
+ *
+ * Tier dari skor: HOT (setiap siklus), WARM (CONFIG_SCAN_PRIORITY.warmIntervalMs),
+ * COLD (maxIntervalMs). Token tanpa riwayat = NEW (selalu di-scan). Apa pun tier-nya,
+ * token yang belum dikunjungi selama maxIntervalMs selalu masuk siklus berikutnya.
+ *
+ * Sumber data: ScanEvents 'cex:result' (kunjungan + harga CEX) dan 'dex:update' (PNL).
+ * Hasil follower shard (shardJob) diabaikan; leader mencatatnya setelah diteruskan.
+ * State disimpan di KV 'SCAN_PRIORITY_STATE' agar bertahan saat reload (STOP).
+ *
+ * @module core/scanner/priority-scheduler
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const KV_STATE = 'SCAN_PRIORITY_STATE';
+    const MAX_ENTRIES = 5000;
+    const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+    function getConfig() {
+        const base = {
+            hotScore: 60, warmScore: 25,
+            hotIntervalMs: 0, warmIntervalMs: 60000, maxIntervalMs: 300000,
+            minTokensPerCycle: 10,
+            pnlFloorPct: -1, pnlRefPct: 1, volRefPct: 0.5,
+            emaAlpha: 0.5,
+            weights: { pnl: 0.6, volatility: 0.25, wallet: 0.15 }
+        };
+        const cfg = Object.assign({}, base, root.CONFIG_SCAN_PRIORITY || {});
+        cfg.weights = Object.assign({}, base.weights, (root.CONFIG_SCAN_PRIORITY || {}).weights || {});
+        return cfg;
+    }
+
+    const clamp01 = (v) => Math.max(0, Math.min(1, Number(v) || 0));
+    const ema = (prev, next, alpha) => (prev === null || prev === undefined) ? next : (alpha * next + (1 - alpha) * prev);
+
+    /** Kunci token: id baris token (fallback: cex|in|out|chain) */
+    function keyOf(token) {
+        if (!token) return '';
+        if (token.id !== undefined && token.id !== null && token.id !== '') return String(token.id);
+        return [token.cex, token.symbol_in, token.symbol_out, token.chain].map(v => String(v || '').toUpperCase()).join('|');
+    }
+
+    /**
+     * Skor status wallet CEX: 1 = minimal satu arah terbuka, 0 = dua arah tertutup,
+     * 0.5 = status belum diketahui.
+     */
+    function walletScore(token) {
+        if (!token) return 0.5;
+        const flags = [token.withdrawToken, token.depositPair, token.withdrawPair, token.depositToken];
+        if (flags.every(f => f === undefined || f === null)) return 0.5;
+        const kiri = token.withdrawToken !== false && token.depositPair !== false;
+        const kanan = token.withdrawPair !== false && token.depositToken !== false;
+        return (kiri || kanan) ? 1 : 0;
+    }
+
+    class PriorityScheduler {
+        constructor() {
+            this.state = new Map();   // key → { lastVisit, pnlEma, visitBest, volEma, lastMid, wallet, visits }
+            this.skipped = new Set(); // token yang dilewati di plan terakhir
+            this.loaded = false;
+        }
+
+        _entry(key) {
+            this.load();
+            let r = this.state.get(key);
+            if (!r) {
+                r = { lastVisit: 0, pnlEma: null, visitBest: null, volEma: null, lastMid: null, wallet: 0.5, visits: 0 };
+                this.state.set(key, r);
+            }
+            return r;
+        }
+
+        _pnl(r, alpha) {
+            return (r.visitBest === null || r.visitBest === undefined) ? r.pnlEma : ema(r.pnlEma, r.visitBest, alpha);
+        }
+
+        // ============================ OBSERVASI ============================
+
+        /**
+         * Kunjungan token (hasil orderbook CEX). Menutup PNL kunjungan sebelumnya ke EMA
+         * dan mengukur perubahan harga tengah CEX.
+         */
+        observeCex(token, data) {
+            const key = keyOf(token);
+            if (!key) return;
+            const cfg = getConfig();
+            const r = this._entry(key);
+            if (r.visitBest !== null && r.visitBest !== undefined) {
+                r.pnlEma = ema(r.pnlEma, r.visitBest, cfg.emaAlpha);
+                r.visitBest = null;
+            }
+            const buy = Number(data && data.priceBuyToken);
+            const sell = Number(data && data.priceSellToken);
+            if (buy > 0 && sell > 0) {
+                const mid = (buy + sell) / 2;
+                if (r.lastMid > 0) {
+                    const changePct = Math.abs(mid - r.lastMid) / r.lastMid * 100;
+                    r.volEma = ema(r.volEma, changePct, cfg.emaAlpha);
+                }
+                r.lastMid = mid;
+            }
+            r.wallet = walletScore(token);
+            r.lastVisit = Date.now();
+            r.visits++;
+            this.skipped.delete(key);
+        }
+
+        /** Hasil satu rute DEX: simpan PNL % terbaik kunjungan ini */
+        observeDex(token, update) {
+            const key = keyOf(token);
+            if (!key || !update || update.type !== 'update') return;
+            const pct = Number(update.profitLossPercent);
+            if (!Number.isFinite(pct)) return;
+            const r = this._entry(key);
+            r.visitBest = (r.visitBest === null || r.visitBest === undefined) ? pct : Math.max(r.visitBest, pct);
+        }
+
+        // ============================ SKOR & PLAN ============================
+
+        /**
+         * @param {object|string} token - Objek token atau kunci dari keyOf()
+         * @returns {{key: string, score: number|null, tier: string, lastVisit: number, intervalMs: number,
+         *   dueInMs: number, skipped: boolean, parts: object|null}}
+         */
+        describe(token, now = Date.now()) {
+            const isObj = !!token && typeof token === 'object';
+            const key = isObj ? keyOf(token) : String(token || '');
+            this.load();
+            const cfg = getConfig();
+            const r = this.state.get(key);
+            if (!r || !r.lastVisit) {
+                return { key, score: null, tier: 'NEW', lastVisit: 0, intervalMs: 0, dueInMs: 0, skipped: false, parts: null };
+            }
+            const w = cfg.weights;
+            const pnl = this._pnl(r, cfg.emaAlpha);
+            const parts = {
+                pnlPct: pnl,
+                volatilityPct: r.volEma,
+                pnl: pnl === null ? 0 : clamp01((pnl - cfg.pnlFloorPct) / Math.max(1e-9, cfg.pnlRefPct - cfg.pnlFloorPct)),
+                volatility: r.volEma === null ? 0 : clamp01(r.volEma / Math.max(1e-9, cfg.volRefPct)),
+                wallet: isObj ? walletScore(token) : r.wallet
+            };
+            const sumW = (w.pnl + w.volatility + w.wallet) || 1;
+            const score = Math.round(100 * (w.pnl * parts.pnl + w.volatility * parts.volatility + w.wallet * parts.wallet) / sumW);
+            const tier = score >= cfg.hotScore ? 'HOT' : (score >= cfg.warmScore ? 'WARM' : 'COLD');
+            const tierInterval = tier === 'HOT' ? cfg.hotIntervalMs : (tier === 'WARM' ? cfg.warmIntervalMs : cfg.maxIntervalMs);
+            const intervalMs = Math.min(Math.max(0, tierInterval), cfg.maxIntervalMs);
+            return {
+                key, score, tier, lastVisit: r.lastVisit, intervalMs,
+                dueInMs: Math.max(0, r.lastVisit + intervalMs - now),
+                skipped: this.skipped.has(key),
+                parts
+            };
+        }
+
+        /**
+         * Susun daftar token untuk satu siklus scan.
+         * - Token jatuh tempo (NEW / interval tier lewat / > maxIntervalMs) masuk, urut skor tertinggi
+         * - Bila kurang dari minTokensPerCycle, diisi token yang paling lama tidak dikunjungi
+         * @param {Array} tokens - flatTokens hasil filter startScanner
+         * @returns {{tokens: Array, keys: string[], skipped: Array, counts: {HOT: number, WARM: number, COLD: number, NEW: number}}}
+         *   keys = keyOf() token yang di-scan (payload 'scan:start' → spread tracker)
+         */
+        plan(tokens, now = Date.now()) {
+            const cfg = getConfig();
+            const counts = { HOT: 0, WARM: 0, COLD: 0, NEW: 0 };
+            const rows = (tokens || []).map((token, index) => {
+                const info = this.describe(token, now);
+                counts[info.tier]++;
+                const rank = info.tier === 'NEW' ? cfg.hotScore : info.score;
+                return { token, index, info, rank, due: info.dueInMs <= 0 };
+            });
+            const byRank = (a, b) => (b.rank - a.rank) || (a.info.lastVisit - b.info.lastVisit) || (a.index - b.index);
+            const due = rows.filter(x => x.due).sort(byRank);
+            const rest = rows.filter(x => !x.due).sort((a, b) => (a.info.lastVisit - b.info.lastVisit) || byRank(a, b));
+            const minCount = Math.min(rows.length, Math.max(1, Number(cfg.minTokensPerCycle) || 1));
+            while (due.length < minCount && rest.length) due.push(rest.shift());
+
+            this.skipped = new Set(rest.map(x => x.info.key));
+            return { tokens: due.map(x => x.token), keys: due.map(x => x.info.key), skipped: rest.map(x => x.token), counts };
+        }
+
+        // ============================ STORAGE ============================
+
+        load() {
+            if (this.loaded) return;
+            this.loaded = true;
+            try {
+                const saved = (typeof getFromLocalStorage === 'function') ? getFromLocalStorage(KV_STATE, null) : null;
+                if (saved && typeof saved === 'object') {
+                    Object.keys(saved).forEach(k => { if (!this.state.has(k)) this.state.set(k, saved[k]); });
+                }
+            } catch (_) { }
+        }
+
+        save() {
+            try {
+                if (typeof saveToLocalStorage !== 'function') return;
+                const cutoff = Date.now() - MAX_AGE_MS;
+                const entries = Array.from(this.state.entries())
+                    .filter(([, r]) => r.lastVisit > cutoff)
+                    .sort((a, b) => b[1].lastVisit - a[1].lastVisit)
+                    .slice(0, MAX_ENTRIES);
+                const out = {};
+                entries.forEach(([k, r]) => { out[k] = r; });
+                saveToLocalStorage(KV_STATE, out);
+            } catch (_) { }
+        }
+
+        reset() {
+            this.state.clear();
+            this.skipped.clear();
+            this.loaded = true;
+            try { if (typeof removeFromLocalStorage === 'function') removeFromLocalStorage(KV_STATE); } catch (_) { }
+        }
+
+        /**
+         * Pasang ke stream ScanEvents (browser scanner & ScanEngine).
+         * @param {object} stream - ScanEventStream
+         */
+        attach(stream) {
+            if (!stream || typeof stream.on !== 'function') return;
+            stream.on('cex:result', (p) => {
+                if (!p || p.shardJob) return;
+                this.observeCex(p.token, p.data);
+            });
+            stream.on('dex:update', ({ token, update }) => {
+                if (!update || update.shardJob) return;
+                this.observeDex(token, update);
+            });
+            stream.on('scan:done', () => this.save());
+        }
+    }
+
+    PriorityScheduler.keyOf = keyOf;
+
+    // =================================================================================
+    // EXPORT
+    // =================================================================================
+    if (typeof window !== 'undefined') {
+        window.PriorityScheduler = PriorityScheduler;
+        window.priorityScheduler = window.priorityScheduler || new PriorityScheduler();
+        if (window.ScanEvents) window.priorityScheduler.attach(window.ScanEvents);
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { PriorityScheduler, keyOf, walletScore };
+    }
+
+})(typeof window !== 'undefined' ? window : this);
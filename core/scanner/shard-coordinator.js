@@ -0,0 +1,494 @@
+// =================================================================================
+// SHARD SCAN COORDINATOR (LINTAS TAB)
+// =================================================================================
+/**
+ * Membagi 1 daftar token (flatTokens) ke beberapa tab supaya scan besar lebih cepat.
+ *
+ * - Tab yang menekan START dengan toggle SHARD aktif menjadi leader: flatTokens dipecah
+ *   berurutan, 1 shard dikerjakan sendiri, sisanya dikirim ke tab follower yang idle
+ * - Follower menjalankan startScanner(shard, ..., { shard }) di tabelnya sendiri dan
+ *   meneruskan hasil (cex:result / dex:update / dex:error) ke leader
+ * - Leader memasukkan hasil itu ke ScanEvents sehingga tabel, sinyal, journal & alert
+ *   tetap 1 tempat (follower menandai hasilnya dengan update.shardJob → tidak dobel)
+ * - Follower yang tidak konfirmasi, ditutup (pagehide) atau tidak ada ping/hasil selama
+ *   CONFIG_SCAN_SHARD.staleMs → shard-nya dialihkan ke follower lain, atau diambil leader
+ *
+ * Pesan lewat CONFIG_DB.BROADCAST_CHANNEL (window.__MC_BC dari storage.js):
+ * - shard:ping   { enabled, busy, role }        heartbeat semua tab dengan toggle aktif
+ * - shard:assign { to, jobId, shardId, tokens, context }
+ * - shard:ack / shard:reject { to, jobId, shardId }   reject juga dikirim jika shard berhenti di tengah
+ * - shard:result { to, jobId, shardId, kind: 'cex'|'dex'|'error', payload }
+ * - shard:done   { to, jobId, shardId }
+ * - shard:cancel { jobId }                       leader berhenti / tab ditutup
+ * - shard:bye    {}                              tab ditutup
+ *
+ * @module core/scanner/shard-coordinator
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const KV_ENABLED = 'SCAN_SHARD_MODE';
+
+    function getConfig() {
+        return Object.assign({
+            heartbeatMs: 2000, staleMs: 10000, ackTimeoutMs: 5000, maxTabs: 4, minTokensPerShard: 5
+        }, root.CONFIG_SCAN_SHARD || {});
+    }
+
+    function log(...args) {
+        try { if (root.SCAN_LOG_ENABLED) console.log('[SHARD]', ...args); } catch (_) { }
+    }
+
+    /**
+     * Pecah list menjadi n potongan berurutan (selisih ukuran maksimal 1).
+     * @param {Array} list
+     * @param {number} n
+     * @returns {Array<Array>}
+     */
+    function partition(list, n) {
+        const out = [];
+        const size = Math.floor(list.length / n);
+        let rest = list.length % n;
+        let i = 0;
+        for (let k = 0; k < n; k++) {
+            const len = size + (rest > 0 ? 1 : 0);
+            if (rest > 0) rest--;
+            out.push(list.slice(i, i + len));
+            i += len;
+        }
+        return out;
+    }
+
+    /** Opsi scan yang dibaca scanner.js dari DOM (follower memakai pilihan leader) */
+    function captureScanOptions() {
+        if (typeof $ === 'undefined') return {};
+        return {
+            checkVOL: $('#checkVOL').is(':checked'),
+            autoVolToggle: $('#autoVolToggle').is(':checked'),
+            autoVolLevels: $('#autoVolLevels').val(),
+            sizeLadderToggle: $('#sizeLadderToggle').is(':checked'),
+            Actionkiri: $('input[type="checkbox"][value="Actionkiri"]').is(':checked'),
+            ActionKanan: $('input[type="checkbox"][value="ActionKanan"]').is(':checked')
+        };
+    }
+
+    function applyScanOptions(opts) {
+        if (typeof $ === 'undefined' || !opts) return;
+        ['checkVOL', 'autoVolToggle', 'sizeLadderToggle'].forEach(id => {
+            if (typeof opts[id] === 'boolean') $(`#${id}`).prop('checked', opts[id]);
+        });
+        if (opts.autoVolLevels !== undefined) $('#autoVolLevels').val(opts.autoVolLevels);
+        ['Actionkiri', 'ActionKanan'].forEach(val => {
+            if (typeof opts[val] === 'boolean') $(`input[type="checkbox"][value="${val}"]`).prop('checked', opts[val]);
+        });
+    }
+
+    class ShardCoordinator {
+        /**
+         * @param {BroadcastChannel} [channel] - Channel lintas tab (CONFIG_DB.BROADCAST_CHANNEL)
+         * @param {object} [events] - ScanEvents (core/scanner/engine.js)
+         */
+        constructor(channel, events) {
+            this.channel = channel || null;
+            this.events = events || null;
+            this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            this.peers = new Map();   // tabId → { lastSeen, enabled, busy, role }
+            this.job = null;          // job aktif saat tab ini leader
+            this.follow = null;       // shard yang dikerjakan tab ini sebagai follower
+            this.timer = null;
+            this.seq = 0;
+            if (this.channel) this.channel.addEventListener('message', (ev) => this._onMessage(ev && ev.data));
+            if (this.events) this._attachForwarders(this.events);
+        }
+
+        // ============================ STATE ============================
+
+        isEnabled() {
+            try { return getFromLocalStorage(KV_ENABLED, false) === true; } catch (_) { return false; }
+        }
+
+        setEnabled(on) {
+            try { saveToLocalStorage(KV_ENABLED, !!on); } catch (_) { }
+            this._ping();
+        }
+
+        isLeading() { return !!this.job; }
+
+        isFollowing() { return !!this.follow; }
+
+        /** Follower aktif dan idle (ping masih segar) */
+        availablePeers(exclude) {
+            const now = Date.now();
+            const staleMs = getConfig().staleMs;
+            const out = [];
+            this.peers.forEach((p, id) => {
+                if (exclude && exclude.includes(id)) return;
+                if (p.enabled && !p.busy && now - p.lastSeen < staleMs) out.push(id);
+            });
+            return out;
+        }
+
+        /** Tab ini sedang scan (sebagai apa pun) */
+        _isBusy() {
+            if (this.job || this.follow) return true;
+            try { return typeof root.getScanRunning === 'function' && root.getScanRunning(); } catch (_) { return false; }
+        }
+
+        // ============================ LEADER ============================
+
+        /**
+         * Mulai job shard sebagai leader. null → scan biasa (toggle mati / tidak ada follower).
+         * @param {Array} tokens - flatTokens hasil filter startScanner
+         * @param {{chains: string[], dexs: string[], tableBodyId: string, settings: object}} context
+         * @returns {null|{jobId: string, tokens: Array, shards: number, next: function(): Promise<Array|null>}}
+         */
+        startJob(tokens, context) {
+            if (!this.channel || !this.isEnabled() || this.job || !Array.isArray(tokens)) return null;
+            const cfg = getConfig();
+            const peers = this.availablePeers().slice(0, Math.max(0, cfg.maxTabs - 1));
+            const n = Math.min(peers.length + 1, Math.floor(tokens.length / Math.max(1, cfg.minTokensPerShard)));
+            if (n < 2) return null;
+
+            const jobId = `${this.tabId}-${++this.seq}`;
+            const parts = partition(tokens, n);
+            const ctx = Object.assign({ options: captureScanOptions() }, context);
+            this.job = {
+                id: jobId,
+                context: ctx,
+                shards: parts.map((list, i) => ({ id: i, tokens: list, owner: this.tabId, status: 'local', since: Date.now() })),
+                orphans: [],
+                failed: new Set(),    // tab yang gagal di job ini tidak diberi shard lagi
+                waiter: null
+            };
+            this.job.shards.slice(1).forEach((shard, i) => this._assign(shard, peers[i]));
+            this._ensureTimer();
+            this.renderStatus();
+            log(`Job ${jobId}: ${tokens.length} token → ${n} shard`, parts.map(p => p.length));
+            return { jobId, tokens: parts[0], shards: n, next: () => this._next() };
+        }
+
+        /** Batalkan job leader (STOP / tab ditutup) */
+        cancelJob() {
+            if (!this.job) return;
+            this._post({ type: 'shard:cancel', jobId: this.job.id });
+            this._finishJob();
+        }
+
+        _assign(shard, peerId) {
+            shard.owner = peerId;
+            shard.status = 'assigned';
+            shard.since = Date.now();
+            const p = this.peers.get(peerId);
+            if (p) p.busy = true;
+            const c = this.job.context;
+            this._post({
+                type: 'shard:assign', to: peerId, jobId: this.job.id, shardId: shard.id, tokens: shard.tokens,
+                context: { chains: c.chains, dexs: c.dexs, tableBodyId: c.tableBodyId, settings: c.settings, options: c.options }
+            });
+        }
+
+        /** Shard gagal → follower lain, atau antrian leader */
+        _orphan(shard, reason) {
+            if (!this.job || shard.status === 'done' || shard.status === 'orphan') return;
+            log(`Shard #${shard.id} (${shard.owner}) dialihkan: ${reason}`);
+            this.job.failed.add(shard.owner);
+            const next = this.availablePeers(Array.from(this.job.failed))[0];
+            if (next) {
+                this._assign(shard, next);
+            } else {
+                shard.status = 'orphan';
+                shard.owner = this.tabId;
+                this.job.orphans.push(shard);
+            }
+            this.renderStatus();
+            this._wake();
+        }
+
+        /**
+         * Dipanggil leader setelah shard lokal selesai: shard yatim berikutnya untuk
+         * dikerjakan sendiri, atau null jika semua shard sudah selesai.
+         */
+        _next() {
+            const job = this.job;
+            if (!job) return Promise.resolve(null);
+            job.shards.forEach(s => { if (s.status === 'local') s.status = 'done'; });
+            return new Promise((resolve) => {
+                job.waiter = resolve;
+                this._wake();
+            });
+        }
+
+        _wake() {
+            const job = this.job;
+            if (!job || !job.waiter) return;
+            const resolve = job.waiter;
+            if (job.orphans.length) {
+                job.waiter = null;
+                const shard = job.orphans.shift();
+                shard.status = 'local';
+                shard.since = Date.now();
+                this.renderStatus();
+                resolve(shard.tokens);
+            } else if (job.shards.every(s => s.status === 'done')) {
+                job.waiter = null;
+                this._finishJob();
+                resolve(null);
+            }
+        }
+
+        _finishJob() {
+            const job = this.job;
+            this.job = null;
+            if (job && job.waiter) { try { job.waiter(null); } catch (_) { } }
+            this.renderStatus();
+        }
+
+        _checkJob() {
+            const job = this.job;
+            if (!job) return;
+            const cfg = getConfig();
+            const now = Date.now();
+            job.shards.forEach(shard => {
+                if (shard.status === 'assigned' && now - shard.since > cfg.ackTimeoutMs) {
+                    this._orphan(shard, 'tidak ada konfirmasi');
+                } else if (shard.status === 'running') {
+                    const p = this.peers.get(shard.owner);
+                    if (!p || now - p.lastSeen > cfg.staleMs) this._orphan(shard, 'heartbeat hilang');
+                }
+            });
+        }
+
+        _onResult(msg) {
+            const shard = this._shardOf(msg);
+            if (!shard) return;
+            if (shard.status === 'assigned') shard.status = 'running';
+            const payload = Object.assign({}, msg.payload, { remote: msg.from });
+            const events = this.events;
+            if (msg.kind === 'cex') {
+                try {
+                    if (payload.ok && payload.data && typeof updateTableVolCEX === 'function') {
+                        updateTableVolCEX(payload.data, payload.token.cex, this.job.context.tableBodyId);
+                    }
+                } catch (_) { }
+                if (events) events.emit('cex:result', payload);
+            } else if (msg.kind === 'dex') {
+                if (payload.update) {
+                    payload.update = Object.assign({}, payload.update);
+                    delete payload.update.shardJob;
+                }
+                if (events) events.emit('dex:update', payload);
+            } else if (msg.kind === 'error') {
+                if (events) events.emit('dex:error', payload);
+            }
+        }
+
+        _shardOf(msg) {
+            const job = this.job;
+            if (!job || msg.jobId !== job.id) return null;
+            const shard = job.shards.find(s => s.id === msg.shardId);
+            return (shard && shard.owner === msg.from) ? shard : null;
+        }
+
+        // ============================ FOLLOWER ============================
+
+        async _onAssign(msg) {
+            const reply = (type) => this._post({ type, to: msg.from, jobId: msg.jobId, shardId: msg.shardId });
+            const scanner = root.App && root.App.Scanner;
+            if (!this.isEnabled() || this._isBusy() || !scanner || typeof scanner.startScanner !== 'function') {
+                reply('shard:reject');
+                return;
+            }
+            const ctx = msg.context || {};
+            this.follow = { jobId: msg.jobId, shardId: msg.shardId, leader: msg.from, since: Date.now() };
+            reply('shard:ack');
+            this._ensureTimer();
+            this.renderStatus();
+            try {
+                applyScanOptions(ctx.options);
+                await scanner.startScanner(msg.tokens || [], ctx.settings || {}, ctx.tableBodyId || 'dataTableBody', {
+                    shard: { jobId: msg.jobId, shardId: msg.shardId, leader: msg.from, chains: ctx.chains, dexs: ctx.dexs }
+                });
+            } catch (e) {
+                log('Gagal menjalankan shard:', e);
+            }
+            // startScanner kembali tanpa scan (token kosong / API key) → shard ditolak
+            if (this.follow && this.follow.jobId === msg.jobId && !(typeof root.getScanRunning === 'function' && root.getScanRunning())) {
+                this.follow = null;
+                reply('shard:reject');
+                this.renderStatus();
+            }
+        }
+
+        _forward(kind, payload, shardJob) {
+            const f = this.follow;
+            if (!f || shardJob !== f.jobId) return;
+            this._post({ type: 'shard:result', to: f.leader, jobId: f.jobId, shardId: f.shardId, kind, payload });
+        }
+
+        _attachForwarders(events) {
+            events.on('cex:result', (p) => {
+                if (p && p.shardJob) this._forward('cex', { token: p.token, ok: p.ok, data: p.data }, p.shardJob);
+            });
+            events.on('dex:update', (p) => {
+                const job = p && p.update && p.update.shardJob;
+                if (job) this._forward('dex', { token: p.token, dex: p.dex, direction: p.direction, update: p.update, sizeLadder: p.sizeLadder }, job);
+            });
+            events.on('dex:error', (p) => {
+                if (p && p.shardJob) {
+                    this._forward('error', { token: p.token, dex: p.dex, direction: p.direction, id: p.id, message: p.message, swapMessage: p.swapMessage }, p.shardJob);
+                }
+            });
+            // scan:done juga di-emit setelah STOP / _stopFollow → shard yang belum habis
+            // diproses dikembalikan (shard:reject) agar leader mengalihkannya, bukan dianggap selesai.
+            events.on('scan:done', (p) => {
+                const f = this.follow;
+                if (!f) return;
+                this.follow = null;
+                const complete = !f.stopped && !!(p && p.complete);
+                if (!complete) log(`Shard #${f.shardId} berhenti sebelum selesai (${(p && p.processed) || 0}/${(p && p.total) || 0} token)`);
+                this._post({ type: complete ? 'shard:done' : 'shard:reject', to: f.leader, jobId: f.jobId, shardId: f.shardId });
+                this.renderStatus();
+            });
+        }
+
+        /** Leader hilang / batal → hentikan scan shard tanpa menyentuh state run di storage */
+        _stopFollow(reason) {
+            if (!this.follow) return;
+            log(`Shard follower dihentikan: ${reason}`);
+            this.follow.stopped = true;
+            try { if (typeof root.setScanRunning === 'function') root.setScanRunning(false); } catch (_) { }
+        }
+
+        // ============================ CHANNEL ============================
+
+        _post(msg) {
+            try { if (this.channel) this.channel.postMessage(Object.assign({ from: this.tabId }, msg)); } catch (_) { }
+        }
+
+        _ping() {
+            const enabled = this.isEnabled();
+            if (!enabled && !this.job && !this.follow) return;
+            this._post({ type: 'shard:ping', enabled, busy: this._isBusy(), role: this.job ? 'leader' : (this.follow ? 'follower' : 'idle') });
+        }
+
+        _touch(from, patch) {
+            const p = this.peers.get(from) || { lastSeen: 0, enabled: false, busy: false, role: 'idle' };
+            Object.assign(p, patch || {}, { lastSeen: Date.now() });
+            this.peers.set(from, p);
+        }
+
+        _onMessage(msg) {
+            if (!msg || typeof msg.type !== 'string' || msg.type.indexOf('shard:') !== 0) return;
+            if (!msg.from || msg.from === this.tabId) return;
+            if (msg.to && msg.to !== this.tabId) { this._touch(msg.from); return; }
+            switch (msg.type) {
+                case 'shard:ping':
+                    this._touch(msg.from, { enabled: !!msg.enabled, busy: !!msg.busy, role: msg.role });
+                    break;
+                case 'shard:bye':
+                    this._touch(msg.from, { enabled: false, busy: false });
+                    this.peers.get(msg.from).lastSeen = 0;
+                    if (this.follow && this.follow.leader === msg.from) this._stopFollow('leader ditutup');
+                    this._checkJob();
+                    break;
+                case 'shard:assign':
+                    this._touch(msg.from, { role: 'leader' });
+                    this._onAssign(msg);
+                    break;
+                case 'shard:ack': {
+                    this._touch(msg.from);
+                    const shard = this._shardOf(msg);
+                    if (shard && shard.status === 'assigned') { shard.status = 'running'; this.renderStatus(); }
+                    break;
+                }
+                case 'shard:reject': {
+                    this._touch(msg.from, { busy: true });
+                    const shard = this._shardOf(msg);
+                    if (shard) this._orphan(shard, 'ditolak follower');
+                    break;
+                }
+                case 'shard:result':
+                    this._touch(msg.from);
+                    this._onResult(msg);
+                    break;
+                case 'shard:done': {
+                    this._touch(msg.from, { busy: false });
+                    const shard = this._shardOf(msg);
+                    if (shard) { shard.status = 'done'; this.renderStatus(); this._wake(); }
+                    break;
+                }
+                case 'shard:cancel':
+                    this._touch(msg.from);
+                    if (this.follow && this.follow.jobId === msg.jobId) this._stopFollow('dibatalkan leader');
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        _ensureTimer() {
+            if (this.timer) return;
+            this.timer = setInterval(() => this._tick(), getConfig().heartbeatMs);
+        }
+
+        _tick() {
+            this._ping();
+            this._checkJob();
+            const f = this.follow;
+            if (f) {
+                const p = this.peers.get(f.leader);
+                if (!p || Date.now() - p.lastSeen > getConfig().staleMs) this._stopFollow('heartbeat leader hilang');
+            }
+            this.renderStatus();
+        }
+
+        /**
+         * Aktifkan heartbeat & listener pagehide (dipanggil sekali saat load).
+         */
+        init() {
+            this._ensureTimer();
+            this._ping();
+            try {
+                root.addEventListener('pagehide', () => {
+                    if (this.job) this._post({ type: 'shard:cancel', jobId: this.job.id });
+                    this._post({ type: 'shard:bye' });
+                });
+            } catch (_) { }
+        }
+
+        // ============================ VIEW ============================
+
+        /** Teks ringkas status shard di #shardStatus */
+        renderStatus() {
+            if (typeof $ === 'undefined') return;
+            const $el = $('#shardStatus');
+            if (!$el.length) return;
+            if (this.job) {
+                const shards = this.job.shards;
+                const done = shards.filter(s => s.status === 'done').length;
+                const remote = shards.filter(s => s.owner !== this.tabId && s.status !== 'done').length;
+                $el.text(`SHARD ${done}/${shards.length} selesai · ${remote} tab lain`).attr('title', shards.map(s => `#${s.id}: ${s.tokens.length} token, ${s.status}`).join('\n'));
+            } else if (this.follow) {
+                $el.text(`SHARD #${this.follow.shardId} (follower)`).attr('title', `Job ${this.follow.jobId}`);
+            } else {
+                const idle = this.isEnabled() ? this.availablePeers().length : 0;
+                $el.text(this.isEnabled() ? `SHARD siap · ${idle} tab` : '').attr('title', '');
+            }
+        }
+    }
+
+    // =================================================================================
+    // EXPORT
+    // =================================================================================
+    if (typeof window !== 'undefined') {
+        window.ShardCoordinator = ShardCoordinator;
+        window.ScanCoordinator = window.ScanCoordinator || new ShardCoordinator(window.__MC_BC || null, window.ScanEvents || null);
+        window.ScanCoordinator.init();
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ShardCoordinator, partition };
+    }
+
+})(typeof window !== 'undefined' ? window : this);
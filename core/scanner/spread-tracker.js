@@ -0,0 +1,194 @@
+// =================================================================================
+// SPREAD PERSISTENCE TRACKER
+// =================================================================================
+/**
+ * Melacak berapa lama sebuah spread bertahan antar scan.
+ *
+ * Kunci: rute (token, CEX, DEX, arah) = idPrefix + baseId dari hasil calculateResult,
+ * sama dengan ID sel tabel & item sinyal di InfoSinyal.
+ *
+ * - 'scan:start'  → nomor scan naik; payload.tokenKeys (priority scan) = token yang di-scan
+ *                   siklus ini, tanpa tokenKeys = semua token
+ * - 'dex:update'  → PNL > 0: streak lanjut jika rute juga profit di kunjungan token sebelumnya,
+ *                   reset jika ada jeda; PNL <= 0: rute dihapus (spread hilang)
+ * - 'scan:done'   → rute token yang dikunjungi tapi tidak muncul di scan ini dibuang (streak
+ *                   putus); rute token WARM/COLD yang dilewati priority scan tetap disimpan
+ *
+ * Dipakai oleh InfoSinyal (badge umur/streak) dan getStreakFilter() (filter min streak).
+ *
+ * @module core/scanner/spread-tracker
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+
+    // Kunci token sama dengan priority scheduler (payload tokenKeys di 'scan:start')
+    function tokenKeyOf(token) {
+        if (!token) return '';
+        if (root.PriorityScheduler && typeof root.PriorityScheduler.keyOf === 'function') return root.PriorityScheduler.keyOf(token);
+        return (token.id !== undefined && token.id !== null) ? String(token.id) : '';
+    }
+
+    class SpreadTracker {
+        constructor() {
+            this.routes = new Map();
+            this.scanId = 0;
+            this.visited = null;         // Set kunci token scan ini (null = semua token)
+            this.visitScan = new Map();  // kunci token → scanId kunjungan terakhir
+            this.prevVisit = new Map();  // kunci token → scanId kunjungan sebelumnya
+        }
+
+        /**
+         * Tandai awal scan baru.
+         * @param {string[]} [tokenKeys] - Token yang di-scan siklus ini (kosong = semua)
+         */
+        startScan(tokenKeys) {
+            this.scanId++;
+            const keys = Array.isArray(tokenKeys) ? tokenKeys.map(String) : Array.from(this.visitScan.keys());
+            this.visited = Array.isArray(tokenKeys) ? new Set(keys) : null;
+            keys.forEach(k => {
+                this.prevVisit.set(k, this.visitScan.has(k) ? this.visitScan.get(k) : this.scanId - 1);
+                this.visitScan.set(k, this.scanId);
+            });
+            return this.scanId;
+        }
+
+        /** Buang rute token yang dikunjungi tapi tidak terlihat profit di scan terakhir. */
+        endScan() {
+            const visited = this.visited;
+            this.routes.forEach((r, key) => {
+                if (r.lastScan >= this.scanId) return;
+                if (visited && r.tokenKey && !visited.has(r.tokenKey)) return;
+                this.routes.delete(key);
+            });
+        }
+
+        /** scanId kunjungan token sebelumnya (default: scan sebelumnya) */
+        _prevScanOf(tokenKey) {
+            return (tokenKey && this.prevVisit.has(tokenKey)) ? this.prevVisit.get(tokenKey) : this.scanId - 1;
+        }
+
+        /**
+         * Catat satu hasil rute.
+         * @param {string} key - idPrefix + baseId
+         * @param {number} pnl - PNL bersih
+         * @param {string} [tokenKey] - Kunci token (tokenKeyOf), untuk streak antar kunjungan
+         * @returns {object|null} state rute setelah update (null bila spread hilang)
+         */
+        observe(key, pnl, tokenKey) {
+            if (!key) return null;
+            const value = Number(pnl);
+            if (!(value > 0)) {
+                this.routes.delete(key);
+                return null;
+            }
+            // Hasil di luar scan (mis. tanpa 'scan:start') dianggap scan pertama
+            if (this.scanId === 0) this.scanId = 1;
+            const now = Date.now();
+            let r = this.routes.get(key);
+
+            if (r && r.lastScan === this.scanId) {
+                // Rute yang sama muncul lagi di scan yang sama (ladder / re-quote): update PNL saja
+                r.samples++;
+                r.sumPnl += value;
+            } else if (r && r.lastScan === this._prevScanOf(tokenKey || r.tokenKey)) {
+                r.streak++;
+                r.samples++;
+                r.sumPnl += value;
+            } else {
+                r = { key, firstSeen: now, firstScan: this.scanId, streak: 1, samples: 1, sumPnl: value, peakPnl: value };
+                this.routes.set(key, r);
+            }
+            if (tokenKey) r.tokenKey = tokenKey;
+            r.lastSeen = now;
+            r.lastScan = this.scanId;
+            r.lastPnl = value;
+            r.peakPnl = Math.max(r.peakPnl, value);
+            return this.describe(r);
+        }
+
+        describe(r) {
+            if (!r) return null;
+            return {
+                key: r.key,
+                firstSeen: r.firstSeen,
+                lastSeen: r.lastSeen,
+                ageMs: Math.max(0, r.lastSeen - r.firstSeen),
+                streak: r.streak,
+                peakPnl: r.peakPnl,
+                avgPnl: r.sumPnl / r.samples,
+                lastPnl: r.lastPnl
+            };
+        }
+
+        /** @returns {object|null} state rute (umur, streak, peak/avg PNL) */
+        get(key) {
+            return this.describe(this.routes.get(key));
+        }
+
+        reset() {
+            this.routes.clear();
+            this.visited = null;
+            this.visitScan.clear();
+            this.prevVisit.clear();
+        }
+
+        /**
+         * Pasang ke stream ScanEvents (browser scanner & ScanEngine).
+         * @param {object} stream - ScanEventStream
+         */
+        attach(stream) {
+            if (!stream || typeof stream.on !== 'function') return;
+            stream.on('scan:start', (p) => this.startScan(p && p.tokenKeys));
+            stream.on('scan:done', () => this.endScan());
+            stream.on('dex:update', ({ token, update }) => {
+                if (!update || update.type !== 'update' || update.shardJob) return;
+                this.observe(`${update.idPrefix || ''}${update.baseId || ''}`, update.profitLoss, tokenKeyOf(token));
+            });
+        }
+    }
+
+    /**
+     * Format umur spread singkat: 45s, 3m, 1j5m.
+     * @param {number} ms
+     */
+    function formatSpreadAge(ms) {
+        const s = Math.floor(Math.max(0, Number(ms) || 0) / 1000);
+        if (s < 60) return `${s}s`;
+        const m = Math.floor(s / 60);
+        if (m < 60) return `${m}m`;
+        const h = Math.floor(m / 60);
+        return `${h}j${m % 60 ? (m % 60) + 'm' : ''}`;
+    }
+
+    /**
+     * Cek filter min streak (getStreakFilter) untuk satu rute.
+     * @param {string} key - idPrefix + baseId
+     * @returns {boolean} true jika filter nonaktif (<= 1) atau streak rute memenuhi
+     */
+    function passStreakFilter(key) {
+        try {
+            const minStreak = (typeof root.getStreakFilter === 'function') ? root.getStreakFilter() : 0;
+            if (!(minStreak > 1)) return true;
+            const r = root.spreadTracker ? root.spreadTracker.get(key) : null;
+            return !!r && r.streak >= minStreak;
+        } catch (_) { return true; }
+    }
+
+    // =================================================================================
+    // EXPORT
+    // =================================================================================
+    if (typeof window !== 'undefined') {
+        window.SpreadTracker = SpreadTracker;
+        window.formatSpreadAge = formatSpreadAge;
+        window.passStreakFilter = passStreakFilter;
+        window.spreadTracker = window.spreadTracker || new SpreadTracker();
+        if (window.ScanEvents) window.spreadTracker.attach(window.ScanEvents);
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SpreadTracker, formatSpreadAge };
+    }
+
+})(typeof window !== 'undefined' ? window : this);
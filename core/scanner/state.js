@@ -15,6 +15,10 @@
     // NOTE: Ini adalah per-tab state, tidak akan conflict dengan tab lain
     let isScanRunning = false;
 
+    // Flag jeda (PAUSE) untuk scan kontinu: loop menunggu di antara grup token,
+    // tabel, antrian UI & state scan tetap utuh.
+    let isScanPaused = false;
+
     // Counter untuk melacak jumlah request DEX yang masih berjalan (termasuk fallback).
     let activeDexRequests = 0;
 
@@ -101,6 +105,27 @@
         isScanRunning = !!value;
     }
 
+    /**
+     * Get/Set scanner paused state (mode scan kontinu)
+     */
+    function getScanPaused() {
+        return isScanPaused;
+    }
+
+    function setScanPaused(value) {
+        isScanPaused = !!value;
+    }
+
+    /**
+     * Tunggu selama scan di-PAUSE. Selesai saat RESUME atau scan dihentikan (STOP).
+     * @param {number} pollMs - Interval cek dalam milidetik
+     */
+    async function waitWhileScanPaused(pollMs = 250) {
+        while (isScanPaused && isScanRunning) {
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+        }
+    }
+
     /**
      * Get/Set animation frame ID
      */
@@ -143,6 +168,9 @@
         window.waitForPendingDexRequests = waitForPendingDexRequests;
         window.getScanRunning = getScanRunning;
         window.setScanRunning = setScanRunning;
+        window.getScanPaused = getScanPaused;
+        window.setScanPaused = setScanPaused;
+        window.waitWhileScanPaused = waitWhileScanPaused;
         window.getAnimationFrameId = getAnimationFrameId;
         window.setAnimationFrameId = setAnimationFrameId;
         window.persistRunStateNo = persistRunStateNo;
@@ -8,6 +8,7 @@
  * - Progress bar updates
  * - DEX cell status updates
  * - Processing UI updates using requestAnimationFrame
+ * - Quote age & stale fade per sel (mode scan kontinu)
  *
  * @module core/scanner/ui-updater
  */
@@ -306,6 +307,85 @@ function setAnimationFrameId(id) {
     animationFrameId = id;
 }
 
+// =================================================================================
+// QUOTE AGE (MODE SCAN KONTINU)
+// =================================================================================
+// Pada scan kontinu sel DEX tidak di-reset tiap siklus, jadi setiap sel menampilkan
+// umur quote terakhirnya dan memudar (class quote-stale) bila melewati staleMs.
+
+// Interval ticker umur quote
+let quoteAgeTimer = null;
+
+function getContinuousConfig() {
+    const cfg = (typeof window !== 'undefined' && window.CONFIG_SCAN_CONTINUOUS) || {};
+    return {
+        staleMs: Number(cfg.staleMs) > 0 ? Number(cfg.staleMs) : 60000,
+        tickMs: Number(cfg.tickMs) > 0 ? Number(cfg.tickMs) : 1000
+    };
+}
+
+/**
+ * Catat waktu quote terbaru pada sel DEX (dipanggil DisplayPNL setelah sel final).
+ * @param {HTMLElement} cell - Elemen sel DEX
+ */
+function markCellQuoted(cell) {
+    if (!cell || !cell.dataset) return;
+    cell.dataset.quotedAt = String(Date.now());
+    cell.classList.remove('quote-stale');
+}
+
+/**
+ * Perbarui label umur quote & status stale semua sel yang punya data-quoted-at.
+ * Penulisan DOM lewat DOMBatcher (satu animation frame); hanya sel yang labelnya
+ * berubah yang ditulis.
+ */
+function refreshQuoteAges() {
+    const { staleMs } = getContinuousConfig();
+    const now = Date.now();
+    const fmt = (typeof window.formatSpreadAge === 'function') ? window.formatSpreadAge : (ms => `${Math.floor(ms / 1000)}s`);
+    const cells = document.querySelectorAll('td[data-quoted-at]');
+    cells.forEach(cell => {
+        const age = now - (Number(cell.dataset.quotedAt) || now);
+        const label = fmt(age);
+        const stale = age > staleMs;
+        const hasSpan = !!cell.querySelector(':scope > .quote-age');
+        if (hasSpan && cell.dataset.ageLabel === label && cell.classList.contains('quote-stale') === stale) return;
+        const write = (el) => {
+            let span = el.querySelector(':scope > .quote-age');
+            if (!span) {
+                span = document.createElement('span');
+                span.className = 'quote-age';
+                el.appendChild(span);
+            }
+            span.textContent = label;
+            el.dataset.ageLabel = label;
+            el.classList.toggle('quote-stale', stale);
+        };
+        if (window.DOMBatcher) window.DOMBatcher.scheduleUpdate(cell, { write });
+        else write(cell);
+    });
+    return cells.length;
+}
+
+/**
+ * Mulai ticker umur quote (idempotent). Ticker berhenti sendiri bila tabel tidak
+ * lagi punya sel ber-quote (mis. tabel di-render ulang) dan scan tidak berjalan.
+ */
+function startQuoteAgeTicker() {
+    if (quoteAgeTimer) return;
+    const { tickMs } = getContinuousConfig();
+    quoteAgeTimer = setInterval(() => {
+        const count = refreshQuoteAges();
+        const running = (typeof window.getScanRunning === 'function') ? window.getScanRunning() : false;
+        if (!count && !running) stopQuoteAgeTicker();
+    }, tickMs);
+}
+
+function stopQuoteAgeTicker() {
+    if (quoteAgeTimer) clearInterval(quoteAgeTimer);
+    quoteAgeTimer = null;
+}
+
 // =================================================================================
 // EXPORT TO GLOBAL SCOPE (for backward compatibility)
 // =================================================================================
@@ -318,6 +398,10 @@ if (typeof window !== 'undefined') {
     window.getUiUpdateQueue = getUiUpdateQueue;
     window.getAnimationFrameId = getAnimationFrameId;
     window.setAnimationFrameId = setAnimationFrameId;
+    window.markCellQuoted = markCellQuoted;
+    window.refreshQuoteAges = refreshQuoteAges;
+    window.startQuoteAgeTicker = startQuoteAgeTicker;
+    window.stopQuoteAgeTicker = stopQuoteAgeTicker;
 }
 
 })(); // End IIFE
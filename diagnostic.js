@@ -19,7 +19,8 @@
         '✅ IDB Flush Function': typeof window.__IDB_FLUSH_PENDING__ === 'function',
         '✅ Safe SetInterval': typeof window.safeSetInterval === 'function',
         '✅ Update Cell Helpers': typeof window.updateCellText === 'function',
-        '✅ Fetch CEX With Retry': typeof window.fetchCEXWithRetry === 'function'
+        '✅ Fetch CEX With Retry': typeof window.fetchCEXWithRetry === 'function',
+        '✅ CEX Stream (WebSocket)': typeof window.CEXStream !== 'undefined'
     };
 
     let allPassed = true;
@@ -37,6 +38,9 @@
         if (window.DEXCache) {
             console.log('DEX Cache:', window.DEXCache.getStats());
         }
+        if (window.CEXStream) {
+            console.log('CEX Stream:', window.CEXStream.status());
+        }
     } catch (e) {
         console.error('Error getting cache stats:', e);
     }
@@ -314,7 +314,7 @@ function loadKointoTable(filteredData, tableBodyId = 'dataTableBody') {
 
       rowHtml += `
             <td id="${idPrefix}${rowId}" class="uk-text-center uk-background td-detail" style="text-align: center; border:1px solid black; padding:10px; ${detailBgStyle}">
-             [${index + 1}]<span style="color: ${warnaCex}; font-weight:bolder; font-size:medium;"> ${data.cex} </span> on <span style="color: ${warnaChain}; font-weight:bolder; font-size:medium;">${chainShort} </span>
+             [${index + 1}]<span style="color: ${warnaCex}; font-weight:bolder; font-size:medium;"> ${data.cex} </span> on <span style="color: ${warnaChain}; font-weight:bolder; font-size:medium;">${chainShort} </span> ${buildPriorityBadge(data, idPrefix)}
     
             <span class="detail-line">
                 <span style="color: ${warnaChain}; font-weight:bolder; font-size:medium;"  >${linkToken} </span> ⇄ <span style="color: ${warnaChain}; font-weight:bolder; font-size:medium;">${linkPair} </span>
@@ -389,6 +389,78 @@ function prepareMonitoringSkeleton(tokens, tableBodyId = 'dataTableBody') {
 }
 try { if (typeof window !== 'undefined') { window.prepareMonitoringSkeleton = prepareMonitoringSkeleton; } } catch (_) { }
 
+/**
+ * Isi badge prioritas scan (core/scanner/priority-scheduler.js) untuk satu token.
+ * Kosong jika toggle PRIO mati / scheduler tidak dimuat.
+ * @param {object|string} token - Objek token atau kunci prioritas
+ * @returns {{html: string, title: string}}
+ */
+function renderPriorityBadgeContent(token) {
+  const empty = { html: '', title: '' };
+  try {
+    if (!window.priorityScheduler || !$('#priorityScanToggle').is(':checked')) return empty;
+    const info = window.priorityScheduler.describe(token);
+    const cls = { HOT: 'uk-label-danger', WARM: 'uk-label-warning', COLD: '', NEW: 'uk-label-success' }[info.tier] || '';
+    const style = info.tier === 'COLD' ? ' style="background:#9e9e9e;"' : '';
+    const label = info.score === null ? info.tier : `${info.tier} ${info.score}`;
+    const html = `<span class="uk-label ${cls}"${style}>${label}</span>${info.skipped ? ' ⏸' : ''}`;
+    if (!info.parts) return { html, title: 'Belum pernah di-scan: masuk siklus berikutnya' };
+    const fmtPct = (v) => (v === null || v === undefined) ? '-' : `${Number(v).toFixed(2)}%`;
+    const nextMs = info.dueInMs;
+    const age = (typeof window.formatSpreadAge === 'function') ? window.formatSpreadAge(Date.now() - info.lastVisit) : '';
+    const title = [
+      `Prioritas ${info.score}/100 (${info.tier})`,
+      `PNL terakhir: ${fmtPct(info.parts.pnlPct)} | Volatilitas CEX: ${fmtPct(info.parts.volatilityPct)}`,
+      `Wallet CEX: ${info.parts.wallet >= 1 ? 'OK' : (info.parts.wallet > 0 ? '?' : 'WD/DP tertutup')}`,
+      `Scan terakhir: ${age} lalu`,
+      info.skipped ? 'Dilewati siklus ini' : '',
+      nextMs > 0 ? `Jatuh tempo dalam ${Math.ceil(nextMs / 1000)}s` : 'Jatuh tempo siklus berikutnya'
+    ].filter(Boolean).join(' | ');
+    return { html, title };
+  } catch (_) { return empty; }
+}
+
+/**
+ * Badge prioritas di sel detail token (dirender loadKointoTable).
+ */
+function buildPriorityBadge(data, idPrefix) {
+  const key = window.priorityScheduler ? String(data.id ?? '') : '';
+  if (!key) return '';
+  const { html, title } = renderPriorityBadgeContent(data);
+  return `<span id="${priorityBadgeId(key, idPrefix)}" class="prio-badge" data-prio-key="${key}" title="${title}">${html}</span>`;
+}
+
+function priorityBadgeId(key, idPrefix) {
+  return `${idPrefix}PRIO_${String(key).toUpperCase().replace(/[^A-Z0-9_]/g, '')}`;
+}
+
+/**
+ * Perbarui badge prioritas yang sudah dirender.
+ * @param {string[]} [keys] - Kunci token (token.id); kosong = semua badge
+ * @param {string} [tableBodyId='dataTableBody'] - tbody badge (lookup per id bila keys diisi)
+ */
+function refreshPriorityBadges(keys, tableBodyId = 'dataTableBody') {
+  try {
+    const apply = (el) => {
+      const key = String(el.dataset.prioKey || '');
+      if (!key) return;
+      const { html, title } = renderPriorityBadgeContent(key);
+      el.innerHTML = html;
+      el.title = title;
+    };
+    if (Array.isArray(keys)) {
+      // Per token (dipanggil tiap token selesai di-scan) → getElementById, bukan loop semua badge
+      keys.forEach(key => {
+        const el = document.getElementById(priorityBadgeId(key, tableBodyId + '_'));
+        if (el) apply(el);
+      });
+      return;
+    }
+    $('.prio-badge').each(function () { apply(this); });
+  } catch (_) { }
+}
+try { if (typeof window !== 'undefined') { window.buildPriorityBadge = buildPriorityBadge; window.refreshPriorityBadges = refreshPriorityBadges; } } catch (_) { }
+
 /**
  * Update HANYA stats summary di header manajemen tanpa re-render tabel.
  * Digunakan saat hapus koin selama scanning untuk menghindari refresh tabel.
@@ -820,12 +892,15 @@ function renderTokenManagementList() {
       }
     }
 
+    // Badge hasil cek keamanan kontrak saat sinkronisasi (fee/proxy/paused/blacklist/decimals)
+    const safetyHtml = (window.TokenSafety && r.safety) ? window.TokenSafety.renderBadges(r.safety) : '';
+
     const rowHtml = `
         <tr>
           <td class="uk-text-center">${r.no}</td>
           <td>
             <div><span class="uk-text-bold uk-text-success">${(r.symbol_in || '-').toUpperCase()}</span>
-              <span class="addr">${scInDisp} [${desInDisp}]</span>
+              <span class="addr">${scInDisp} [${desInDisp}]</span> ${safetyHtml}
             </div>
             <div><span class="uk-text-bold uk-text-danger">${(r.symbol_out || '-').toUpperCase()}</span>
               <span class="addr">${scOutDisp} [${desOutDisp}]</span>
@@ -957,12 +1032,32 @@ function isDarkMode() { // REFACTORED
   return false;
 }
 
+// Helper: tulis hasil akhir ke sel DEX hanya jika isinya berubah (scan kontinu tidak
+// me-reset sel tiap siklus). Jika sama, cukup buang span status "checking" sisa siklus ini.
+function applyDexCellHtml(el, html) {
+  let sig = 5381;
+  for (let i = 0; i < html.length; i++) sig = ((sig << 5) + sig + html.charCodeAt(i)) | 0;
+  sig = String(sig >>> 0);
+  if (el.dataset.renderSig === sig) {
+    const statusSpan = el.querySelector('.dex-status');
+    if (statusSpan) {
+      const prev = statusSpan.previousElementSibling;
+      if (prev && prev.tagName === 'BR') prev.remove();
+      statusSpan.remove();
+    }
+  } else {
+    el.innerHTML = html;
+    el.dataset.renderSig = sig;
+  }
+  try { if (typeof window.markCellQuoted === 'function') window.markCellQuoted(el); } catch (_) { }
+}
+
 /**
  * Render computed fees/PNL and swap link into a DEX cell; drive signal panel and Telegram.
  */
 function DisplayPNL(data) {
   const {
-    profitLoss, cex, Name_in, NameX, totalFee, Modal, dextype,
+    profitLoss, cex, Name_in, NameX, totalFee, Modal, dextype, FeeTrade, feeTradeRate, feeTransfer,
     priceBuyToken_CEX, priceSellToken_CEX, priceBuyPair_CEX, priceSellPair_CEX,
     FeeSwap, FeeWD, sc_input, sc_output, Name_out, totalValue, totalModal,
     nameChain, codeChain, trx, profitLossPercent, vol,
@@ -1170,6 +1265,21 @@ function DisplayPNL(data) {
     }
   }
 
+  // ===== SIZE LADDER: Tandai ukuran modal dengan PNL bersih terbaik =====
+  try {
+    const dexNameStrong = $mainCell.find('strong').first();
+    if (dexNameStrong.length) {
+      dexNameStrong.find('.size-ladder-tag').remove();
+      const best = data.sizeLadder && data.sizeLadder.best;
+      if (best) {
+        const ladderTitle = (data.sizeLadder.rungs || [])
+          .map(r => `${r.pct}%: ${r.ok ? `${r.profitLoss >= 0 ? '+' : ''}$${n(r.profitLoss).toFixed(2)}` : 'ERROR'}`)
+          .join(' | ');
+        dexNameStrong.append(` <span class="size-ladder-tag" style="color:#d97706" title="${ladderTitle}">🪜${best.pct}% $${n(best.modal).toFixed(0)}</span>`);
+      }
+    }
+  } catch (_) { }
+
   // ===== MULTI-DEX RESULTS (SWING/KAMINO/RANGO/RUBIC) =====
   if (isMultiDex && Array.isArray(subResults) && subResults.length > 0) {
     try {
@@ -1186,7 +1296,7 @@ function DisplayPNL(data) {
       // Base calculation values
       const baseModal = n(Modal);
       const baseFeeWD = n(FeeWD);
-      const baseFeeTrade = n(0.0014 * baseModal);
+      const baseFeeTrade = n(FeeTrade);
       const direction = String(trx || '').toLowerCase();
 
       // CEX prices for calculation
@@ -1316,7 +1426,7 @@ function DisplayPNL(data) {
       `;
 
       // Apply HTML
-      el.innerHTML = cellHtml;
+      applyDexCellHtml(el, cellHtml);
       el.dataset.multiDex = 'true';
 
       // Mark cell as finalized
@@ -1334,8 +1444,11 @@ function DisplayPNL(data) {
       const filterPNLValue = (typeof getPNLFilter === 'function') ? n(getPNLFilter())
         : (typeof SavedSettingData !== 'undefined' ? n(SavedSettingData?.filterPNL) : 0);
 
+      // Filter min streak: spread harus bertahan N scan beruntun (core/scanner/spread-tracker.js)
+      const passStreak = (typeof window.passStreakFilter === 'function') ? window.passStreakFilter(elementId) : true;
+
       // Sinyal hanya tampil jika PNL > 0 (profit positif setelah fee)
-      const hasSignal = bestPnl > 0;
+      const hasSignal = bestPnl > 0 && passStreak;
 
       // ✅ AUTO VOLUME: Check volume sufficiency for multi-DEX
       let volumeSufficient = true;
@@ -1360,7 +1473,7 @@ function DisplayPNL(data) {
       }
 
       // Highlight hanya jika PNL positif dan di atas threshold
-      const shouldHighlight = bestPnl > 0 && (filterPNLValue === 0 || bestPnl > filterPNLValue);
+      const shouldHighlight = bestPnl > 0 && passStreak && (filterPNLValue === 0 || bestPnl > filterPNLValue);
 
       if (shouldHighlight) {
         // Hanya border, tanpa background (background sudah di sub-kolom)
@@ -1483,11 +1596,14 @@ function DisplayPNL(data) {
       : (typeof SavedSettingData !== 'undefined' ? n(SavedSettingData?.filterPNL) : 0);
 
   // ✅ FIXED: Pisahkan kondisi "tampil sinyal" vs "highlight"
+  // Filter min streak: spread harus bertahan N scan beruntun (core/scanner/spread-tracker.js)
+  const passStreak = (typeof window.passStreakFilter === 'function') ? window.passStreakFilter(elementId) : true;
+
   // Sinyal hanya tampil jika PNL > 0 (profit positif setelah fee)
-  const hasSignal = pnl > 0;
+  const hasSignal = pnl > 0 && passStreak;
 
   // Highlight hanya jika PNL positif dan di atas threshold
-  const passPNL = pnl > 0 && (filterPNLValue === 0 || pnl > filterPNLValue);
+  const passPNL = pnl > 0 && passStreak && (filterPNLValue === 0 || pnl > filterPNLValue);
 
   // ===== AUTO VOLUME FEATURES VALIDATION =====
   // Two separate validation methods:
@@ -1767,8 +1883,11 @@ function DisplayPNL(data) {
   const lineSell = `<a class="monitor-line uk-text-danger  dex-price-link" href="${sellLink}" target="_blank" rel="noopener" title="${tipSell}">⬇ ${fmtUSD(sellPrice)}</a>`;
   const feeBlock1 = `<span class="monitor-line">${feeLine}</span>`;
   const feeBlock2 = `<span class="monitor-line">${swapLine}</span>`; // ← baris terpisah
-  const lineBrut = `<span class="monitor-line uk-text-danger" title="BRUTO ~ TOTAL FEE">${bracket}</span>`;
-  const linePNL = `<span class="monitor-line ${netClass}" title="PROFIT / LOSS">💰 PNL: ${pnl.toFixed(2)}</span>`;
+  const feeDetail = `SW ${n(FeeSwap).toFixed(4)}$ + ${direction === 'tokentopair' ? `WD ${n(FeeWD).toFixed(4)}` : `TF ${n(feeTransfer).toFixed(4)}`}$ + TRADE ${n(FeeTrade).toFixed(4)}$ (${(n(feeTradeRate) * 100).toFixed(3)}%)`;
+  const lineBrut = `<span class="monitor-line uk-text-danger" title="BRUTO ~ TOTAL FEE: ${feeDetail}">${bracket}</span>`;
+  // Route sheet (route-sheet.js): langkah eksekusi peluang profit, dibuka lewat ikon 📋
+  const routeLink = hasProfit ? ` <a href="#" class="route-sheet-link" data-cell="${elementId}" title="ROUTE SHEET">📋</a>` : '';
+  const linePNL = `<span class="monitor-line ${netClass}" title="PROFIT / LOSS">💰 PNL: ${pnl.toFixed(2)}${routeLink}</span>`;
 
   const resultHtml = [lineBuy, lineSell, feeBlock1, '', feeBlock2, lineBrut, linePNL].filter(Boolean).join(' ');
 
@@ -1842,7 +1961,8 @@ function DisplayPNL(data) {
   } catch (_) { }
 
   // Telegram alert mengikuti kondisi yang sama agar konsisten // REFACTORED
-  if (typeof MultisendMessage === 'function' && passSignal) {
+  // Hasil shard (data.shardJob) dikirim oleh tab leader, bukan tab follower.
+  if (typeof MultisendMessage === 'function' && passSignal && !data.shardJob) {
     const directionMsg = (direction === 'tokentopair') ? 'cex_to_dex' : 'dex_to_cex';
     const tokenData = {
       chain: nameChain,
@@ -1877,7 +1997,7 @@ function DisplayPNL(data) {
   const resultWrapClass = (lower(modeNow.type) === 'single') ? 'uk-text-dark' : 'uk-text-primary';
   const boldStyle = shouldHighlight ? 'font-weight:bolder;' : '';
 
-  $mainCell.html(`${dexNameAndModal ? dexNameAndModal + '<br>' : ''}<span class="${resultWrapClass}" style="${boldStyle}">${resultHtml}</span>`);
+  applyDexCellHtml(el, `${dexNameAndModal ? dexNameAndModal + '<br>' : ''}<span class="${resultWrapClass}" style="${boldStyle}">${resultHtml}</span>`);
   try {
     el.dataset.final = '1';
     el.dataset.finalSuccess = '1';  // Mark as successful (cannot be overridden)
@@ -1919,6 +2039,13 @@ function InfoSinyal(DEXPLUS, TokenPair, PNL, totalFee, cex, NameToken, NamePair,
   // ✅ NEW: Add warning indicator if volume insufficient
   const volumeWarning = !volumeSufficient ? ' ⚠️' : '';
 
+  // Umur & streak spread (berapa scan beruntun rute ini profit)
+  const spread = (window.spreadTracker && typeof window.spreadTracker.get === 'function') ? window.spreadTracker.get(`${idPrefix}${baseId}`) : null;
+  const spreadAge = (typeof window.formatSpreadAge === 'function' && spread) ? window.formatSpreadAge(spread.ageMs) : '';
+  const spreadBadge = (spread && spread.streak > 1)
+    ? ` <span class="uk-text-warning" title="Bertahan ${spread.streak} scan sejak ${new Date(spread.firstSeen).toLocaleTimeString('id-ID', { hour12: false })} | Peak ${spread.peakPnl.toFixed(2)}$ | Avg ${spread.avgPnl.toFixed(2)}$">×${spread.streak} ${spreadAge}</span>`
+    : '';
+
   // Item sinyal: kompak + border kanan (separator)
   // ✅ FIX: Round modal value properly (no floating point errors)
   const modalRounded = Number(modal) >= 100 ? Math.round(Number(modal)) : Number(modal).toFixed(2);
@@ -1929,7 +2056,7 @@ function InfoSinyal(DEXPLUS, TokenPair, PNL, totalFee, cex, NameToken, NamePair,
           🔸 ${String(cex).slice(0, 3).toUpperCase()}X${volumeWarning}
           <span class="uk-text-muted">:${modalRounded}</span>
           <span class="${warnaTeksArah}"> ${NameToken}->${NamePair}</span>${chainPart}:
-          <span class="uk-text-muted">${Number(PNL).toFixed(2)}$</span>
+          <span class="uk-text-muted">${Number(PNL).toFixed(2)}$</span>${spreadBadge}
         </span>
       </a>
     </div>`;
@@ -1980,7 +2107,9 @@ function InfoSinyal(DEXPLUS, TokenPair, PNL, totalFee, cex, NameToken, NamePair,
 function calculateResult(baseId, tableBodyId, amount_out, FeeSwap, sc_input, sc_output, cex, Modal, amount_in, priceBuyToken_CEX, priceSellToken_CEX, priceBuyPair_CEX, priceSellPair_CEX, Name_in, Name_out, feeWD, dextype, nameChain, codeChain, trx, vol, DataDEX) {
   const NameX = Name_in + "_" + Name_out;
   const FeeWD = parseFloat(feeWD);
-  const FeeTrade = parseFloat(0.0014 * Modal);
+  // Trading fee mengikuti jadwal fee CEX pada baris ini (taker, karena eksekusi market order)
+  const feeTradeRate = (typeof getCexTradingFee === 'function') ? getCexTradingFee(cex, 'taker') : 0.0014;
+  const FeeTrade = parseFloat(feeTradeRate * Modal);
 
   FeeSwap = parseFloat(FeeSwap) || 0;
   Modal = parseFloat(Modal) || 0;
@@ -2145,6 +2274,7 @@ function calculateResult(baseId, tableBodyId, amount_out, FeeSwap, sc_input, sc_
 
   // ✅ FIX: Extract dexTitle from DataDEX (provider name from strategy response)
   const dexTitle = DataDEX && DataDEX.dexTitle ? String(DataDEX.dexTitle) : null;
+  const strategyUsed = DataDEX && DataDEX.strategyUsed ? String(DataDEX.strategyUsed) : null;
 
   return {
     type: 'update',
@@ -2156,10 +2286,13 @@ function calculateResult(baseId, tableBodyId, amount_out, FeeSwap, sc_input, sc_
     profitLoss, cex, Name_in, NameX, totalFee, Modal, dextype,
     priceBuyToken_CEX, priceSellToken_CEX, priceBuyPair_CEX, priceSellPair_CEX,
     FeeSwap, FeeWD, sc_input, sc_output, Name_out, totalValue, totalModal,
+    FeeTrade, feeTradeRate, feeTransfer,  // Komponen totalFee per arah (journal & route sheet tidak perlu menghitung ulang)
     nameChain, codeChain, trx, profitLossPercent, vol,
+    amount_in, amount_out,  // Jumlah swap aktual untuk route sheet (route-sheet.js)
     isFallback, fallbackSource,  // REFACTORED: Tambahkan info sumber alternatif
     subResults, isMultiDex,  // NEW: untuk DZAP multi-DEX
-    dexTitle  // ✅ NEW: Provider name from strategy response (LIFI, SWOOP, etc)
+    dexTitle,  // ✅ NEW: Provider name from strategy response (LIFI, SWOOP, etc)
+    strategyUsed  // Strategy key yang menjawab quote (kyber, lifi-kyber, ...) untuk journal
   };
 }
 
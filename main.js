@@ -699,12 +699,13 @@ function renderSettingsForm() {
                         </div>
                     </div>
                     <div class="uk-width-expand">
-                        <input type="text" class="uk-input uk-form-small rpc-input"
+                        <textarea class="uk-textarea uk-form-small rpc-input" rows="2"
                                data-chain="${chain}"
                                placeholder="${suggestedRpc}"
-                               value=""
-                               style="font-size:12px; font-family: monospace; border-color: ${chainColor}40; padding: 4px 8px; height: 28px;">
-                        <small class="uk-text-muted" style="font-size: 10px;">Default: ${suggestedRpc || 'N/A'}</small>
+                               title="1 RPC per baris, baris pertama = utama. RPC cadangan dipakai otomatis saat RPC gagal."
+                               style="font-size:12px; font-family: monospace; border-color: ${chainColor}40; padding: 4px 8px; resize: vertical;"></textarea>
+                        <small class="uk-text-muted" style="font-size: 10px;">Default: ${suggestedRpc || 'N/A'} · 1 RPC per baris</small>
+                        <div class="rpc-status" data-chain="${chain}" style="font-size: 10px;"></div>
                     </div>
                 </div>
             </div>
@@ -714,9 +715,13 @@ function renderSettingsForm() {
 
     // Load user RPCs dari setting (jika ada), atau auto-fill dengan default
     const userRPCs = appSettings.userRPCs || {};
+    const userRPCPools = appSettings.userRPCPools || {};
     $('.rpc-input').each(function () {
         const chain = $(this).data('chain');
-        if (userRPCs[chain]) {
+        if (Array.isArray(userRPCPools[chain]) && userRPCPools[chain].length) {
+            // Pool RPC user (baris pertama = utama)
+            $(this).val(userRPCPools[chain].join('\n'));
+        } else if (userRPCs[chain]) {
             // User sudah punya custom RPC
             $(this).val(userRPCs[chain]);
         } else {
@@ -726,8 +731,167 @@ function renderSettingsForm() {
         }
     });
 
+    // Status health tiap endpoint RPC (probe rpc-manager.js)
+    renderRPCStatus();
+
+    // Vault API key (terkunci → input API key dikosongkan sampai vault dibuka)
+    const idleMinutes = parseFloat(appSettings.vaultIdleMinutes);
+    $('#vault-idle-minutes').val(Number.isFinite(idleMinutes) && idleMinutes > 0
+        ? idleMinutes
+        : Math.round(((window.CONFIG_VAULT && window.CONFIG_VAULT.idleLockMs) || 900000) / 60000));
+    renderVaultStatus();
+
     // ✅ Generate and load CEX API Keys dynamically from CONFIG_CEX
     renderCEXAPIKeyInputs();
+
+    // Generate trading fee override inputs (maker/taker per CEX)
+    renderCEXFeeInputs(appSettings.cexFees || {});
+
+    // Channel notifikasi (belum pernah disimpan → channel Telegram default)
+    renderNotifyChannelInputs(appSettings.notifyChannels);
+}
+
+/**
+ * Render 1 baris channel notifikasi (Telegram / Webhook / Discord / ntfy).
+ * @param {object} channel - item SETTING_SCANNER.notifyChannels
+ * @returns {string} HTML
+ */
+function buildNotifyChannelRow(channel) {
+    const c = (window.Notify && typeof window.Notify.normalizeChannel === 'function')
+        ? window.Notify.normalizeChannel(channel)
+        : Object.assign({ type: 'telegram', chains: [], cexes: [] }, channel);
+    const types = (window.CONFIG_NOTIFY && window.CONFIG_NOTIFY.types) || {};
+    const meta = types[c.type] || {};
+    const color = meta.color || '#333';
+    const esc = (v) => String(v === undefined || v === null ? '' : v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const typeOptions = Object.keys(types).map(t =>
+        `<option value="${t}" ${t === c.type ? 'selected' : ''}>${types[t].label || t.toUpperCase()}</option>`).join('');
+    const isTele = c.type === 'telegram';
+    const isNtfy = c.type === 'ntfy';
+
+    return `
+        <div class="uk-card uk-card-small uk-card-default uk-margin-small-bottom notify-channel-row" data-id="${esc(c.id)}" style="border-left: 4px solid ${color};">
+            <div class="uk-card-body uk-padding-small">
+                <div class="uk-grid-small uk-flex-middle" uk-grid>
+                    <div class="uk-width-auto"><input type="checkbox" class="uk-checkbox notify-enabled" ${c.enabled ? 'checked' : ''} title="Aktif"></div>
+                    <div class="uk-width-1-3"><select class="uk-select uk-form-small notify-type">${typeOptions}</select></div>
+                    <div class="uk-width-expand"><input type="text" class="uk-input uk-form-small notify-name" placeholder="Nama" value="${esc(c.name)}"></div>
+                </div>
+                <input type="text" class="uk-input uk-form-small uk-margin-small-top notify-url" placeholder="${esc(meta.urlPlaceholder || 'URL')}" value="${esc(c.url)}">
+                <div class="uk-grid-small uk-margin-small-top" uk-grid ${(isTele || isNtfy) ? '' : 'hidden'}>
+                    <div class="uk-width-1-2" ${isTele ? '' : 'hidden'}><input type="text" class="uk-input uk-form-small notify-chat" placeholder="Chat ID (kosong = default)" value="${esc(c.chatId)}"></div>
+                    <div class="uk-width-expand"><input type="password" class="uk-input uk-form-small notify-token" placeholder="${isTele ? 'Bot Token (opsional)' : 'Access Token (opsional)'}" value="${esc(c.botToken)}"></div>
+                </div>
+                <div class="uk-grid-small uk-margin-small-top" uk-grid>
+                    <div class="uk-width-1-3"><input type="number" step="0.01" min="0" class="uk-input uk-form-small notify-minpnl" placeholder="Min PNL $" value="${c.minPnl || ''}"></div>
+                    <div class="uk-width-1-3"><input type="text" class="uk-input uk-form-small notify-chains" placeholder="Chain: bsc,polygon" value="${esc((c.chains || []).join(','))}"></div>
+                    <div class="uk-width-1-3"><input type="text" class="uk-input uk-form-small notify-cexes" placeholder="CEX: GATE,MEXC" value="${esc((c.cexes || []).join(','))}"></div>
+                </div>
+                <div class="uk-flex uk-flex-middle uk-flex-between uk-margin-small-top">
+                    <div class="uk-flex uk-flex-middle" style="gap: 4px;">
+                        <span class="uk-text-meta uk-text-small">Tenang</span>
+                        <input type="time" class="uk-input uk-form-small notify-quiet-start" value="${esc(c.quietStart)}" style="width: 90px;">
+                        <span class="uk-text-meta">-</span>
+                        <input type="time" class="uk-input uk-form-small notify-quiet-end" value="${esc(c.quietEnd)}" style="width: 90px;">
+                    </div>
+                    <div>
+                        <button type="button" class="uk-button uk-button-default uk-button-small notify-test-btn">TES</button>
+                        <button type="button" class="uk-button uk-button-danger uk-button-small notify-remove-btn" title="Hapus channel"><span uk-icon="icon: trash; ratio: 0.7"></span></button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render daftar channel notifikasi di form settings.
+ * @param {Array|undefined} savedChannels - SETTING_SCANNER.notifyChannels (undefined = belum pernah diatur)
+ */
+function renderNotifyChannelInputs(savedChannels) {
+    const container = document.getElementById('notify-channels-container');
+    if (!container) return;
+    const channels = Array.isArray(savedChannels)
+        ? savedChannels
+        : ((window.Notify && typeof window.Notify.getChannels === 'function') ? window.Notify.getChannels() : [{ id: 'telegram-default', type: 'telegram', name: 'TELEGRAM' }]);
+    container.innerHTML = channels.map(buildNotifyChannelRow).join('');
+}
+
+/**
+ * Render status tiap endpoint RPC di bawah input RPC (settings).
+ * Termasuk RPC cadangan (RPCDatabaseMigrator.FALLBACK_RPC_VALUES) yang ikut pool failover.
+ */
+function renderRPCStatus() {
+    if (!window.RPCManager || typeof window.RPCManager.getStatus !== 'function') return;
+    const badge = {
+        ok: ['uk-label-success', 'OK'],
+        slow: ['uk-label-warning', 'LAMBAT'],
+        down: ['uk-label-danger', 'DOWN'],
+        'wrong-chain': ['uk-label-danger', 'CHAIN SALAH'],
+        unknown: ['', '?']
+    };
+    const esc = (v) => String(v || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    $('.rpc-status').each(function () {
+        const chain = $(this).data('chain');
+        const rows = window.RPCManager.getStatus(chain) || [];
+        // getRankedPool (bukan getRPC) agar membuka settings tidak memulai probe berkala
+        const active = (window.RPCManager.getRankedPool(chain) || [])[0];
+        const html = rows.map((e) => {
+            const [cls, label] = badge[e.status] || badge.unknown;
+            const latency = e.latencyMs !== null && e.latencyMs !== undefined ? `${e.latencyMs}ms` : '-';
+            const block = e.block ? `#${e.block}` : '';
+            const tip = e.lastError ? ` title="${esc(e.lastError)}"` : '';
+            return `<div class="uk-text-truncate"${tip}>
+                ${e.url === active ? '<span uk-icon="icon: star; ratio: 0.5" title="Dipakai saat ini"></span>' : ''}
+                <span class="uk-label ${cls}" style="font-size:9px; padding: 0 4px;">${label}</span>
+                <span class="uk-text-muted">${latency} ${block}</span>
+                <span style="font-family: monospace;">${esc(e.url)}</span>
+            </div>`;
+        }).join('');
+        $(this).html(html);
+    });
+}
+
+/**
+ * Render maker/taker fee override inputs per CEX.
+ * Placeholder menampilkan default dari CONFIG_CEX[cex].FEES; nilai terisi = override user.
+ * @param {object} savedFees - SETTING_SCANNER.cexFees ({ BINANCE: { maker, taker } }, dalam persen)
+ */
+function renderCEXFeeInputs(savedFees) {
+    const container = document.getElementById('cex-fee-container');
+    if (!container) return;
+
+    const cexList = (typeof CONFIG_CEX !== 'undefined') ? Object.keys(CONFIG_CEX) : [];
+    const fmt = (v) => (v === undefined || v === null || v === '') ? '' : String(v);
+
+    let html = '';
+    cexList.forEach(cex => {
+        const cfgFees = CONFIG_CEX[cex].FEES || {};
+        const userFees = (savedFees || {})[cex] || {};
+        const color = CONFIG_CEX[cex].WARNA || '#333';
+
+        html += `
+            <div class="uk-grid-small uk-flex-middle uk-margin-small-bottom" style="border-left: 3px solid ${color}; padding-left: 6px;" uk-grid>
+                <div class="uk-width-1-3">
+                    <span class="uk-text-small uk-text-bold" style="color: ${color};">${cex}</span>
+                </div>
+                <div class="uk-width-1-3">
+                    <input type="number" step="0.001" min="0" class="uk-input uk-form-small cex-fee-input"
+                           data-cex="${cex}" data-side="maker"
+                           placeholder="M ${fmt(cfgFees.maker) || '-'}" value="${fmt(userFees.maker)}"
+                           title="${cex} maker fee (%)">
+                </div>
+                <div class="uk-width-1-3">
+                    <input type="number" step="0.001" min="0" class="uk-input uk-form-small cex-fee-input"
+                           data-cex="${cex}" data-side="taker"
+                           placeholder="T ${fmt(cfgFees.taker) || '-'}" value="${fmt(userFees.taker)}"
+                           title="${cex} taker fee (%)">
+                </div>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
 }
 
 /**
@@ -749,8 +913,8 @@ function renderCEXAPIKeyInputs() {
         return;
     }
 
-    // CEX that require passphrase
-    const requiresPassphrase = ['KUCOIN', 'BITGET'];
+    // CEX that require passphrase (adapter credentials.passphrase)
+    const requiresPassphrase = cexList.filter(cex => window.CEX?.adapter?.(cex)?.credentials?.passphrase === true);
 
     // Generate HTML for each CEX
     let html = '';
@@ -793,12 +957,38 @@ function renderCEXAPIKeyInputs() {
     loadCEXApiKeys();
 }
 
+/**
+ * Status vault API key di form settings: label + tombol yang relevan.
+ */
+function renderVaultStatus() {
+    const vault = window.CredentialVault;
+    if (!vault) { $('#vault-panel').hide(); return; }
+    const st = vault.status();
+    let label = '<span class="uk-text-warning">NONAKTIF (plaintext)</span>';
+    if (st.enabled && st.unlocked) {
+        const lockAt = new Date(st.lockAt).toLocaleTimeString('id-ID', { hour12: false });
+        label = `<span class="uk-text-success">TERBUKA</span> <span class="uk-text-meta">(kunci otomatis ${lockAt})</span>`;
+    } else if (st.enabled) {
+        label = '<span class="uk-text-danger">TERKUNCI</span>';
+    }
+    $('#vault-status').html(label);
+    $('#btn-vault-setup').toggle(!st.enabled);
+    $('#btn-vault-unlock').toggle(st.enabled && !st.unlocked);
+    $('#vault-passphrase').toggle(!st.unlocked);
+    $('#btn-vault-lock, #btn-vault-disable').toggle(st.enabled && st.unlocked);
+}
+
 /**
  * Load CEX API Keys from IndexedDB and populate input fields
  */
 function loadCEXApiKeys() {
     try {
-        const cexKeys = getFromLocalStorage('CEX_API_KEYS', {});
+        const vault = window.CredentialVault;
+        const vaultOn = !!(vault && vault.isEnabled());
+        const locked = vaultOn && !vault.isUnlocked();
+        $('#cex-api-keys-container input').prop('disabled', locked);
+        if (locked) $('#cex-api-keys-container input').val('');
+        const cexKeys = vaultOn ? (vault.getAll() || {}) : getFromLocalStorage('CEX_API_KEYS', {});
         const loadedCount = Object.keys(cexKeys).length;
 
         if (loadedCount > 0) {
@@ -2011,6 +2201,8 @@ async function deferredInit() {
         try {
             const v = (typeof getPNLFilter === 'function') ? getPNLFilter() : 0;
             $('#pnlFilterInput').val(v);
+            const s = (typeof getStreakFilter === 'function') ? getStreakFilter() : 0;
+            $('#streakFilterInput').val(s > 1 ? s : '');
         } catch (_) { }
     }
     syncPnlInputFromStorage();
@@ -2453,7 +2645,10 @@ async function deferredInit() {
         updatedToken.dataCexs = buildDataCexs(idx !== -1 ? tokens[idx].dataCexs : {});
 
         if (idx !== -1) {
+            // SC berubah → hasil cek keamanan lama tidak berlaku lagi
+            const scChanged = String(tokens[idx].sc_in || '').toLowerCase() !== updatedToken.sc_in.toLowerCase();
             tokens[idx] = { ...tokens[idx], ...updatedToken };
+            if (scChanged && tokens[idx].safety) tokens[idx].safety = null;
         } else {
             tokens.push(updatedToken);
         }
@@ -2922,6 +3117,7 @@ async function deferredInit() {
             const labelText = `${sourceLabel || 'Server'} (${list.length})`;
             setSyncSourceIndicator(labelText);
             buildSyncFilters(chainLower);
+            $('#sync-safety-check').prop('checked', !!(window.TokenSafety && window.TokenSafety.isEnabled()));
 
             // console.log('About to render table for chain:', chainLower);
             renderSyncTable(chainLower);
@@ -3236,165 +3432,11 @@ async function deferredInit() {
     const SYNC_TICKER_CACHE = new Map();
     const SYNC_TICKER_PENDING = new Map(); // Track pending requests to prevent duplicate fetches
 
-    const SYNC_TICKER_ENDPOINTS = {
-        BINANCE: {
-            url: 'https://data-api.binance.vision/api/v3/ticker/price',
-            proxy: false,
-            parser: (data) => {
-                const map = new Map();
-                if (Array.isArray(data)) {
-                    data.forEach(item => {
-                        const symbol = String(item?.symbol || '').toUpperCase();
-                        const price = Number(item?.price);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                    });
-                }
-                return map;
-            }
-        },
-        MEXC: {
-            url: 'https://api.mexc.com/api/v3/ticker/price',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                if (Array.isArray(data)) {
-                    data.forEach(item => {
-                        const symbol = String(item?.symbol || '').toUpperCase();
-                        const price = Number(item?.price);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                    });
-                }
-                return map;
-            }
-        },
-        GATE: {
-            url: 'https://api.gateio.ws/api/v4/spot/tickers',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                if (Array.isArray(data)) {
-                    data.forEach(item => {
-                        const pair = String(item?.currency_pair || '').toUpperCase();
-                        const price = Number(item?.last || item?.last_price || item?.close);
-                        if (!pair || !Number.isFinite(price)) return;
-                        map.set(pair.replace('/', '_'), price);
-                        map.set(pair.replace('_', ''), price);
-                        map.set(pair.replace('_', '-'), price);
-                    });
-                }
-                return map;
-            }
-        },
-        KUCOIN: {
-            url: 'https://api.kucoin.com/api/v1/market/allTickers',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                const list = data?.data?.ticker;
-                if (Array.isArray(list)) {
-                    list.forEach(item => {
-                        const symbol = String(item?.symbol || '').toUpperCase();
-                        const price = Number(item?.last || item?.lastTradedPrice || item?.lastPrice || item?.close);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                        map.set(symbol.replace('-', ''), price);
-                        map.set(symbol.replace('-', '_'), price);
-                    });
-                }
-                return map;
-            }
-        },
-        OKX: {
-            url: 'https://www.okx.com/api/v5/market/tickers?instType=SPOT',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                const list = data?.data;
-                if (Array.isArray(list)) {
-                    list.forEach(item => {
-                        const symbol = String(item?.instId || '').toUpperCase();
-                        const price = Number(item?.last || item?.lastPrice || item?.close);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                        map.set(symbol.replace('-', ''), price);
-                        map.set(symbol.replace('-', '_'), price);
-                    });
-                }
-                return map;
-            }
-        },
-        BITGET: {
-            url: 'https://api.bitget.com/api/v2/spot/market/tickers',
-            proxy: false,
-            parser: (data) => {
-                const map = new Map();
-                const list = data?.data;
-                if (Array.isArray(list)) {
-                    list.forEach(item => {
-                        const symbol = String(item?.symbol || '').toUpperCase();
-                        const price = Number(item?.last || item?.close || item?.latestPrice);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                    });
-                }
-                return map;
-            }
-        },
-        BYBIT: {
-            url: 'https://api.bybit.com/v5/market/tickers?category=spot',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                const list = data?.result?.list;
-                if (Array.isArray(list)) {
-                    list.forEach(item => {
-                        const symbol = String(item?.symbol || '').toUpperCase();
-                        const price = Number(item?.lastPrice || item?.last || item?.price);
-                        if (!symbol || !Number.isFinite(price)) return;
-                        map.set(symbol, price);
-                    });
-                }
-                return map;
-            }
-        },
-        INDODAX: {
-            url: 'https://indodax.com/api/ticker_all',
-            proxy: true,
-            parser: (data) => {
-                const map = new Map();
-                if (!data || typeof data !== 'object') return map;
-                const tickers = data.tickers || data.Tickers || data;
-                const rateStored = Number(getFromLocalStorage('PRICE_RATE_USDT') || 0);
-                const usdtTicker = tickers['usdt_idr'] || tickers['usdtidr'] || tickers['USDT_IDR'] || tickers['USDTIDR'];
-                const usdtRate = Number(usdtTicker?.last || usdtTicker?.buy || usdtTicker?.sell || rateStored);
-                Object.keys(tickers || {}).forEach(pair => {
-                    const info = tickers[pair];
-                    const lastRaw = info?.last ?? info?.close ?? info?.price ?? info?.sell ?? info?.buy;
-                    const last = Number(lastRaw);
-                    if (!Number.isFinite(last) || last <= 0) return;
-                    const upper = String(pair || '').toUpperCase();
-                    if (upper) {
-                        map.set(upper, last);
-                        map.set(upper.replace('_', ''), last);
-                        map.set(upper.replace('-', ''), last);
-                    }
-                    if (upper.endsWith('IDR')) {
-                        const base = upper.replace('_IDR', '').replace('IDR', '').replace('-', '').toUpperCase();
-                        const rate = Number.isFinite(usdtRate) && usdtRate > 0 ? usdtRate : rateStored;
-                        if (rate > 0 && base) {
-                            const usdtPrice = last / rate;
-                            map.set(`${base}USDT`, usdtPrice);
-                            map.set(`${base}_USDT`, usdtPrice);
-                            map.set(`${base}-USDT`, usdtPrice);
-                        }
-                    }
-                });
-                return map;
-            }
-        }
-    };
+    // Ticker endpoint & parser per CEX dari adapter (services/cex/registry.js)
+    function getSyncTickerEndpoint(cex) {
+        const tickers = window.CEX?.adapter?.(cex)?.tickers;
+        return (tickers && tickers.url && typeof tickers.parse === 'function') ? tickers : null;
+    }
 
     async function fetchTickerMapForCex(cex) {
         const key = String(cex || '').toUpperCase();
@@ -3414,7 +3456,7 @@ async function deferredInit() {
         }
 
         // Create new request promise
-        const endpoint = SYNC_TICKER_ENDPOINTS[key];
+        const endpoint = getSyncTickerEndpoint(key);
         if (!endpoint) throw new Error(`Ticker endpoint untuk ${key} tidak tersedia`);
 
         const fetchPromise = (async () => {
@@ -3422,7 +3464,7 @@ async function deferredInit() {
                 try { if (window.SCAN_LOG_ENABLED) console.log(`[fetchTickerMapForCex] Fetching ${key} ticker data...`); } catch (_) { }
                 const targetUrl = endpoint.proxy ? proxSync(endpoint.url) : endpoint.url;
                 const resp = await $.getJSON(targetUrl);
-                const map = endpoint.parser(resp) || new Map();
+                const map = endpoint.parse(resp) || new Map();
                 SYNC_TICKER_CACHE.set(key, { map, ts: Date.now() });
                 try { if (window.SCAN_LOG_ENABLED) console.log(`[fetchTickerMapForCex] ${key} ticker data cached (${map.size} pairs)`); } catch (_) { }
                 return map;
@@ -3546,7 +3588,8 @@ async function deferredInit() {
             withdraw: rec.withdraw,
             feeWD: rec.feeWD,
             current_price: parseNumberSafe(rec.current_price ?? rec.price ?? 0, 0),
-            price_timestamp: rec.price_timestamp || rec.price_ts || null
+            price_timestamp: rec.price_timestamp || rec.price_ts || null,
+            safety: rec.safety || null
         };
     }
 
@@ -3930,6 +3973,11 @@ async function deferredInit() {
     });
 
     // Refresh Snapshot - Fetch CEX data & validate with Web3
+    // Preferensi cek keamanan token saat snapshot (services/token-safety.js)
+    $(document).on('change', '#sync-safety-check', function () {
+        if (window.TokenSafety) window.TokenSafety.setEnabled($(this).is(':checked'));
+    });
+
     $(document).on('click', '#refresh-snapshot-btn', async function () {
         if (!activeSingleChainKey) {
             if (typeof toast !== 'undefined' && toast.error) toast.error("No active chain selected.");
@@ -4029,6 +4077,7 @@ async function deferredInit() {
         try {
             // Note: Don't call showSyncOverlay here - processSnapshotForCex handles its own overlay
             const snapshotModule = await ensureSnapshotModuleLoaded();
+            const safetyCheck = $('#sync-safety-check').is(':checked');
             await snapshotModule.processSnapshotForCex(
                 activeSingleChainKey,
                 selectedCexs,
@@ -4054,7 +4103,8 @@ async function deferredInit() {
                     } catch (rowErr) {
                         // console.error('Failed to render incremental token row:', rowErr);
                     }
-                }
+                },
+                { safetyCheck }
             );
 
             // Reload snapshot data from IndexedDB and update UI
@@ -4309,7 +4359,8 @@ async function deferredInit() {
                 selectedDexs,
                 dataDexs,
                 dataCexs,
-                cex: cexUpper
+                cex: cexUpper,
+                safety: tok.safety || existing?.safety || null
             };
             selectedTokens.push(tokenObj);
             // debug logs removed
@@ -5872,6 +5923,12 @@ $(document).on('click', '#histClearAll', async function () {
         }
     });
 
+    // CEX terdaftar di registry (adapter + CONFIG_CEX), fallback CONFIG_UI.CEXES
+    function getBulkCexList() {
+        if (window.CEX && typeof window.CEX.uiList === 'function') return window.CEX.uiList();
+        return CONFIG_UI?.CEXES || [];
+    }
+
     async function initBulkEditor() {
         const chainKey = bulkState.chain;
         if (!chainKey) return;
@@ -5881,7 +5938,7 @@ $(document).on('click', '#histClearAll', async function () {
 
         // Populate CEX checkboxes (vertical layout)
         const $cexContainer = $('#bulk-filter-cex').empty();
-        const cexList = CONFIG_UI?.CEXES || [];
+        const cexList = getBulkCexList();
         cexList.forEach(cex => {
             const cexKey = cex.key;
             const cexLabel = (cex.label || cexKey).toUpperCase();
@@ -6310,7 +6367,7 @@ $(document).on('click', '#histClearAll', async function () {
         const selectedCexs = getSelectedCexs();
         if (selectedCexs.length === 0) {
             $('#bulk-cex-label').text('Tidak ada');
-        } else if (selectedCexs.length === (CONFIG_UI?.CEXES?.length || 0)) {
+        } else if (selectedCexs.length === getBulkCexList().length) {
             $('#bulk-cex-label').text('Semua');
         } else {
             $('#bulk-cex-label').text(selectedCexs.join(', '));
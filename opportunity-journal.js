@@ -0,0 +1,451 @@
+// =================================================================================
+// OPPORTUNITY JOURNAL MODULE
+// =================================================================================
+/**
+ * Jurnal historis peluang arbitrase (IndexedDB terpisah: <DB_NAME>_JOURNAL)
+ * - Setiap hasil DEX dengan PNL > filter PNL (sama dengan highlight DisplayPNL) disimpan
+ *   dari stream ScanEvents 'dex:update' (core/scanner/engine.js)
+ * - Record: ts, chain, cex, dex, direction, token/pair, modal, fee, PNL bersih, sumber quote
+ * - View: filter tanggal/token/CEX/DEX, ringkasan per rute, export CSV/JSON
+ *
+ * Terpisah dari HISTORY_LOG (storage.js) yang hanya mencatat aksi user, dan tidak ikut
+ * backup exportIDB karena ukurannya bisa besar.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const JOURNAL_DB = {
+        name: `${(root.CONFIG_DB && root.CONFIG_DB.NAME) || 'MULTIALL-PLUS'}_JOURNAL`,
+        version: 1,
+        store: 'OPPORTUNITIES'
+    };
+    const MAX_RECORDS = 50000;      // Record tertua dipangkas jika melebihi batas
+    const FLUSH_DELAY = 1000;       // ms, tulis batch dalam satu transaksi
+    const VIEW_LIMIT = 500;         // Baris maksimal di tabel record
+
+    let dbInstance = null;
+    let pending = [];
+    let flushTimer = null;
+    let lastRecords = [];
+
+    // ====================
+    // INDEXEDDB
+    // ====================
+
+    function openJournalDB() {
+        if (dbInstance) return Promise.resolve(dbInstance);
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB tidak tersedia di lingkungan ini.'));
+        return new Promise((resolve, reject) => {
+            try {
+                const req = indexedDB.open(JOURNAL_DB.name, JOURNAL_DB.version);
+                req.onupgradeneeded = (ev) => {
+                    const db = ev.target.result;
+                    if (!db.objectStoreNames.contains(JOURNAL_DB.store)) {
+                        const st = db.createObjectStore(JOURNAL_DB.store, { keyPath: 'id', autoIncrement: true });
+                        st.createIndex('ts', 'ts');
+                        st.createIndex('token', 'token');
+                        st.createIndex('cex', 'cex');
+                        st.createIndex('dex', 'dex');
+                        st.createIndex('route', 'route');
+                    }
+                };
+                req.onsuccess = (ev) => {
+                    dbInstance = ev.target.result;
+                    resolve(dbInstance);
+                };
+                req.onerror = (ev) => reject(ev.target.error || new Error('Gagal buka Journal DB'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    }
+
+    async function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (!pending.length) return true;
+        const batch = pending.splice(0);
+        try {
+            const db = await openJournalDB();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction([JOURNAL_DB.store], 'readwrite');
+                const st = tx.objectStore(JOURNAL_DB.store);
+                batch.forEach(rec => st.add(rec));
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+            return true;
+        } catch (err) {
+            try { if (root.SCAN_LOG_ENABLED) console.warn('[Journal] Gagal menyimpan batch:', err); } catch (_) { }
+            return false;
+        }
+    }
+
+    async function count() {
+        const db = await openJournalDB();
+        return new Promise((resolve) => {
+            try {
+                const req = db.transaction([JOURNAL_DB.store], 'readonly').objectStore(JOURNAL_DB.store).count();
+                req.onsuccess = () => resolve(req.result || 0);
+                req.onerror = () => resolve(0);
+            } catch (_) { resolve(0); }
+        });
+    }
+
+    /** Hapus record tertua bila melebihi MAX_RECORDS. */
+    async function prune() {
+        try {
+            const total = await count();
+            let excess = total - MAX_RECORDS;
+            if (excess <= 0) return 0;
+            const removed = excess;
+            const db = await openJournalDB();
+            await new Promise((resolve) => {
+                const tx = db.transaction([JOURNAL_DB.store], 'readwrite');
+                const req = tx.objectStore(JOURNAL_DB.store).index('ts').openCursor();
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                tx.oncomplete = resolve;
+                tx.onerror = resolve;
+            });
+            return removed;
+        } catch (_) { return 0; }
+    }
+
+    /**
+     * Query record. Range tanggal memakai index 'ts', filter lain di memori.
+     * @param {object} [filter] - { from, to (ms), token, cex, dex, chain, direction, minPnl, limit }
+     * @returns {Promise<Array<object>>} terbaru lebih dulu
+     */
+    async function query(filter = {}) {
+        await flush();
+        const db = await openJournalDB();
+        const from = Number(filter.from) || 0;
+        const to = Number(filter.to) || Number.MAX_SAFE_INTEGER;
+        const limit = Number(filter.limit) > 0 ? Number(filter.limit) : Infinity;
+        const up = (v) => String(v || '').trim().toUpperCase();
+        const token = up(filter.token);
+        const cex = up(filter.cex);
+        const dex = up(filter.dex);
+        const chain = up(filter.chain);
+        const direction = filter.direction || '';
+        const minPnl = Number.isFinite(Number(filter.minPnl)) && filter.minPnl !== '' ? Number(filter.minPnl) : null;
+
+        return new Promise((resolve) => {
+            const out = [];
+            try {
+                const tx = db.transaction([JOURNAL_DB.store], 'readonly');
+                const range = IDBKeyRange.bound(from, to);
+                const req = tx.objectStore(JOURNAL_DB.store).index('ts').openCursor(range, 'prev');
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor || out.length >= limit) return resolve(out);
+                    const r = cursor.value;
+                    const match = (!token || r.token === token || r.pair === token)
+                        && (!cex || r.cex === cex)
+                        && (!dex || r.dex === dex)
+                        && (!chain || r.chain === chain)
+                        && (!direction || r.direction === direction)
+                        && (minPnl === null || r.pnl >= minPnl);
+                    if (match) out.push(r);
+                    cursor.continue();
+                };
+                req.onerror = () => resolve(out);
+            } catch (_) { resolve(out); }
+        });
+    }
+
+    async function clearAll() {
+        pending = [];
+        const db = await openJournalDB();
+        return new Promise((resolve) => {
+            const tx = db.transaction([JOURNAL_DB.store], 'readwrite');
+            tx.objectStore(JOURNAL_DB.store).clear();
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => resolve(false);
+        });
+    }
+
+    // ====================
+    // RECORDING
+    // ====================
+
+    function num(v) {
+        const n = parseFloat(v);
+        return Number.isFinite(n) ? n : 0;
+    }
+
+    function currentPnlFilter() {
+        try {
+            if (typeof root.getPNLFilter === 'function') return num(root.getPNLFilter());
+        } catch (_) { }
+        return 0;
+    }
+
+    /**
+     * Bangun record jurnal dari payload 'dex:update'.
+     * @returns {object|null}
+     */
+    function buildRecord({ token, dex, direction, update }) {
+        if (!update || update.type !== 'update' || !token) return null;
+        const isKiri = direction === 'TokentoPair';
+        const sym = String(token.symbol_in || '').toUpperCase();
+        const pair = String(token.symbol_out || '').toUpperCase();
+        const cex = String(token.cex || update.cex || '').toUpperCase();
+        const dexKey = String(dex || update.dextype || '').toUpperCase();
+        const chain = String(token.chain || update.nameChain || '').toUpperCase();
+        return {
+            ts: Date.now(),
+            chain,
+            cex,
+            dex: dexKey,
+            direction,
+            token: sym,
+            pair,
+            route: `${chain}|${cex}|${dexKey}|${sym}|${pair}|${direction}`,
+            modal: num(update.Modal),
+            feeSwap: num(update.FeeSwap),
+            // Komponen fee dari calculateResult: WD hanya dibayar CEX→DEX, transfer hanya DEX→CEX
+            feeWD: isKiri ? num(update.FeeWD) : 0,
+            feeTransfer: isKiri ? 0 : num(update.feeTransfer),
+            feeTrade: num(update.FeeTrade),
+            totalFee: num(update.totalFee),
+            pnl: num(update.profitLoss),
+            pnlPercent: num(update.profitLossPercent),
+            priceCex: num(isKiri ? update.priceBuyToken_CEX : update.priceSellToken_CEX),
+            source: String(update.dexTitle || update.strategyUsed || dexKey).toUpperCase(),
+            strategy: update.strategyUsed || null,
+            isFallback: !!update.isFallback,
+            ladderPct: (update.sizeLadder && update.sizeLadder.best) ? update.sizeLadder.best.pct : null
+        };
+    }
+
+    /** Simpan payload 'dex:update' bila PNL melewati filter PNL aktif. */
+    function record(payload) {
+        try {
+            // Hasil follower shard dicatat oleh tab leader setelah diteruskan
+            if (payload && payload.update && payload.update.shardJob) return false;
+            const rec = buildRecord(payload || {});
+            if (!rec) return false;
+            const filterPnl = currentPnlFilter();
+            const passPNL = rec.pnl > 0 && (filterPnl === 0 || rec.pnl > filterPnl);
+            if (!passPNL) return false;
+            pending.push(rec);
+            if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY);
+            return true;
+        } catch (_) { return false; }
+    }
+
+    // ====================
+    // SUMMARY & EXPORT
+    // ====================
+
+    /**
+     * Ringkasan per rute: berapa kali muncul, rata-rata/maks PNL, terakhir terlihat.
+     * @param {Array<object>} records
+     */
+    function summarizeRoutes(records) {
+        const map = new Map();
+        (records || []).forEach(r => {
+            const s = map.get(r.route) || {
+                route: r.route, chain: r.chain, cex: r.cex, dex: r.dex, token: r.token, pair: r.pair,
+                direction: r.direction, count: 0, totalPnl: 0, maxPnl: -Infinity, totalModal: 0, firstTs: r.ts, lastTs: r.ts
+            };
+            s.count++;
+            s.totalPnl += r.pnl;
+            s.totalModal += r.modal;
+            s.maxPnl = Math.max(s.maxPnl, r.pnl);
+            s.firstTs = Math.min(s.firstTs, r.ts);
+            s.lastTs = Math.max(s.lastTs, r.ts);
+            map.set(r.route, s);
+        });
+        return Array.from(map.values())
+            .map(s => Object.assign(s, { avgPnl: s.totalPnl / s.count, avgModal: s.totalModal / s.count }))
+            .sort((a, b) => b.count - a.count || b.avgPnl - a.avgPnl);
+    }
+
+    const CSV_COLUMNS = ['ts', 'time', 'chain', 'cex', 'dex', 'direction', 'token', 'pair', 'modal', 'feeSwap', 'feeWD', 'feeTransfer', 'feeTrade', 'totalFee', 'pnl', 'pnlPercent', 'priceCex', 'source', 'strategy', 'isFallback', 'ladderPct'];
+
+    function toCSV(records) {
+        const esc = (v) => {
+            const s = (v === null || v === undefined) ? '' : String(v);
+            return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const lines = [CSV_COLUMNS.join(',')];
+        (records || []).forEach(r => {
+            const row = Object.assign({}, r, { time: new Date(r.ts).toISOString() });
+            lines.push(CSV_COLUMNS.map(c => esc(row[c])).join(','));
+        });
+        return lines.join('\n');
+    }
+
+    function download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => { try { URL.revokeObjectURL(a.href); a.remove(); } catch (_) { } }, 0);
+    }
+
+    async function exportRecords(format, filter) {
+        const records = await query(filter || readFilterForm());
+        if (!records.length) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Tidak ada data jurnal untuk filter ini');
+            return false;
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'csv') {
+            download(toCSV(records), `opportunity-journal-${stamp}.csv`, 'text/csv');
+        } else {
+            download(JSON.stringify(records, null, 2), `opportunity-journal-${stamp}.json`, 'application/json');
+        }
+        if (typeof toast !== 'undefined' && toast.success) toast.success(`Export ${records.length} record jurnal berhasil`);
+        return true;
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function fmt(v, d = 2) { return num(v).toFixed(d); }
+
+    function fmtTime(ts) {
+        try { return new Date(ts).toLocaleString('id-ID', { hour12: false }); } catch (_) { return String(ts); }
+    }
+
+    function populateSelects() {
+        const fill = ($sel, keys) => {
+            if (!$sel.length || $sel.children().length > 1) return;
+            keys.forEach(k => $sel.append(`<option value="${k}">${k}</option>`));
+        };
+        fill($('#journal-filter-cex'), Object.keys(root.CONFIG_CEX || {}).map(k => k.toUpperCase()).sort());
+        fill($('#journal-filter-dex'), Object.keys(root.CONFIG_DEXS || {}).filter(k => k !== 'GLOBAL').map(k => k.toUpperCase()).sort());
+    }
+
+    function readFilterForm() {
+        const dateFrom = $('#journal-filter-from').val();
+        const dateTo = $('#journal-filter-to').val();
+        return {
+            from: dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : 0,
+            to: dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : 0,
+            token: $('#journal-filter-token').val(),
+            cex: $('#journal-filter-cex').val(),
+            dex: $('#journal-filter-dex').val(),
+            minPnl: $('#journal-filter-minpnl').val()
+        };
+    }
+
+    function renderSummary(records) {
+        const rows = summarizeRoutes(records).slice(0, 100).map(s => `
+            <tr>
+                <td>${s.chain}</td><td>${s.token}/${s.pair}</td>
+                <td>${s.direction === 'TokentoPair' ? `${s.cex} → ${s.dex}` : `${s.dex} → ${s.cex}`}</td>
+                <td class="uk-text-bold">${s.count}</td>
+                <td class="uk-text-success">${fmt(s.avgPnl)}</td>
+                <td>${fmt(s.maxPnl)}</td>
+                <td>${fmt(s.avgModal, 0)}</td>
+                <td>${fmtTime(s.lastTs)}</td>
+            </tr>`).join('');
+        $('#journal-summary').html(rows
+            ? `<table class="uk-table uk-table-small uk-table-divider uk-table-hover">
+                <thead><tr><th>Chain</th><th>Token</th><th>Rute</th><th>Muncul</th><th>Avg PNL</th><th>Max PNL</th><th>Avg Modal</th><th>Terakhir</th></tr></thead>
+                <tbody>${rows}</tbody></table>`
+            : '<p class="uk-text-meta">Belum ada peluang tercatat untuk filter ini.</p>');
+    }
+
+    function renderRecords(records) {
+        const rows = records.slice(0, VIEW_LIMIT).map(r => `
+            <tr>
+                <td>${fmtTime(r.ts)}</td><td>${r.chain}</td><td>${r.token}/${r.pair}</td>
+                <td>${r.direction === 'TokentoPair' ? `${r.cex} → ${r.dex}` : `${r.dex} → ${r.cex}`}</td>
+                <td>${fmt(r.modal, 0)}</td>
+                <td title="Swap ${fmt(r.feeSwap)} | WD ${fmt(r.feeWD)} | Transfer ${fmt(r.feeTransfer)} | Trade ${fmt(r.feeTrade)}">${fmt(r.totalFee)}</td>
+                <td class="uk-text-success uk-text-bold">${fmt(r.pnl)}</td>
+                <td>${r.source}${r.isFallback ? ' (ALT)' : ''}</td>
+            </tr>`).join('');
+        $('#journal-records').html(rows
+            ? `<table class="uk-table uk-table-small uk-table-striped">
+                <thead><tr><th>Waktu</th><th>Chain</th><th>Token</th><th>Rute</th><th>Modal</th><th>Fee</th><th>PNL</th><th>Sumber</th></tr></thead>
+                <tbody>${rows}</tbody></table>`
+            : '');
+        $('#journal-total').text(records.length > VIEW_LIMIT ? `${records.length} (tampil ${VIEW_LIMIT})` : records.length);
+    }
+
+    async function refresh() {
+        try {
+            lastRecords = await query(readFilterForm());
+            renderSummary(lastRecords);
+            renderRecords(lastRecords);
+        } catch (err) {
+            console.error('[Journal] Gagal memuat jurnal:', err);
+            if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal memuat jurnal: ' + err.message);
+        }
+    }
+
+    async function show() {
+        showMainSection('#journal-section');
+        populateSelects();
+        await refresh();
+    }
+
+    function hide() {
+        showMainSection('scanner');
+    }
+
+    async function clearWithConfirm() {
+        if (!confirm('Hapus SEMUA data jurnal peluang?')) return;
+        await clearAll();
+        await refresh();
+        if (typeof toast !== 'undefined' && toast.success) toast.success('Jurnal peluang dikosongkan');
+    }
+
+    function init() {
+        $('#journal-apply-btn').off('click').on('click', refresh);
+        $('#journal-export-csv').off('click').on('click', () => exportRecords('csv'));
+        $('#journal-export-json').off('click').on('click', () => exportRecords('json'));
+        $('#journal-clear-btn').off('click').on('click', clearWithConfirm);
+        $('#journal-close-btn').off('click').on('click', hide);
+        $(document).off('click.journal', '#openJournal').on('click.journal', '#openJournal', function (e) {
+            e.preventDefault();
+            show();
+        });
+    }
+
+    // Subscribe ke stream hasil scan (scanner.js & ScanEngine sama-sama emit ke sini)
+    try {
+        if (root.ScanEvents && typeof root.ScanEvents.on === 'function' && typeof indexedDB !== 'undefined') {
+            root.ScanEvents.on('dex:update', record);
+            root.ScanEvents.on('scan:done', flush);
+            setTimeout(prune, 5000);
+        }
+    } catch (_) { }
+
+    const OpportunityJournal = {
+        record, buildRecord, query, summarizeRoutes, toCSV, exportRecords, clearAll, flush, prune,
+        show, hide, refresh, init
+    };
+
+    if (typeof App.register === 'function') {
+        App.register('Journal', OpportunityJournal);
+    } else {
+        App.Journal = OpportunityJournal;
+    }
+
+    $(document).ready(function () {
+        init();
+    });
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,393 @@
+// =================================================================================
+// PORTFOLIO REBALANCE PLANNER
+// =================================================================================
+/**
+ * Rencana transfer untuk mengembalikan alokasi modal (satu aset, default USDT) ke target
+ * antar saldo CEX dan wallet on-chain.
+ * - Saldo: MULTI_<CEX>_DETAIL (cek asset CEX) & MULTI_assetDataCEX (cek wallet per chain)
+ * - Fee & status WD/DP per network: CEX_WALLET_STATUS (hasil Update Wallet CEX di scanner)
+ * - Rute: CEX→wallet (WD), wallet→CEX (DP, fee = gas on-chain), CEX→CEX (WD + DP di network
+ *   yang sama), wallet→wallet lewat satu CEX (DP lalu WD). Network dengan WD/DP ditutup ditolak.
+ * - Pemilihan: greedy, pasangan surplus→defisit dengan fee per unit termurah lebih dulu
+ *
+ * Target alokasi (%) disimpan di MULTI_REBALANCE_TARGETS.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const KEY_TARGETS = 'MULTI_REBALANCE_TARGETS';
+    const DEFAULT_ASSET = 'USDT';
+    const DEFAULT_MIN_TRANSFER = 10;
+
+    function num(v) {
+        const n = parseFloat(v);
+        return Number.isFinite(n) ? n : 0;
+    }
+
+    // ====================
+    // DATA
+    // ====================
+
+    function readJSON(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (_) { return fallback; }
+    }
+
+    function balanceCexList() {
+        try {
+            if (root.CEX && typeof root.CEX.list === 'function') return root.CEX.list('balances');
+        } catch (_) { }
+        return ['BINANCE', 'GATE', 'BITGET', 'KUCOIN', 'BYBIT', 'MEXC', 'INDODAX'];
+    }
+
+    /**
+     * Lokasi modal: CEX dengan detail saldo + chain wallet yang sudah dicek.
+     * @param {string} asset - simbol aset (mis. USDT)
+     * @returns {Array<{id: string, type: string, name: string, amount: number}>}
+     */
+    function buildLocations(asset) {
+        const sym = String(asset || DEFAULT_ASSET).toUpperCase();
+        const amountOf = (assets) => (Array.isArray(assets) ? assets : [])
+            .filter(item => String(item.symbol || '').toUpperCase() === sym)
+            .reduce((sum, item) => sum + num(item.amount), 0);
+
+        const locations = [];
+        balanceCexList().forEach(cex => {
+            const detail = readJSON(`MULTI_${cex}_DETAIL`, null);
+            if (!detail) return;
+            locations.push({ id: `CEX:${cex}`, type: 'CEX', name: cex, amount: amountOf(detail.assets) });
+        });
+        (readJSON('MULTI_assetDataCEX', []) || []).forEach(row => {
+            if (!row || !row.chain) return;
+            // Data wallet lama (sebelum multi-token) hanya punya satu stablecoin
+            const amount = Array.isArray(row.assets)
+                ? amountOf(row.assets)
+                : (String(row.assetSymbol || '').toUpperCase() === sym ? num(row.assetBalance) : 0);
+            const chain = String(row.chain).toLowerCase();
+            locations.push({ id: `CHAIN:${chain}`, type: 'CHAIN', name: chain, amount });
+        });
+        return locations;
+    }
+
+    function getWalletStatus() {
+        const map = (typeof getFromLocalStorage === 'function') ? getFromLocalStorage('CEX_WALLET_STATUS', {}) : {};
+        const meta = (typeof getFromLocalStorage === 'function') ? getFromLocalStorage('CEX_WALLET_STATUS_META', null) : null;
+        return { map: map || {}, meta };
+    }
+
+    function loadTargets() {
+        const saved = readJSON(KEY_TARGETS, null) || {};
+        return {
+            asset: saved.asset || DEFAULT_ASSET,
+            minTransfer: saved.minTransfer !== undefined ? num(saved.minTransfer) : DEFAULT_MIN_TRANSFER,
+            targets: saved.targets || {}
+        };
+    }
+
+    function saveTargets(settings) {
+        localStorage.setItem(KEY_TARGETS, JSON.stringify(settings));
+    }
+
+    // ====================
+    // ROUTES
+    // ====================
+
+    function chainKeys() {
+        return Object.keys(root.CHAIN_SYNONYMS || root.CONFIG_CHAINS || {});
+    }
+
+    /**
+     * Info network CEX untuk aset di chain (label network beda per CEX → cocokkan lewat
+     * WALLET_CEX.chainCEX & CHAIN_SYNONYMS, sama seperti applyWalletStatusToTokenList).
+     * @returns {{feeWDs: number, depositEnable: boolean, withdrawEnable: boolean}|null}
+     */
+    function resolveNetwork(statusMap, cex, chain, asset) {
+        const walletInfo = ((statusMap || {})[String(cex).toUpperCase()] || {})[String(asset).toUpperCase()];
+        if (!walletInfo) return null;
+        const chainKey = String(chain).toLowerCase();
+        const desired = String(root.CONFIG_CHAINS?.[chainKey]?.WALLET_CEX?.[String(cex).toUpperCase()]?.chainCEX || '').toUpperCase();
+        if (typeof root.resolveWalletChainBySynonym === 'function') {
+            return root.resolveWalletChainBySynonym(walletInfo, chainKey, desired);
+        }
+        return walletInfo[desired] || walletInfo[chainKey.toUpperCase()] || null;
+    }
+
+    function networkLabel(chain) {
+        return String(chain).toUpperCase();
+    }
+
+    /**
+     * Rute termurah dari satu lokasi ke lokasi lain.
+     * @returns {{ok: true, fee: number, network: string, via: string|null, legs: Array<string>}|{ok: false, reason: string}}
+     */
+    function cheapestRoute(from, to, asset, statusMap) {
+        const reasons = [];
+        const wd = (cex, chain) => {
+            const net = resolveNetwork(statusMap, cex, chain, asset);
+            if (!net) { reasons.push(`${cex} tidak punya network ${networkLabel(chain)}`); return null; }
+            if (net.withdrawEnable === false) { reasons.push(`WD ${cex}/${networkLabel(chain)} ditutup`); return null; }
+            return net;
+        };
+        const dp = (cex, chain) => {
+            const net = resolveNetwork(statusMap, cex, chain, asset);
+            if (!net) { reasons.push(`${cex} tidak punya network ${networkLabel(chain)}`); return null; }
+            if (net.depositEnable === false) { reasons.push(`DP ${cex}/${networkLabel(chain)} ditutup`); return null; }
+            return net;
+        };
+
+        let best = null;
+        const consider = (route) => { if (!best || route.fee < best.fee) best = route; };
+
+        if (from.type === 'CEX' && to.type === 'CHAIN') {
+            const net = wd(from.name, to.name);
+            if (net) consider({ fee: num(net.feeWDs), network: networkLabel(to.name), via: null, legs: [`WD ${from.name}`] });
+        } else if (from.type === 'CHAIN' && to.type === 'CEX') {
+            const net = dp(to.name, from.name);
+            if (net) consider({ fee: 0, network: networkLabel(from.name), via: null, legs: [`DP ${to.name}`] });
+        } else if (from.type === 'CEX' && to.type === 'CEX') {
+            chainKeys().forEach(chain => {
+                const out = wd(from.name, chain);
+                if (!out || !dp(to.name, chain)) return;
+                consider({ fee: num(out.feeWDs), network: networkLabel(chain), via: null, legs: [`WD ${from.name}`, `DP ${to.name}`] });
+            });
+        } else if (from.type === 'CHAIN' && to.type === 'CHAIN') {
+            // Tanpa bridge: setor ke CEX di chain asal lalu tarik di chain tujuan
+            Object.keys(statusMap || {}).forEach(cex => {
+                if (!dp(cex, from.name)) return;
+                const out = wd(cex, to.name);
+                if (!out) return;
+                consider({
+                    fee: num(out.feeWDs),
+                    network: `${networkLabel(from.name)} → ${networkLabel(to.name)}`,
+                    via: cex,
+                    legs: [`DP ${cex}`, `WD ${cex}`]
+                });
+            });
+        }
+
+        if (best) return Object.assign({ ok: true }, best);
+        return { ok: false, reason: Array.from(new Set(reasons)).join('; ') || 'Tidak ada network yang sama' };
+    }
+
+    // ====================
+    // PLANNER
+    // ====================
+
+    /**
+     * Susun daftar transfer menuju target alokasi.
+     * @param {Array<object>} locations - hasil buildLocations
+     * @param {object} targets - { [locationId]: persen } (dinormalisasi ke total 100)
+     * @param {object} [opts] - { asset, minTransfer, statusMap }
+     * @returns {{total: number, moves: Array<object>, unresolved: Array<object>, refused: Array<object>, rows: Array<object>}}
+     */
+    function planTransfers(locations, targets, opts = {}) {
+        const asset = String(opts.asset || DEFAULT_ASSET).toUpperCase();
+        const minTransfer = Math.max(0, num(opts.minTransfer));
+        const statusMap = opts.statusMap || {};
+        const total = locations.reduce((sum, loc) => sum + loc.amount, 0);
+        const targetSum = locations.reduce((sum, loc) => sum + Math.max(0, num(targets[loc.id])), 0);
+
+        const rows = locations.map(loc => {
+            const pct = targetSum > 0 ? Math.max(0, num(targets[loc.id])) / targetSum * 100 : 0;
+            const target = total * pct / 100;
+            return Object.assign({}, loc, {
+                currentPct: total > 0 ? (loc.amount / total) * 100 : 0,
+                targetPct: pct,
+                target,
+                diff: loc.amount - target
+            });
+        });
+
+        const surplus = rows.filter(r => r.diff > minTransfer).map(r => ({ loc: r, left: r.diff }));
+        const deficit = rows.filter(r => -r.diff > minTransfer).map(r => ({ loc: r, left: -r.diff }));
+
+        // Rute dihitung sekali per pasangan
+        const routes = new Map();
+        const refused = [];
+        surplus.forEach(s => deficit.forEach(d => {
+            const route = cheapestRoute(s.loc, d.loc, asset, statusMap);
+            routes.set(`${s.loc.id}>${d.loc.id}`, route);
+            if (!route.ok) refused.push({ from: s.loc, to: d.loc, reason: route.reason });
+        }));
+
+        const moves = [];
+        for (;;) {
+            let pick = null;
+            surplus.forEach(s => {
+                if (s.left < minTransfer || s.left <= 0) return;
+                deficit.forEach(d => {
+                    if (d.left < minTransfer || d.left <= 0) return;
+                    const route = routes.get(`${s.loc.id}>${d.loc.id}`);
+                    if (!route || !route.ok) return;
+                    const amount = Math.min(s.left, d.left);
+                    const costPerUnit = route.fee / amount;
+                    if (!pick || costPerUnit < pick.costPerUnit) pick = { s, d, route, amount, costPerUnit };
+                });
+            });
+            if (!pick) break;
+            pick.s.left -= pick.amount;
+            pick.d.left -= pick.amount;
+            moves.push({
+                from: pick.s.loc,
+                to: pick.d.loc,
+                amount: pick.amount,
+                fee: pick.route.fee,
+                received: Math.max(0, pick.amount - pick.route.fee),
+                network: pick.route.network,
+                via: pick.route.via,
+                legs: pick.route.legs
+            });
+        }
+
+        const unresolved = deficit.filter(d => d.left >= minTransfer && d.left > 0)
+            .map(d => ({ loc: d.loc, amount: d.left }));
+        return { asset, total, moves, unresolved, refused, rows };
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function fmt(v, d = 2) { return num(v).toFixed(d); }
+
+    function labelOf(loc) {
+        return loc.type === 'CEX'
+            ? `<span class="uk-label">CEX</span> ${loc.name}`
+            : `<span class="uk-label uk-label-warning">CHAIN</span> ${String(loc.name).toUpperCase()}`;
+    }
+
+    function readSettings() {
+        const targets = {};
+        $('#rebalance-locations input[data-location]').each(function () {
+            targets[$(this).data('location')] = num($(this).val());
+        });
+        return {
+            asset: String($('#rebalance-asset').val() || DEFAULT_ASSET).trim().toUpperCase(),
+            minTransfer: num($('#rebalance-min').val()),
+            targets
+        };
+    }
+
+    function renderLocations() {
+        const settings = loadTargets();
+        $('#rebalance-asset').val(settings.asset);
+        $('#rebalance-min').val(settings.minTransfer);
+        const locations = buildLocations(settings.asset);
+        const total = locations.reduce((sum, loc) => sum + loc.amount, 0);
+        const rows = locations.map(loc => `
+            <tr>
+                <td>${labelOf(loc)}</td>
+                <td class="uk-text-right">${fmt(loc.amount)}</td>
+                <td class="uk-text-right">${fmt(total > 0 ? loc.amount / total * 100 : 0, 1)}%</td>
+                <td class="uk-text-right">
+                    <input class="uk-input uk-form-small uk-form-width-xsmall uk-text-right" type="number" min="0" step="1"
+                        data-location="${loc.id}" value="${num(settings.targets[loc.id])}">
+                </td>
+            </tr>`).join('');
+        $('#rebalance-locations').html(rows
+            ? `<table class="uk-table uk-table-small uk-table-striped table-glass">
+                <thead><tr><th>Lokasi</th><th>Saldo ${settings.asset}</th><th>Saat ini</th><th>Target %</th></tr></thead>
+                <tbody>${rows}</tbody></table>`
+            : '<p class="uk-text-meta">Belum ada saldo. Jalankan cek saldo CEX & wallet dulu.</p>');
+
+        const { meta } = getWalletStatus();
+        $('#rebalance-status-info').text(meta && meta.time
+            ? `Status WD/DP: ${new Date(meta.time).toLocaleString('id-ID', { hour12: false })}`
+            : 'Status WD/DP belum ada — jalankan Update Wallet CEX di scanner.');
+        $('#rebalance-plan').empty();
+    }
+
+    function renderPlan(plan) {
+        const moveRows = plan.moves.map((m, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${labelOf(m.from)}</td>
+                <td>${labelOf(m.to)}</td>
+                <td class="uk-text-right uk-text-bold">${fmt(m.amount)}</td>
+                <td>${m.network}${m.via ? ` <span class="uk-text-meta">via ${m.via}</span>` : ''}</td>
+                <td class="uk-text-right">${m.fee > 0 ? fmt(m.fee, 4) : (m.from.type === 'CHAIN' ? 'gas' : '0')}</td>
+                <td class="uk-text-meta">${m.legs.join(' → ')}</td>
+            </tr>`).join('');
+        const totalFee = plan.moves.reduce((sum, m) => sum + m.fee, 0);
+        const unresolved = plan.unresolved.map(u =>
+            `<li>${labelOf(u.loc)} masih kurang ${fmt(u.amount)} ${plan.asset}</li>`).join('');
+        const refused = plan.refused.map(r =>
+            `<li>${labelOf(r.from)} → ${labelOf(r.to)}: <span class="uk-text-danger">${r.reason}</span></li>`).join('');
+
+        $('#rebalance-plan').html(`
+            ${moveRows
+                ? `<table class="uk-table uk-table-small uk-table-striped table-glass">
+                    <thead><tr><th>#</th><th>Dari</th><th>Ke</th><th>Jumlah</th><th>Network</th><th>Fee</th><th>Langkah</th></tr></thead>
+                    <tbody>${moveRows}</tbody></table>
+                   <p class="uk-text-small uk-text-bold">Total fee: ${fmt(totalFee, 4)} ${plan.asset} (${plan.moves.length} transfer)</p>`
+                : '<p class="uk-text-meta">Alokasi sudah sesuai target (selisih di bawah minimal transfer).</p>'}
+            ${unresolved ? `<div class="uk-alert-warning" uk-alert><b>Tidak tercapai:</b><ul class="uk-list uk-list-collapse">${unresolved}</ul></div>` : ''}
+            ${refused ? `<ul uk-accordion><li><a class="uk-accordion-title uk-text-small" href="#">Rute ditolak (${plan.refused.length})</a>
+                <div class="uk-accordion-content"><ul class="uk-list uk-list-collapse uk-text-small">${refused}</ul></div></li></ul>` : ''}
+        `);
+    }
+
+    function calculate() {
+        const settings = readSettings();
+        saveTargets(settings);
+        const locations = buildLocations(settings.asset);
+        if (!locations.length) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Belum ada saldo CEX / wallet untuk direncanakan');
+            return null;
+        }
+        const targetSum = Object.values(settings.targets).reduce((sum, v) => sum + Math.max(0, v), 0);
+        if (targetSum <= 0) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Isi target alokasi (%) minimal satu lokasi');
+            return null;
+        }
+        const plan = planTransfers(locations, settings.targets, {
+            asset: settings.asset,
+            minTransfer: settings.minTransfer,
+            statusMap: getWalletStatus().map
+        });
+        renderPlan(plan);
+        return plan;
+    }
+
+    function show() {
+        renderLocations();
+        UIkit.modal('#rebalance-modal').show();
+    }
+
+    function init() {
+        $('#openRebalance').off('click').on('click', function (e) {
+            e.preventDefault();
+            show();
+        });
+        $('#rebalance-asset').off('change').on('change', function () {
+            const settings = loadTargets();
+            settings.asset = String($(this).val() || DEFAULT_ASSET).trim().toUpperCase();
+            saveTargets(settings);
+            renderLocations();
+        });
+        $('#rebalance-calc').off('click').on('click', calculate);
+    }
+
+    const RebalancePlanner = {
+        buildLocations, resolveNetwork, cheapestRoute, planTransfers, loadTargets, saveTargets,
+        calculate, show, init
+    };
+
+    if (typeof App.register === 'function') {
+        App.register('RebalancePlanner', RebalancePlanner);
+    } else {
+        App.RebalancePlanner = RebalancePlanner;
+    }
+    root.RebalancePlanner = RebalancePlanner;
+
+    $(document).ready(function () {
+        init();
+    });
+
+})(typeof window !== 'undefined' ? window : this);
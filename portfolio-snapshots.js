@@ -0,0 +1,644 @@
+// =================================================================================
+// PORTFOLIO SNAPSHOTS MODULE
+// =================================================================================
+/**
+ * Snapshot equity portofolio (IndexedDB terpisah: <DB_NAME>_PORTFOLIO)
+ * - Otomatis: tiap interval (MULTI_SNAPSHOT_INTERVAL) cek saldo wallet + CEX lalu simpan total
+ *   selama portofolio.html terbuka; manual: setiap addTableHistory (start/update/reset)
+ * - Record: ts, total, cex, wallet, modal, saldo per exchange & per chain
+ * - View: equity curve + drawdown, PNL harian/mingguan/bulanan, breakdown per exchange/chain,
+ *   export rekap CSV/JSON untuk rentang tanggal apa pun
+ *
+ * MULTI_history (riwayat PNL manual) tetap dipakai tabel PNL & rekap lama.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const SNAPSHOT_DB = {
+        name: `${(root.CONFIG_DB && root.CONFIG_DB.NAME) || 'MULTIALL-PLUS'}_PORTFOLIO`,
+        version: 1,
+        store: 'SNAPSHOTS'
+    };
+    const KEY_INTERVAL = 'MULTI_SNAPSHOT_INTERVAL'; // menit, 0 = nonaktif
+    const MAX_RECORDS = 20000;      // Snapshot tertua dipangkas jika melebihi batas
+    const TICK_MS = 60000;          // Cek jadwal tiap menit
+    const CHECK_TIMEOUT_MS = 120000;
+
+    let dbInstance = null;
+    let tickTimer = null;
+    let running = false;
+    let lastSnapshotTs = null;
+    let lastAttemptTs = 0;          // Snapshot otomatis terakhir dicoba (berhasil atau dilewati)
+    let lastRecap = null;
+
+    // ====================
+    // INDEXEDDB
+    // ====================
+
+    function openSnapshotDB() {
+        if (dbInstance) return Promise.resolve(dbInstance);
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB tidak tersedia di lingkungan ini.'));
+        return new Promise((resolve, reject) => {
+            try {
+                const req = indexedDB.open(SNAPSHOT_DB.name, SNAPSHOT_DB.version);
+                req.onupgradeneeded = (ev) => {
+                    const db = ev.target.result;
+                    if (!db.objectStoreNames.contains(SNAPSHOT_DB.store)) {
+                        const st = db.createObjectStore(SNAPSHOT_DB.store, { keyPath: 'id', autoIncrement: true });
+                        st.createIndex('ts', 'ts');
+                    }
+                };
+                req.onsuccess = (ev) => {
+                    dbInstance = ev.target.result;
+                    resolve(dbInstance);
+                };
+                req.onerror = (ev) => reject(ev.target.error || new Error('Gagal buka Portfolio DB'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    }
+
+    async function add(rec) {
+        const db = await openSnapshotDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction([SNAPSHOT_DB.store], 'readwrite');
+            tx.objectStore(SNAPSHOT_DB.store).add(rec);
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        lastSnapshotTs = rec.ts;
+        return rec;
+    }
+
+    async function count() {
+        const db = await openSnapshotDB();
+        return new Promise((resolve) => {
+            try {
+                const req = db.transaction([SNAPSHOT_DB.store], 'readonly').objectStore(SNAPSHOT_DB.store).count();
+                req.onsuccess = () => resolve(req.result || 0);
+                req.onerror = () => resolve(0);
+            } catch (_) { resolve(0); }
+        });
+    }
+
+    /** Hapus snapshot tertua bila melebihi MAX_RECORDS. */
+    async function prune() {
+        try {
+            let excess = (await count()) - MAX_RECORDS;
+            if (excess <= 0) return 0;
+            const removed = excess;
+            const db = await openSnapshotDB();
+            await new Promise((resolve) => {
+                const tx = db.transaction([SNAPSHOT_DB.store], 'readwrite');
+                const req = tx.objectStore(SNAPSHOT_DB.store).index('ts').openCursor();
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                tx.oncomplete = resolve;
+                tx.onerror = resolve;
+            });
+            return removed;
+        } catch (_) { return 0; }
+    }
+
+    /**
+     * Snapshot dalam rentang waktu, urut lama → baru.
+     * @param {object} [range] - { from, to } (ms)
+     * @returns {Promise<Array<object>>}
+     */
+    async function query(range = {}) {
+        const db = await openSnapshotDB();
+        const from = Number(range.from) || 0;
+        const to = Number(range.to) || Number.MAX_SAFE_INTEGER;
+        return new Promise((resolve) => {
+            const out = [];
+            try {
+                const req = db.transaction([SNAPSHOT_DB.store], 'readonly').objectStore(SNAPSHOT_DB.store)
+                    .index('ts').openCursor(IDBKeyRange.bound(from, to));
+                req.onsuccess = () => {
+                    const cursor = req.result;
+                    if (!cursor) return resolve(out);
+                    out.push(cursor.value);
+                    cursor.continue();
+                };
+                req.onerror = () => resolve(out);
+            } catch (_) { resolve(out); }
+        });
+    }
+
+    async function latestTs() {
+        if (lastSnapshotTs !== null) return lastSnapshotTs;
+        const db = await openSnapshotDB();
+        return new Promise((resolve) => {
+            try {
+                const req = db.transaction([SNAPSHOT_DB.store], 'readonly').objectStore(SNAPSHOT_DB.store)
+                    .index('ts').openCursor(null, 'prev');
+                req.onsuccess = () => {
+                    lastSnapshotTs = req.result ? req.result.value.ts : 0;
+                    resolve(lastSnapshotTs);
+                };
+                req.onerror = () => resolve(0);
+            } catch (_) { resolve(0); }
+        });
+    }
+
+    async function clearAll() {
+        const db = await openSnapshotDB();
+        lastSnapshotTs = 0;
+        return new Promise((resolve) => {
+            const tx = db.transaction([SNAPSHOT_DB.store], 'readwrite');
+            tx.objectStore(SNAPSHOT_DB.store).clear();
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => resolve(false);
+        });
+    }
+
+    // ====================
+    // CAPTURE
+    // ====================
+
+    function num(v) {
+        const n = parseFloat(v);
+        return Number.isFinite(n) ? n : 0;
+    }
+
+    function balanceCexList() {
+        try {
+            if (root.CEX && typeof root.CEX.list === 'function') return root.CEX.list('balances');
+        } catch (_) { }
+        return ['BINANCE', 'GATE', 'BITGET', 'KUCOIN', 'BYBIT', 'MEXC', 'INDODAX'];
+    }
+
+    /** Bangun snapshot dari saldo terakhir yang disimpan halaman portofolio (MULTI_*). */
+    function buildSnapshot(source) {
+        const exchanges = {};
+        balanceCexList().forEach(cex => {
+            const saldo = num(localStorage.getItem(`MULTI_${cex}Saldo`));
+            if (saldo > 0) exchanges[cex] = Number(saldo.toFixed(2));
+        });
+        const chains = {};
+        try {
+            (JSON.parse(localStorage.getItem('MULTI_assetDataCEX')) || []).forEach(row => {
+                if (row && row.chain) chains[String(row.chain).toUpperCase()] = Number(num(row.total).toFixed(2));
+            });
+        } catch (_) { }
+        const cex = num(localStorage.getItem('MULTI_TotalSaldoCEX'));
+        const wallet = num(localStorage.getItem('MULTI_TotalSaldoChain'));
+        return {
+            ts: Date.now(),
+            source: source || 'manual',
+            total: Number((cex + wallet).toFixed(2)),
+            cex: Number(cex.toFixed(2)),
+            wallet: Number(wallet.toFixed(2)),
+            modal: Number(num(localStorage.getItem('MULTI_MODALAWAL')).toFixed(2)),
+            exchanges,
+            chains
+        };
+    }
+
+    /** Simpan snapshot dari saldo tersimpan (tanpa cek ulang). */
+    async function capture(source) {
+        try {
+            const rec = buildSnapshot(source);
+            if (rec.total <= 0) return null;
+            return await add(rec);
+        } catch (err) {
+            console.warn('[Snapshot] Gagal menyimpan snapshot:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Cek saldo wallet + CEX lewat handler tombol yang sama dengan Update History PNL.
+     * Handler mengirim status { ok, failed?, error? } di event *CheckCompleted.
+     * @returns {Promise<{wallet: object, cex: object}>}
+     */
+    function refreshBalances() {
+        const waitFor = (eventName) => new Promise(resolve => {
+            const handler = (ev, status) => {
+                clearTimeout(timer);
+                resolve(status || { ok: false, error: 'status tidak dikirim' });
+            };
+            const timer = setTimeout(() => {
+                $(document).off(eventName, handler);
+                resolve({ ok: false, error: 'timeout' });
+            }, CHECK_TIMEOUT_MS);
+            $(document).one(eventName, handler);
+        });
+        const done = Promise.all([waitFor('WalletCheckCompleted'), waitFor('CEXCheckCompleted')])
+            .then(([wallet, cex]) => ({ wallet, cex }));
+        $('#SaveWalletChains').trigger('click');
+        $('#SaveConfigCEXS').trigger('click');
+        return done;
+    }
+
+    function describeFailure(label, status) {
+        if (!status || status.ok) return null;
+        const failed = Array.isArray(status.failed) && status.failed.length ? status.failed.join(', ') : '';
+        return `${label}: ${status.error || ''}${status.error && failed ? ' ' : ''}${failed}`.trim();
+    }
+
+    /**
+     * Snapshot terjadwal: cek saldo terbaru lalu simpan. Dilewati (null) jika salah satu
+     * cek gagal, karena saldo "0" dari error akan tercatat sebagai drawdown palsu.
+     * @param {{manual?: boolean}} [opts] - manual: user hadir, prompt passphrase vault boleh muncul
+     */
+    async function runScheduled(opts) {
+        const overlay = root.BalanceCheckOverlay;
+        // Jangan tabrakan dengan cek saldo manual yang sedang berjalan
+        if (running || (overlay && overlay.isActive)) return null;
+        // Vault terkunci → cek CEX akan membuka prompt passphrase tanpa ada yang menjawab
+        const vault = root.CredentialVault;
+        if (!(opts && opts.manual) && vault && vault.isEnabled() && !vault.isUnlocked()) {
+            console.warn('[Snapshot] Snapshot otomatis dilewati: vault API key terkunci');
+            return null;
+        }
+        running = true;
+        try {
+            if (overlay) {
+                overlay.show('Snapshot Otomatis', 'Mengambil saldo wallet dan exchanger...');
+                overlay.updateProgress(20, 'Mengecek saldo...');
+            }
+            const status = await refreshBalances();
+            const failures = [describeFailure('Wallet', status.wallet), describeFailure('CEX', status.cex)].filter(Boolean);
+            if (failures.length) {
+                console.warn(`[Snapshot] Snapshot otomatis dilewati, cek saldo gagal (${failures.join(' | ')})`);
+                return null;
+            }
+            if (overlay) overlay.updateProgress(90, 'Menyimpan snapshot...');
+            const rec = await capture('auto');
+            await prune();
+            if ($('#equity-modal').hasClass('uk-open')) await refresh();
+            return rec;
+        } finally {
+            running = false;
+            if (overlay) setTimeout(() => overlay.hide(), 300);
+        }
+    }
+
+    function getIntervalMinutes() {
+        return Math.max(0, parseInt(localStorage.getItem(KEY_INTERVAL), 10) || 0);
+    }
+
+    function setIntervalMinutes(minutes) {
+        localStorage.setItem(KEY_INTERVAL, String(Math.max(0, parseInt(minutes, 10) || 0)));
+        startScheduler();
+    }
+
+    async function tick() {
+        const minutes = getIntervalMinutes();
+        if (!minutes) return;
+        try {
+            // Percobaan yang gagal/dilewati juga menunggu 1 interval (cek saldo memblokir UI)
+            const last = Math.max(await latestTs(), lastAttemptTs);
+            if (Date.now() - last < minutes * 60000) return;
+            lastAttemptTs = Date.now();
+            await runScheduled();
+        } catch (err) {
+            console.warn('[Snapshot] Jadwal snapshot gagal:', err);
+        }
+    }
+
+    function startScheduler() {
+        if (tickTimer) clearInterval(tickTimer);
+        tickTimer = null;
+        if (!getIntervalMinutes() || typeof indexedDB === 'undefined') return;
+        tickTimer = setInterval(tick, TICK_MS);
+        setTimeout(tick, 5000);
+    }
+
+    // ====================
+    // RECAP
+    // ====================
+
+    function pad(n) { return String(n).padStart(2, '0'); }
+
+    function dayKey(d) { return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`; }
+
+    /** Kunci periode (waktu lokal): harian YYYY-MM-DD, mingguan = tanggal Senin, bulanan YYYY-MM */
+    function periodKey(ts, period) {
+        const d = new Date(ts);
+        if (period === 'month') return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+        if (period === 'week') {
+            const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+            return dayKey(monday);
+        }
+        return dayKey(d);
+    }
+
+    /** Drawdown per snapshot dari puncak equity sebelumnya (%). */
+    function withDrawdown(snapshots) {
+        let peak = 0;
+        return (snapshots || []).map(s => {
+            peak = Math.max(peak, s.total);
+            const drawdown = peak > 0 ? ((s.total - peak) / peak) * 100 : 0;
+            return Object.assign({}, s, { peak, drawdown });
+        });
+    }
+
+    /**
+     * Ringkasan PNL per periode. PNL = close periode - close periode sebelumnya
+     * (periode pertama: dibanding snapshot pertamanya).
+     * @param {Array<object>} snapshots - urut lama → baru
+     * @param {string} period - 'day' | 'week' | 'month'
+     */
+    function summarizePeriods(snapshots, period) {
+        const groups = new Map();
+        withDrawdown(snapshots).forEach(s => {
+            const key = periodKey(s.ts, period);
+            const g = groups.get(key) || { period: key, open: s.total, close: s.total, high: s.total, low: s.total, maxDrawdown: 0, count: 0 };
+            g.close = s.total;
+            g.high = Math.max(g.high, s.total);
+            g.low = Math.min(g.low, s.total);
+            g.maxDrawdown = Math.min(g.maxDrawdown, s.drawdown);
+            g.count++;
+            groups.set(key, g);
+        });
+        let prevClose = null;
+        return Array.from(groups.values()).map(g => {
+            const base = prevClose === null ? g.open : prevClose;
+            prevClose = g.close;
+            const pnl = g.close - base;
+            return Object.assign(g, { pnl, pnlPercent: base > 0 ? (pnl / base) * 100 : 0 });
+        });
+    }
+
+    /** Saldo awal/akhir per exchange & chain dalam rentang. */
+    function summarizeBreakdown(snapshots) {
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+        if (!first || !last) return [];
+        const rows = [];
+        const collect = (type, field) => {
+            const keys = new Set([...Object.keys(first[field] || {}), ...Object.keys(last[field] || {})]);
+            keys.forEach(name => {
+                const start = num((first[field] || {})[name]);
+                const end = num((last[field] || {})[name]);
+                rows.push({
+                    type, name, start, end,
+                    change: end - start,
+                    share: last.total > 0 ? (end / last.total) * 100 : 0
+                });
+            });
+        };
+        collect('CEX', 'exchanges');
+        collect('CHAIN', 'chains');
+        return rows.sort((a, b) => b.end - a.end);
+    }
+
+    /**
+     * Rekap lengkap rentang tanggal.
+     * @param {object} range - { from, to } (ms)
+     * @param {string} [period='day']
+     */
+    async function buildRecap(range, period = 'day') {
+        const snapshots = await query(range);
+        const series = withDrawdown(snapshots);
+        const first = series[0];
+        const last = series[series.length - 1];
+        return {
+            from: range.from || (first ? first.ts : 0),
+            to: range.to || (last ? last.ts : 0),
+            period,
+            count: series.length,
+            start: first ? first.total : 0,
+            end: last ? last.total : 0,
+            pnl: first ? last.total - first.total : 0,
+            pnlPercent: first && first.total > 0 ? ((last.total - first.total) / first.total) * 100 : 0,
+            maxDrawdown: series.reduce((min, s) => Math.min(min, s.drawdown), 0),
+            periods: summarizePeriods(snapshots, period),
+            breakdown: summarizeBreakdown(snapshots),
+            snapshots: series
+        };
+    }
+
+    // ====================
+    // EXPORT
+    // ====================
+
+    const CSV_COLUMNS = ['period', 'open', 'close', 'high', 'low', 'pnl', 'pnlPercent', 'maxDrawdown', 'count'];
+
+    function toCSV(recap) {
+        const lines = [CSV_COLUMNS.join(',')];
+        (recap.periods || []).forEach(p => {
+            lines.push(CSV_COLUMNS.map(c => (typeof p[c] === 'number' ? Number(p[c].toFixed(4)) : p[c])).join(','));
+        });
+        return lines.join('\n');
+    }
+
+    function download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => { try { URL.revokeObjectURL(a.href); a.remove(); } catch (_) { } }, 0);
+    }
+
+    async function exportRecap(format) {
+        const { range, period } = readForm();
+        const recap = await buildRecap(range, period);
+        if (!recap.count) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Tidak ada snapshot dalam rentang tanggal ini');
+            return false;
+        }
+        const stamp = `${dayKey(new Date(recap.from))}_${dayKey(new Date(recap.to))}`;
+        if (format === 'csv') {
+            download(toCSV(recap), `portfolio-recap-${period}-${stamp}.csv`, 'text/csv');
+        } else {
+            download(JSON.stringify(recap, null, 2), `portfolio-recap-${stamp}.json`, 'application/json');
+        }
+        if (typeof toast !== 'undefined' && toast.success) toast.success(`Export rekap ${recap.count} snapshot berhasil`);
+        return true;
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function fmt(v, d = 2) { return num(v).toFixed(d); }
+
+    function fmtTime(ts) {
+        try { return new Date(ts).toLocaleString('id-ID', { hour12: false }); } catch (_) { return String(ts); }
+    }
+
+    function signClass(v) { return v > 0 ? 'uk-text-success' : (v < 0 ? 'uk-text-danger' : 'uk-text-primary'); }
+
+    function readForm() {
+        const dateFrom = $('#equity-from').val();
+        const dateTo = $('#equity-to').val();
+        return {
+            range: {
+                from: dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : 0,
+                to: dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : 0
+            },
+            period: $('#equity-period').val() || 'day'
+        };
+    }
+
+    /** Equity curve (atas) + drawdown (bawah) sebagai SVG inline. */
+    function renderChart(series) {
+        if (series.length < 2) {
+            return '<p class="uk-text-meta uk-text-center">Minimal 2 snapshot untuk menampilkan equity curve.</p>';
+        }
+        const W = 600, H = 180, DD_H = 60, P = 4;
+        const t0 = series[0].ts;
+        const tSpan = Math.max(1, series[series.length - 1].ts - t0);
+        const values = series.map(s => s.total);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const vSpan = Math.max(1e-9, max - min);
+        const minDD = Math.min(-1e-9, ...series.map(s => s.drawdown));
+        const x = (ts) => (P + ((ts - t0) / tSpan) * (W - 2 * P)).toFixed(1);
+        const y = (v) => (P + (1 - (v - min) / vSpan) * (H - 2 * P)).toFixed(1);
+        const yDD = (dd) => ((dd / minDD) * (DD_H - P)).toFixed(1);
+        const equity = series.map(s => `${x(s.ts)},${y(s.total)}`).join(' ');
+        const drawdown = `${x(t0)},0 ${series.map(s => `${x(s.ts)},${yDD(s.drawdown)}`).join(' ')} ${x(series[series.length - 1].ts)},0`;
+        return `
+            <div class="uk-flex uk-flex-between uk-text-small uk-text-muted"><span>Max $${fmt(max)}</span><span>Min $${fmt(min)}</span></div>
+            <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" style="width:100%;height:${H}px;">
+                <polyline points="${equity}" fill="none" stroke="#1e87f0" stroke-width="2" vector-effect="non-scaling-stroke"/>
+            </svg>
+            <div class="uk-text-small uk-text-muted">Drawdown (max ${fmt(minDD > -1e-6 ? 0 : minDD)}%)</div>
+            <svg viewBox="0 0 ${W} ${DD_H}" preserveAspectRatio="none" style="width:100%;height:${DD_H}px;">
+                <polygon points="${drawdown}" fill="rgba(240,80,110,0.35)" stroke="#f0506e" stroke-width="1" vector-effect="non-scaling-stroke"/>
+            </svg>
+            <div class="uk-flex uk-flex-between uk-text-small uk-text-muted"><span>${fmtTime(t0)}</span><span>${fmtTime(series[series.length - 1].ts)}</span></div>
+        `;
+    }
+
+    function renderStats(recap) {
+        $('#equity-stats').html(`
+            <div class="uk-grid-small uk-child-width-1-5@s uk-text-center" uk-grid>
+                <div><div class="uk-text-meta">Snapshot</div><b>${recap.count}</b></div>
+                <div><div class="uk-text-meta">Awal</div><b>$${fmt(recap.start)}</b></div>
+                <div><div class="uk-text-meta">Akhir</div><b>$${fmt(recap.end)}</b></div>
+                <div><div class="uk-text-meta">PNL</div><b class="${signClass(recap.pnl)}">$${fmt(recap.pnl)} (${fmt(recap.pnlPercent)}%)</b></div>
+                <div><div class="uk-text-meta">Max Drawdown</div><b class="uk-text-danger">${fmt(recap.maxDrawdown)}%</b></div>
+            </div>
+        `);
+    }
+
+    function renderPeriods(periods) {
+        const rows = periods.slice().reverse().map(p => `
+            <tr>
+                <td class="uk-text-bold">${p.period}</td>
+                <td class="uk-text-right">$${fmt(p.open)}</td>
+                <td class="uk-text-right">$${fmt(p.close)}</td>
+                <td class="uk-text-right ${signClass(p.pnl)}"><b>$${fmt(p.pnl)}</b></td>
+                <td class="uk-text-right ${signClass(p.pnl)}">${fmt(p.pnlPercent)}%</td>
+                <td class="uk-text-right uk-text-danger">${fmt(p.maxDrawdown)}%</td>
+            </tr>`).join('');
+        $('#equity-periods').html(rows
+            ? `<table class="uk-table uk-table-small uk-table-striped table-glass">
+                <thead><tr><th>Periode</th><th>Open</th><th>Close</th><th>PNL</th><th>%</th><th>Max DD</th></tr></thead>
+                <tbody>${rows}</tbody></table>`
+            : '');
+    }
+
+    function renderBreakdown(breakdown) {
+        const rows = breakdown.map(b => `
+            <tr>
+                <td><span class="uk-label ${b.type === 'CEX' ? '' : 'uk-label-warning'}">${b.type}</span> ${b.name}</td>
+                <td class="uk-text-right">$${fmt(b.start)}</td>
+                <td class="uk-text-right">$${fmt(b.end)}</td>
+                <td class="uk-text-right ${signClass(b.change)}">$${fmt(b.change)}</td>
+                <td class="uk-text-right">${fmt(b.share, 1)}%</td>
+            </tr>`).join('');
+        $('#equity-breakdown').html(rows
+            ? `<table class="uk-table uk-table-small uk-table-striped table-glass">
+                <thead><tr><th>Exchange / Chain</th><th>Awal</th><th>Akhir</th><th>Perubahan</th><th>Porsi</th></tr></thead>
+                <tbody>${rows}</tbody></table>`
+            : '');
+    }
+
+    async function refresh() {
+        try {
+            const { range, period } = readForm();
+            lastRecap = await buildRecap(range, period);
+            renderStats(lastRecap);
+            $('#equity-chart').html(renderChart(lastRecap.snapshots));
+            renderPeriods(lastRecap.periods);
+            renderBreakdown(lastRecap.breakdown);
+        } catch (err) {
+            console.error('[Snapshot] Gagal memuat equity curve:', err);
+            if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal memuat snapshot: ' + err.message);
+        }
+    }
+
+    async function show() {
+        if (!$('#equity-from').val() && !$('#equity-to').val()) {
+            const today = new Date();
+            const monthAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 30);
+            $('#equity-from').val(dayKey(monthAgo));
+            $('#equity-to').val(dayKey(today));
+        }
+        $('#equity-interval').val(String(getIntervalMinutes()));
+        UIkit.modal('#equity-modal').show();
+        await refresh();
+    }
+
+    async function snapshotNow() {
+        const rec = await runScheduled({ manual: true });
+        if (typeof toast !== 'undefined') {
+            if (rec && toast.success) toast.success(`Snapshot tersimpan: $${fmt(rec.total)}`);
+            else if (!rec && toast.warning) toast.warning('Snapshot tidak tersimpan (cek saldo sedang berjalan, gagal, atau saldo 0)');
+        }
+    }
+
+    async function clearWithConfirm() {
+        if (!confirm('Hapus SEMUA snapshot portofolio?')) return;
+        await clearAll();
+        await refresh();
+        if (typeof toast !== 'undefined' && toast.success) toast.success('Snapshot portofolio dikosongkan');
+    }
+
+    function init() {
+        $('#openEquityCurve').off('click').on('click', function (e) {
+            e.preventDefault();
+            show();
+        });
+        $('#equity-apply').off('click').on('click', refresh);
+        $('#equity-period').off('change').on('change', refresh);
+        $('#equity-interval').off('change').on('change', function () {
+            setIntervalMinutes($(this).val());
+            if (typeof toast !== 'undefined' && toast.info) {
+                const minutes = getIntervalMinutes();
+                toast.info(minutes ? `Snapshot otomatis tiap ${minutes} menit` : 'Snapshot otomatis dinonaktifkan');
+            }
+        });
+        $('#equity-snapshot-now').off('click').on('click', snapshotNow);
+        $('#equity-export-csv').off('click').on('click', () => exportRecap('csv'));
+        $('#equity-export-json').off('click').on('click', () => exportRecap('json'));
+        $('#equity-clear').off('click').on('click', clearWithConfirm);
+        startScheduler();
+    }
+
+    const PortfolioSnapshots = {
+        capture, runScheduled, query, buildRecap, summarizePeriods, summarizeBreakdown, withDrawdown,
+        toCSV, exportRecap, clearAll, prune, getIntervalMinutes, setIntervalMinutes,
+        show, refresh, init
+    };
+
+    if (typeof App.register === 'function') {
+        App.register('PortfolioSnapshots', PortfolioSnapshots);
+    } else {
+        App.PortfolioSnapshots = PortfolioSnapshots;
+    }
+    root.PortfolioSnapshots = PortfolioSnapshots;
+
+    $(document).ready(function () {
+        init();
+    });
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,413 @@
+// =================================================================================
+// ROUTE SHEET MODULE
+// =================================================================================
+/**
+ * Lembar rute eksekusi untuk satu peluang (klik 📋 di sel PNL, lihat DisplayPNL)
+ * - Data diambil dari stream ScanEvents: 'cex:result' (harga + orderbook CEX) dan
+ *   'dex:update' (hasil calculateResult) disimpan per ID sel
+ * - CEX→DEX: beli TOKEN di CEX per level orderbook → WD ke wallet (network + fee) →
+ *   swap di DEX (min-out sesuai slippage) → DP PAIR ke alamat CEX → jual PAIR
+ * - DEX→CEX: swap PAIR di DEX → DP TOKEN ke alamat CEX → jual TOKEN per level bids
+ * - Setiap langkah menampilkan estimasi saldo sesudahnya + checklist yang bisa di-copy
+ *
+ * Alamat deposit dari CONFIG_CHAINS[chain].WALLET_CEX[CEX], network dari chainCEX-nya.
+ * Angka adalah estimasi dari scan terakhir, bukan harga eksekusi.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const DEFAULT_SLIPPAGE_PCT = 0.5;   // Toleransi slippage default untuk min-out swap
+    const MAX_ORDERBOOK_LEVELS = 4;     // Sama dengan batas calculateAutoVolume (api.js)
+    const MAX_CACHE = 2000;             // Batas entri cache hasil DEX per sel
+
+    const cexCache = new Map();         // tokenKey → DataCEX terakhir
+    const dexCache = new Map();         // id sel → { token, dex, direction, update, cexData, ts }
+    let current = null;                 // Entri yang sedang dibuka di modal
+
+    // ====================
+    // CACHE DARI SCAN
+    // ====================
+
+    function num(v) {
+        const n = parseFloat(v);
+        return Number.isFinite(n) ? n : 0;
+    }
+
+    function up(v) { return String(v || '').toUpperCase(); }
+
+    function tokenKey(token) {
+        return `${up(token.cex)}|${String(token.chain || '').toLowerCase()}|${String(token.id || '')}`;
+    }
+
+    function onCexResult({ token, ok, data }) {
+        try {
+            if (!token || !ok || !data) return;
+            cexCache.set(tokenKey(token), data);
+        } catch (_) { }
+    }
+
+    function onDexUpdate({ token, dex, direction, update }) {
+        try {
+            if (!token || !update || update.type !== 'update') return;
+            const id = String(update.idPrefix || '') + String(update.baseId || '');
+            if (!id) return;
+            // DataCEX yang sama dipakai kalkulasi ini (orderbook ditempel setelah 'cex:result')
+            dexCache.delete(id);
+            dexCache.set(id, { token, dex, direction, update, cexData: cexCache.get(tokenKey(token)) || null, ts: Date.now() });
+            if (dexCache.size > MAX_CACHE) dexCache.delete(dexCache.keys().next().value);
+        } catch (_) { }
+    }
+
+    // ====================
+    // PERHITUNGAN
+    // ====================
+
+    function isStable(sym) {
+        const list = (typeof root.getStableSymbols === 'function') ? root.getStableSymbols() : ['USDT', 'USDC', 'DAI'];
+        return list.includes(up(sym));
+    }
+
+    /**
+     * Isi order market per level orderbook.
+     * @param {Array<Array<number>>} levels - [[price, amount], ...] (asks untuk beli, bids untuk jual)
+     * @param {object} opts - { quote: USDT yang dibelanjakan } atau { base: jumlah koin yang dijual }, maxLevels
+     * @returns {{fills: Array<object>, totalCoins: number, totalUSDT: number, avgPrice: number, short: boolean}}
+     */
+    function fillLevels(levels, { quote = 0, base = 0, maxLevels = MAX_ORDERBOOK_LEVELS } = {}) {
+        const byQuote = quote > 0;
+        let remaining = byQuote ? quote : base;
+        const fills = [];
+        let totalCoins = 0;
+        let totalUSDT = 0;
+        const limit = Math.min(Math.max(1, Math.floor(maxLevels) || 1), MAX_ORDERBOOK_LEVELS);
+        (Array.isArray(levels) ? levels : []).slice(0, limit).forEach(([p, a]) => {
+            const price = num(p);
+            const amount = num(a);
+            if (remaining <= 0 || price <= 0 || amount <= 0) return;
+            const coins = byQuote ? Math.min(amount, remaining / price) : Math.min(amount, remaining);
+            const usdt = coins * price;
+            remaining -= byQuote ? usdt : coins;
+            totalCoins += coins;
+            totalUSDT += usdt;
+            fills.push({ price, amount: coins, usdt });
+        });
+        return {
+            fills, totalCoins, totalUSDT,
+            avgPrice: totalCoins > 0 ? totalUSDT / totalCoins : 0,
+            short: remaining > (byQuote ? 0.01 : 1e-9)
+        };
+    }
+
+    /** Alamat deposit CEX + label network untuk chain ini (CONFIG_CHAINS[*].WALLET_CEX). */
+    function resolveDepositInfo(chain, cex) {
+        const chainCfg = (root.CONFIG_CHAINS || {})[String(chain || '').toLowerCase()] || {};
+        const info = (chainCfg.WALLET_CEX || {})[up(cex)] || {};
+        return {
+            address: info.address || '',
+            network: info.chainCEX || up(chainCfg.Nama_Chain || chain),
+            chainLabel: up(chainCfg.Nama_Chain || chain)
+        };
+    }
+
+    function resolveUserWallet() {
+        try {
+            const s = (typeof root.getFromLocalStorage === 'function') ? root.getFromLocalStorage('SETTING_SCANNER', {}) : {};
+            return String((s && s.walletMeta) || '').trim();
+        } catch (_) { return ''; }
+    }
+
+    function fmtAmt(v) {
+        const n = num(v);
+        const abs = Math.abs(n);
+        return n.toFixed(abs >= 1000 ? 2 : abs >= 1 ? 4 : 8).replace(/\.?0+$/, '') || '0';
+    }
+
+    function fmtBalances(bal) {
+        const side = (label, obj) => {
+            const parts = Object.keys(obj).filter(k => Math.abs(obj[k]) > 1e-12).map(k => `${fmtAmt(obj[k])} ${k}`);
+            return parts.length ? `${label}: ${parts.join(', ')}` : '';
+        };
+        return [side('CEX', bal.cex), side('Wallet', bal.wallet)].filter(Boolean).join(' | ') || '-';
+    }
+
+    /**
+     * Susun langkah eksekusi dari entri cache.
+     * @param {object} entry - { token, dex, direction, update, cexData }
+     * @param {object} [opts] - { slippagePct, wallet }
+     * @returns {object} { title, direction, steps, totals, warnings }
+     */
+    function buildRouteSheet(entry, opts = {}) {
+        const { token, dex, direction, update } = entry;
+        const cexData = entry.cexData || {};
+        const isKiri = direction === 'TokentoPair';
+        const slip = Math.min(Math.max(num(opts.slippagePct), 0), 50) / 100;
+        const cex = up(update.cex || token.cex);
+        const dexName = up(update.dexTitle || dex || update.dextype);
+        const chain = String(update.nameChain || token.chain || '');
+        const tokenSym = up(token.symbol_in);
+        const pairSym = up(token.symbol_out);
+        const dep = resolveDepositInfo(chain, cex);
+        const wallet = opts.wallet || resolveUserWallet() || '(wallet belum diatur di SETTING)';
+        const urls = (typeof root.GeturlExchanger === 'function') ? (root.GeturlExchanger(cex, tokenSym, pairSym) || {}) : {};
+        const linkDEX = update.linkDEX || '#';
+
+        const modal = num(update.Modal);
+        const amountIn = num(update.amount_in);
+        const amountOut = num(update.amount_out);
+        // Komponen totalFee dari calculateResult: CEX→DEX = swap + WD + trade, DEX→CEX = swap + transfer + trade
+        const feeTrade = num(update.FeeTrade);
+        const feeTransfer = num(update.feeTransfer);
+        const levelsUsed = (update.autoVolResult && update.autoVolResult.levelsUsed) || MAX_ORDERBOOK_LEVELS;
+        const orderbook = cexData.orderbook || null;
+
+        const bal = { cex: isKiri ? { USDT: modal + feeTrade } : {}, wallet: {} };
+        const add = (side, sym, v) => { bal[side][sym] = (bal[side][sym] || 0) + v; };
+        const snap = () => fmtBalances(bal);
+        const steps = [];
+        const warnings = [];
+        const push = (step) => steps.push(Object.assign({ no: steps.length + 1, levels: null, link: '', warn: '' }, step, { balances: snap() }));
+
+        if (!dep.address) warnings.push(`Alamat deposit ${cex} untuk chain ${dep.chainLabel} belum ada di CONFIG_CHAINS.WALLET_CEX`);
+        if (!(amountIn > 0) || !(amountOut > 0)) warnings.push('Amount hasil scan tidak lengkap, scan ulang token ini');
+
+        if (isKiri) {
+            // 1. BELI TOKEN DI CEX
+            const priceBuy = num(update.priceBuyToken_CEX);
+            let buy = orderbook ? fillLevels(orderbook.asks, { quote: modal, maxLevels: levelsUsed }) : null;
+            if (!buy || !buy.fills.length) buy = null;
+            const boughtCoins = buy ? buy.totalCoins : amountIn;
+            // Saldo awal = modal + fee trade di CEX, habis setelah market buy
+            add('cex', 'USDT', -(modal + feeTrade));
+            add('cex', tokenSym, boughtCoins);
+            push({
+                action: `BELI ${fmtAmt(boughtCoins)} ${tokenSym} di ${cex}`,
+                detail: buy
+                    ? `Market buy $${modal.toFixed(2)} di ${buy.fills.length} level asks, avg ${fmtAmt(buy.avgPrice)} USDT (fee trade ≈ $${feeTrade.toFixed(4)})`
+                    : `Harga ${fmtAmt(priceBuy)} USDT, modal $${modal.toFixed(2)} (orderbook tidak tersedia, aktifkan AUTO LEVEL untuk rincian level)`,
+                levels: buy ? buy.fills : null,
+                link: urls.tradeToken || '',
+                warn: buy && buy.short ? 'Volume orderbook kurang dari modal' : ''
+            });
+
+            // 2. WITHDRAW TOKEN KE WALLET
+            const feeWDCoins = priceBuy > 0 ? num(update.FeeWD) / priceBuy : 0;
+            const received = Math.max(0, boughtCoins - feeWDCoins);
+            add('cex', tokenSym, -boughtCoins);
+            add('wallet', tokenSym, received);
+            push({
+                action: `WITHDRAW ${fmtAmt(boughtCoins)} ${tokenSym} via ${dep.network}`,
+                detail: `Ke ${wallet} | fee WD ≈ ${fmtAmt(feeWDCoins)} ${tokenSym} ($${num(update.FeeWD).toFixed(4)}), diterima ≈ ${fmtAmt(received)} ${tokenSym}`,
+                link: urls.withdrawTokenUrl || urls.withdrawUrl || '',
+                warn: token.withdrawToken === false ? `WD ${tokenSym} di ${cex} sedang CLOSE` : ''
+            });
+
+            // 3. SWAP TOKEN → PAIR DI DEX (quote diskalakan ke jumlah yang diterima)
+            const ratio = amountIn > 0 ? received / amountIn : 1;
+            const expectedOut = amountOut * ratio;
+            const minOut = expectedOut * (1 - slip);
+            add('wallet', tokenSym, -received);
+            add('wallet', pairSym, expectedOut);
+            push({
+                action: `SWAP ${fmtAmt(received)} ${tokenSym} → ${pairSym} di ${dexName}`,
+                detail: `Estimasi ${fmtAmt(expectedOut)} ${pairSym}, min-out ${fmtAmt(minOut)} ${pairSym} (slippage ${(slip * 100).toFixed(2)}%), gas ≈ $${num(update.FeeSwap).toFixed(4)}`,
+                link: linkDEX
+            });
+
+            // 4. DEPOSIT PAIR KE CEX
+            add('wallet', pairSym, -expectedOut);
+            add('cex', pairSym, expectedOut);
+            push({
+                action: `DEPOSIT ${fmtAmt(expectedOut)} ${pairSym} ke ${cex} via ${dep.network}`,
+                detail: `Alamat: ${dep.address || '-'}`,
+                link: urls.depositPairUrl || urls.depositUrl || '',
+                warn: token.depositPair === false ? `DP ${pairSym} di ${cex} sedang CLOSE` : ''
+            });
+
+            // 5. JUAL PAIR (PAIR stable langsung jadi saldo USDT)
+            if (!isStable(pairSym)) {
+                const priceSellPair = num(update.priceSellPair_CEX);
+                add('cex', pairSym, -expectedOut);
+                add('cex', 'USDT', expectedOut * priceSellPair);
+                push({
+                    action: `JUAL ${fmtAmt(expectedOut)} ${pairSym} di ${cex}`,
+                    detail: `Harga ${fmtAmt(priceSellPair)} USDT ≈ $${(expectedOut * priceSellPair).toFixed(2)}`,
+                    link: urls.tradePair || ''
+                });
+            }
+        } else {
+            // 1. SIAPKAN PAIR DI WALLET (modal DEX→CEX sudah di wallet on-chain)
+            add('wallet', pairSym, amountIn);
+            push({
+                action: `SIAPKAN ${fmtAmt(amountIn)} ${pairSym} di wallet ${dep.chainLabel}`,
+                detail: `Modal $${modal.toFixed(2)} di ${wallet}`
+            });
+
+            // 2. SWAP PAIR → TOKEN DI DEX
+            const minOut = amountOut * (1 - slip);
+            add('wallet', pairSym, -amountIn);
+            add('wallet', tokenSym, amountOut);
+            push({
+                action: `SWAP ${fmtAmt(amountIn)} ${pairSym} → ${tokenSym} di ${dexName}`,
+                detail: `Estimasi ${fmtAmt(amountOut)} ${tokenSym}, min-out ${fmtAmt(minOut)} ${tokenSym} (slippage ${(slip * 100).toFixed(2)}%), gas ≈ $${num(update.FeeSwap).toFixed(4)}`,
+                link: linkDEX
+            });
+
+            // 3. DEPOSIT TOKEN KE CEX
+            add('wallet', tokenSym, -amountOut);
+            add('cex', tokenSym, amountOut);
+            push({
+                action: `DEPOSIT ${fmtAmt(amountOut)} ${tokenSym} ke ${cex} via ${dep.network}`,
+                detail: `Alamat: ${dep.address || '-'} | gas transfer ≈ $${feeTransfer.toFixed(4)}`,
+                link: urls.depositTokenUrl || urls.depositUrl || '',
+                warn: token.depositToken === false ? `DP ${tokenSym} di ${cex} sedang CLOSE` : ''
+            });
+
+            // 4. JUAL TOKEN DI CEX per level bids
+            let sell = orderbook ? fillLevels(orderbook.bids, { base: amountOut, maxLevels: levelsUsed }) : null;
+            if (!sell || !sell.fills.length) sell = null;
+            const priceSell = num(update.priceSellToken_CEX);
+            const proceeds = sell ? sell.totalUSDT : amountOut * priceSell;
+            add('cex', tokenSym, -amountOut);
+            add('cex', 'USDT', proceeds - feeTrade);
+            push({
+                action: `JUAL ${fmtAmt(amountOut)} ${tokenSym} di ${cex}`,
+                detail: sell
+                    ? `Market sell di ${sell.fills.length} level bids, avg ${fmtAmt(sell.avgPrice)} USDT ≈ $${proceeds.toFixed(2)} (fee trade ≈ $${feeTrade.toFixed(4)})`
+                    : `Harga ${fmtAmt(priceSell)} USDT ≈ $${proceeds.toFixed(2)} (orderbook tidak tersedia, aktifkan AUTO LEVEL untuk rincian level)`,
+                levels: sell ? sell.fills : null,
+                link: urls.tradeToken || '',
+                warn: sell && sell.short ? 'Volume bids kurang dari jumlah token' : ''
+            });
+        }
+
+        return {
+            title: `${tokenSym}/${pairSym} ${dep.chainLabel} | ${isKiri ? `${cex} → ${dexName}` : `${dexName} → ${cex}`}`,
+            direction,
+            steps,
+            warnings,
+            totals: {
+                modal,
+                totalFee: num(update.totalFee),
+                pnl: num(update.profitLoss),
+                slippagePct: slip * 100
+            }
+        };
+    }
+
+    /** Checklist teks (satu baris per langkah) untuk di-copy ke catatan/chat. */
+    function toChecklist(sheet) {
+        const lines = [`ROUTE SHEET ${sheet.title}`, `Waktu: ${new Date().toLocaleString('id-ID', { hour12: false })}`];
+        sheet.warnings.forEach(w => lines.push(`⚠️ ${w}`));
+        sheet.steps.forEach(s => {
+            lines.push(`[ ] ${s.no}. ${s.action}`);
+            lines.push(`    ${s.detail}`);
+            (s.levels || []).forEach((l, i) => lines.push(`    L${i + 1}: ${fmtAmt(l.amount)} @ ${fmtAmt(l.price)} = $${l.usdt.toFixed(2)}`));
+            if (s.warn) lines.push(`    ⚠️ ${s.warn}`);
+            lines.push(`    Saldo: ${s.balances}`);
+        });
+        lines.push(`Estimasi PNL: ${sheet.totals.pnl >= 0 ? '+' : ''}$${sheet.totals.pnl.toFixed(2)} (modal $${sheet.totals.modal.toFixed(2)}, fee $${sheet.totals.totalFee.toFixed(2)})`);
+        return lines.join('\n');
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function esc(v) {
+        return String(v === null || v === undefined ? '' : v)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function render() {
+        if (!current) return;
+        const sheet = buildRouteSheet(current, { slippagePct: $('#route-sheet-slippage').val() });
+        const age = Math.round((Date.now() - current.ts) / 1000);
+        $('#route-sheet-title').text(sheet.title);
+        $('#route-sheet-meta').text(`Hasil scan ${age} detik lalu | Modal $${sheet.totals.modal.toFixed(2)} | Fee $${sheet.totals.totalFee.toFixed(2)} | Estimasi PNL ${sheet.totals.pnl >= 0 ? '+' : ''}$${sheet.totals.pnl.toFixed(2)}`);
+        $('#route-sheet-warnings').html(sheet.warnings.map(w => `<div class="uk-alert-warning uk-padding-small uk-margin-small">⚠️ ${esc(w)}</div>`).join(''));
+        const rows = sheet.steps.map(s => `
+            <tr>
+                <td><input type="checkbox" class="uk-checkbox"></td>
+                <td class="uk-text-bold">${s.no}</td>
+                <td>
+                    <div class="uk-text-bold">${s.link && s.link !== '#' ? `<a href="${esc(s.link)}" target="_blank" rel="noopener">${esc(s.action)}</a>` : esc(s.action)}</div>
+                    <div class="uk-text-small">${esc(s.detail)}</div>
+                    ${s.levels ? `<div class="uk-text-small uk-text-muted">${s.levels.map((l, i) => `L${i + 1}: ${fmtAmt(l.amount)} @ ${fmtAmt(l.price)} = $${l.usdt.toFixed(2)}`).join('<br>')}</div>` : ''}
+                    ${s.warn ? `<div class="uk-text-small uk-text-danger">⚠️ ${esc(s.warn)}</div>` : ''}
+                </td>
+                <td class="uk-text-small">${esc(s.balances)}</td>
+            </tr>`).join('');
+        $('#route-sheet-steps').html(rows);
+        $('#route-sheet-text').val(toChecklist(sheet));
+    }
+
+    function show(cellId) {
+        const entry = dexCache.get(String(cellId || ''));
+        if (!entry) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Data rute belum tersedia, tunggu hasil scan sel ini');
+            return false;
+        }
+        current = entry;
+        render();
+        if (root.UIkit && UIkit.modal) UIkit.modal('#route-sheet-modal').show();
+        return true;
+    }
+
+    async function copyChecklist() {
+        const text = String($('#route-sheet-text').val() || '');
+        if (!text) return false;
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(text);
+            } else {
+                const el = document.getElementById('route-sheet-text');
+                el.select();
+                document.execCommand('copy');
+            }
+            if (typeof toast !== 'undefined' && toast.success) toast.success('Checklist rute disalin');
+            return true;
+        } catch (err) {
+            if (typeof toast !== 'undefined' && toast.error) toast.error('Gagal menyalin checklist: ' + err.message);
+            return false;
+        }
+    }
+
+    function init() {
+        $('#route-sheet-slippage').val(DEFAULT_SLIPPAGE_PCT).off('input').on('input', render);
+        $('#route-sheet-copy').off('click').on('click', copyChecklist);
+        $(document).off('click.routesheet', '.route-sheet-link').on('click.routesheet', '.route-sheet-link', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            show($(this).data('cell'));
+        });
+    }
+
+    // Subscribe ke stream hasil scan (scanner.js, ScanEngine & hasil shard yang diteruskan leader)
+    try {
+        if (root.ScanEvents && typeof root.ScanEvents.on === 'function') {
+            root.ScanEvents.on('cex:result', onCexResult);
+            root.ScanEvents.on('dex:update', onDexUpdate);
+        }
+    } catch (_) { }
+
+    const RouteSheet = {
+        fillLevels, resolveDepositInfo, buildRouteSheet, toChecklist,
+        show, init, copyChecklist,
+        get: (cellId) => dexCache.get(String(cellId || '')) || null
+    };
+
+    if (typeof App.register === 'function') {
+        App.register('RouteSheet', RouteSheet);
+    } else {
+        App.RouteSheet = RouteSheet;
+    }
+
+    $(document).ready(function () {
+        init();
+    });
+
+})(typeof window !== 'undefined' ? window : this);
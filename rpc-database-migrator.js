@@ -23,6 +23,16 @@
         solana: 'https://api.mainnet-beta.solana.com'
     };
 
+    // RPC cadangan per chain: ikut pool RPCManager setelah RPC user (failover otomatis)
+    const FALLBACK_RPC_VALUES = {
+        bsc: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com'],
+        polygon: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com'],
+        ethereum: ['https://ethereum-rpc.publicnode.com', 'https://eth.drpc.org'],
+        arbitrum: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum.drpc.org'],
+        base: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+        solana: ['https://solana-rpc.publicnode.com']
+    };
+
     /**
      * Initialize RPC in database if not exists
      * This runs once on app startup
@@ -196,7 +206,8 @@
         updateRPCInDatabase,
         getAllRPCsFromDatabase,
         resetRPCToDefault,
-        INITIAL_RPC_VALUES // expose for reference only
+        INITIAL_RPC_VALUES, // expose for reference only
+        FALLBACK_RPC_VALUES
     };
 
     // Expose to window
@@ -1,24 +1,199 @@
 // =================================================================================
-// RPC MANAGER - Simplified RPC Getter from SETTING_SCANNER
+// RPC MANAGER - RPC Pool per Chain (failover + latency ranking)
 // =================================================================================
 // Purpose: Provide centralized access to user-configured RPC endpoints
 //
-// New Architecture:
-// - RPCs are stored in SETTING_SCANNER.userRPCs (1 per chain)
-// - No migration logic, no fallback system
-// - Simple getter function for all application parts
+// Architecture:
+// - Pool per chain: SETTING_SCANNER.userRPCPools[chain] (list, urutan user)
+//   → fallback SETTING_SCANNER.userRPCs[chain] (1 RPC, format lama)
+//   → initial value + RPC cadangan dari rpc-database-migrator.js
+// - Health per endpoint: probe berkala (EVM: eth_blockNumber + eth_chainId vs CONFIG_CHAINS.Kode_Chain,
+//   Solana: getSlot + getGenesisHash), latency EWMA, status ok/slow/down/wrong-chain
+// - getRPC() mengembalikan RPC user (urutan user) selama tidak error; RPC cadangan baru dipakai
+//   setelah RPC user gagal. fetchRPC() mencoba endpoint berikutnya saat network error / 429 / 5xx
+// - Probe hanya jalan di halaman yang benar-benar memakai RPC (dimulai saat chain pertama dipakai),
+//   dan hanya untuk chain yang sudah dipakai di halaman itu
 //
+// Konfigurasi: CONFIG_RPC_POOL (config.js)
 // =================================================================================
 
 (function() {
     'use strict';
 
+    const DEFAULTS = {
+        enabled: true,
+        probeIntervalMs: 120000,
+        probeDelayMs: 5000,
+        timeoutMs: 8000,
+        slowMs: 1500,
+        failCooldownMs: 30000,
+        maxCooldownMs: 600000,
+        failoverStatus: [403, 408, 429, 500, 502, 503, 504]
+    };
+
+    // Genesis hash Solana mainnet-beta (pengganti chainId untuk verifikasi jaringan)
+    const SOLANA_MAINNET_GENESIS = '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dW2gZw1';
+    const STATUS_RANK = { ok: 0, slow: 1, unknown: 2, down: 3, 'wrong-chain': 4 };
+
+    const HEALTH = new Map();   // `${chain}|${url}` → { chain, url, status, latencyMs, block, lastCheck, lastError, failures, downUntil }
+    const listeners = [];
+    const activeChains = new Set();   // chain yang sudah dipakai di halaman ini (target probe berkala)
+    let probeTimer = null;
+
+    function getConfig() {
+        try {
+            return Object.assign({}, DEFAULTS, (typeof window !== 'undefined' && window.CONFIG_RPC_POOL) || {});
+        } catch (_) { return Object.assign({}, DEFAULTS); }
+    }
+
+    function getSettings() {
+        return (typeof getFromLocalStorage === 'function')
+            ? (getFromLocalStorage('SETTING_SCANNER', {}) || {})
+            : {};
+    }
+
+    function normalizeUrl(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+
+    function isSolanaChain(chainLower) {
+        return chainLower === 'solana';
+    }
+
+    // ====================
+    // POOL
+    // ====================
+
+    /**
+     * Daftar RPC chain (urutan prioritas, tanpa duplikat).
+     * @param {string} chainKey
+     * @param {{includeFallback?: boolean}} [opts] - includeFallback=false → hanya RPC user
+     * @returns {string[]}
+     */
+    function getPool(chainKey, opts) {
+        const chainLower = String(chainKey || '').toLowerCase();
+        if (!chainLower) return [];
+        const includeFallback = !opts || opts.includeFallback !== false;
+        const settings = getSettings();
+        const list = [];
+
+        const pool = settings.userRPCPools && settings.userRPCPools[chainLower];
+        if (Array.isArray(pool)) list.push(...pool);
+        const userRpc = settings.userRPCs && settings.userRPCs[chainLower];
+        if (userRpc) list.push(userRpc);
+
+        const migrator = (typeof window !== 'undefined') ? window.RPCDatabaseMigrator : null;
+        if (includeFallback && migrator) {
+            if (!list.length && migrator.INITIAL_RPC_VALUES && migrator.INITIAL_RPC_VALUES[chainLower]) {
+                list.push(migrator.INITIAL_RPC_VALUES[chainLower]);
+            }
+            const fallbacks = (migrator.FALLBACK_RPC_VALUES && migrator.FALLBACK_RPC_VALUES[chainLower]) || [];
+            list.push(...fallbacks);
+        }
+
+        const seen = new Set();
+        return list
+            .map(u => String(u || '').trim())
+            .filter(u => /^https?:\/\//i.test(u))
+            .filter(u => {
+                const k = normalizeUrl(u).toLowerCase();
+                if (seen.has(k)) return false;
+                seen.add(k);
+                return true;
+            });
+    }
+
+    function getEntry(chainLower, url) {
+        const key = `${chainLower}|${normalizeUrl(url).toLowerCase()}`;
+        if (!HEALTH.has(key)) {
+            HEALTH.set(key, {
+                chain: chainLower,
+                url,
+                status: 'unknown',
+                latencyMs: null,
+                block: null,
+                lastCheck: 0,
+                lastError: '',
+                failures: 0,
+                downUntil: 0
+            });
+        }
+        return HEALTH.get(key);
+    }
+
+    function emitChange(chainLower) {
+        listeners.forEach(fn => { try { fn(chainLower); } catch (_) { } });
+    }
+
+    function recordSuccess(chainLower, url, latencyMs, extra) {
+        const cfg = getConfig();
+        const e = getEntry(chainLower, url);
+        const ms = Math.max(0, Number(latencyMs) || 0);
+        e.latencyMs = (e.latencyMs === null) ? ms : Math.round(e.latencyMs * 0.7 + ms * 0.3);
+        e.status = e.latencyMs > cfg.slowMs ? 'slow' : 'ok';
+        e.failures = 0;
+        e.downUntil = 0;
+        e.lastError = '';
+        e.lastCheck = Date.now();
+        if (extra && extra.block !== undefined) e.block = extra.block;
+        emitChange(chainLower);
+    }
+
+    function recordFailure(chainLower, url, error, status) {
+        const cfg = getConfig();
+        const e = getEntry(chainLower, url);
+        e.failures++;
+        e.status = status || 'down';
+        e.lastError = String((error && error.message) || error || 'error').slice(0, 160);
+        e.lastCheck = Date.now();
+        e.downUntil = Date.now() + Math.min(cfg.maxCooldownMs, cfg.failCooldownMs * Math.pow(2, e.failures - 1));
+        emitChange(chainLower);
+    }
+
+    /**
+     * Urutan pakai pool:
+     * 1. RPC user (urutan user) yang tidak sedang error — status 'slow' tetap dipakai
+     * 2. RPC cadangan yang tidak sedang error: status (ok < slow < unknown), lalu latency
+     * 3. Endpoint 'down' yang masih cooldown (paling akhir)
+     * Endpoint 'wrong-chain' tidak pernah dipakai. Tanpa RPC user, initial value dianggap RPC user.
+     * @returns {string[]}
+     */
+    function getRankedPool(chainKey) {
+        const chainLower = String(chainKey || '').toLowerCase();
+        const now = Date.now();
+        const pool = getPool(chainLower);
+        const userPool = getPool(chainLower, { includeFallback: false });
+        const primary = new Set((userPool.length ? userPool : pool.slice(0, 1)).map(u => normalizeUrl(u).toLowerCase()));
+        return pool
+            .map((url, idx) => {
+                const e = getEntry(chainLower, url);
+                const cooling = e.status === 'down' && e.downUntil > now;
+                const status = (e.status === 'down' && !cooling) ? 'unknown' : e.status;
+                const tier = cooling ? 2 : (primary.has(normalizeUrl(url).toLowerCase()) ? 0 : 1);
+                return { url, idx, tier, rank: STATUS_RANK[status], latency: e.latencyMs === null ? Infinity : e.latencyMs };
+            })
+            .filter(x => x.rank < STATUS_RANK['wrong-chain'])
+            .sort((a, b) => a.tier - b.tier
+                || (a.tier === 0 ? 0 : (a.rank - b.rank || a.latency - b.latency))
+                || a.idx - b.idx)
+            .map(x => x.url);
+    }
+
+    /**
+     * Tandai chain dipakai di halaman ini → ikut probe berkala (probe dimulai saat pemakaian pertama).
+     */
+    function markActive(chainLower) {
+        if (!chainLower || activeChains.has(chainLower)) return;
+        activeChains.add(chainLower);
+        try { startProbing(); } catch (_) { }
+    }
+
     // ====================
     // MAIN RPC GETTER
     // ====================
 
     /**
-     * Get RPC URL for a specific chain (with automatic fallback to defaults)
+     * Get RPC URL for a specific chain (RPC user selama sehat, RPC cadangan setelah RPC user error)
      * @param {string} chainKey - Chain identifier (e.g., 'bsc', 'polygon', 'ethereum')
      * @returns {string|null} RPC URL or null if not found
      */
@@ -32,32 +207,26 @@
                 return null;
             }
 
-            // Get settings from storage
-            const settings = (typeof getFromLocalStorage === 'function')
-                ? getFromLocalStorage('SETTING_SCANNER', {})
-                : {};
+            markActive(chainLower);
+            const settings = getSettings();
+            const hasUserRpc = !!((settings.userRPCs && settings.userRPCs[chainLower]) ||
+                (settings.userRPCPools && Array.isArray(settings.userRPCPools[chainLower]) && settings.userRPCPools[chainLower].length));
 
-            // Try to get user-configured RPC first
-            if (settings.userRPCs && typeof settings.userRPCs === 'object') {
-                const userRpc = settings.userRPCs[chainLower];
-                if (userRpc) {
-                    return userRpc;
+            if (!hasUserRpc) {
+                // Only show warning once per session to avoid spam
+                if (!getRPC._warnedChains) getRPC._warnedChains = new Set();
+                if (!getRPC._warnedChains.has(chainLower)) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn(`[RPC Manager] Using initial RPC for ${chainKey} (not yet saved in database)`); } catch(_) {}
+                    getRPC._warnedChains.add(chainLower);
                 }
             }
 
-            // AUTO FALLBACK: Try to get from database migrator (initial values)
-            if (typeof window !== 'undefined' && window.RPCDatabaseMigrator) {
-                const initialRPC = window.RPCDatabaseMigrator.getRPCFromDatabase(chainLower);
-                if (initialRPC) {
-                    // Only show warning once per session to avoid spam
-                    if (!getRPC._warnedChains) getRPC._warnedChains = new Set();
-                    if (!getRPC._warnedChains.has(chainLower)) {
-                        try { if (window.SCAN_LOG_ENABLED) console.warn(`[RPC Manager] Using initial RPC for ${chainKey} (not yet saved in database)`); } catch(_) {}
-                        getRPC._warnedChains.add(chainLower);
-                    }
-                    return initialRPC;
-                }
-            }
+            const ranked = (getConfig().enabled !== false) ? getRankedPool(chainLower) : getPool(chainLower);
+            if (ranked.length) return ranked[0];
+
+            // Semua endpoint wrong-chain → tetap kembalikan RPC pertama agar error terlihat di caller
+            const pool = getPool(chainLower);
+            if (pool.length) return pool[0];
 
             // No RPC available at all
             console.error(`[RPC Manager] No RPC available for chain: ${chainKey}`);
@@ -76,9 +245,7 @@
      */
     function getAllRPCs() {
         try {
-            const settings = (typeof getFromLocalStorage === 'function')
-                ? getFromLocalStorage('SETTING_SCANNER', {})
-                : {};
+            const settings = getSettings();
 
             return settings.userRPCs || {};
         } catch (error) {
@@ -122,6 +289,198 @@
         return null;
     }
 
+    // ====================
+    // FAILOVER FETCH
+    // ====================
+
+    /**
+     * fetch() JSON-RPC ke pool chain dengan failover.
+     * Endpoint berikutnya dicoba saat network error / timeout / status di failoverStatus.
+     * Response non-OK lain (mis. 400) dikembalikan apa adanya ke caller.
+     * @param {string} chainKey
+     * @param {RequestInit} init - { method, headers, body, signal }
+     * @param {{timeoutMs?: number}} [opts] - timeout per endpoint (default: tanpa, ikut init.signal)
+     * @returns {Promise<Response>}
+     */
+    async function fetchRPC(chainKey, init, opts) {
+        const chainLower = String(chainKey || '').toLowerCase();
+        const cfg = getConfig();
+        markActive(chainLower);
+        const candidates = getRankedPool(chainLower);
+        if (!candidates.length) throw new Error(`No RPC configured for chain ${chainKey}`);
+
+        let lastError = null;
+        for (const url of candidates) {
+            if (init && init.signal && init.signal.aborted) break;
+            const ctrl = (opts && opts.timeoutMs && typeof AbortController !== 'undefined') ? new AbortController() : null;
+            const timer = ctrl ? setTimeout(() => ctrl.abort(), opts.timeoutMs) : null;
+            const onOuterAbort = () => { if (ctrl) ctrl.abort(); };
+            if (ctrl && init && init.signal) init.signal.addEventListener('abort', onOuterAbort);
+            const startedAt = Date.now();
+            try {
+                const res = await fetch(url, Object.assign({}, init, ctrl ? { signal: ctrl.signal } : {}));
+                if (cfg.failoverStatus.includes(res.status)) {
+                    recordFailure(chainLower, url, `HTTP ${res.status}`);
+                    lastError = new Error(`RPC ${url} HTTP ${res.status}`);
+                    continue;
+                }
+                if (res.ok) recordSuccess(chainLower, url, Date.now() - startedAt);
+                return res;
+            } catch (err) {
+                recordFailure(chainLower, url, err);
+                lastError = err;
+                try { if (window.SCAN_LOG_ENABLED) console.warn(`[RPC Manager] ${chainLower} failover dari ${url}:`, err?.message || err); } catch(_) {}
+            } finally {
+                if (timer) clearTimeout(timer);
+                if (ctrl && init && init.signal) init.signal.removeEventListener('abort', onOuterAbort);
+            }
+        }
+        throw lastError || new Error(`Semua RPC ${chainKey} gagal`);
+    }
+
+    /**
+     * Urutan kandidat RPC untuk library yang butuh URL langsung (ethers provider, dll).
+     * @param {string} chainKey
+     * @param {string} [preferred] - URL yang dicoba pertama
+     * @returns {string[]}
+     */
+    function getCandidates(chainKey, preferred) {
+        markActive(String(chainKey || '').toLowerCase());
+        const ranked = getRankedPool(chainKey);
+        const first = String(preferred || '').trim();
+        if (!first) return ranked;
+        return [first].concat(ranked.filter(u => normalizeUrl(u).toLowerCase() !== normalizeUrl(first).toLowerCase()));
+    }
+
+    // ====================
+    // HEALTH PROBE
+    // ====================
+
+    async function rpcPost(url, body, timeoutMs) {
+        const ctrl = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+        const timer = ctrl ? setTimeout(() => ctrl.abort(), timeoutMs) : null;
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: ctrl ? ctrl.signal : undefined
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return await res.json();
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    function pickResult(results, id) {
+        const hit = (Array.isArray(results) ? results : [results]).find(r => r && r.id === id);
+        if (!hit) throw new Error('Response RPC tidak lengkap');
+        if (hit.error) throw new Error(hit.error.message || JSON.stringify(hit.error));
+        return hit.result;
+    }
+
+    /**
+     * Probe 1 endpoint: latency, block/slot terbaru, verifikasi jaringan.
+     * @returns {Promise<object>} health entry
+     */
+    async function probeEndpoint(chainKey, url) {
+        const chainLower = String(chainKey || '').toLowerCase();
+        const cfg = getConfig();
+        const startedAt = Date.now();
+        try {
+            if (isSolanaChain(chainLower)) {
+                // Request terpisah: tidak semua RPC Solana publik menerima batch
+                const slot = pickResult(await rpcPost(url, { jsonrpc: '2.0', id: 1, method: 'getSlot' }, cfg.timeoutMs), 1);
+                const latency = Date.now() - startedAt;
+                const genesis = pickResult(await rpcPost(url, { jsonrpc: '2.0', id: 2, method: 'getGenesisHash' }, cfg.timeoutMs), 2);
+                if (genesis !== SOLANA_MAINNET_GENESIS) {
+                    recordFailure(chainLower, url, `Genesis ${String(genesis).slice(0, 12)}… bukan mainnet`, 'wrong-chain');
+                } else {
+                    recordSuccess(chainLower, url, latency, { block: Number(slot) || null });
+                }
+            } else {
+                const results = await rpcPost(url, [
+                    { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] },
+                    { jsonrpc: '2.0', id: 2, method: 'eth_chainId', params: [] }
+                ], cfg.timeoutMs);
+                const latency = Date.now() - startedAt;
+                const block = parseInt(pickResult(results, 1), 16);
+                const chainId = parseInt(pickResult(results, 2), 16);
+                const expected = Number((typeof CONFIG_CHAINS !== 'undefined' && CONFIG_CHAINS[chainLower]) ? CONFIG_CHAINS[chainLower].Kode_Chain : NaN);
+                if (Number.isFinite(expected) && chainId !== expected) {
+                    recordFailure(chainLower, url, `chainId ${chainId} ≠ ${expected}`, 'wrong-chain');
+                } else {
+                    recordSuccess(chainLower, url, latency, { block: Number.isFinite(block) ? block : null });
+                }
+            }
+        } catch (err) {
+            recordFailure(chainLower, url, err && err.name === 'AbortError' ? 'timeout' : err);
+        }
+        return Object.assign({}, getEntry(chainLower, url));
+    }
+
+    /**
+     * Probe semua endpoint di pool chain (paralel per chain).
+     */
+    async function probeChain(chainKey) {
+        const chainLower = String(chainKey || '').toLowerCase();
+        return Promise.all(getPool(chainLower).map(url => probeEndpoint(chainLower, url)));
+    }
+
+    /**
+     * Probe pool beberapa chain, berurutan per chain agar tidak membanjiri jaringan.
+     * @param {string[]} [chains] - default: semua chain CONFIG_CHAINS
+     */
+    async function probeAll(chains) {
+        const list = Array.isArray(chains) ? chains
+            : ((typeof CONFIG_CHAINS !== 'undefined') ? Object.keys(CONFIG_CHAINS) : []);
+        for (const chain of list) {
+            await probeChain(chain);
+        }
+        return getStatus();
+    }
+
+    /**
+     * Status endpoint per chain (untuk UI settings).
+     * @param {string} [chainKey] - kosong = semua chain
+     * @returns {Object|Array} { chain: [entry...] } atau [entry...]
+     */
+    function getStatus(chainKey) {
+        const describe = (chainLower) => getPool(chainLower).map((url, idx) => {
+            const e = getEntry(chainLower, url);
+            return Object.assign({}, e, { index: idx, cooling: e.status === 'down' && e.downUntil > Date.now() });
+        });
+        if (chainKey) return describe(String(chainKey).toLowerCase());
+        const chains = (typeof CONFIG_CHAINS !== 'undefined') ? Object.keys(CONFIG_CHAINS) : [];
+        const out = {};
+        chains.forEach(c => { out[c] = describe(c); });
+        return out;
+    }
+
+    /**
+     * Probe berkala chain yang sudah dipakai di halaman ini (lihat markActive).
+     * Dipanggil otomatis saat RPC pertama kali dipakai; tidak dijalankan di halaman tanpa pemakaian RPC.
+     */
+    function startProbing() {
+        const cfg = getConfig();
+        if (probeTimer || cfg.enabled === false || !(cfg.probeIntervalMs > 0)) return;
+        const tick = () => {
+            try {
+                if (typeof document !== 'undefined' && document.hidden) return;
+                if (!activeChains.size) return;
+                probeAll(Array.from(activeChains)).catch(() => { });
+            } catch (_) { }
+        };
+        setTimeout(tick, cfg.probeDelayMs);
+        probeTimer = setInterval(tick, cfg.probeIntervalMs);
+    }
+
+    function stopProbing() {
+        if (probeTimer) clearInterval(probeTimer);
+        probeTimer = null;
+    }
+
     // ====================
     // EXPORT PUBLIC API
     // ====================
@@ -130,7 +489,20 @@
         getRPC,
         getAllRPCs,
         hasRPC,
-        getRPCWithFallback
+        getRPCWithFallback,
+        getPool,
+        getRankedPool,
+        getCandidates,
+        fetchRPC,
+        recordSuccess: (chainKey, url, latencyMs) => recordSuccess(String(chainKey || '').toLowerCase(), url, latencyMs),
+        recordFailure: (chainKey, url, error) => recordFailure(String(chainKey || '').toLowerCase(), url, error),
+        probeEndpoint,
+        probeChain,
+        probeAll,
+        getStatus,
+        startProbing,
+        stopProbing,
+        onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
     };
 
     // Expose to window
@@ -138,6 +510,6 @@
         window.RPCManager = RPCManager;
     }
 
-    try { if (window.SCAN_LOG_ENABLED) console.log('[RPC Manager] ✅ Simplified RPC Manager initialized'); } catch(_) {}
+    try { if (window.SCAN_LOG_ENABLED) console.log('[RPC Manager] ✅ RPC Pool Manager initialized'); } catch(_) {}
 
 })();
@@ -0,0 +1,476 @@
+// =================================================================================
+// SCAN PROFILES MODULE
+// =================================================================================
+/**
+ * Profil scan bernama (key SCAN_PROFILES): satu klik untuk ganti seluruh konfigurasi scan
+ * - Isi profil: mode (multi / single chain), objek FILTER_* lengkap (chain/CEX/DEX/pair,
+ *   filter PNL, min streak, checkbox AUTO), modal per DEX, dan timing SETTING_SCANNER
+ *   (scanPerKoin, jeda koin/grup/arah DEX, timeout, jeda per DEX)
+ * - Modal KIRI/KANAN disimpan per token (tokenModal, key = id token) sehingga simpan → terapkan
+ *   tidak mengubah apa pun; token yang belum ada saat profil disimpan memakai nilai terbanyak
+ *   per DEX (modal). Sebelum menimpa dataDexs, jumlah token yang berubah dikonfirmasi dulu
+ * - Terapkan → simpan ke storage lalu reload ke mode profil (?chain=all / ?chain=<chain>)
+ * - Export/import JSON; ikut backup-manager di section Profil
+ *
+ * Berbeda dengan profil modal di storage.js (MODAL_PROFILE_<CHAIN>) yang hanya berisi
+ * nilai modal per chain untuk editor modal massal.
+ */
+
+(function (global) {
+    'use strict';
+
+    const root = global || (typeof window !== 'undefined' ? window : {});
+    const App = root.App || (root.App = {});
+
+    const PROFILES_KEY = 'SCAN_PROFILES';
+    const ACTIVE_KEY = 'SCAN_PROFILE_ACTIVE';
+    const SETTINGS_KEY = 'SETTING_SCANNER';
+    const EXPORT_KIND = 'scan-profiles';
+    const EXPORT_VERSION = 1;
+    // Field timing SETTING_SCANNER yang dibaca startScanner (scanner.js)
+    const TIMING_FIELDS = ['scanPerKoin', 'jedaKoin', 'jedaTimeGroup', 'jedaDexDirection', 'speedScan', 'TimeoutCount', 'JedaDexs'];
+
+    // ====================
+    // STORAGE
+    // ====================
+
+    function clone(v) {
+        return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+    }
+
+    function list() {
+        const arr = getFromLocalStorage(PROFILES_KEY, []);
+        return Array.isArray(arr) ? arr : [];
+    }
+
+    function find(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return list().find(p => String(p.name).toLowerCase() === key) || null;
+    }
+
+    async function persist(profiles) {
+        saveToLocalStorage(PROFILES_KEY, profiles);
+        try { if (root.__IDB_FLUSH_PENDING__) await root.__IDB_FLUSH_PENDING__(); } catch (_) { }
+        return true;
+    }
+
+    /** Simpan / timpa profil berdasarkan nama (case-insensitive). */
+    async function upsert(profile) {
+        const profiles = list();
+        const idx = profiles.findIndex(p => String(p.name).toLowerCase() === String(profile.name).toLowerCase());
+        if (idx >= 0) {
+            profiles[idx] = Object.assign({}, profile, { createdAt: profiles[idx].createdAt || profile.createdAt });
+        } else {
+            profiles.push(profile);
+        }
+        profiles.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+        return persist(profiles);
+    }
+
+    async function remove(name) {
+        const key = String(name || '').toLowerCase();
+        return persist(list().filter(p => String(p.name).toLowerCase() !== key));
+    }
+
+    // ====================
+    // CAPTURE & VALIDATION
+    // ====================
+
+    function filterKeyOf(mode, chain) {
+        return mode === 'single' ? `FILTER_${String(chain).toUpperCase()}` : 'FILTER_MULTICHAIN';
+    }
+
+    function tokensOf(mode, chain) {
+        if (mode === 'single') return (typeof getTokensChain === 'function') ? getTokensChain(chain) : [];
+        return (typeof getTokensMulti === 'function') ? getTokensMulti() : [];
+    }
+
+    /**
+     * Modal per DEX dari token: pasangan KIRI/KANAN yang paling sering dipakai tiap DEX.
+     * @returns {object} { dexKey: { left, right } }
+     */
+    function summarizeModal(tokens) {
+        const counts = {};
+        (tokens || []).forEach(t => {
+            if (!t || t.status === false) return;
+            (t.selectedDexs || []).forEach(dex => {
+                const d = (t.dataDexs || {})[dex] || (t.dataDexs || {})[String(dex).toLowerCase()];
+                if (!d) return;
+                const dexKey = String(dex).toLowerCase();
+                const pairKey = `${Number(d.left) || 0}|${Number(d.right) || 0}`;
+                counts[dexKey] = counts[dexKey] || {};
+                counts[dexKey][pairKey] = (counts[dexKey][pairKey] || 0) + 1;
+            });
+        });
+        const out = {};
+        Object.keys(counts).forEach(dexKey => {
+            const best = Object.entries(counts[dexKey]).sort((a, b) => b[1] - a[1])[0][0].split('|');
+            out[dexKey] = { left: Number(best[0]), right: Number(best[1]) };
+        });
+        return out;
+    }
+
+    /**
+     * Modal per token per DEX apa adanya (termasuk modal custom per token).
+     * @returns {object} { tokenId: { dexKey: { left, right } } }
+     */
+    function captureTokenModal(tokens) {
+        const out = {};
+        (tokens || []).forEach(t => {
+            if (!t || t.id === undefined || t.id === null) return;
+            const dexs = {};
+            (t.selectedDexs || []).forEach(dex => {
+                const d = (t.dataDexs || {})[dex] || (t.dataDexs || {})[String(dex).toLowerCase()];
+                if (d) dexs[String(dex).toLowerCase()] = { left: Number(d.left) || 0, right: Number(d.right) || 0 };
+            });
+            if (Object.keys(dexs).length) out[String(t.id)] = dexs;
+        });
+        return out;
+    }
+
+    /** Profil dari konfigurasi mode yang sedang aktif. */
+    function captureCurrent(name) {
+        const m = getAppMode();
+        const mode = m.type === 'single' ? 'single' : 'multi';
+        const chain = mode === 'single' ? String(m.chain).toLowerCase() : null;
+        const filter = clone(getFromLocalStorage(filterKeyOf(mode, chain), {}) || {});
+        delete filter._hasFilters;
+        const settings = getFromLocalStorage(SETTINGS_KEY, {}) || {};
+        const timings = {};
+        TIMING_FIELDS.forEach(f => { if (settings[f] !== undefined) timings[f] = clone(settings[f]); });
+        const now = new Date().toISOString();
+        const tokens = tokensOf(mode, chain);
+        return {
+            name: String(name || '').trim(),
+            mode,
+            chain,
+            filter,
+            modal: summarizeModal(tokens),
+            tokenModal: captureTokenModal(tokens),
+            timings,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /** { dexKey: { left, right } } valid (angka >= 0), key DEX huruf kecil */
+    function normalizeDexModal(obj) {
+        const out = {};
+        Object.keys((obj && typeof obj === 'object') ? obj : {}).forEach(dex => {
+            const v = obj[dex] || {};
+            const left = Number(v.left);
+            const right = Number(v.right);
+            if (Number.isFinite(left) && Number.isFinite(right) && left >= 0 && right >= 0) {
+                out[String(dex).toLowerCase()] = { left, right };
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Validasi + normalisasi profil (dipakai saat import).
+     * @returns {{ok: boolean, profile?: object, error?: string}}
+     */
+    function normalizeProfile(p) {
+        if (!p || typeof p !== 'object') return { ok: false, error: 'bukan objek' };
+        const name = String(p.name || '').trim();
+        if (!name) return { ok: false, error: 'nama kosong' };
+        const mode = p.mode === 'single' ? 'single' : 'multi';
+        const chain = mode === 'single' ? String(p.chain || '').toLowerCase() : null;
+        if (mode === 'single' && !(root.CONFIG_CHAINS || {})[chain]) return { ok: false, error: `${name}: chain "${p.chain}" tidak dikenal` };
+        const filter = (p.filter && typeof p.filter === 'object' && !Array.isArray(p.filter)) ? clone(p.filter) : {};
+        delete filter._hasFilters;
+        const modal = normalizeDexModal(p.modal);
+        const tokenModal = {};
+        Object.keys((p.tokenModal && typeof p.tokenModal === 'object') ? p.tokenModal : {}).forEach(id => {
+            const dexs = normalizeDexModal(p.tokenModal[id]);
+            if (Object.keys(dexs).length) tokenModal[String(id)] = dexs;
+        });
+        const timings = {};
+        TIMING_FIELDS.forEach(f => { if (p.timings && p.timings[f] !== undefined) timings[f] = clone(p.timings[f]); });
+        return {
+            ok: true,
+            profile: {
+                name, mode, chain, filter, modal, tokenModal, timings,
+                createdAt: p.createdAt || new Date().toISOString(),
+                updatedAt: p.updatedAt || new Date().toISOString()
+            }
+        };
+    }
+
+    // ====================
+    // APPLY
+    // ====================
+
+    function isScanning() {
+        return (typeof root.isThisTabScanning === 'function' && root.isThisTabScanning()) || false;
+    }
+
+    /**
+     * Rencana modal profil untuk token saat ini: modal per token (tokenModal) lebih dulu,
+     * lalu nilai per DEX (modal) untuk token/DEX yang belum ada saat profil disimpan.
+     * @returns {{next: Array, changed: number, fallback: number}} fallback = token berubah tanpa tokenModal
+     */
+    function planModal(profile) {
+        const modal = profile.modal || {};
+        const tokenModal = profile.tokenModal || {};
+        let changed = 0;
+        let fallback = 0;
+        const next = tokensOf(profile.mode, profile.chain).map(t => {
+            if (!t) return t;
+            const own = (t.id !== undefined && t.id !== null) ? tokenModal[String(t.id)] : null;
+            const dataDexs = Object.assign({}, t.dataDexs || {});
+            let hit = false;
+            (t.selectedDexs || []).forEach(dex => {
+                const key = String(dex).toLowerCase();
+                const v = (own && own[key]) || modal[key];
+                if (!v) return;
+                const cur = dataDexs[dex] || {};
+                if (Number(cur.left) === v.left && Number(cur.right) === v.right) return;
+                dataDexs[dex] = { left: v.left, right: v.right };
+                hit = true;
+            });
+            if (!hit) return t;
+            changed++;
+            if (!own) fallback++;
+            return Object.assign({}, t, { dataDexs });
+        });
+        return { next, changed, fallback };
+    }
+
+    /** Tulis modal profil ke dataDexs token (hanya yang berbeda). @returns {number} token yang berubah */
+    function applyModalToTokens(profile, plan) {
+        const p = plan || planModal(profile);
+        if (p.changed) {
+            if (profile.mode === 'single') setTokensChain(profile.chain, p.next);
+            else setTokensMulti(p.next);
+        }
+        return p.changed;
+    }
+
+    /**
+     * Terapkan profil lalu reload ke mode profil.
+     * @param {string} name
+     * @param {object} [opts] - { reload: false } untuk tidak reload, { confirm: false } tanpa
+     *   konfirmasi timpa modal (tes / pemanggilan programatik)
+     */
+    async function apply(name, opts = {}) {
+        const profile = find(name);
+        if (!profile) {
+            if (typeof toast !== 'undefined' && toast.error) toast.error(`Profil "${name}" tidak ditemukan`);
+            return false;
+        }
+        if (isScanning()) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Hentikan scan dulu sebelum ganti profil');
+            return false;
+        }
+
+        // Modal custom per token ikut tertimpa → konfirmasi dulu sebelum menulis apa pun
+        const plan = planModal(profile);
+        if (plan.changed && opts.confirm !== false) {
+            const note = plan.fallback ? `\n${plan.fallback} token tidak ada di profil dan akan memakai modal terbanyak per DEX.` : '';
+            if (!confirm(`Profil "${profile.name}" akan mengubah modal KIRI/KANAN ${plan.changed} token.${note}\nLanjutkan?`)) return false;
+        }
+
+        const filterKey = filterKeyOf(profile.mode, profile.chain);
+        saveToLocalStorage(filterKey, Object.assign({}, clone(profile.filter), { _filterInitialized: true }));
+
+        if (Object.keys(profile.timings || {}).length) {
+            const settings = getFromLocalStorage(SETTINGS_KEY, {}) || {};
+            saveToLocalStorage(SETTINGS_KEY, Object.assign({}, settings, clone(profile.timings)));
+        }
+
+        const tokenCount = applyModalToTokens(profile, plan);
+        saveToLocalStorage(ACTIVE_KEY, profile.name);
+        try { if (root.__IDB_FLUSH_PENDING__) await root.__IDB_FLUSH_PENDING__(); } catch (_) { }
+        try { setLastAction(`TERAPKAN PROFIL SCAN ${profile.name}`, 'success', { mode: profile.mode, chain: profile.chain, tokens: tokenCount }); } catch (_) { }
+
+        const msg = `Profil "${profile.name}" diterapkan (${profile.mode === 'single' ? String(profile.chain).toUpperCase() : 'MULTICHAIN'}, modal ${tokenCount} token)`;
+        if (opts.reload === false) return true;
+
+        const target = profile.mode === 'single' ? profile.chain : 'all';
+        const current = getAppMode();
+        const sameMode = (current.type === 'single' ? current.chain : 'all') === target;
+        if (sameMode && typeof root.reloadWithNotify === 'function') {
+            root.reloadWithNotify('success', msg);
+        } else {
+            if (typeof root.notifyAfterReload === 'function') root.notifyAfterReload('success', msg);
+            root.location.href = `index.html?chain=${encodeURIComponent(target)}`;
+        }
+        return true;
+    }
+
+    // ====================
+    // EXPORT / IMPORT
+    // ====================
+
+    function download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => { try { URL.revokeObjectURL(a.href); a.remove(); } catch (_) { } }, 0);
+    }
+
+    function buildExport(names) {
+        const wanted = (names || []).map(n => String(n).toLowerCase());
+        const profiles = list().filter(p => !wanted.length || wanted.includes(String(p.name).toLowerCase()));
+        return { kind: EXPORT_KIND, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), profiles };
+    }
+
+    function exportProfiles(names) {
+        const payload = buildExport(names);
+        if (!payload.profiles.length) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Belum ada profil scan untuk di-export');
+            return false;
+        }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        download(JSON.stringify(payload, null, 2), `scan-profiles-${stamp}.json`, 'application/json');
+        if (typeof toast !== 'undefined' && toast.success) toast.success(`Export ${payload.profiles.length} profil scan berhasil`);
+        return true;
+    }
+
+    /**
+     * Gabungkan profil dari JSON export (nama sama ditimpa).
+     * @param {string|object} data - Isi file export atau array profil
+     * @returns {Promise<{imported: number, errors: Array<string>}>}
+     */
+    async function importProfiles(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const incoming = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.profiles) ? parsed.profiles : null);
+        if (!incoming) throw new Error('Format file profil scan tidak dikenali');
+        const errors = [];
+        const byName = new Map(list().map(p => [String(p.name).toLowerCase(), p]));
+        let imported = 0;
+        incoming.forEach(raw => {
+            const res = normalizeProfile(raw);
+            if (!res.ok) { errors.push(res.error); return; }
+            byName.set(res.profile.name.toLowerCase(), res.profile);
+            imported++;
+        });
+        if (imported) {
+            await persist(Array.from(byName.values()).sort((a, b) => String(a.name).localeCompare(String(b.name))));
+        }
+        return { imported, errors };
+    }
+
+    // ====================
+    // VIEW
+    // ====================
+
+    function esc(v) {
+        return String(v === null || v === undefined ? '' : v)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function describe(p) {
+        const f = p.filter || {};
+        const parts = [];
+        if (p.mode === 'multi' && Array.isArray(f.chains)) parts.push(`${f.chains.length} chain`);
+        if (Array.isArray(f.cex)) parts.push(`CEX: ${f.cex.join(', ') || '-'}`);
+        if (Array.isArray(f.dex)) parts.push(`${f.dex.length} DEX`);
+        if (Array.isArray(f.pair)) parts.push(`${f.pair.length} pair`);
+        if (f.pnl) parts.push(`PNL > ${f.pnl}$`);
+        return parts.join(' | ') || '-';
+    }
+
+    function describeModal(p) {
+        const entries = Object.entries(p.modal || {});
+        if (!entries.length) return '-';
+        const perToken = Object.keys(p.tokenModal || {}).length;
+        return entries.map(([dex, v]) => `${dex.toUpperCase()} ${v.left}/${v.right}`).join(', ') + (perToken ? ` (+ modal ${perToken} token)` : '');
+    }
+
+    function render() {
+        const active = getFromLocalStorage(ACTIVE_KEY, '');
+        const rows = list().map(p => `
+            <tr>
+                <td><input type="checkbox" class="uk-checkbox scan-profile-check" value="${esc(p.name)}"></td>
+                <td class="uk-text-bold">${esc(p.name)}${p.name === active ? ' <span class="uk-label uk-label-success">AKTIF</span>' : ''}</td>
+                <td>${p.mode === 'single' ? esc(String(p.chain).toUpperCase()) : 'MULTICHAIN'}</td>
+                <td class="uk-text-small">${esc(describe(p))}</td>
+                <td class="uk-text-small">${esc(describeModal(p))}</td>
+                <td class="uk-text-nowrap">
+                    <button class="uk-button uk-button-primary uk-button-small scan-profile-apply" data-name="${esc(p.name)}">Terapkan</button>
+                    <button class="uk-button uk-button-danger uk-button-small scan-profile-delete" data-name="${esc(p.name)}" title="Hapus">✕</button>
+                </td>
+            </tr>`).join('');
+        $('#scan-profiles-list').html(rows || '<tr><td colspan="6" class="uk-text-meta">Belum ada profil scan. Simpan konfigurasi aktif sebagai profil pertama.</td></tr>');
+    }
+
+    async function saveFromForm() {
+        const name = String($('#scan-profile-name').val() || '').trim();
+        if (!name) {
+            if (typeof toast !== 'undefined' && toast.warning) toast.warning('Nama profil wajib diisi');
+            return;
+        }
+        if (find(name) && !confirm(`Profil "${name}" sudah ada. Timpa dengan konfigurasi saat ini?`)) return;
+        await upsert(captureCurrent(name));
+        try { setLastAction(`SIMPAN PROFIL SCAN ${name}`); } catch (_) { }
+        $('#scan-profile-name').val('');
+        render();
+        if (typeof toast !== 'undefined' && toast.success) toast.success(`Profil scan "${name}" disimpan`);
+    }
+
+    async function importFromFile(file) {
+        if (!file) return;
+        try {
+            const { imported, errors } = await importProfiles(await file.text());
+            render();
+            if (imported && typeof toast !== 'undefined' && toast.success) toast.success(`Import ${imported} profil scan berhasil`);
+            if (errors.length && typeof toast !== 'undefined' && toast.warning) toast.warning(`${errors.length} profil dilewati: ${errors.slice(0, 3).join('; ')}`);
+        } catch (err) {
+            if (typeof toast !== 'undefined' && toast.error) toast.error('Import profil scan gagal: ' + err.message);
+        }
+    }
+
+    function show() {
+        render();
+        if (root.UIkit && UIkit.modal) UIkit.modal('#scan-profiles-modal').show();
+    }
+
+    function init() {
+        $(document).off('click.scanprofiles', '#openScanProfiles').on('click.scanprofiles', '#openScanProfiles', function (e) {
+            e.preventDefault();
+            show();
+        });
+        $('#scan-profile-save').off('click').on('click', saveFromForm);
+        $('#scan-profile-export').off('click').on('click', () => {
+            const names = $('.scan-profile-check:checked').map(function () { return $(this).val(); }).get();
+            exportProfiles(names);
+        });
+        $('#scan-profile-import-btn').off('click').on('click', () => $('#scan-profile-import').trigger('click'));
+        $('#scan-profile-import').off('change').on('change', async function () {
+            await importFromFile(this.files && this.files[0]);
+            this.value = '';
+        });
+        $(document).off('click.scanprofiles', '.scan-profile-apply').on('click.scanprofiles', '.scan-profile-apply', function () {
+            apply($(this).data('name'));
+        });
+        $(document).off('click.scanprofiles-del', '.scan-profile-delete').on('click.scanprofiles-del', '.scan-profile-delete', async function () {
+            const name = String($(this).data('name'));
+            if (!confirm(`Hapus profil scan "${name}"?`)) return;
+            await remove(name);
+            render();
+        });
+    }
+
+    const ScanProfiles = {
+        list, find, upsert, remove, captureCurrent, summarizeModal, captureTokenModal, normalizeProfile,
+        planModal, apply, applyModalToTokens, buildExport, exportProfiles, importProfiles,
+        show, render, init
+    };
+
+    if (typeof App.register === 'function') {
+        App.register('ScanProfiles', ScanProfiles);
+    } else {
+        App.ScanProfiles = ScanProfiles;
+    }
+
+    $(document).ready(function () {
+        init();
+    });
+
+})(typeof window !== 'undefined' ? window : this);
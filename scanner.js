@@ -22,9 +22,31 @@
 // - markDexRequestEnd()
 // - waitForPendingDexRequests(timeoutMs)
 // - getScanRunning() / setScanRunning(value)
+// - getScanPaused() / setScanPaused(value) / waitWhileScanPaused() (PAUSE scan kontinu)
 // - getAnimationFrameId() / setAnimationFrameId(id)
 // - persistRunStateNo()
 
+// Helper functions used (from core/scanner/engine.js):
+// - ScanEngineMath.resolveContracts / resolveTradeSize / resolveLadderRungs / buildDexUpdate
+//   (logika yang sama dipakai headless ScanEngine, lihat tools/headless-scan.js)
+// - ScanEvents.emit('dex:update' | 'dex:error') → UI subscriber mengisi uiUpdateQueue
+// - ScanEvents.emit('scan:start' | 'scan:done') → batas satu putaran scan (spread tracker, journal)
+// - ScanEvents.emit('cex:result') → hasil orderbook CEX per token (diteruskan follower shard)
+
+// Helper functions used (from services/cex-stream.js):
+// - CEXStream.track(flatTokens) → orderbook WebSocket token aktif (toggle WS); getPriceCEX membaca
+//   buku segar lebih dulu, DataCEX diperbarui lagi saat quote DEX masuk (refreshPricesFromStream)
+
+// Helper functions used (from core/scanner/ui-updater.js):
+// - startQuoteAgeTicker() → umur quote & fade sel stale (scan kontinu, toggle LOOP)
+
+// Helper functions used (from core/scanner/priority-scheduler.js):
+// - priorityScheduler.plan(flatTokens) → token jatuh tempo siklus ini, urut prioritas (toggle PRIO)
+
+// Helper functions used (from core/scanner/shard-coordinator.js):
+// - ScanCoordinator.startJob(flatTokens, context) → leader membagi token ke tab lain
+// - options.shard → tab ini follower: tanpa lock / run state, hasil diteruskan ke leader
+
 /**
  * Placeholder function untuk kompatibilitas.
  * Form edit TETAP AKTIF saat scanning untuk memungkinkan user mengubah data.
@@ -39,8 +61,13 @@ function setEditFormState(isScanning) {
  * Start the scanning process for a flattened list of tokens.
  * - Batches tokens per group (scanPerKoin)
  * - For each token: fetch CEX orderbook → quote DEX routes → compute PNL → update UI
+ * @param {object} [options]
+ * @param {object} [options.shard] - Shard dari leader { jobId, shardId, leader, chains, dexs }
  */
-async function startScanner(tokensToScan, settings, tableBodyId) {
+async function startScanner(tokensToScan, settings, tableBodyId, options = {}) {
+    // Mode follower shard: chain/DEX mengikuti leader dan state run/lock milik leader.
+    const shard = (options && options.shard) || null;
+
     // Batalkan countdown auto-run yang mungkin sedang berjalan saat scan baru dimulai.
     clearInterval(window.__autoRunInterval);
     window.__autoRunInterval = null;
@@ -85,7 +112,9 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     const mMode = getAppMode();
     let allowedChains = [];
     // Tentukan chain mana saja yang aktif berdasarkan mode.
-    if (mMode.type === 'single') {
+    if (shard && Array.isArray(shard.chains) && shard.chains.length) {
+        allowedChains = shard.chains.map(c => String(c).toLowerCase());
+    } else if (mMode.type === 'single') {
         allowedChains = [String(mMode.chain).toLowerCase()];
     } else {
         const fm = getFilterMulti();
@@ -109,6 +138,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     // Ini memastikan struktur kolom tabel tidak berubah di tengah jalan.
     let allowedDexs = [];
     try { allowedDexs = (typeof window.resolveActiveDexList === 'function') ? window.resolveActiveDexList() : []; } catch (_) { allowedDexs = []; }
+    if (shard && Array.isArray(shard.dexs)) allowedDexs = shard.dexs.map(d => String(d).toLowerCase());
     try { if (typeof window !== 'undefined') window.__LOCKED_DEX_LIST = (allowedDexs || []).slice(); } catch (_) { }
 
     // Filter daftar token yang akan dipindai:
@@ -126,6 +156,36 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         return;
     }
 
+    // Priority scan: hanya token jatuh tempo yang di-scan siklus ini, token HOT lebih dulu.
+    // Skeleton tabel tetap memuat semua token; token yang dilewati ditandai di badge PRIO.
+    let scanTokens = flatTokens;
+    let scanTokenKeys; // kunci token yang di-plan (undefined = semua token) → 'scan:start'
+    const priorityOn = !shard && !!window.priorityScheduler
+        && (window.CONFIG_APP?.APP?.PRIORITY_SCAN !== false) && $('#priorityScanToggle').is(':checked');
+    if (priorityOn) {
+        try {
+            const plan = window.priorityScheduler.plan(flatTokens);
+            if (plan.tokens.length) { scanTokens = plan.tokens; scanTokenKeys = plan.keys; }
+            try { if (window.SCAN_LOG_ENABLED) console.log(`[SCANNER] Priority plan: ${scanTokens.length}/${flatTokens.length} token`, plan.counts); } catch (_) { }
+        } catch (_) { scanTokens = flatTokens; scanTokenKeys = undefined; }
+    }
+
+    // Scan kontinu (toggle LOOP): daftar token diulang sampai STOP tanpa render ulang tabel.
+    // Tidak dibagi ke tab shard; siklus berikutnya memakai plan priority terbaru (jika aktif).
+    const continuousOn = !shard && (window.CONFIG_APP?.APP?.CONTINUOUS_SCAN !== false)
+        && $('#continuousScanToggle').is(':checked');
+    const continuousCfg = window.CONFIG_SCAN_CONTINUOUS || {};
+    let scanCycle = 1;
+
+    // CEX stream (toggle WS): subscribe orderbook WebSocket untuk semua token aktif,
+    // toggle mati → koneksi ditutup dan getPriceCEX kembali ke REST.
+    try {
+        if (window.CEXStream) {
+            const streamOn = (window.CONFIG_APP?.APP?.CEX_STREAM !== false) && $('#cexStreamToggle').is(':checked');
+            if (streamOn) window.CEXStream.track(flatTokens); else window.CEXStream.stop();
+        }
+    } catch (_) { }
+
     // Siapkan "kerangka" tabel monitoring (header dan semua baris token).
     // Ini penting agar sel-sel tujuan untuk update UI sudah ada sebelum kalkulasi dimulai.
     try {
@@ -141,7 +201,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
 
     // === CHECK GLOBAL SCAN LOCK ===
     try {
-        const lockCheck = typeof checkCanStartScan === 'function' ? checkCanStartScan() : { canScan: true };
+        const lockCheck = (!shard && typeof checkCanStartScan === 'function') ? checkCanStartScan() : { canScan: true };
 
         if (!lockCheck.canScan) {
             // console.warn('[SCANNER] Cannot start scan - locked by another tab:', lockCheck.lockInfo);
@@ -178,7 +238,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         const chainLabel = allowedChains.map(c => String(c).toUpperCase()).join(', ');
         const filterKey = getActiveFilterKey();
 
-        const lockAcquired = typeof setGlobalScanLock === 'function'
+        const lockAcquired = (!shard && typeof setGlobalScanLock === 'function')
             ? setGlobalScanLock(filterKey, {
                 tabId: typeof getTabId === 'function' ? getTabId() : null,
                 mode: mode.type === 'multi' ? 'MULTICHAIN' : (mode.chain || 'UNKNOWN').toUpperCase(),
@@ -214,10 +274,11 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     }
 
     // Set state aplikasi menjadi 'berjalan' (run: 'YES').
-    setAppState({ run: 'YES' });
+    // Follower shard tidak menulis run state (FILTER_* milik leader, dibroadcast ke semua tab).
+    if (!shard) setAppState({ run: 'YES' });
     setPageTitleForRun(true);
     try {
-        if (typeof window.updateRunStateCache === 'function') {
+        if (!shard && typeof window.updateRunStateCache === 'function') {
             try { window.updateRunStateCache(getActiveFilterKey(), { run: 'YES' }); } catch (_) { }
             // Mark each allowed chain as running to isolate per-chain state
             try { (allowedChains || []).forEach(c => window.updateRunStateCache(`FILTER_${String(c).toUpperCase()}`, { run: 'YES' })); } catch (_) { }
@@ -236,7 +297,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     // ✅ FIX: Only clear signals on MANUAL scan, not on auto-run
     // This prevents signals from being replaced when AUTO LEVEL re-scans with different orderbook data
     const isAutoRun = (typeof window.AUTORUN_ENABLED !== 'undefined') ? window.AUTORUN_ENABLED : false;
-    if (!isAutoRun) {
+    if (!isAutoRun && !shard) {
         // Bersihkan kartu sinyal hanya pada scan manual
         $('#sinyal-container [id^="sinyal"]').empty();
         try { if (window.SCAN_LOG_ENABLED) console.log('[SCANNER] 🗑️  Signals cleared (manual scan)'); } catch (_) { }
@@ -250,10 +311,13 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     form_off();
     $("#autoScrollCheckbox").show().prop('disabled', false);
     $("#stopSCAN").show().prop('disabled', false);
+    $('#pauseSCAN').toggle(continuousOn).prop('disabled', false);
+    $('#loopStatus').text(continuousOn ? `LOOP #${scanCycle}` : '');
+    if (continuousOn && typeof window.startQuoteAgeTicker === 'function') window.startQuoteAgeTicker();
     $('.statusCheckbox').css({ 'pointer-events': 'auto', 'opacity': '1' }).prop('disabled', false);
 
     // Kirim notifikasi status 'ONLINE' ke Telegram.
-    sendStatusTELE(ConfigScan.nickname, 'ONLINE');
+    if (!shard) sendStatusTELE(ConfigScan.nickname, 'ONLINE');
 
     // Ambil parameter jeda dan kecepatan dari settings.
     // ✅ FIXED: Gunakan CONFIG_UI.SETTINGS.defaults sebagai fallback (bukan hardcoded)
@@ -320,6 +384,22 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     // menggunakan `requestAnimationFrame` untuk mencegah browser lag.
     let uiUpdateQueue = [];
 
+    // UI adalah subscriber dari event stream scan (core/scanner/engine.js).
+    // Hasil DEX di-emit sebagai 'dex:update', lalu masuk ke antrian UI di sini.
+    // Listener scan sebelumnya dilepas agar tidak mendorong ke antrian lama.
+    try {
+        if (window.__SCAN_UI_SUBSCRIPTION__) window.ScanEvents.off('dex:update', window.__SCAN_UI_SUBSCRIPTION__);
+        window.__SCAN_UI_SUBSCRIPTION__ = window.ScanEvents.on('dex:update', ({ update }) => {
+            if (update) uiUpdateQueue.push(update);
+        });
+        // Error dari follower shard: sel belum dirender lokal, jadi masuk antrian UI.
+        if (window.__SCAN_UI_ERROR_SUBSCRIPTION__) window.ScanEvents.off('dex:error', window.__SCAN_UI_ERROR_SUBSCRIPTION__);
+        window.__SCAN_UI_ERROR_SUBSCRIPTION__ = window.ScanEvents.on('dex:error', ({ remote, id, message, swapMessage }) => {
+            if (remote && id) uiUpdateQueue.push({ type: 'error', id, message, swapMessage });
+        });
+        window.ScanEvents.emit('scan:start', { total: scanTokens.length, startedAt: Date.now(), tokenKeys: scanTokenKeys });
+    } catch (_) { }
+
     // Pastikan update UI segera dijalankan saat tab kembali aktif (visible).
     try {
         if (typeof window !== 'undefined' && !window.__UI_VIS_LISTENER_SET__) {
@@ -506,10 +586,13 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
     async function processRequest(token, tableBodyId) {
         if (!allowedChains.includes(String(token.chain).toLowerCase())) return;
         // Skip processing if token has been deleted during scanning
+        // (follower shard memakai daftar token leader, bukan storage mode tab ini)
         try {
             const modeNow = getAppMode();
             let stillExists = false;
-            if (modeNow.type === 'single') {
+            if (shard) {
+                stillExists = true;
+            } else if (modeNow.type === 'single') {
                 const list = getTokensChain(modeNow.chain);
                 stillExists = Array.isArray(list) && list.some(t => String(t.id) === String(token.id));
             } else {
@@ -518,11 +601,30 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
             }
             if (!stillExists) return; // token removed; do not fetch
         } catch (_) { }
+        // Scan kontinu siklus ke-2 dst.: buka kembali sel token ini. Hasil lama tetap tampil
+        // sampai hasil baru masuk; DisplayPNL hanya menulis ulang sel yang isinya berubah.
+        if (scanCycle > 1) {
+            try {
+                const tokenId = String(token.id || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+                document.querySelectorAll(`td[id^="${tableBodyId}_"][id$="_${tokenId}"]`).forEach(cell => {
+                    if (!cell.dataset || cell.dataset.final !== '1') return;
+                    delete cell.dataset.final;
+                    delete cell.dataset.finalSuccess;
+                    delete cell.dataset.finalError;
+                });
+            } catch (_) { }
+        }
         try {
             // 1. Ambil data harga dari CEX dengan mekanisme retry.
             // OPTIMIZED: Kurangi retry untuk hemat waktu (3→2 attempts, 450→250ms delay)
             const cexResult = await fetchCEXWithRetry(token, tableBodyId, { maxAttempts: 2, delayMs: 250 });
             const DataCEX = cexResult.data || {};
+            try {
+                window.ScanEvents.emit('cex:result', {
+                    token, ok: cexResult.ok, data: cexResult.data || null, error: cexResult.error || null,
+                    shardJob: shard ? shard.jobId : null
+                });
+            } catch (_) { }
 
             // ===== AUTO SKIP FEATURE =====
             // Jika pengambilan data CEX gagal, tampilkan warning toast dan SKIP scan DEX
@@ -545,14 +647,19 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
             const autoVolEnabled = $('#checkVOL').is(':checked');      // AUTO VOL
             const autoLevelEnabled = $('#autoVolToggle').is(':checked'); // AUTO LEVEL
 
+            // 3. SIZE LADDER (sizeLadderToggle): Quote DEX di beberapa ukuran modal, pilih PNL bersih terbaik
+            const sizeLadderEnabled = (window.CONFIG_APP?.APP?.SIZE_LADDER !== false) && $('#sizeLadderToggle').is(':checked');
+
             const autoVolSettings = {
                 autoVol: autoVolEnabled,
                 autoLevel: autoLevelEnabled,
-                levels: parseInt($('#autoVolLevels').val()) || 1
+                levels: parseInt($('#autoVolLevels').val()) || 1,
+                sizeLadder: sizeLadderEnabled,
+                ladderSteps: (window.CONFIG_UI?.SETTINGS?.defaults?.sizeLadderSteps) || [25, 50, 100, 200]
             };
 
-            // Only fetch orderbook if AUTO LEVEL is enabled
-            if (autoLevelEnabled && cexResult.ok) {
+            // Only fetch orderbook if AUTO LEVEL or SIZE LADDER is enabled
+            if ((autoLevelEnabled || sizeLadderEnabled) && cexResult.ok) {
                 try {
                     const cexUpper = String(token.cex).toUpperCase();
                     const cexConfig = CONFIG_CEX[cexUpper];
@@ -563,8 +670,14 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                             ? cexConfig.ORDERBOOK.urlTpl({ symbol })
                             : '';
 
-                        if (url) {
-                            const orderbookResponse = await $.getJSON(url);
+                        // Orderbook live dari stream WebSocket (toggle WS) jika segar, tanpa request REST
+                        const live = window.CEXStream ? window.CEXStream.getOrderBook(cexUpper, symbol) : null;
+                        if (live) {
+                            DataCEX.orderbook = { asks: live.asks, bids: live.bids };
+                        } else if (url) {
+                            const orderbookResponse = window.HostRateLimiter
+                                ? await window.HostRateLimiter.run(url, () => $.getJSON(url))
+                                : await $.getJSON(url);
                             DataCEX.orderbook = (typeof parseOrderbook === 'function')
                                 ? parseOrderbook(cexUpper, orderbookResponse)
                                 : { asks: [], bids: [] };
@@ -632,95 +745,38 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
 
                             // Normalisasi alamat kontrak dan desimal, terutama untuk pair 'NON'
                             // agar menggunakan nilai default jika tidak ada.
+                            // ✅ Logika sama dengan headless engine (core/scanner/engine.js)
                             const chainCfgSafe = (window.CONFIG_CHAINS || {})[String(token.chain).toLowerCase()] || {};
-                            const pairDefsSafe = chainCfgSafe.PAIRDEXS || {};
-                            const nonDef = pairDefsSafe['NON'] || {};
-                            const isAddrInvalid = (addr) => !addr || String(addr).toLowerCase() === '0x' || String(addr).length < 6;
-                            let scInSafe = isKiri ? token.sc_in : token.sc_out;
-                            let scOutSafe = isKiri ? token.sc_out : token.sc_in;
-                            let desInSafe = isKiri ? Number(token.des_in) : Number(token.des_out);
-                            let desOutSafe = isKiri ? Number(token.des_out) : Number(token.des_in);
-                            const symOut = isKiri ? String(token.symbol_out || '') : String(token.symbol_in || '');
-                            if (String(symOut).toUpperCase() === 'NON' || isAddrInvalid(scOutSafe)) {
-                                if (nonDef && nonDef.scAddressPair) {
-                                    scOutSafe = nonDef.scAddressPair;
-                                    desOutSafe = Number(nonDef.desPair || desOutSafe || 18);
-                                }
-                            }
+                            const { scInSafe, scOutSafe, desInSafe, desOutSafe } = ScanEngineMath.resolveContracts(token, isKiri, chainCfgSafe);
 
                             // ===== AUTO LEVEL: Calculate Modal & Amount =====
                             // ✅ AUTO LEVEL CONCEPT:
                             // - Fetch orderbook and calculate actual available volume
                             // - Use ACTUAL modal and price from orderbook for simulation
                             // - Show warning ⚠️ if orderbook insufficient
-                            let modal, amountIn, avgPriceCEX, autoVolResult = null;
-
-                            if (autoVolSettings.autoLevel && DataCEX.orderbook && cexResult.ok) {
-                                // Use Auto Level for actual simulation
-                                const side = isKiri ? 'asks' : 'bids';
-                                const maxModal = Number(isKiri ? modalKiri : modalKanan) || 0;
-
-                                // 🔍 DEBUG: Auto Level settings and CEX data
-                                try { if (window.SCAN_LOG_ENABLED) console.log('🎯 [SCANNER] Auto Level Active (Actual Simulation Mode)'); } catch (_) { }
-                                try { if (window.SCAN_LOG_ENABLED) console.log('  Direction:', isKiri ? 'CEX→DEX (TokenToPair)' : 'DEX→CEX (PairToToken)'); } catch (_) { }
-                                try { if (window.SCAN_LOG_ENABLED) console.log('  Side:', side); } catch (_) { }
-                                try { if (window.SCAN_LOG_ENABLED) console.log('  User Modal (Max):', maxModal); } catch (_) { }
-                                try { if (window.SCAN_LOG_ENABLED) console.log('  Auto Level Levels:', autoVolSettings.levels); } catch (_) { }
-
-                                autoVolResult = (typeof calculateAutoVolume === 'function')
-                                    ? calculateAutoVolume(DataCEX.orderbook, maxModal, autoVolSettings.levels, side)
-                                    : null;
-
-                                // 🔍 DEBUG: Auto Level result
-                                try { if (window.SCAN_LOG_ENABLED) console.log('📦 [SCANNER] Auto Level Result:', autoVolResult); } catch (_) { }
-
-                                if (autoVolResult && !autoVolResult.error && autoVolResult.totalCoins > 0) {
-                                    // ✅ AUTO LEVEL: ALWAYS use actual values from orderbook for realistic PNL
-                                    modal = autoVolResult.actualModal;  // ← Always use ACTUAL modal
-                                    avgPriceCEX = autoVolResult.avgPrice;  // ← Always use weighted average price
-
-                                    // Calculate actual amount based on direction
-                                    if (isKiri) {
-                                        // CEX→DEX (tokentopair): Use totalCoins (TOKEN amount to swap)
-                                        amountIn = autoVolResult.totalCoins;
-                                    } else {
-                                        // DEX→CEX (pairtotoken): Convert actualModal to PAIR amount
-                                        const pricePair = DataCEX.priceBuyPair || 1;
-                                        amountIn = autoVolResult.actualModal / pricePair;
-                                    }
-
-                                    // 🔍 DEBUG: Final values used
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('✅ [AUTO LEVEL] Using ACTUAL modal from orderbook:'); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  Modal (for PNL):', modal, '(ACTUAL from orderbook)'); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  Amount In:', amountIn, '(ACTUAL)'); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  Avg Price CEX:', avgPriceCEX, '(weighted average)'); } catch (_) { }
-
-                                    // Show info if actual modal is less than user modal
-                                    if (autoVolResult.actualModal < maxModal) {
-                                        try { if (window.SCAN_LOG_ENABLED) console.warn('📊 [AUTO LEVEL] Orderbook has less volume than user modal:'); } catch (_) { }
-                                        try { if (window.SCAN_LOG_ENABLED) console.warn('  User Modal (Max):', maxModal); } catch (_) { }
-                                        try { if (window.SCAN_LOG_ENABLED) console.warn('  Actual Available:', autoVolResult.actualModal); } catch (_) { }
-                                        try { if (window.SCAN_LOG_ENABLED) console.warn('  Using actual modal for realistic PNL calculation'); } catch (_) { }
-                                    }
-                                } else {
-                                    // Fallback to user modal if orderbook calculation fails
-                                    try { if (window.SCAN_LOG_ENABLED) console.warn('⚠️  [SCANNER] Auto Level fallback to user modal:', autoVolResult?.error || 'No valid result'); } catch (_) { }
-                                    modal = maxModal;
-                                    amountIn = isKiri ? amount_in_token : amount_in_pair;
-                                    avgPriceCEX = isKiri ? DataCEX.priceBuyToken : DataCEX.priceBuyPair;
-                                    autoVolResult = null;
-                                }
-                            } else {
-                                // Fixed modal (existing behavior)
-                                if (autoVolSettings.autoLevel) {
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('⏭️  [SCANNER] Auto Level skipped:'); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  Auto Level Enabled:', autoVolSettings.autoLevel); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  Orderbook Available:', !!DataCEX.orderbook); } catch (_) { }
-                                    try { if (window.SCAN_LOG_ENABLED) console.log('  CEX Result OK:', cexResult.ok); } catch (_) { }
-                                }
-                                modal = Number(isKiri ? modalKiri : modalKanan) || 0;
-                                amountIn = isKiri ? amount_in_token : amount_in_pair;
-                                avgPriceCEX = isKiri ? DataCEX.priceBuyToken : DataCEX.priceBuyPair;
+                            // Jika CEX gagal, modal/amount = 0 (DEX akan di-skip oleh validasi readiness)
+                            let { modal, amountIn, avgPriceCEX, autoVolResult } = ScanEngineMath.resolveTradeSize({
+                                isKiri,
+                                userModal: isKiri ? modalKiri : modalKanan,
+                                DataCEX: cexResult.ok ? DataCEX : {},
+                                autoLevel: autoVolSettings.autoLevel,
+                                levels: autoVolSettings.levels,
+                                calculateAutoVolume: (typeof calculateAutoVolume === 'function') ? calculateAutoVolume : null
+                            });
+
+                            // ===== SIZE LADDER: Sizing CEX per rung =====
+                            // Setiap rung (% dari modal user) di-size dengan orderbook yang sama seperti AUTO LEVEL
+                            // (buildSizeLadder di api.js), lalu DEX di-quote per rung dan rung dengan PNL bersih terbaik dipakai.
+                            let ladderRungs = [];
+                            let ladderSummary = null;
+                            if (autoVolSettings.sizeLadder && cexResult.ok) {
+                                ladderRungs = ScanEngineMath.resolveLadderRungs({
+                                    isKiri,
+                                    userModal: isKiri ? modalKiri : modalKanan,
+                                    DataCEX,
+                                    steps: autoVolSettings.ladderSteps,
+                                    buildSizeLadder: (typeof buildSizeLadder === 'function') ? buildSizeLadder : null
+                                });
                             }
 
                             /**
@@ -905,6 +961,27 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                             if (!ready.ok) { updateDexCellStatus('failed', dex, ready.reason); resolve(); return; }
 
 
+                            /**
+                             * Hitung PNL (calculateResult) untuk satu respons DEX pada ukuran trade tertentu.
+                             * Dipakai oleh handleSuccess dan oleh SIZE LADDER untuk membandingkan rung.
+                             * @param {object} finalDexRes - Respons DEX (sudah ditandai fallback jika perlu).
+                             * @param {number} modalUsed - Modal (USDT) untuk ukuran ini.
+                             * @param {number} amountInUsed - amount_in yang dikirim ke DEX.
+                             * @param {object|null} autoVolUsed - Hasil orderbook (calculateAutoVolume) atau null.
+                             * @returns {object} Payload update/error dari calculateResult.
+                             */
+                            const buildUpdate = (finalDexRes, modalUsed, amountInUsed, autoVolUsed) => {
+                                // ✅ CRITICAL FIX: Use `modal` (actual modal from Auto Volume), NOT modalKiri/modalKanan (max modal)!
+                                // ✅ CRITICAL FIX #2: Use `amountIn` (actual amount from Auto Volume), NOT amount_in_token/amount_in_pair (based on max modal)!
+                                return ScanEngineMath.buildDexUpdate({
+                                    calculateResult,
+                                    baseId, tableBodyId, token, dex, direction,
+                                    kodeChain: CONFIG_CHAINS[token.chain.toLowerCase()].Kode_Chain,
+                                    DataCEX, dexRes: finalDexRes,
+                                    modal: modalUsed, amountIn: amountInUsed, autoVolResult: autoVolUsed
+                                });
+                            };
+
                             /**
                              * Handler yang dijalankan jika panggilan API DEX (atau fallback-nya) berhasil.
                              * @param {object} dexResponse - Respons dari `getPriceDEX` atau `getPriceAltDEX`.
@@ -920,40 +997,10 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                         isFallback: true,  // Flag untuk DisplayPNL
                                         fallbackSource: fallbackSource || 'UNKNOWN'
                                     } : dexResponse;
+                                    // CEX stream (toggle WS): harga CEX diambil ulang dari orderbook live saat quote DEX masuk
+                                    try { if (window.CEXStream && window.App?.Services?.CEX?.refreshPricesFromStream) window.App.Services.CEX.refreshPricesFromStream(DataCEX); } catch (_) { }
                                     // Panggil `calculateResult` untuk menghitung PNL dan data lainnya.
-                                    // ✅ AUTO VOLUME: Separate display price from calculation price
-                                    const cexBuyPriceCalc = (autoVolResult && !autoVolResult.error && isKiri)
-                                        ? autoVolResult.avgPrice  // PNL: use weighted average
-                                        : DataCEX.priceBuyToken;
-                                    const cexSellPriceCalc = (autoVolResult && !autoVolResult.error && !isKiri)
-                                        ? autoVolResult.avgPrice
-                                        : DataCEX.priceSellToken;
-
-                                    // ✅ CRITICAL FIX: Use `modal` (actual modal from Auto Volume), NOT modalKiri/modalKanan (max modal)!
-                                    // ✅ CRITICAL FIX #2: Use `amountIn` (actual amount from Auto Volume), NOT amount_in_token/amount_in_pair (based on max modal)!
-                                    const update = calculateResult(
-                                        baseId, tableBodyId, finalDexRes.amount_out, finalDexRes.FeeSwap,
-                                        isKiri ? token.sc_in : token.sc_out, isKiri ? token.sc_out : token.sc_in,
-                                        token.cex, modal,  // ✅ FIX: Use `modal` (actualModal when Auto Volume ON)
-                                        amountIn,          // ✅ FIX: Use `amountIn` (from Auto Volume OR fixed modal)
-                                        cexBuyPriceCalc, cexSellPriceCalc, DataCEX.priceBuyPair, DataCEX.priceSellPair,
-                                        isKiri ? token.symbol_in : token.symbol_out, isKiri ? token.symbol_out : token.symbol_in,
-                                        isKiri ? DataCEX.feeWDToken : DataCEX.feeWDPair,
-                                        dex, token.chain, CONFIG_CHAINS[token.chain.toLowerCase()].Kode_Chain,
-                                        direction,
-                                        // ✅ FIX: Calculate actual CEX volume for AUTO VOL validation
-                                        // TokenToPair: You BUY token on CEX → need ASK liquidity (volumes_sellToken)
-                                        // PairToToken: You SELL token on CEX → need BID liquidity (volumes_buyToken)
-                                        (() => {
-                                            try {
-                                                const volArray = isKiri
-                                                    ? (DataCEX.volumes_sellToken || [])  // ASK = people selling, you buy
-                                                    : (DataCEX.volumes_buyToken || []);   // BID = people buying, you sell
-                                                return volArray.reduce((sum, v) => sum + (parseFloat(v?.volume) || 0), 0);
-                                            } catch (_) { return 0; }
-                                        })(),
-                                        finalDexRes
-                                    );
+                                    const update = buildUpdate(finalDexRes, modal, amountIn, autoVolResult);
 
 
                                     // ✅ AUTO VOLUME FEATURES: Inject display data and flags
@@ -961,10 +1008,18 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                     update.autoVolEnabled = autoVolSettings.autoVol;
                                     update.autoLevelEnabled = autoVolSettings.autoLevel;
 
+                                    // ✅ SIZE LADDER: Inject ringkasan rung (dipakai DisplayPNL & tooltip)
+                                    if (ladderSummary) {
+                                        update.sizeLadder = ladderSummary;
+                                    }
+
                                     // ✅ AUTO LEVEL: Inject orderbook result data
                                     if (autoVolResult && !autoVolResult.error) {
                                         update.autoVolResult = autoVolResult;
-                                        update.maxModal = Number(isKiri ? modalKiri : modalKanan) || 0;
+                                        // SIZE LADDER: bandingkan dengan target rung terbaik, bukan modal user (rung 25% bukan "kurang volume")
+                                        update.maxModal = ladderSummary
+                                            ? ladderSummary.best.targetModal
+                                            : (Number(isKiri ? modalKiri : modalKanan) || 0);
                                         // Override CEX price for display with lastLevelPrice
                                         if (isKiri) {
                                             update.cexBuyPriceDisplay = autoVolResult.lastLevelPrice;
@@ -1058,7 +1113,8 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                         // Estimate: transfer gas ~50% dari swap gas (karena transfer lebih simple)
                                         const feeTransfer = !isKiri ? (feeSwap * 0.5) : 0;
 
-                                        const feeTrade = 0.0014 * tooltipModal;
+                                        const feeTradeRate = (typeof getCexTradingFee === 'function') ? getCexTradingFee(token.cex, 'taker') : 0.0014;
+                                        const feeTrade = feeTradeRate * tooltipModal;
 
                                         // Harga efektif DEX (USDT/token)
                                         let effDexPerToken = 0;
@@ -1179,6 +1235,16 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                             return idr;
                                         };
 
+                                        // SIZE LADDER: ringkasan PNL bersih per ukuran modal
+                                        const ladderLines = (ladderSummary && Array.isArray(ladderSummary.rungs))
+                                            ? [
+                                                `  🪜 SIZE LADDER (terbaik: ${ladderSummary.best.pct}% = $${Number(ladderSummary.best.modal || 0).toFixed(2)}):`,
+                                                ...ladderSummary.rungs.map(r => r.ok
+                                                    ? `    ${r.pct === ladderSummary.best.pct ? '★' : '•'} ${r.pct}% $${Number(r.modal || 0).toFixed(2)}${r.insufficient ? ' ⚠️' : ''}: ${r.profitLoss >= 0 ? '+' : ''}$${Number(r.profitLoss).toFixed(2)}`
+                                                    : `    • ${r.pct}% $${Number(r.targetModal || 0).toFixed(2)}: ERROR ${r.error || ''}`.trimEnd())
+                                            ]
+                                            : [];
+
                                         const lines = [
                                             `⏰ ${timestamp} | 🌐 ${chainName}`,
                                             `  💰 MODAL: $${tooltipModal.toFixed(2)} ${formatIdrSafe(tooltipModal) ? `(${formatIdrSafe(tooltipModal)})` : ''}`,
@@ -1217,13 +1283,14 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                             `    • Gas Swap: $${feeSwap.toFixed(4)}`,
                                             isKiri ? `    • Withdraw (${ce}): $${feeWD.toFixed(4)}` : null,
                                             !isKiri ? `    • Transfer Fee: $${feeTransfer.toFixed(4)}` : null,
-                                            `    • Trading Fee (0.14%): $${feeTrade.toFixed(4)}`,
+                                            `    • Trading Fee ${ce} (${(feeTradeRate * 100).toFixed(3).replace(/\.?0+$/, '')}%): $${feeTrade.toFixed(4)}`,
                                             `    • TOTAL FEE: $${totalFee.toFixed(4)}`,
                                             `  ━━━━━━━━━━━━━━━━━━`,
                                             `  ✨ NET PROFIT: ${profitLoss >= 0 ? '+' : ''}$${profitLoss.toFixed(2)} USDT`,
                                             profitLoss >= 0
                                                 ? `       RATE IDR: ${formatIdrSafe(profitLoss) || '-'} ✅`
                                                 : `       RATE IDR: -${formatIdrSafe(Math.abs(profitLoss)) || '-'} ❌`,
+                                            ...ladderLines,
                                             `  ━━━━━━━━━━━━━━━━━━`
                                         ].filter(Boolean).join('\n');
                                         // ✅ FIX: Simpan tooltip ke update object agar DisplayPNL bisa menggunakannya
@@ -1241,9 +1308,12 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                             }
                                         } catch (_) { }
                                     } catch (_) { }
-                                    // Masukkan hasil kalkulasi ke antrian pembaruan UI.
+                                    // Emit hasil kalkulasi; subscriber UI memasukkannya ke antrian pembaruan UI.
                                     // console.log(`[PUSH TO QUEUE] Pushing update to uiUpdateQueue`, { idCELL, isFallback, type: update.type });
-                                    uiUpdateQueue.push(update);
+                                    if (shard) update.shardJob = shard.jobId;
+                                    window.ScanEvents.emit('dex:update', {
+                                        token, dex, direction, update, sizeLadder: ladderSummary
+                                    });
                                     if (!getScanRunning()) {
                                         try {
                                             setAnimationFrameId(requestAnimationFrame(processUiUpdates));
@@ -1357,6 +1427,8 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                     try { if (window.SCAN_LOG_ENABLED) console.log(headerBlock); } catch (_) { }
                                 } catch (_) { }
 
+                                try { window.ScanEvents.emit('dex:error', { token, dex, direction, error: initialError, message: msg, id: idCELL, shardJob: shard ? shard.jobId : null }); } catch (_) { }
+
                                 markDexRequestEnd();
                                 resolve(); // ✅ Resolve promise when error handler completes
                             };
@@ -1390,41 +1462,111 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                 const buffer = 1500;  // 1.5s buffer (API timeout + buffer > API timeout)
                                 dexTimeoutWindow = apiTimeout + buffer;
                             }
+                            // SIZE LADDER: semua rung (berurutan) harus selesai di dalam window sel yang sama;
+                            // getPriceDEXLadder memotong timeout tiap rung ke sisa window dan melewati rung sisanya
                             // Mulai ticker countdown untuk menampilkan sisa detik pada label "Checking".
-                            try {
-                                const endAt = Date.now() + dexTimeoutWindow;
-                                // Stamp a deadline on the cell for a global safety sweeper
-                                try { const c = document.getElementById(idCELL); if (c) { c.dataset.deadline = String(endAt); c.dataset.dex = String(dex); c.dataset.checking = '1'; } } catch (_) { }
-                                const renderCheck = (secs, cell) => {
-                                    const span = ensureDexStatusSpan(cell);
-                                    span.innerHTML = `<span class=\"uk-margin-small-right\" uk-spinner=\"ratio: 0.5\"></span>${String(dex || '').toUpperCase()} (${secs}s)`;
-                                    try { if (window.UIkit && UIkit.update) UIkit.update(cell); } catch (_) { }
-                                };
-                                const onEndCheck = () => {
-                                    // Timeout will be handled by ticker and safety sweeper in processUiUpdates
-                                };
-                                // Define lightweight helper locally (reused)
-                                const startTicker = (endAt, render, onEnd) => {
-                                    try {
-                                        window._DEX_TICKERS = window._DEX_TICKERS || new Map();
-                                        const key = idCELL + ':ticker';
-                                        if (window._DEX_TICKERS.has(key)) { clearInterval(window._DEX_TICKERS.get(key)); window._DEX_TICKERS.delete(key); }
-                                        const tick = () => {
-                                            const rem = endAt - Date.now();
-                                            const secs = Math.max(0, Math.ceil(rem / 1000));
-                                            const cell = document.getElementById(idCELL);
-                                            if (!cell) { clearDexTickerById(idCELL); return; }
-                                            if (cell.dataset && cell.dataset.final === '1') { clearDexTickerById(idCELL); return; }
-                                            render(secs, cell);
-                                            if (rem <= 0) { clearDexTickerById(idCELL); /*if (typeof onEnd === 'function') onEnd();*/ }
-                                        };
-                                        const intId = setInterval(tick, 1000);
-                                        window._DEX_TICKERS.set(key, intId);
-                                        tick();
-                                    } catch (_) { }
-                                };
-                                startTicker(endAt, renderCheck, onEndCheck);
-                            } catch (_) { }
+                            // Deadline sel dimulai saat request benar-benar dikirim (onDispatch dari getPriceDEX),
+                            // bukan saat masuk antrian HostRateLimiter → menunggu slot host tidak dihitung timeout.
+                            let deadlineArmed = false;
+                            const armDexDeadline = () => {
+                                // Ladder: satu deadline untuk semua rung (dipasang di rung pertama)
+                                if (deadlineArmed && ladderRungs.length > 1) return;
+                                deadlineArmed = true;
+                                try {
+                                    const endAt = Date.now() + dexTimeoutWindow;
+                                    // Stamp a deadline on the cell for a global safety sweeper
+                                    try { const c = document.getElementById(idCELL); if (c) { c.dataset.deadline = String(endAt); c.dataset.dex = String(dex); c.dataset.checking = '1'; } } catch (_) { }
+                                    const renderCheck = (secs, cell) => {
+                                        const span = ensureDexStatusSpan(cell);
+                                        span.innerHTML = `<span class=\"uk-margin-small-right\" uk-spinner=\"ratio: 0.5\"></span>${String(dex || '').toUpperCase()} (${secs}s)`;
+                                        try { if (window.UIkit && UIkit.update) UIkit.update(cell); } catch (_) { }
+                                    };
+                                    const onEndCheck = () => {
+                                        // Timeout will be handled by ticker and safety sweeper in processUiUpdates
+                                    };
+                                    // Define lightweight helper locally (reused)
+                                    const startTicker = (endAt, render, onEnd) => {
+                                        try {
+                                            window._DEX_TICKERS = window._DEX_TICKERS || new Map();
+                                            const key = idCELL + ':ticker';
+                                            if (window._DEX_TICKERS.has(key)) { clearInterval(window._DEX_TICKERS.get(key)); window._DEX_TICKERS.delete(key); }
+                                            const tick = () => {
+                                                const rem = endAt - Date.now();
+                                                const secs = Math.max(0, Math.ceil(rem / 1000));
+                                                const cell = document.getElementById(idCELL);
+                                                if (!cell) { clearDexTickerById(idCELL); return; }
+                                                if (cell.dataset && cell.dataset.final === '1') { clearDexTickerById(idCELL); return; }
+                                                render(secs, cell);
+                                                if (rem <= 0) { clearDexTickerById(idCELL); /*if (typeof onEnd === 'function') onEnd();*/ }
+                                            };
+                                            const intId = setInterval(tick, 1000);
+                                            window._DEX_TICKERS.set(key, intId);
+                                            tick();
+                                        } catch (_) { }
+                                    };
+                                    startTicker(endAt, renderCheck, onEndCheck);
+                                } catch (_) { }
+                            };
+                            const dexCallOptions = { onDispatch: armDexDeadline, maxTotalMs: dexTimeoutWindow };
+
+                            /**
+                             * SIZE LADDER: Quote DEX untuk setiap rung, hitung PNL bersih per rung via calculateResult,
+                             * lalu teruskan rung terbaik ke handleSuccess (modal/amountIn/autoVolResult ikut rung tsb).
+                             */
+                            const runSizeLadder = () => {
+                                getPriceDEXLadder(
+                                    scInSafe, desInSafe,
+                                    scOutSafe, desOutSafe,
+                                    ladderRungs.map(r => r.amountIn),
+                                    (cexResult.ok && DataCEX.priceBuyPair > 0) ? DataCEX.priceBuyPair : 1,
+                                    dex,
+                                    isKiri ? token.symbol_in : token.symbol_out, isKiri ? token.symbol_out : token.symbol_in,
+                                    token.cex, token.chain, CONFIG_CHAINS[token.chain.toLowerCase()].Kode_Chain, direction, tableBodyId,
+                                    dexCallOptions
+                                ).then((results) => {
+                                    const evaluated = ladderRungs.map((rung, i) => {
+                                        const res = results[i];
+                                        if (!res || !res.ok) return { rung, error: res ? res.error : null };
+                                        try {
+                                            return { rung, dexRes: res.response, update: buildUpdate(res.response, rung.modal, rung.amountIn, rung.autoVolResult) };
+                                        } catch (e) {
+                                            return { rung, error: { pesanDEX: e.message } };
+                                        }
+                                    });
+                                    const best = (typeof pickBestLadderRung === 'function') ? pickBestLadderRung(evaluated) : null;
+                                    if (!best) {
+                                        const firstErr = evaluated.find(e => e.error)?.error;
+                                        handleError(firstErr || { statusCode: 0, pesanDEX: 'SIZE LADDER: semua rung gagal' });
+                                        return;
+                                    }
+
+                                    // Pakai ukuran rung terbaik untuk kalkulasi final & tampilan
+                                    modal = best.rung.modal;
+                                    amountIn = best.rung.amountIn;
+                                    autoVolResult = best.rung.autoVolResult;
+                                    avgPriceCEX = best.rung.avgPrice;
+                                    ladderSummary = {
+                                        best: {
+                                            pct: best.rung.pct,
+                                            targetModal: best.rung.targetModal,
+                                            modal: best.rung.modal,
+                                            amountIn: best.rung.amountIn,
+                                            profitLoss: Number(best.update.profitLoss)
+                                        },
+                                        rungs: evaluated.map(e => ({
+                                            pct: e.rung.pct,
+                                            targetModal: e.rung.targetModal,
+                                            modal: e.rung.modal,
+                                            insufficient: e.rung.insufficient,
+                                            ok: !!(e.update && e.update.type === 'update'),
+                                            profitLoss: e.update ? Number(e.update.profitLoss) : null,
+                                            error: e.error ? String(e.error.pesanDEX || e.error.message || '') : ''
+                                        }))
+                                    };
+                                    try { if (window.SCAN_LOG_ENABLED) console.log(`🪜 [SIZE LADDER] ${token.symbol_in} ${dex} ${direction}:`, ladderSummary); } catch (_) { }
+                                    handleSuccess(best.dexRes);
+                                }).catch((err) => { handleError(err); });
+                            };
 
                             // Panggil API DEX setelah jeda yang dikonfigurasi.
                             setTimeout(() => {
@@ -1434,6 +1576,10 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                     resolve();
                                     return;
                                 }
+                                if (ladderRungs.length > 0 && typeof getPriceDEXLadder === 'function') {
+                                    runSizeLadder();
+                                    return;
+                                }
                                 getPriceDEX(
                                     scInSafe, desInSafe,
                                     scOutSafe, desOutSafe,
@@ -1443,7 +1589,8 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                                     (cexResult.ok && DataCEX.priceBuyPair > 0) ? DataCEX.priceBuyPair : 1,
                                     dex,
                                     isKiri ? token.symbol_in : token.symbol_out, isKiri ? token.symbol_out : token.symbol_in,
-                                    token.cex, token.chain, CONFIG_CHAINS[token.chain.toLowerCase()].Kode_Chain, direction, tableBodyId
+                                    token.cex, token.chain, CONFIG_CHAINS[token.chain.toLowerCase()].Kode_Chain, direction, tableBodyId,
+                                    dexCallOptions
                                 )
                                     // Panggil handler yang sesuai berdasarkan hasil promise.
                                     .then((dexRes) => { handleSuccess(dexRes); })
@@ -1551,6 +1698,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
                     }
                 }); // ✅ OPTIMIZED: forEach with concurrency control (no await needed)
             }
+            if (priorityOn) { try { window.refreshPriorityBadges([String(token.id)], tableBodyId); } catch (_) { } }
             // Beri jeda antar token dalam satu grup.
             await delay(jedaKoin);
         } catch (error) {
@@ -1564,13 +1712,9 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         setEditFormState(true); // Disable form edit saat scanning
         setAnimationFrameId(requestAnimationFrame(processUiUpdates));
 
-        const startTime = Date.now();
-        // Bagi daftar token menjadi beberapa grup kecil.
-        const tokenGroups = [];
-        for (let i = 0; i < tokensToProcess.length; i += scanPerKoin) {
-            tokenGroups.push(tokensToProcess.slice(i, i + scanPerKoin));
-        }
+        let startTime = Date.now();
         let processed = 0; // track tokens completed across groups
+        let totalCount = tokensToProcess.length; // bertambah jika leader mengambil alih shard follower
 
         // --- PROSES UTAMA ---
 
@@ -1589,65 +1733,116 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         await getRateUSDT();
 
         // 2. Loop melalui setiap grup token.
-        for (let groupIndex = 0; groupIndex < tokenGroups.length; groupIndex++) {
-            // Jika user menekan STOP, hentikan loop.
-            if (!getScanRunning()) { break; }
-            const groupTokens = tokenGroups[groupIndex];
-
-            // Jika auto-scroll aktif, scroll ke baris token pertama dari grup saat ini.
-            if ($('#autoScrollCheckbox').is(':checked') && groupTokens.length > 0) {
-                const first = groupTokens[0];
-                const suffix = `DETAIL_${first.cex.toUpperCase()}_${first.symbol_in.toUpperCase()}_${first.symbol_out.toUpperCase()}_${first.chain.toUpperCase()}`.replace(/[^A-Z0-9_]/g, '');
-                const fullId = `${tableBodyId}_${suffix}`;
-                requestAnimationFrame(() => { // REFACTORED
-                    // Respect user interaction: temporarily suspend auto-scroll
-                    try { if (window.__AUTO_SCROLL_SUSPEND_UNTIL && Date.now() < window.__AUTO_SCROLL_SUSPEND_UNTIL) return; } catch (_) { }
-                    const $target = $('#' + fullId).length ? $('#' + fullId) : $(`[id$="${suffix}"]`).first();
-                    if (!$target.length) return;
-                    $target.addClass('auto-focus');
-                    setTimeout(() => $target.removeClass('auto-focus'), 900);
-                    // Prefer explicit monitoring container; fallback to nearest scrollable
-                    let $container = $('#monitoring-scroll');
-                    if (!$container.length) $container = $target.closest('.uk-overflow-auto');
-                    if (!$container.length) return; // do not scroll the main page
-
-                    // If container not scrollable, skip instead of scrolling the body
-                    const cEl = $container[0];
-                    if (!(cEl.scrollHeight > cEl.clientHeight)) return;
-
-                    const tRect = $target[0].getBoundingClientRect();
-                    const cRect = cEl.getBoundingClientRect();
-                    // Skip if already fully visible inside container viewport
-                    const fullyVisible = (tRect.top >= cRect.top) && (tRect.bottom <= cRect.bottom);
-                    if (fullyVisible) return;
-
-                    const desiredTop = (tRect.top - cRect.top) + $container.scrollTop() - (cEl.clientHeight / 2) + ($target[0].clientHeight / 2);
-                    $container.animate({ scrollTop: Math.max(desiredTop, 0) }, 200);
-                });
+        async function runTokenGroups(list) {
+            // Bagi daftar token menjadi beberapa grup kecil.
+            const tokenGroups = [];
+            for (let i = 0; i < list.length; i += scanPerKoin) {
+                tokenGroups.push(list.slice(i, i + scanPerKoin));
+            }
+            for (let groupIndex = 0; groupIndex < tokenGroups.length; groupIndex++) {
+                // Jika user menekan STOP, hentikan loop. Saat PAUSE, tunggu di sini (state tetap utuh).
+                if (!getScanRunning()) { break; }
+                await waitWhileScanPaused();
+                if (!getScanRunning()) { break; }
+                const groupTokens = tokenGroups[groupIndex];
+
+                // Jika auto-scroll aktif, scroll ke baris token pertama dari grup saat ini.
+                if ($('#autoScrollCheckbox').is(':checked') && groupTokens.length > 0) {
+                    const first = groupTokens[0];
+                    const suffix = `DETAIL_${first.cex.toUpperCase()}_${first.symbol_in.toUpperCase()}_${first.symbol_out.toUpperCase()}_${first.chain.toUpperCase()}`.replace(/[^A-Z0-9_]/g, '');
+                    const fullId = `${tableBodyId}_${suffix}`;
+                    requestAnimationFrame(() => { // REFACTORED
+                        // Respect user interaction: temporarily suspend auto-scroll
+                        try { if (window.__AUTO_SCROLL_SUSPEND_UNTIL && Date.now() < window.__AUTO_SCROLL_SUSPEND_UNTIL) return; } catch (_) { }
+                        const $target = $('#' + fullId).length ? $('#' + fullId) : $(`[id$="${suffix}"]`).first();
+                        if (!$target.length) return;
+                        $target.addClass('auto-focus');
+                        setTimeout(() => $target.removeClass('auto-focus'), 900);
+                        // Prefer explicit monitoring container; fallback to nearest scrollable
+                        let $container = $('#monitoring-scroll');
+                        if (!$container.length) $container = $target.closest('.uk-overflow-auto');
+                        if (!$container.length) return; // do not scroll the main page
+
+                        // If container not scrollable, skip instead of scrolling the body
+                        const cEl = $container[0];
+                        if (!(cEl.scrollHeight > cEl.clientHeight)) return;
+
+                        const tRect = $target[0].getBoundingClientRect();
+                        const cRect = cEl.getBoundingClientRect();
+                        // Skip if already fully visible inside container viewport
+                        const fullyVisible = (tRect.top >= cRect.top) && (tRect.bottom <= cRect.bottom);
+                        if (fullyVisible) return;
+
+                        const desiredTop = (tRect.top - cRect.top) + $container.scrollTop() - (cEl.clientHeight / 2) + ($target[0].clientHeight / 2);
+                        $container.animate({ scrollTop: Math.max(desiredTop, 0) }, 200);
+                    });
+                }
+
+                // Proses token-token dalam satu grup secara paralel,
+                // dengan jeda kecil antar pemanggilan untuk menghindari rate-limit.
+                const jobs = groupTokens.map((token, tokenIndex) => (async () => {
+                    if (!getScanRunning()) return;
+                    // OPTIMIZED: Hapus stagger delay (redundant, processRequest sudah ada jedaKoin delay)
+                    if (!getScanRunning()) return;
+                    try { await processRequest(token, tableBodyId); } catch (e) { console.error(`Err token ${token.symbol_in}_${token.symbol_out}`, e); }
+                    // Update progress as each token finishes
+                    processed += 1;
+                    updateProgress(processed, totalCount, startTime, `${token.symbol_in}_${token.symbol_out}`);
+                })());
+
+                // Tunggu semua proses dalam grup selesai.
+                await Promise.allSettled(jobs);
+                if (!getScanRunning()) break;
+                // Beri jeda antar grup.
+                if (groupIndex < tokenGroups.length - 1) { await delay(jedaTimeGroup); }
             }
+        }
+
+        await runTokenGroups(tokensToProcess);
 
-            // Proses token-token dalam satu grup secara paralel,
-            // dengan jeda kecil antar pemanggilan untuk menghindari rate-limit.
-            const jobs = groupTokens.map((token, tokenIndex) => (async () => {
-                if (!getScanRunning()) return;
-                // OPTIMIZED: Hapus stagger delay (redundant, processRequest sudah ada jedaKoin delay)
-                if (!getScanRunning()) return;
-                try { await processRequest(token, tableBodyId); } catch (e) { console.error(`Err token ${token.symbol_in}_${token.symbol_out}`, e); }
-                // Update progress as each token finishes
-                processed += 1;
-                updateProgress(processed, tokensToProcess.length, startTime, `${token.symbol_in}_${token.symbol_out}`);
-            })());
-
-            // Tunggu semua proses dalam grup selesai.
-            await Promise.allSettled(jobs);
+        // Leader shard: tunggu tab follower; shard yang ditinggal follower dikerjakan di tab ini.
+        if (shardJob) {
+            let orphan = null;
+            updateProgress(processed, totalCount, startTime, 'MENUNGGU TAB SHARD');
+            while (getScanRunning() && (orphan = await shardJob.next())) {
+                totalCount += orphan.length;
+                await runTokenGroups(orphan);
+            }
+            try { if (window.ScanCoordinator) window.ScanCoordinator.cancelJob(); } catch (_) { }
+        }
+
+        // Scan kontinu: ulangi daftar token sampai STOP. Tabel tidak di-render ulang; batas
+        // siklus tetap di-emit (scan:done → scan:start) agar spread tracker & journal berjalan.
+        while (continuousOn && getScanRunning()) {
+            await waitForPendingDexRequests(8000);
+            try { window.ScanEvents.emit('scan:done', { total: totalCount, finishedAt: Date.now(), cycle: scanCycle }); } catch (_) { }
+            await delay(Number(continuousCfg.cycleDelayMs) >= 0 ? Number(continuousCfg.cycleDelayMs) : 1000);
+            await waitWhileScanPaused();
             if (!getScanRunning()) break;
-            // Beri jeda antar grup.
-            if (groupIndex < tokenGroups.length - 1) { await delay(jedaTimeGroup); }
+
+            let cycleTokens = flatTokens;
+            let cycleTokenKeys;
+            if (priorityOn) {
+                try {
+                    const plan = window.priorityScheduler.plan(flatTokens);
+                    if (plan.tokens.length) { cycleTokens = plan.tokens; cycleTokenKeys = plan.keys; }
+                    window.refreshPriorityBadges();
+                } catch (_) { cycleTokens = flatTokens; cycleTokenKeys = undefined; }
+            }
+            scanCycle += 1;
+            processed = 0;
+            totalCount = cycleTokens.length;
+            startTime = Date.now();
+            $('#loopStatus').text(`LOOP #${scanCycle}`);
+            await feeGasGwei();
+            await getRateUSDT();
+            try { window.ScanEvents.emit('scan:start', { total: totalCount, startedAt: startTime, cycle: scanCycle, tokenKeys: cycleTokenKeys }); } catch (_) { }
+            await runTokenGroups(cycleTokens);
         }
 
         // --- FINALISASI SETELAH SEMUA TOKEN SELESAI ---
 
-        updateProgress(tokensToProcess.length, tokensToProcess.length, startTime, 'SELESAI');
+        updateProgress(totalCount, totalCount, startTime, 'SELESAI');
 
         // REFACTORED: Tunggu semua request DEX (termasuk fallback) benar-benar selesai.
         //('[FINAL] Waiting for pending DEX requests to settle...');
@@ -1705,15 +1900,21 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
 
         // Set flag dan hentikan loop UI.
         setScanRunning(false);
+        setScanPaused(false);
+        $('#loopStatus').text('');
+        $('#pauseSCAN').hide().text('PAUSE').removeClass('uk-button-primary').addClass('uk-button-secondary');
+        // complete=false → berhenti sebelum semua token diproses (STOP / shard dibatalkan)
+        try { window.ScanEvents.emit('scan:done', { total: continuousOn ? totalCount : scanTokens.length, finishedAt: Date.now(), processed, complete: processed >= totalCount }); } catch (_) { }
+        if (priorityOn) { try { window.refreshPriorityBadges(); } catch (_) { } }
         setEditFormState(false); // Placeholder (form tetap aktif saat scanning)
         cancelAnimationFrame(getAnimationFrameId());
         setPageTitleForRun(false);
 
         // === RELEASE GLOBAL SCAN LOCK ===
         try {
-            // Clear global scan lock
+            // Clear global scan lock (lock milik leader, follower shard tidak menyentuhnya)
             const filterKey = typeof getActiveFilterKey === 'function' ? getActiveFilterKey() : 'FILTER_MULTICHAIN';
-            if (typeof clearGlobalScanLock === 'function') {
+            if (!shard && typeof clearGlobalScanLock === 'function') {
                 clearGlobalScanLock(filterKey);
                 // console.log('[SCANNER] Global scan lock released:', filterKey);
             }
@@ -1741,7 +1942,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         // Release gating via centralized helper
         if (typeof setScanUIGating === 'function') setScanUIGating(false); // REFACTORED
         // Persist run=NO reliably before any potential next action
-        await persistRunStateNo();
+        if (!shard) await persistRunStateNo();
 
         // Buka kunci daftar DEX dan refresh header tabel.
         try {
@@ -1755,7 +1956,7 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         // GUARD: Check if autorun feature is enabled in config
         try {
             const autorunFeatureEnabled = (window.CONFIG_APP?.APP?.AUTORUN !== false);
-            const autorunUserEnabled = (window.AUTORUN_ENABLED === true);
+            const autorunUserEnabled = (window.AUTORUN_ENABLED === true) && !shard && !continuousOn;
 
             if (autorunFeatureEnabled && autorunUserEnabled) {
                 const total = 10; // seconds
@@ -1786,7 +1987,19 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
         } catch (_) { }
     }
 
-    processTokens(flatTokens, tableBodyId);
+    // Leader shard: bagi token ke tab follower (skeleton tabel tetap memuat semua token).
+    let shardJob = null;
+    if (!shard && !continuousOn) {
+        try {
+            if (window.ScanCoordinator && typeof window.ScanCoordinator.startJob === 'function') {
+                shardJob = window.ScanCoordinator.startJob(scanTokens, {
+                    chains: allowedChains, dexs: allowedDexs, tableBodyId, settings: ConfigScan
+                });
+            }
+        } catch (_) { shardJob = null; }
+    }
+
+    processTokens(shardJob ? shardJob.tokens : scanTokens, tableBodyId);
 }
 
 
@@ -1798,6 +2011,8 @@ async function startScanner(tokensToScan, settings, tableBodyId) {
  */
 async function stopScanner() {
     const wasScanning = getScanRunning(); // Capture state sebelum di-set false
+    // Lock & run state milik tab leader jika tab ini sedang mengerjakan shard
+    const isShardFollower = !!(window.ScanCoordinator && window.ScanCoordinator.isFollowing());
 
     setScanRunning(false);
     try { cancelAnimationFrame(getAnimationFrameId()); } catch (_) { }
@@ -1805,12 +2020,13 @@ async function stopScanner() {
     window.__autoRunInterval = null;
     setPageTitleForRun(false);
     if (typeof form_on === 'function') form_on();
+    try { if (window.ScanCoordinator) window.ScanCoordinator.cancelJob(); } catch (_) { }
 
     // === RELEASE GLOBAL SCAN LOCK (MANUAL STOP) ===
     try {
         // Clear global scan lock
         const filterKey = typeof getActiveFilterKey === 'function' ? getActiveFilterKey() : 'FILTER_MULTICHAIN';
-        if (typeof clearGlobalScanLock === 'function') {
+        if (!isShardFollower && typeof clearGlobalScanLock === 'function') {
             clearGlobalScanLock(filterKey);
             // console.log('[SCANNER] Global scan lock released (manual stop):', filterKey);
         }
@@ -1832,8 +2048,8 @@ async function stopScanner() {
         // console.error('[SCANNER] Error releasing scan state on manual stop:', e);
     }
 
-    // Simpan state 'run:NO'
-    await persistRunStateNo();
+    // Simpan state 'run:NO' (follower shard tidak menulis run state milik leader)
+    if (!isShardFollower) await persistRunStateNo();
 
     // ===== FIX: HANYA reload jika scan SEDANG berjalan =====
     // Jika scan sudah selesai (hanya autorun countdown), JANGAN reload
@@ -1867,6 +2083,7 @@ async function stopScanner() {
 function stopScannerSoft() {
     setScanRunning(false);
     try { cancelAnimationFrame(getAnimationFrameId()); } catch (_) { }
+    try { if (window.ScanCoordinator) window.ScanCoordinator.cancelJob(); } catch (_) { }
 
     // === RELEASE GLOBAL SCAN LOCK (SOFT STOP) ===
     try {
@@ -0,0 +1,276 @@
+// =================================================================================
+// Alert Dedup — cooldown & follow-up "CLOSED" untuk sinyal notifikasi
+// =================================================================================
+/**
+ * Alert Dedup Module
+ * - Kunci rute: chain | CEX | DEX | token | pair | arah (cex_to_dex / dex_to_cex)
+ * - evaluate(): sinyal rute yang sama hanya dikirim ulang jika PNL naik >= pnlDelta
+ *   dari alert terakhir, atau cooldown sudah lewat
+ * - 'dex:update' (ScanEvents) dengan PNL <= 0 untuk rute yang pernah di-alert →
+ *   follow-up "CLOSED" lalu state rute dihapus
+ * - State disimpan di IndexedDB terpisah (<DB_NAME>_ALERTS) agar reload halaman
+ *   tidak mengirim ulang semua sinyal
+ *
+ * Konfigurasi: CONFIG_NOTIFY.dedup (config.js)
+ */
+(function initAlertDedup(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const ALERT_DB = {
+    name: `${(root.CONFIG_DB && root.CONFIG_DB.NAME) || 'MULTIALL-PLUS'}_ALERTS`,
+    version: 1,
+    store: 'ALERT_STATE'
+  };
+
+  const DEFAULTS = {
+    enabled: true,
+    cooldownMs: 15 * 60 * 1000,
+    pnlDelta: 1,
+    sendClosed: true,
+    maxAgeMs: 24 * 60 * 60 * 1000
+  };
+
+  const STATES = new Map();   // key → { key, meta, firstAlertAt, lastAlertAt, lastPnl, peakPnl, count }
+  let dbInstance = null;
+  let ready = null;
+
+  function getConfig() {
+    try {
+      return Object.assign({}, DEFAULTS, root.CONFIG_NOTIFY?.dedup || {});
+    } catch (_) { return Object.assign({}, DEFAULTS); }
+  }
+
+  // ====================
+  // INDEXEDDB
+  // ====================
+
+  function openAlertDB() {
+    if (dbInstance) return Promise.resolve(dbInstance);
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB tidak tersedia di lingkungan ini.'));
+    return new Promise((resolve, reject) => {
+      try {
+        const req = indexedDB.open(ALERT_DB.name, ALERT_DB.version);
+        req.onupgradeneeded = (ev) => {
+          const db = ev.target.result;
+          if (!db.objectStoreNames.contains(ALERT_DB.store)) {
+            db.createObjectStore(ALERT_DB.store, { keyPath: 'key' });
+          }
+        };
+        req.onsuccess = (ev) => {
+          dbInstance = ev.target.result;
+          resolve(dbInstance);
+        };
+        req.onerror = (ev) => reject(ev.target.error || new Error('Gagal buka Alert DB'));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  function tx(mode, fn) {
+    return openAlertDB().then(db => new Promise((resolve) => {
+      try {
+        const t = db.transaction([ALERT_DB.store], mode);
+        fn(t.objectStore(ALERT_DB.store));
+        t.oncomplete = () => resolve(true);
+        t.onerror = () => resolve(false);
+      } catch (_) { resolve(false); }
+    })).catch(() => false);
+  }
+
+  function persist(entry) {
+    return tx('readwrite', st => st.put(entry));
+  }
+
+  function remove(key) {
+    return tx('readwrite', st => st.delete(key));
+  }
+
+  /** Muat state dari IndexedDB sekali; state kadaluarsa (maxAgeMs) dibuang. */
+  function load() {
+    if (ready) return ready;
+    ready = openAlertDB().then(db => new Promise((resolve) => {
+      try {
+        const req = db.transaction([ALERT_DB.store], 'readonly').objectStore(ALERT_DB.store).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => resolve([]);
+      } catch (_) { resolve([]); }
+    })).catch(() => []).then(rows => {
+      const { maxAgeMs } = getConfig();
+      const now = Date.now();
+      rows.forEach(r => {
+        if (!r || !r.key) return;
+        if (now - Number(r.lastAlertAt || 0) > maxAgeMs) { remove(r.key); return; }
+        // State yang sudah ada di memori (alert sebelum load selesai) lebih baru
+        if (!STATES.has(r.key)) STATES.set(r.key, r);
+      });
+      return STATES.size;
+    });
+    return ready;
+  }
+
+  // ====================
+  // KEY
+  // ====================
+
+  /**
+   * @param {{chain, cex, dex, token, pair, direction}} meta - direction: cex_to_dex | dex_to_cex
+   */
+  function keyOf(meta) {
+    const m = meta || {};
+    return [
+      String(m.chain || '').toLowerCase(),
+      String(m.cex || '').toUpperCase(),
+      String(m.dex || '').toLowerCase(),
+      String(m.token || '').toUpperCase(),
+      String(m.pair || '').toUpperCase(),
+      String(m.direction || '').toLowerCase()
+    ].join('|');
+  }
+
+  /** Meta rute dari hasil calculateResult (sama dengan yang dikirim DisplayPNL → MultisendMessage). */
+  function metaFromUpdate(update) {
+    const u = update || {};
+    const isC2D = String(u.trx || '').toLowerCase() === 'tokentopair';
+    return {
+      chain: u.nameChain,
+      cex: u.cex,
+      dex: u.dextype,
+      token: isC2D ? u.Name_in : u.Name_out,
+      pair: isC2D ? u.Name_out : u.Name_in,
+      direction: isC2D ? 'cex_to_dex' : 'dex_to_cex'
+    };
+  }
+
+  // ====================
+  // DEDUP
+  // ====================
+
+  /**
+   * Putuskan apakah sinyal rute ini dikirim. Jika ya, state langsung dicatat
+   * (sebelum pesan dikirim) agar update beruntun tidak lolos bersamaan.
+   * @param {{chain, cex, dex, token, pair, direction, pnl}} meta
+   * @returns {Promise<{send:boolean, reason:'disabled'|'new'|'grow'|'expired'|'cooldown', prev:object|null}>}
+   */
+  async function evaluate(meta) {
+    const cfg = getConfig();
+    if (cfg.enabled === false) return { send: true, reason: 'disabled', prev: null };
+    await load();
+
+    const key = keyOf(meta);
+    const pnl = Number(meta && meta.pnl) || 0;
+    const now = Date.now();
+    const prev = STATES.get(key) || null;
+
+    let reason = 'new';
+    if (prev) {
+      if (pnl - Number(prev.lastPnl || 0) >= cfg.pnlDelta) reason = 'grow';
+      else if (now - Number(prev.lastAlertAt || 0) >= cfg.cooldownMs) reason = 'expired';
+      else return { send: false, reason: 'cooldown', prev: Object.assign({}, prev) };
+    }
+
+    const entry = {
+      key,
+      meta: {
+        chain: String(meta.chain || '').toLowerCase(),
+        cex: String(meta.cex || '').toUpperCase(),
+        dex: String(meta.dex || '').toLowerCase(),
+        token: String(meta.token || '').toUpperCase(),
+        pair: String(meta.pair || '').toUpperCase(),
+        direction: String(meta.direction || '').toLowerCase()
+      },
+      firstAlertAt: prev ? prev.firstAlertAt : now,
+      lastAlertAt: now,
+      lastPnl: pnl,
+      peakPnl: Math.max(pnl, prev ? Number(prev.peakPnl || 0) : pnl),
+      count: (prev ? prev.count : 0) + 1
+    };
+    STATES.set(key, entry);
+    persist(entry);
+    return { send: true, reason, prev: prev ? Object.assign({}, prev) : null };
+  }
+
+  function formatDuration(ms) {
+    if (typeof root.formatSpreadAge === 'function') return root.formatSpreadAge(ms);
+    return `${Math.round(Math.max(0, ms) / 60000)}m`;
+  }
+
+  /**
+   * Rute yang pernah di-alert kini PNL <= 0 → follow-up "CLOSED" & hapus state.
+   * @param {object} update - hasil calculateResult
+   */
+  async function handleUpdate(update) {
+    if (!update || update.type !== 'update' || update.shardJob) return;
+    if (!(Number(update.profitLoss) <= 0)) return;
+    const cfg = getConfig();
+    if (cfg.enabled === false) return;
+    await load();
+
+    const key = keyOf(metaFromUpdate(update));
+    const entry = STATES.get(key);
+    if (!entry) return;
+    STATES.delete(key);
+    remove(key);
+    if (!cfg.sendClosed || typeof root.sendNotification !== 'function') return;
+
+    const m = entry.meta;
+    const header = (typeof APP_HEADER !== 'undefined') ? APP_HEADER : 'MULTICHECKER';
+    const isC2D = m.direction === 'cex_to_dex';
+    const from = isC2D ? m.token : m.pair;
+    const to = isC2D ? m.pair : m.token;
+    const procLeft = isC2D ? m.cex : m.dex.toUpperCase();
+    const procRight = isC2D ? m.dex.toUpperCase() : m.cex;
+    const nowPnl = Number(update.profitLoss) || 0;
+
+    const lines = [
+      `${header} #${m.chain.toUpperCase()}`,
+      `❎ <b>CLOSED :</b> <b>${procLeft}</b>[ #${from} ] => <b>${procRight}</b>[ #${to} ]`,
+      `<b>PNL :</b> ${Number(entry.lastPnl).toFixed(2)}$ => ${nowPnl.toFixed(2)}$ (PEAK ${Number(entry.peakPnl).toFixed(2)}$)`,
+      `<b>DURASI :</b> ${formatDuration(Date.now() - entry.firstAlertAt)} | <b>ALERT :</b> ${entry.count}x`
+    ];
+    root.sendNotification({
+      kind: 'closed',
+      title: `CLOSED ${m.cex} ${m.dex.toUpperCase()} ${from}->${to}`,
+      html: lines.join('\n'),
+      // pnl = PNL alert terakhir agar filter min PNL per channel sama dengan alert pembuka
+      meta: Object.assign({}, m, { pnl: entry.lastPnl, closedPnl: nowPnl, peakPnl: entry.peakPnl })
+    });
+  }
+
+  function snapshot() {
+    return Array.from(STATES.values()).map(e => Object.assign({}, e)).sort((a, b) => b.lastAlertAt - a.lastAlertAt);
+  }
+
+  async function reset(key) {
+    await load();
+    if (key) {
+      STATES.delete(key);
+      return remove(key);
+    }
+    STATES.clear();
+    return tx('readwrite', st => st.clear());
+  }
+
+  const AlertDedup = {
+    keyOf,
+    metaFromUpdate,
+    evaluate,
+    handleUpdate,
+    snapshot,
+    reset,
+    load
+  };
+
+  // Follow-up CLOSED dari stream hasil scan (browser scanner & ScanEngine)
+  try {
+    if (root.ScanEvents && typeof root.ScanEvents.on === 'function') {
+      root.ScanEvents.on('dex:update', ({ update }) => { handleUpdate(update).catch(() => { }); });
+    }
+  } catch (_) { }
+
+  root.AlertDedup = AlertDedup;
+  if (typeof App.register === 'function') {
+    App.register('Services', { AlertDedup });
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,469 @@
+// =================================================================================
+// CEX Stream — orderbook live via WebSocket publik exchange
+// =================================================================================
+/**
+ * CEX Stream Module
+ * - Satu koneksi WebSocket per exchange (BINANCE, GATE, MEXC, KUCOIN, BYBIT, BITGET)
+ * - Menyimpan orderbook top-N (CONFIG_CEX_STREAM.depth) di memori untuk token aktif
+ *   yang didaftarkan scanner lewat track(tokens); simbol di luar daftar di-unsubscribe
+ * - getPriceCEX (services/cex.js) membaca getOrderBook() lebih dulu; buku yang tidak ada
+ *   atau lebih tua dari maxAgeMs → fallback REST (CONFIG_CEX.<CEX>.ORDERBOOK.urlTpl)
+ * - Putus koneksi: orderbook exchange tsb dibuang (tidak pernah dipakai basi), reconnect
+ *   dengan backoff lalu subscribe ulang
+ *
+ * Format buku sama dengan parseOrderbook (api.js): { asks: [[price, qty]], bids: [[price, qty]], ts }
+ * asks naik (terbaik dulu), bids turun. ts = waktu terima di tab ini.
+ *
+ * Konfigurasi: CONFIG_CEX_STREAM (global) & CONFIG_CEX.<CEX>.STREAM (endpoint) di config.js
+ */
+(function initCEXStream(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const DEFAULTS = {
+    depth: 5,
+    maxAgeMs: 10000,
+    maxSymbolsPerCex: 200,
+    reconnectMs: 2000,
+    maxReconnectMs: 60000
+  };
+  const STABLES = ['USDT', 'DAI', 'USDC', 'FDUSD'];
+
+  const BOOKS = new Map();        // 'CEX:SYMBOL' → { asks, bids, ts }
+  const CONNECTIONS = new Map();  // 'CEX' → state koneksi
+
+  function getConfig() {
+    try {
+      return Object.assign({}, DEFAULTS, root.CONFIG_CEX_STREAM || {});
+    } catch (_) { return Object.assign({}, DEFAULTS); }
+  }
+
+  function streamConfig(cex) {
+    try { return root.CONFIG_CEX?.[cex]?.STREAM || null; } catch (_) { return null; }
+  }
+
+  const up = (v) => String(v || '').toUpperCase();
+  const bookKey = (cex, symbol) => `${up(cex)}:${up(symbol)}`;
+  // Simbol exchange (BTCUSDT, BTC_USDT, BTC-USDT, btcusdt) → simbol token (BTC)
+  const baseOf = (market) => up(market).replace(/[-_]?USDT$/, '');
+  const chunk = (list, size) => {
+    const out = [];
+    for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+    return out;
+  };
+
+  function toLevels(rows, depth, desc) {
+    return (rows || [])
+      .map(r => [parseFloat(r[0]), parseFloat(r[1])])
+      .filter(([p, q]) => p > 0 && q > 0)
+      .sort((a, b) => desc ? b[0] - a[0] : a[0] - b[0])
+      .slice(0, depth);
+  }
+
+  function setBook(cex, market, bids, asks) {
+    const depth = getConfig().depth;
+    const book = { bids: toLevels(bids, depth, true), asks: toLevels(asks, depth, false), ts: Date.now() };
+    if (!book.bids.length || !book.asks.length) return;
+    BOOKS.set(bookKey(cex, baseOf(market)), book);
+  }
+
+  function dropBooks(cex) {
+    const prefix = `${up(cex)}:`;
+    Array.from(BOOKS.keys()).forEach(k => { if (k.startsWith(prefix)) BOOKS.delete(k); });
+  }
+
+  // =================================================================================
+  // Protobuf minimal (MEXC limit depth v3) — hanya wire format yang dipakai
+  // =================================================================================
+  function pbFields(bytes) {
+    const out = [];
+    let i = 0;
+    const varint = () => {
+      let result = 0, shift = 0, b;
+      do { b = bytes[i++]; result += (b & 0x7f) * Math.pow(2, shift); shift += 7; } while (b & 0x80 && i < bytes.length);
+      return result;
+    };
+    while (i < bytes.length) {
+      const key = varint();
+      const field = Math.floor(key / 8), wire = key & 7;
+      if (wire === 0) out.push([field, varint()]);
+      else if (wire === 2) { const len = varint(); out.push([field, bytes.subarray(i, i + len)]); i += len; }
+      else if (wire === 1) i += 8;
+      else if (wire === 5) i += 4;
+      else break;
+    }
+    return out;
+  }
+
+  const textDecoder = (typeof TextDecoder !== 'undefined') ? new TextDecoder() : null;
+  const pbString = (bytes) => (textDecoder && bytes && bytes.length !== undefined) ? textDecoder.decode(bytes) : '';
+
+  /** PushDataV3ApiWrapper → { channel, symbol, asks, bids } (publicLimitDepths = field 303) */
+  function decodeMexcDepth(buffer) {
+    let channel = '', symbol = '', depth = null;
+    pbFields(new Uint8Array(buffer)).forEach(([f, v]) => {
+      if (f === 1) channel = pbString(v);
+      else if (f === 3) symbol = pbString(v);
+      else if (f === 303) depth = v;
+    });
+    if (!depth) return null;
+    const asks = [], bids = [];
+    pbFields(depth).forEach(([f, v]) => {
+      if (f !== 1 && f !== 2) return;
+      let price = '', qty = '';
+      pbFields(v).forEach(([k, s]) => { if (k === 1) price = pbString(s); else if (k === 2) qty = pbString(s); });
+      (f === 1 ? asks : bids).push([price, qty]);
+    });
+    if (!symbol) symbol = String(channel.split('@')[2] || '');
+    return { channel, symbol, asks, bids };
+  }
+
+  // =================================================================================
+  // Adapter per exchange
+  // - market(symbol) : nama pasar exchange untuk token (XXX/USDT)
+  // - endpoint(conn) : URL WebSocket (async untuk KuCoin)
+  // - subscribe / unsubscribe(conn, markets)
+  // - onMessage(conn, event)
+  // - ping(conn) + pingMs : heartbeat aplikasi (Binance memakai ping frame protokol)
+  // =================================================================================
+  const ADAPTERS = {
+    BINANCE: {
+      batch: 100,
+      market: (s) => `${String(s).toLowerCase()}usdt`,
+      endpoint: (conn) => conn.cfg.url,
+      subscribe(conn, markets) {
+        send(conn, { method: 'SUBSCRIBE', params: markets.map(m => `${m}@depth${conn.depth}@100ms`), id: ++conn.reqId });
+      },
+      unsubscribe(conn, markets) {
+        send(conn, { method: 'UNSUBSCRIBE', params: markets.map(m => `${m}@depth${conn.depth}@100ms`), id: ++conn.reqId });
+      },
+      onMessage(conn, ev) {
+        const msg = parseJSON(ev.data);
+        const stream = String(msg?.stream || '');
+        if (!stream || !msg.data) return;
+        setBook(conn.cex, stream.split('@')[0], msg.data.bids, msg.data.asks);
+      }
+    },
+    GATE: {
+      batch: 1, // payload spot.order_book hanya satu pasar per pesan
+      pingMs: 10000,
+      market: (s) => `${up(s)}_USDT`,
+      endpoint: (conn) => conn.cfg.url,
+      subscribe(conn, markets) {
+        send(conn, { time: Math.floor(Date.now() / 1000), channel: 'spot.order_book', event: 'subscribe', payload: [markets[0], String(conn.depth), '100ms'] });
+      },
+      unsubscribe(conn, markets) {
+        send(conn, { time: Math.floor(Date.now() / 1000), channel: 'spot.order_book', event: 'unsubscribe', payload: [markets[0], String(conn.depth), '100ms'] });
+      },
+      ping(conn) { send(conn, { time: Math.floor(Date.now() / 1000), channel: 'spot.ping' }); },
+      onMessage(conn, ev) {
+        const msg = parseJSON(ev.data);
+        if (msg?.channel !== 'spot.order_book' || msg.event !== 'update' || !msg.result) return;
+        setBook(conn.cex, msg.result.s, msg.result.bids, msg.result.asks);
+      }
+    },
+    MEXC: {
+      batch: 30,
+      maxSymbols: 30, // batas subscription per koneksi dari MEXC
+      pingMs: 20000,
+      binary: true,
+      market: (s) => `${up(s)}USDT`,
+      endpoint: (conn) => conn.cfg.url,
+      subscribe(conn, markets) {
+        send(conn, { method: 'SUBSCRIPTION', params: markets.map(m => `spot@public.limit.depth.v3.api.pb@${m}@${conn.depth}`) });
+      },
+      unsubscribe(conn, markets) {
+        send(conn, { method: 'UNSUBSCRIPTION', params: markets.map(m => `spot@public.limit.depth.v3.api.pb@${m}@${conn.depth}`) });
+      },
+      ping(conn) { send(conn, { method: 'PING' }); },
+      onMessage(conn, ev) {
+        if (typeof ev.data === 'string') return; // ack / PONG (JSON)
+        const msg = decodeMexcDepth(ev.data);
+        if (msg && msg.symbol) setBook(conn.cex, msg.symbol, msg.bids, msg.asks);
+      }
+    },
+    KUCOIN: {
+      batch: 100,
+      market: (s) => `${up(s)}-USDT`,
+      async endpoint(conn) {
+        // Token publik sekali pakai per koneksi (POST tanpa body → tidak butuh preflight CORS)
+        const res = await fetch(conn.cfg.tokenUrl, { method: 'POST' });
+        const json = await res.json();
+        const server = json?.data?.instanceServers?.[0];
+        if (!json?.data?.token || !server?.endpoint) throw new Error('KuCoin bullet-public tidak valid');
+        conn.pingMs = Number(server.pingInterval) || 18000;
+        return `${server.endpoint}?token=${json.data.token}&connectId=${Date.now()}`;
+      },
+      subscribe(conn, markets) {
+        send(conn, { id: String(++conn.reqId), type: 'subscribe', topic: `/spotMarket/level2Depth5:${markets.join(',')}`, response: true });
+      },
+      unsubscribe(conn, markets) {
+        send(conn, { id: String(++conn.reqId), type: 'unsubscribe', topic: `/spotMarket/level2Depth5:${markets.join(',')}`, response: true });
+      },
+      ping(conn) { send(conn, { id: String(++conn.reqId), type: 'ping' }); },
+      onMessage(conn, ev) {
+        const msg = parseJSON(ev.data);
+        if (msg?.type !== 'message' || !msg.data) return;
+        setBook(conn.cex, String(msg.topic || '').split(':')[1], msg.data.bids, msg.data.asks);
+      }
+    },
+    BYBIT: {
+      batch: 10, // maks. args per request spot
+      pingMs: 20000,
+      market: (s) => `${up(s)}USDT`,
+      endpoint: (conn) => conn.cfg.url,
+      subscribe(conn, markets) { send(conn, { op: 'subscribe', args: markets.map(m => `orderbook.50.${m}`) }); },
+      unsubscribe(conn, markets) {
+        markets.forEach(m => conn.local.delete(m));
+        send(conn, { op: 'unsubscribe', args: markets.map(m => `orderbook.50.${m}`) });
+      },
+      ping(conn) { send(conn, { op: 'ping' }); },
+      onMessage(conn, ev) {
+        // Snapshot + delta: buku lokal per pasar (size 0 = level dihapus)
+        const msg = parseJSON(ev.data);
+        const data = msg?.data;
+        if (!data || !String(msg.topic || '').startsWith('orderbook.')) return;
+        const market = up(data.s);
+        let book = conn.local.get(market);
+        if (msg.type === 'snapshot' || !book) {
+          if (msg.type !== 'snapshot') return;
+          book = { b: new Map(), a: new Map() };
+          conn.local.set(market, book);
+        }
+        [['b', data.b], ['a', data.a]].forEach(([side, rows]) => {
+          (rows || []).forEach(([p, q]) => {
+            if (parseFloat(q) > 0) book[side].set(p, q); else book[side].delete(p);
+          });
+        });
+        setBook(conn.cex, market, Array.from(book.b.entries()), Array.from(book.a.entries()));
+      }
+    },
+    BITGET: {
+      batch: 50,
+      pingMs: 30000,
+      market: (s) => `${up(s)}USDT`,
+      endpoint: (conn) => conn.cfg.url,
+      subscribe(conn, markets) {
+        send(conn, { op: 'subscribe', args: markets.map(m => ({ instType: 'SPOT', channel: 'books5', instId: m })) });
+      },
+      unsubscribe(conn, markets) {
+        send(conn, { op: 'unsubscribe', args: markets.map(m => ({ instType: 'SPOT', channel: 'books5', instId: m })) });
+      },
+      ping(conn) { send(conn, 'ping'); },
+      onMessage(conn, ev) {
+        if (ev.data === 'pong') return;
+        const msg = parseJSON(ev.data);
+        const book = Array.isArray(msg?.data) ? msg.data[0] : null;
+        if (!book || msg.arg?.channel !== 'books5') return;
+        setBook(conn.cex, msg.arg.instId, book.bids, book.asks);
+      }
+    }
+  };
+
+  function parseJSON(raw) {
+    try { return JSON.parse(raw); } catch (_) { return null; }
+  }
+
+  function send(conn, payload) {
+    try {
+      if (conn.ws && conn.ws.readyState === 1) conn.ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    } catch (_) { }
+  }
+
+  // =================================================================================
+  // Siklus koneksi
+  // =================================================================================
+  function getConn(cex) {
+    if (!CONNECTIONS.has(cex)) {
+      CONNECTIONS.set(cex, {
+        cex,
+        cfg: streamConfig(cex) || {},
+        depth: getConfig().depth,
+        ws: null,
+        status: 'idle',        // idle | connecting | open | closed
+        wanted: new Set(),     // pasar exchange yang diminta scanner
+        subscribed: new Set(), // pasar yang sudah dikirim subscribe di koneksi ini
+        local: new Map(),      // state buku per pasar (Bybit delta)
+        reqId: 0,
+        retryMs: 0,
+        retryTimer: null,
+        pingTimer: null,
+        pingMs: 0,
+        lastMessageAt: 0,
+        lastError: null
+      });
+    }
+    return CONNECTIONS.get(cex);
+  }
+
+  async function connect(conn) {
+    const adapter = ADAPTERS[conn.cex];
+    if (!adapter || conn.ws || conn.status === 'connecting' || conn.wanted.size === 0) return;
+    conn.status = 'connecting';
+    let url = '';
+    try { url = await adapter.endpoint(conn); } catch (e) { conn.lastError = e?.message || String(e); }
+    if (!url || conn.wanted.size === 0) { conn.status = 'closed'; scheduleReconnect(conn); return; }
+
+    let ws;
+    try { ws = new WebSocket(url); } catch (e) { conn.lastError = e?.message || String(e); conn.status = 'closed'; scheduleReconnect(conn); return; }
+    if (adapter.binary) ws.binaryType = 'arraybuffer';
+    conn.ws = ws;
+    conn.subscribed = new Set();
+    conn.local = new Map();
+
+    ws.onopen = () => {
+      conn.status = 'open';
+      conn.retryMs = 0;
+      conn.lastError = null;
+      sync(conn);
+      const pingMs = conn.pingMs || adapter.pingMs;
+      if (typeof adapter.ping === 'function' && pingMs > 0) {
+        conn.pingTimer = setInterval(() => adapter.ping(conn), pingMs);
+      }
+    };
+    ws.onmessage = (ev) => {
+      conn.lastMessageAt = Date.now();
+      try { adapter.onMessage(conn, ev); } catch (_) { }
+    };
+    ws.onerror = () => { conn.lastError = 'WebSocket error'; };
+    ws.onclose = () => {
+      if (conn.ws !== ws) return;
+      teardown(conn);
+      scheduleReconnect(conn);
+    };
+  }
+
+  function teardown(conn) {
+    try { clearInterval(conn.pingTimer); } catch (_) { }
+    conn.pingTimer = null;
+    const ws = conn.ws;
+    conn.ws = null;
+    conn.status = 'closed';
+    conn.subscribed = new Set();
+    conn.local = new Map();
+    dropBooks(conn.cex);
+    if (ws) {
+      try { ws.onclose = null; ws.onmessage = null; ws.close(); } catch (_) { }
+    }
+  }
+
+  function scheduleReconnect(conn) {
+    if (conn.retryTimer || conn.wanted.size === 0) return;
+    const cfg = getConfig();
+    conn.retryMs = Math.min(cfg.maxReconnectMs, conn.retryMs ? conn.retryMs * 2 : cfg.reconnectMs);
+    conn.retryTimer = setTimeout(() => {
+      conn.retryTimer = null;
+      connect(conn);
+    }, conn.retryMs);
+  }
+
+  /** Samakan subscription koneksi dengan daftar pasar yang diminta. */
+  function sync(conn) {
+    const adapter = ADAPTERS[conn.cex];
+    if (!adapter || conn.status !== 'open') return;
+    const add = Array.from(conn.wanted).filter(m => !conn.subscribed.has(m));
+    const remove = Array.from(conn.subscribed).filter(m => !conn.wanted.has(m));
+    if (remove.length) {
+      chunk(remove, adapter.batch).forEach(part => adapter.unsubscribe(conn, part));
+      remove.forEach(m => { conn.subscribed.delete(m); BOOKS.delete(bookKey(conn.cex, baseOf(m))); });
+    }
+    if (add.length) {
+      chunk(add, adapter.batch).forEach(part => adapter.subscribe(conn, part));
+      add.forEach(m => conn.subscribed.add(m));
+    }
+  }
+
+  // =================================================================================
+  // API publik
+  // =================================================================================
+  function isSupported(cex) {
+    const key = up(cex);
+    return typeof WebSocket !== 'undefined' && !!ADAPTERS[key] && !!streamConfig(key);
+  }
+
+  /**
+   * Daftarkan token aktif scan. Simbol token & pair (kecuali stablecoin) di-subscribe per CEX;
+   * simbol yang tidak lagi ada di daftar di-unsubscribe, koneksi tanpa simbol ditutup.
+   * @param {Array} tokens - flatTokens scanner ({ cex, symbol_in, symbol_out })
+   */
+  function track(tokens) {
+    const cfg = getConfig();
+    const perCex = new Map();
+    (tokens || []).forEach(t => {
+      const cex = up(t?.cex);
+      if (!isSupported(cex)) return;
+      if (!perCex.has(cex)) perCex.set(cex, new Set());
+      [t.symbol_in, t.symbol_out].forEach(sym => {
+        const s = up(sym);
+        if (s && !STABLES.includes(s)) perCex.get(cex).add(s);
+      });
+    });
+
+    Array.from(new Set([...CONNECTIONS.keys(), ...perCex.keys()])).forEach(cex => {
+      const adapter = ADAPTERS[cex];
+      const conn = getConn(cex);
+      const limit = Math.min(cfg.maxSymbolsPerCex, adapter.maxSymbols || Infinity);
+      const symbols = Array.from(perCex.get(cex) || []).slice(0, limit);
+      conn.wanted = new Set(symbols.map(s => adapter.market(s)));
+      if (conn.wanted.size === 0) {
+        try { clearTimeout(conn.retryTimer); } catch (_) { }
+        conn.retryTimer = null;
+        conn.retryMs = 0;
+        teardown(conn);
+        conn.status = 'idle';
+      } else if (conn.status === 'open') {
+        sync(conn);
+      } else {
+        connect(conn);
+      }
+    });
+  }
+
+  /** Tutup semua koneksi & buang semua orderbook. */
+  function stop() {
+    track([]);
+  }
+
+  /**
+   * Orderbook segar untuk simbol token di CEX, atau null (→ pakai REST).
+   * @param {string} cex
+   * @param {string} symbol - Simbol token (BTC), bukan nama pasar exchange
+   * @param {number} [maxAgeMs] - Default CONFIG_CEX_STREAM.maxAgeMs
+   * @returns {{asks: Array, bids: Array, ts: number}|null}
+   */
+  function getOrderBook(cex, symbol, maxAgeMs) {
+    const book = BOOKS.get(bookKey(cex, symbol));
+    if (!book) return null;
+    const maxAge = Number(maxAgeMs) > 0 ? Number(maxAgeMs) : getConfig().maxAgeMs;
+    return (Date.now() - book.ts) <= maxAge ? book : null;
+  }
+
+  /** Status per exchange (untuk diagnostic / console). */
+  function status() {
+    return Array.from(CONNECTIONS.values()).map(conn => {
+      const prefix = `${conn.cex}:`;
+      const books = Array.from(BOOKS.keys()).filter(k => k.startsWith(prefix)).length;
+      return {
+        cex: conn.cex,
+        status: conn.status,
+        symbols: conn.wanted.size,
+        books,
+        lastMessageAt: conn.lastMessageAt,
+        lastError: conn.lastError
+      };
+    });
+  }
+
+  const CEXStream = {
+    isSupported,
+    track,
+    stop,
+    getOrderBook,
+    status
+  };
+
+  root.CEXStream = CEXStream;
+  if (typeof App.register === 'function') {
+    App.register('Services', { CEXStream });
+  }
+})(typeof window !== 'undefined' ? window : this);
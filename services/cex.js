@@ -6,6 +6,8 @@
  * - Normalizes order books from CEX endpoints
  * - Fetches wallet (DP/WD) statuses
  * - Bridges UI rendering (updateTableVolCEX)
+ * - Reads live WebSocket orderbooks first when fresh (services/cex-stream.js), REST otherwise
+ * - Per-exchange endpoints, parsers and signing come from CEX adapters (services/cex/registry.js)
  */
 (function initCEXService(global) {
     const root = global || (typeof window !== 'undefined' ? window : {});
@@ -44,17 +46,17 @@
 
     // Removed legacy processOrderBookLAMA (unused)
 
-    // ====== Fungsi Khusus untuk INDODAX ======
-    /** Normalize INDODAX orderbook (IDR) to USDT using cached rate. */
+    // ====== Fungsi Khusus untuk quote IDR (INDODAX) ======
+    /** Normalize IDR-quoted orderbook ({ asks, bids } dari registry) to USDT using cached rate. */
     function processIndodaxOrderBook(data, limit = 4) {
-        if (!data?.buy || !data?.sell) {
+        if (!data?.bids || !data?.asks) {
             console.error("Invalid INDODAX response structure:", data);
             return { priceBuy: [], priceSell: [] };
         }
 
         // Ensure same semantics: buy = bids desc (best bid first), sell = asks asc (best ask first)
-        const buySorted = [...data.buy].sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]));
-        const sellSorted = [...data.sell].sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]));
+        const buySorted = [...data.bids].sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]));
+        const sellSorted = [...data.asks].sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]));
 
         const priceBuy = buySorted.slice(0, limit).map(([price, volume]) => {
             const priceFloat = parseFloat(price);
@@ -77,79 +79,85 @@
         return { priceBuy, priceSell };
     }
 
-    // ====== Konfigurasi Exchange via registry/CONFIG_CEX ======
-    // Orderbook endpoints and parsers are sourced from CONFIG_CEX.<CEX>.ORDERBOOK
-    // through services/cex/registry.js. This object is kept empty by default
-    // and will be hydrated by the merge block below.
-    let exchangeConfig = {};
+    // ====== Konfigurasi Exchange via registry (services/cex/registry.js) ======
+    // Endpoint orderbook & parser per exchange berasal dari adapter / CONFIG_CEX.<CEX>.ORDERBOOK.
+    // Parser adapter mengembalikan { asks, bids } dalam quote exchange; IDR dikonversi di sini.
+    /** Build { url, processData } for a CEX from the registry; null if it has no orderbook. */
+    function buildExchangeConfig(cex) {
+        const reg = root.CEX;
+        const entry = (reg && typeof reg.getConfig === 'function') ? reg.getConfig(cex) : null;
+        const ob = entry?.orderbook;
+        if (!ob || typeof ob.urlTpl !== 'function') return null;
+        const toUSDT = reg.quoteOf(cex) === 'IDR';
+        return {
+            url: ob.urlTpl,
+            processData: (data) => {
+                const book = reg.parseOrderbook(cex, data);
+                return toUSDT ? processIndodaxOrderBook(book, 4) : processOrderBook(book, 4);
+            }
+        };
+    }
 
-    // If CEX registry is present and defines orderbook config, prefer it
+    const exchangeConfig = {};
     try {
-        if (root.CEX && typeof root.CEX._all === 'function') {
-            const merged = {};
-            root.CEX._all().forEach(e => {
-                const ob = e?.orderbook || null;
-                if (!ob || typeof ob.urlTpl !== 'function') return;
-                // Accept direct parser function or a token resolved here
-                let parserFn = null;
-                if (typeof ob.parser === 'function') parserFn = ob.parser;
-                else if (typeof ob.parserToken === 'string') {
-                    const tok = ob.parserToken.toLowerCase();
-                    if (tok === 'standard') parserFn = (data) => processOrderBook(data, 4);
-                    else if (tok === 'indodax') parserFn = (data) => processIndodaxOrderBook(data, 4);
-                    else if (tok === 'kucoin') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-                    else if (tok === 'bitget') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-                    else if (tok === 'bybit') parserFn = (data) => {
-                        try {
-                            const a = (data?.result?.a || []).map(([p, v]) => [p, v]);
-                            const b = (data?.result?.b || []).map(([p, v]) => [p, v]);
-                            return processOrderBook({ asks: a, bids: b }, 4);
-                        } catch (_) { return { priceBuy: [], priceSell: [] }; }
-                    }
-                }
-                if (parserFn) {
-                    merged[e.name] = { url: ob.urlTpl, processData: parserFn };
-                }
+        if (root.CEX && typeof root.CEX.list === 'function') {
+            root.CEX.list('orderbook').forEach(name => {
+                const cfg = buildExchangeConfig(name);
+                if (cfg) exchangeConfig[name] = cfg;
             });
-            // Keep existing as fallback for entries not provided via registry
-            exchangeConfig = Object.assign({}, exchangeConfig, merged);
         }
     } catch (_) { }
 
-    // Secondary hydration directly from CONFIG_CEX as a safety net
-    try {
-        const cfgAll = root.CONFIG_CEX || {};
-        Object.keys(cfgAll).forEach(name => {
-            const up = String(name).toUpperCase();
-            if (exchangeConfig[up]) return;
-            const ob = cfgAll[up]?.ORDERBOOK || {};
-            if (typeof ob.urlTpl !== 'function') return;
-            let parserFn = null;
-            const tok = String(ob.parser || '').toLowerCase();
-            if (tok === 'standard') parserFn = (data) => processOrderBook(data, 4);
-            else if (tok === 'indodax') parserFn = (data) => processIndodaxOrderBook(data, 4);
-            else if (tok === 'kucoin') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-            else if (tok === 'bitget') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-            else if (tok === 'bybit') parserFn = (data) => {
-                try {
-                    const a = (data?.result?.a || []).map(([p, v]) => [p, v]);
-                    const b = (data?.result?.b || []).map(([p, v]) => [p, v]);
-                    return processOrderBook({ asks: a, bids: b }, 4);
-                } catch (_) { return { priceBuy: [], priceSell: [] }; }
-            }
-            if (parserFn) exchangeConfig[up] = { url: ob.urlTpl, processData: parserFn };
-        });
-    } catch (_) { }
+    /**
+     * Hasil satu simbol dari orderbook ter-normalisasi (processOrderBook).
+     * BUY memakai ask terbaik (terendah), SELL memakai bid terbaik (tertinggi).
+     * @returns {object|null} null jika harga tidak valid
+     */
+    function toSymbolResult(tokenName, processedData) {
+        const priceBuy = processedData?.priceSell?.[0]?.price || 0;
+        const priceSell = processedData?.priceBuy?.[0]?.price || 0;
+        if (priceBuy <= 0 || priceSell <= 0) return null;
+        return {
+            tokenName: tokenName,
+            price_sell: priceSell,
+            price_buy: priceBuy,
+            volumes_sell: processedData.priceSell || [],
+            volumes_buy: processedData.priceBuy || []
+        };
+    }
 
-    // Debug: log populated exchanges once at init
-    try {
-        const keysInit = Object.keys(exchangeConfig || {});
-        if (keysInit.length === 0) {
-            /* debug logs removed */
-        } else {
-            /* debug logs removed */
-        }
-    } catch (_) { }
+    /** Orderbook segar dari stream WebSocket (services/cex-stream.js) → hasil simbol, atau null. */
+    function getStreamSymbolResult(cex, tokenName) {
+        try {
+            const live = root.CEXStream ? root.CEXStream.getOrderBook(cex, tokenName) : null;
+            return live ? toSymbolResult(tokenName, processOrderBook(live, 4)) : null;
+        } catch (_) { return null; }
+    }
+
+    /**
+     * Segarkan harga & volume CEX pada hasil getPriceCEX dengan orderbook stream terbaru.
+     * Dipanggil scanner tepat saat quote DEX masuk agar PNL memakai harga CEX saat itu.
+     * Simbol tanpa orderbook stream segar dibiarkan (tetap harga REST / stream sebelumnya).
+     * @param {object} data - finalResult getPriceCEX (dimutasi)
+     * @returns {boolean} true jika ada harga yang diperbarui
+     */
+    function refreshPricesFromStream(data) {
+        if (!data || !data.cex || !root.CEXStream) return false;
+        let changed = false;
+        [['token', 'Token'], ['pair', 'Pair']].forEach(([field, suffix]) => {
+            const sym = data[field];
+            if (!sym || stablecoins.includes(sym)) return;
+            const live = getStreamSymbolResult(data.cex, sym);
+            if (!live) return;
+            data[`priceBuy${suffix}`] = live.price_buy;
+            data[`priceSell${suffix}`] = live.price_sell;
+            data[`volumes_buy${suffix}`] = live.volumes_buy;
+            data[`volumes_sell${suffix}`] = live.volumes_sell;
+            changed = true;
+        });
+        if (changed) data.streamAt = Date.now();
+        return changed;
+    }
 
     // ✅ FIX: Queue for failed CEX requests (due to tab inactive throttling)
     const pendingCEXRequests = [];
@@ -165,31 +173,12 @@
             // ✅ FIX: Store request params for potential retry if tab was inactive
             const requestParams = { coins, NameToken, NamePair, cex, tableBodyId };
             const key = String(cex || '').toUpperCase();
-            let config = exchangeConfig[key] || exchangeConfig[cex];
-            // On-demand build as last resort if missing
+            let config = exchangeConfig[key];
+            // On-demand build for adapters registered after init
             if (!config) {
                 try {
-                    const ob = (root.CONFIG_CEX || {})[key]?.ORDERBOOK || {};
-                    if (typeof ob.urlTpl === 'function') {
-                        const tok = String(ob.parser || '').toLowerCase();
-                        let parserFn = null;
-                        if (tok === 'standard') parserFn = (data) => processOrderBook(data, 4);
-                        else if (tok === 'indodax') parserFn = (data) => processIndodaxOrderBook(data, 4);
-                        else if (tok === 'kucoin') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-                        else if (tok === 'bitget') parserFn = (data) => processOrderBook(data?.data || {}, 4);
-                        else if (tok === 'bybit') parserFn = (data) => {
-                            try {
-                                const a = (data?.result?.a || []).map(([p, v]) => [p, v]);
-                                const b = (data?.result?.b || []).map(([p, v]) => [p, v]);
-                                return processOrderBook({ asks: a, bids: b }, 4);
-                            } catch (_) { return { priceBuy: [], priceSell: [] }; }
-                        };
-                        if (parserFn) {
-                            exchangeConfig[key] = { url: ob.urlTpl, processData: parserFn };
-                            config = exchangeConfig[key];
-                            /* debug logs removed */
-                        }
-                    }
+                    config = buildExchangeConfig(key);
+                    if (config) exchangeConfig[key] = config;
                 } catch (_) { }
             }
             if (!config) {
@@ -215,36 +204,36 @@
                         volumes_buy: Array(4).fill({ price: 1, volume: 10000 })
                     });
                 }
+                // Orderbook live dari WebSocket (toggle WS) → tanpa request REST
+                const live = getStreamSymbolResult(key, tokenName);
+                if (live) return Promise.resolve(Object.assign(live, { source: 'ws' }));
                 if (url) {
                     return new Promise((resolveAjax, rejectAjax) => {
-                        $.ajax({
+                        // ✅ Rate limit per host API (HostRateLimiter di core/performance/request-batcher.js)
+                        const limiter = window.HostRateLimiter || null;
+                        const send = () => $.ajax({
                             url: url,
                             method: 'GET',
-                            success: function (data) {
+                            success: function (data, textStatus, jqXHR) {
+                                if (limiter) limiter.report(url, jqXHR);
                                 try {
                                     const processedData = config.processData(data);
-                                    // Select best prices: BUY uses best ask (lowest), SELL uses best bid (highest)
-                                    const priceBuy = processedData?.priceSell?.[0]?.price || 0;
-                                    const priceSell = processedData?.priceBuy?.[0]?.price || 0;
-                                    if (priceBuy <= 0 || priceSell <= 0) {
+                                    const result = toSymbolResult(tokenName, processedData);
+                                    if (!result) {
                                         return rejectAjax(`Harga tidak valid untuk ${tokenName} di ${cex}.`);
                                     }
-                                    resolveAjax({
-                                        tokenName: tokenName,
-                                        price_sell: priceSell,
-                                        price_buy: priceBuy,
-                                        volumes_sell: processedData.priceSell || [],
-                                        volumes_buy: processedData.priceBuy || []
-                                    });
+                                    resolveAjax(Object.assign(result, { source: 'rest' }));
                                 } catch (error) {
                                     rejectAjax(`Error processing data untuk ${tokenName} di ${cex}: ${error.message}`);
                                 }
                             },
                             error: function (xhr) {
+                                if (limiter) limiter.report(url, xhr);
                                 const errorMessage = xhr.responseJSON?.msg || "Unknown ERROR";
                                 rejectAjax(`Error koneksi API untuk ${tokenName} di ${cex}: ${errorMessage}`);
                             }
                         });
+                        if (limiter) limiter.acquire(url).then(send); else send();
                     });
                 }
                 return Promise.resolve(null);
@@ -295,10 +284,15 @@
                     withdrawToken: withdrawToken,
                     depositToken: depositToken,
                     withdrawPair: withdrawPair,
-                    depositPair: depositPair
+                    depositPair: depositPair,
+                    // Sumber orderbook per simbol: 'ws' (stream) | 'rest' | undefined (stablecoin)
+                    bookSource: { token: results[NameToken]?.source, pair: results[NamePair]?.source }
                 };
 
-                updateTableVolCEX(finalResult, cex, tableBodyId);
+                // UI bridge hanya di browser (headless engine tidak punya DOM)
+                if (typeof document !== 'undefined' && typeof updateTableVolCEX === 'function') {
+                    updateTableVolCEX(finalResult, cex, tableBodyId);
+                }
 
                 resolve(finalResult);
             }).catch(error => {
@@ -318,10 +312,24 @@
     // =================================================================================
     /** Fetch DP/WD statuses and fees for a given CEX (per token/chain). */
     async function fetchWalletStatus(cex) {
+        // Request & parsing per exchange ada di adapter (services/cex/adapters/*.js)
+        const adapter = root.CEX?.adapter?.(cex);
+        if (!adapter || typeof adapter.fetchWalletStatus !== 'function') {
+            throw new Error(`Unsupported CEX: ${cex}`);
+        }
+        // Adapter dengan endpoint publik (credentials.required=false) tidak butuh API key
+        if (adapter.credentials?.required === false) {
+            return adapter.fetchWalletStatus({ cex, timestamp: Date.now() });
+        }
+
         // ✅ NEW: Get API keys from IndexedDB via getCEXCredentials()
         let ApiKey, ApiSecret, Passphrase;
 
         if (typeof getCEXCredentials === 'function') {
+            // Vault aktif & terkunci → minta passphrase dulu (services/credential-vault.js)
+            if (window.CredentialVault && !(await window.CredentialVault.ensureUnlocked(`API key ${cex} dibutuhkan untuk cek wallet.`))) {
+                throw new Error(`${cex} API Key terkunci di vault. Buka vault di Settings.`);
+            }
             const credentials = await getCEXCredentials(cex);
             if (!credentials) {
                 throw new Error(`${cex} API Key/Secret not configured. Please configure in Settings.`);
@@ -346,269 +354,7 @@
             throw new Error(`${cex} API Key/Secret not configured. Please configure in Settings.`);
         }
 
-        const timestamp = Date.now();
-
-        switch (cex) {
-            case 'BINANCE': {
-                const query = `timestamp=${timestamp}`;
-                const sig = calculateSignature("BINANCE", ApiSecret, query, "HmacSHA256");
-                const url = `https://proxykanan.awokawok.workers.dev/?https://api-gcp.binance.com/sapi/v1/capital/config/getall?${query}&signature=${sig}`;
-                const response = await $.ajax({ url, headers: { "X-MBX-ApiKey": ApiKey } });
-                return response.flatMap(item =>
-                    (item.networkList || []).map(net => ({
-                        cex,
-                        tokenName: item.coin,
-                        chain: net.network,
-                        feeWDs: parseFloat(net.withdrawFee || 0),
-                        depositEnable: !!net.depositEnable,
-                        withdrawEnable: !!net.withdrawEnable,
-                        contractAddress: net.contractAddress || '',
-                        trading: !!item.trading // Tambahkan field trading dari response Binance
-                    }))
-                );
-            }
-
-            case 'MEXC': {
-                const query = `recvWindow=5000&timestamp=${timestamp}`;
-                const sig = calculateSignature("MEXC", ApiSecret, query);
-                const url = `https://proxykiri.awokawok.workers.dev/?https://api.mexc.com/api/v3/capital/config/getall?${query}&signature=${sig}`;
-                const response = await $.ajax({ url, headers: { "X-MEXC-APIKEY": ApiKey } });
-                return response.flatMap(item =>
-                    (item.networkList || []).map(net => ({
-                        cex,
-                        tokenName: item.coin,
-                        chain: net.netWork,
-                        feeWDs: parseFloat(net.withdrawFee || 0),
-                        depositEnable: !!net.depositEnable,
-                        withdrawEnable: !!net.withdrawEnable,
-                        contractAddress: net.contract || '',
-                        trading: true // MEXC tidak menyediakan field trading di API, default true
-                    }))
-                );
-            }
-
-            case 'GATE': {
-                const host = "https://cors.gemul-putra.workers.dev/?https://api.gateio.ws";
-                const prefix = "/api/v4";
-                const ts = Math.floor(Date.now() / 1000);
-
-                function gateSign(method, path, query = "", body = "") {
-                    const hashedBody = CryptoJS.SHA512(body).toString(CryptoJS.enc.Hex);
-                    const payload = `${method}\n${path}\n${query}\n${hashedBody}\n${ts}`;
-                    return CryptoJS.HmacSHA512(payload, ApiSecret).toString(CryptoJS.enc.Hex);
-                }
-
-                const wdPath = "/wallet/withdraw_status";
-                const wdHeaders = { KEY: ApiKey, SIGN: gateSign("GET", prefix + wdPath, "", ""), Timestamp: ts };
-                const wdData = await $.ajax({ url: `${host}${prefix}${wdPath}`, headers: wdHeaders });
-                const statusData = await $.ajax({ url: `${host}${prefix}/spot/currencies` });
-
-                return statusData.flatMap(item =>
-                    (item.chains || []).map(chain => {
-                        const match = (wdData || []).find(w => (w.currency || '').toUpperCase() === (item.currency || '').toUpperCase()) || {};
-                        const chainCode = String(chain.name || chain.chain || chain.network || chain.chain_name || '').toUpperCase();
-                        const feeMap = match.withdraw_fix_on_chains || {};
-                        const feeOnChain = feeMap[chainCode] ?? feeMap[chain.name] ?? feeMap[chain.chain] ?? 0;
-                        return {
-                            cex,
-                            tokenName: item.currency,
-                            chain: chainCode,
-                            feeWDs: parseFloat(chain.withdraw_fee || feeOnChain || 0),
-                            depositEnable: !Boolean(chain.deposit_disabled),
-                            withdrawEnable: !Boolean(chain.withdraw_disabled),
-                            contractAddress: chain.addr || '',
-                            trading: !item.delisted // GATE: trading = true jika tidak delisted
-                        };
-                    })
-                );
-            }
-
-            case 'INDODAX': {
-                const url = `https://indodax.com/api/summaries`;
-                const response = await $.ajax({ url });
-                const list = response?.tickers || {};
-                const arr = Object.keys(list).map(k => ({ cex, tokenName: k.toUpperCase().replace('IDR', ''), chain: 'INDODAX', feeWDs: 0, depositEnable: true, withdrawEnable: true, trading: true }));
-                return arr;
-            }
-
-            case 'KUCOIN': {
-                // Public endpoint: currencies and chains
-                const url = `https://proxykiri.awokawok.workers.dev/?https://api.kucoin.com/api/v3/currencies`;
-                const res = await $.ajax({ url, method: 'GET' });
-                const data = (res && res.data) || [];
-                const arr = [];
-                data.forEach(item => {
-                    const coin = item?.currency || item?.coin || '';
-                    const chains = item?.chains || item?.networkList || [];
-                    (chains || []).forEach(net => {
-                        const chainName = net?.chainName || net?.network || net?.name || '';
-                        const fee = parseFloat(net?.withdrawalMinFee || net?.withdrawFee || 0);
-                        const dep = (net?.isDepositEnabled === true) || (net?.canDeposit === true) || (String(net?.depositEnable).toLowerCase() === 'true');
-                        const wd = (net?.isWithdrawEnabled === true) || (net?.canWithdraw === true) || (String(net?.withdrawEnable).toLowerCase() === 'true');
-                        if (!coin || !chainName) return;
-                        arr.push({
-                            cex: 'KUCOIN',
-                            tokenName: String(coin).toUpperCase(),
-                            chain: String(chainName),
-                            feeWDs: isFinite(fee) ? fee : 0,
-                            depositEnable: !!dep,
-                            withdrawEnable: !!wd,
-                            contractAddress: net?.contractAddress || '',
-                            trading: true // KUCOIN tidak menyediakan field trading di endpoint currencies
-                        });
-                    });
-                });
-                return arr;
-            }
-
-            case 'BITGET': {
-                // Public endpoint: coins and chains
-                const url = `https://api.bitget.com/api/v2/spot/public/coins`;
-                const res = await $.ajax({ url, method: 'GET' });
-                const data = (res && res.data) || [];
-                const arr = [];
-                data.forEach(item => {
-                    const coin = item?.coin || item?.currency || '';
-                    const chains = item?.chains || [];
-                    (chains || []).forEach(net => {
-                        const chain = net?.chain || net?.network || net?.name || '';
-                        const fee = parseFloat(net?.withdrawFee || net?.withdrawMinFee || 0);
-                        const dep = (String(net?.rechargeable).toLowerCase() === 'true') || (net?.rechargeable === true);
-                        const wd = (String(net?.withdrawable).toLowerCase() === 'true') || (net?.withdrawable === true);
-                        if (!coin || !chain) return;
-                        arr.push({
-                            cex: 'BITGET',
-                            tokenName: String(coin).toUpperCase(),
-                            chain: String(chain),
-                            feeWDs: isFinite(fee) ? fee : 0,
-                            depositEnable: !!dep,
-                            withdrawEnable: !!wd,
-                            contractAddress: net?.contractAddress || '',
-                            trading: true // BITGET tidak menyediakan field trading di endpoint public coins
-                        });
-                    });
-                });
-                return arr;
-            }
-
-            case 'BYBIT': {
-                const key = ApiKey;
-                const secret = ApiSecret;
-                const recvWindow = 5000;
-                const ts = Date.now().toString();
-                const queryString = ""; // empty query → fetch all coins
-
-                function calcSign(secret, timestamp, apiKey, recvWindow, query) {
-                    const dataToSign = `${timestamp}${apiKey}${recvWindow}${query}`;
-                    return CryptoJS.HmacSHA256(dataToSign, secret).toString(CryptoJS.enc.Hex);
-                }
-                const sign = calcSign(secret, ts, key, recvWindow, queryString);
-
-                const url = `https://api.bybit.com/v5/asset/coin/query-info` + (queryString ? `?${queryString}` : '');
-                const headers = {
-                    'X-BAPI-API-KEY': key,
-                    'X-BAPI-TIMESTAMP': ts,
-                    'X-BAPI-RECV-WINDOW': String(recvWindow),
-                    'X-BAPI-SIGN': sign,
-                    'Accept': 'application/json',
-                    'Content-Type': 'application/json'
-                };
-
-                const res = await $.ajax({ url, method: 'GET', headers });
-                const rows = (res && res.result && (res.result.rows || res.result.list || res.result?.rows)) || [];
-                const data = Array.isArray(rows) ? rows : [];
-                const arr = [];
-                const truthy = (v) => (v === true) || (v === 1) || (v === '1') || (String(v).toLowerCase() === 'true');
-                data.forEach(item => {
-                    const coin = item?.coin || '';
-                    const chains = item?.chains || item?.chainsCommon || item?.networkList || [];
-                    (chains || []).forEach(net => {
-                        const chain = net?.chain || net?.chainType || net?.network || net?.name || '';
-                        const fee = parseFloat(net?.withdrawFee || net?.withdrawMinFee || 0);
-                        const dep = (net?.canDeposit === true) || (net?.depositable === true) || truthy(net?.rechargeable) || truthy(net?.chainDeposit);
-                        const wd = (net?.canWithdraw === true) || (net?.withdrawable === true) || truthy(net?.chainWithdraw);
-                        if (!coin || !chain) return;
-                        arr.push({
-                            cex: 'BYBIT',
-                            tokenName: String(coin).toUpperCase(),
-                            chain: String(chain),
-                            feeWDs: isFinite(fee) ? fee : 0,
-                            depositEnable: !!dep,
-                            withdrawEnable: !!wd,
-                            contractAddress: net?.contractAddress || '',
-                            trading: true // BYBIT tidak menyediakan field trading di endpoint coin/query-info
-                        });
-                    });
-                });
-                return arr;
-            }
-
-            case 'LBANK': {
-                // ✅ LBANK API v2/assetConfigs.do provides BOTH deposit AND withdraw status
-                // This endpoint includes:
-                // - canDeposit: boolean (deposit status)
-                // - canDraw: boolean (withdrawal status)
-                // - Fee information, minimum amounts, and network details
-                // Reference: LBank API v2 documentation https://www.lbank.com/docs/index.html
-                const url = `https://api.lbkex.com/v2/assetConfigs.do`;
-
-                const res = await $.ajax({ url, method: 'GET' });
-                const data = (res && res.data) || [];
-                const arr = [];
-
-                data.forEach(item => {
-                    const coin = item?.assetCode || '';
-                    const chain = item?.chain || String(item?.chainName || '');
-
-                    // Parse canDraw (withdraw) - can be boolean or string "true"/"false"
-                    const canWithdraw = (item?.canDraw === true) ||
-                        (item?.canDraw === 'true') ||
-                        (String(item?.canDraw).toLowerCase() === 'true');
-
-                    // Parse canDeposit - can be boolean or string "true"/"false"
-                    const canDeposit = (item?.canDeposit === true) ||
-                        (item?.canDeposit === 'true') ||
-                        (String(item?.canDeposit).toLowerCase() === 'true');
-
-                    // Parse withdrawal fee - can be number or string
-                    const fee = parseFloat(item?.drawFee || item?.fee || 0);
-
-                    if (!coin) return; // Skip if no coin code
-
-                    // ✅ FIXED: Now we have BOTH deposit and withdraw status from assetConfigs endpoint
-                    const depositEnable = canDeposit;
-
-                    // ===== CONTRACT ADDRESS ENRICHMENT =====
-                    // LBank API doesn't provide contract address, so we need enrichment
-                    // This will be enriched later in snapshot-new.js from:
-                    // 1. Existing snapshot data (fallback)
-                    // 2. Token database (DATAJSON per chain)
-                    // 3. Web3 validation
-                    // For now, mark as empty and let enrichment handle it
-                    const contractAddress = ''; // Will be enriched in snapshot-new.js
-
-                    arr.push({
-                        cex: 'LBANK',
-                        tokenName: String(coin).toUpperCase(),
-                        chain: String(chain).toUpperCase(),
-                        feeWDs: isFinite(fee) ? fee : 0,
-                        depositEnable: depositEnable,
-                        withdrawEnable: canWithdraw,
-                        contractAddress: contractAddress,
-                        trading: true, // Assume trading is enabled if coin is listed
-                        // Add flag to indicate enrichment needed
-                        needsEnrichment: true
-                    });
-                });
-
-                try { if (window.SCAN_LOG_ENABLED) console.log(`[LBANK] ✅ Fetched ${arr.length} coins from assetConfigs endpoint (includes deposit & withdraw status)`);
-                } catch(_) {}
-                return arr;
-            }
-
-            default:
-                throw new Error(`Unsupported CEX: ${cex}`);
-        }
+        return adapter.fetchWalletStatus({ cex, ApiKey, ApiSecret, Passphrase, timestamp: Date.now() });
     }
 
     /** Merge centralized CEX wallet statuses into per-token dataCexs. */
@@ -1043,14 +789,8 @@
      * - No rate limit issues
      * - Better UX (fast loading)
      *
-     * Supported CEX:
-     * - BYBIT: /v5/market/tickers?category=spot
-     * - GATE: /api/v4/spot/tickers
-     * - BINANCE: /api/v3/ticker/price
-     * - MEXC: /api/v3/ticker/price
-     * - KUCOIN: /api/v1/market/allTickers
-     * - BITGET: /api/v2/spot/market/tickers
-     * - INDODAX: /api/ticker_all
+     * Supported CEX: semua adapter dengan `tickers` (services/cex/adapters/*.js).
+     * Pair non-USDT (INDODAX: IDR) memakai harga USDT turunan dari ticker map adapter.
      *
      * @param {string} cex - CEX name (e.g., 'BYBIT', 'GATE', 'BINANCE')
      * @returns {Promise<Object>} - { 'BTC': 45000.12, 'ETH': 3000.45, ... }
@@ -1072,189 +812,23 @@
         }
 
         try {
-            let url, parseResponse;
-
-            switch (cexUpper) {
-                case 'BYBIT':
-                    // Bybit V5 API - Get all spot tickers
-                    url = 'https://api.bybit.com/v5/market/tickers?category=spot';
-                    parseResponse = (data) => {
-                        const tickers = data?.result?.list || [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Only USDT pairs
-                            if (symbol.endsWith('USDT')) {
-                                const base = symbol.replace('USDT', '');
-                                const price = parseFloat(ticker.lastPrice || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'GATE':
-                case 'GATEIO':
-                    // Gate.io V4 API - Get all spot tickers
-                    url = 'https://api.gateio.ws/api/v4/spot/tickers';
-                    parseResponse = (data) => {
-                        const tickers = Array.isArray(data) ? data : [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const pair = String(ticker.currency_pair || '').toUpperCase();
-                            // Format: BTC_USDT
-                            if (pair.endsWith('_USDT')) {
-                                const base = pair.replace('_USDT', '');
-                                const price = parseFloat(ticker.last || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'BINANCE':
-                    // Binance API - Get all ticker prices
-                    url = 'https://api.binance.com/api/v3/ticker/price';
-                    parseResponse = (data) => {
-                        const tickers = Array.isArray(data) ? data : [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Only USDT pairs
-                            if (symbol.endsWith('USDT')) {
-                                const base = symbol.replace('USDT', '');
-                                const price = parseFloat(ticker.price || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'MEXC':
-                    // MEXC API - Get all ticker prices (Binance-compatible)
-                    url = 'https://api.mexc.com/api/v3/ticker/price';
-                    parseResponse = (data) => {
-                        const tickers = Array.isArray(data) ? data : [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Only USDT pairs
-                            if (symbol.endsWith('USDT')) {
-                                const base = symbol.replace('USDT', '');
-                                const price = parseFloat(ticker.price || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'KUCOIN':
-                    // KuCoin API - Get all tickers
-                    url = 'https://api.kucoin.com/api/v1/market/allTickers';
-                    parseResponse = (data) => {
-                        const tickers = data?.data?.ticker || [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Format: BTC-USDT
-                            if (symbol.endsWith('-USDT')) {
-                                const base = symbol.replace('-USDT', '');
-                                const price = parseFloat(ticker.last || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'BITGET':
-                    // Bitget V2 API - Get all spot tickers
-                    url = 'https://api.bitget.com/api/v2/spot/market/tickers';
-                    parseResponse = (data) => {
-                        const tickers = data?.data || [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Only USDT pairs
-                            if (symbol.endsWith('USDT')) {
-                                const base = symbol.replace('USDT', '');
-                                const price = parseFloat(ticker.lastPr || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'INDODAX':
-                    // Indodax API - Get all tickers (IDR pairs)
-                    url = 'https://indodax.com/api/ticker_all';
-                    parseResponse = (data) => {
-                        const tickers = data?.tickers || {};
-                        const priceMap = {};
-                        Object.keys(tickers).forEach(key => {
-                            const ticker = tickers[key];
-                            const pair = String(key || '').toUpperCase();
-                            // Format: btcidr
-                            if (pair.endsWith('IDR')) {
-                                const base = pair.replace('IDR', '');
-                                const price = parseFloat(ticker?.last || 0);
-                                if (price > 0) {
-                                    // Convert IDR to USD (approximate: 1 USD = 15000 IDR)
-                                    priceMap[base] = price / 15000;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                case 'LBANK':
-                    // LBank API - Get all tickers
-                    url = 'https://api.lbkex.com/v2/ticker/24hr.do';
-                    parseResponse = (data) => {
-                        const tickers = data?.data || [];
-                        const priceMap = {};
-                        tickers.forEach(ticker => {
-                            const symbol = String(ticker.symbol || '').toUpperCase();
-                            // Format: btc_usdt
-                            if (symbol.endsWith('_USDT')) {
-                                const base = symbol.replace('_USDT', '');
-                                const price = parseFloat(ticker.ticker?.latest || 0);
-                                if (price > 0) {
-                                    priceMap[base] = price;
-                                }
-                            }
-                        });
-                        return priceMap;
-                    };
-                    break;
-
-                default:
-                    throw new Error(`CEX ${cexUpper} not supported for bulk price fetch`);
+            const adapter = root.CEX?.adapter?.(cexUpper === 'GATEIO' ? 'GATE' : cexUpper);
+            const tickers = adapter?.tickers;
+            if (!tickers || !tickers.url || typeof tickers.parse !== 'function') {
+                throw new Error(`CEX ${cexUpper} not supported for bulk price fetch`);
             }
+            const prefix = root.CONFIG_PROXY?.PREFIX || '';
+            const url = (tickers.proxy && prefix) ? prefix + tickers.url : tickers.url;
 
             // Fetch data with jQuery Ajax (✅ using user timeout setting)
             const data = await $.ajax({ url, method: 'GET', timeout: timeoutMs });
 
-            // Parse response
-            const priceMap = parseResponse(data);
+            // Ticker map adapter → { BASE: harga USDT } (kunci tanpa pemisah, mis. BTCUSDT)
+            const priceMap = {};
+            (tickers.parse(data) || new Map()).forEach((price, key) => {
+                const m = /^([A-Z0-9]+)USDT$/.exec(String(key));
+                if (m && Number(price) > 0) priceMap[m[1]] = Number(price);
+            });
             const count = Object.keys(priceMap).length;
 
             try { if (window.SCAN_LOG_ENABLED) console.log(`[fetchAllCEXPrices] ✅ ${cexUpper}: Fetched ${count} prices`);
@@ -1334,6 +908,7 @@
                 processIndodaxOrderBook,
                 exchangeConfig,
                 getPriceCEX,
+                refreshPricesFromStream,
                 fetchWalletStatus,
                 applyWalletStatusToTokenList,
                 checkAllCEXWallets,
@@ -0,0 +1,56 @@
+// =================================================================================
+// CEX Adapter — BINANCE
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.BINANCE (parser 'standard').
+ * - tickers       : data-api.binance.vision ticker/price (tanpa proxy)
+ * - walletStatus  : sapi capital/config/getall (HMAC-SHA256, via proxykanan)
+ * - balances      : api/v3/account (free + locked)
+ */
+(function initBinanceAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const sign = (query, secret) => CryptoJS.HmacSHA256(query, secret).toString(CryptoJS.enc.Hex);
+
+  root.CEX.register({
+    name: 'BINANCE',
+    ui: { label: 'Binance', short: 'BINC', badgeClass: 'bg-binance' },
+    tickers: {
+      url: 'https://data-api.binance.vision/api/v3/ticker/price',
+      proxy: false,
+      parse: root.CEX.parsers.tickerList('symbol', ['price', 'lastPrice', 'last'])
+    },
+
+    async fetchWalletStatus({ cex, ApiKey, ApiSecret, timestamp }) {
+      const query = `timestamp=${timestamp}`;
+      const url = `https://proxykanan.awokawok.workers.dev/?https://api-gcp.binance.com/sapi/v1/capital/config/getall?${query}&signature=${sign(query, ApiSecret)}`;
+      const response = await $.ajax({ url, headers: { "X-MBX-ApiKey": ApiKey } });
+      return response.flatMap(item =>
+        (item.networkList || []).map(net => ({
+          cex,
+          tokenName: item.coin,
+          chain: net.network,
+          feeWDs: parseFloat(net.withdrawFee || 0),
+          depositEnable: !!net.depositEnable,
+          withdrawEnable: !!net.withdrawEnable,
+          contractAddress: net.contractAddress || '',
+          trading: !!item.trading // Tambahkan field trading dari response Binance
+        }))
+      );
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret }) {
+      const queryString = `timestamp=${Date.now()}`;
+      const fullUrl = `https://api-gcp.binance.com/api/v3/account?${queryString}&signature=${sign(queryString, ApiSecret)}`;
+      const response = await fetch(fullUrl, { method: "GET", headers: { "X-MBX-APIKEY": ApiKey } });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      if (!data || !Array.isArray(data.balances)) throw new Error("Tidak ada data balance");
+      return data.balances.map(item => ({
+        symbol: item.asset,
+        amount: (parseFloat(item.free || 0) || 0) + (parseFloat(item.locked || 0) || 0)
+      }));
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
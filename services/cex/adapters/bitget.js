@@ -0,0 +1,80 @@
+// =================================================================================
+// CEX Adapter — BITGET
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.BITGET (parser 'bitget' → { data: { asks, bids } }).
+ * - tickers       : api/v2/spot/market/tickers (tanpa proxy)
+ * - walletStatus  : api/v2/spot/public/coins (publik)
+ * - balances      : api/v2/spot/account/assets (HMAC-SHA256 base64 + passphrase)
+ */
+(function initBitgetAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const parseTickerList = root.CEX.parsers.tickerList(['symbol', 'instId'], ['lastPr', 'last', 'close', 'latestPrice']);
+
+  root.CEX.register({
+    name: 'BITGET',
+    ui: { label: 'Bitget', short: 'BITG', badgeClass: 'bg-bitget' },
+    credentials: { passphrase: true },
+    tickers: {
+      url: 'https://api.bitget.com/api/v2/spot/market/tickers',
+      proxy: false,
+      // { data: [...] } atau { data: { list: [...] } }
+      parse: (data) => parseTickerList(Array.isArray(data?.data) ? data : { data: data?.data?.list })
+    },
+
+    async fetchWalletStatus() {
+      // Public endpoint: coins and chains
+      const url = `https://api.bitget.com/api/v2/spot/public/coins`;
+      const res = await $.ajax({ url, method: 'GET' });
+      const data = (res && res.data) || [];
+      const arr = [];
+      data.forEach(item => {
+        const coin = item?.coin || item?.currency || '';
+        const chains = item?.chains || [];
+        (chains || []).forEach(net => {
+          const chain = net?.chain || net?.network || net?.name || '';
+          const fee = parseFloat(net?.withdrawFee || net?.withdrawMinFee || 0);
+          const dep = (String(net?.rechargeable).toLowerCase() === 'true') || (net?.rechargeable === true);
+          const wd = (String(net?.withdrawable).toLowerCase() === 'true') || (net?.withdrawable === true);
+          if (!coin || !chain) return;
+          arr.push({
+            cex: 'BITGET',
+            tokenName: String(coin).toUpperCase(),
+            chain: String(chain),
+            feeWDs: isFinite(fee) ? fee : 0,
+            depositEnable: !!dep,
+            withdrawEnable: !!wd,
+            contractAddress: net?.contractAddress || '',
+            trading: true // BITGET tidak menyediakan field trading di endpoint public coins
+          });
+        });
+      });
+      return arr;
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret, Passphrase }) {
+      const path = "/api/v2/spot/account/assets";
+      const timestamp = Date.now().toString();
+      const signature = CryptoJS.HmacSHA256(timestamp + "GET" + path, ApiSecret).toString(CryptoJS.enc.Base64);
+      const response = await fetch(`https://cors-anywhere.com/https://api.bitget.com${path}`, {
+        method: "GET",
+        headers: {
+          "ACCESS-KEY": ApiKey,
+          "ACCESS-SIGN": signature,
+          "ACCESS-TIMESTAMP": timestamp,
+          "ACCESS-PASSPHRASE": Passphrase
+        }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return Array.isArray(data?.data)
+        ? data.data.map(item => ({
+          symbol: item.coin,
+          amount: (parseFloat(item.available || 0) || 0) + (parseFloat(item.frozen || 0) || 0)
+        }))
+        : [];
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
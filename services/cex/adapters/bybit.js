@@ -0,0 +1,87 @@
+// =================================================================================
+// CEX Adapter — BYBIT
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.BYBIT (parser 'bybit' → { result: { a, b } }).
+ * - tickers       : v5/market/tickers?category=spot (via proxy)
+ * - walletStatus  : v5/asset/coin/query-info
+ * - balances      : v5/account/wallet-balance (UNIFIED)
+ * Signature v5: HMAC-SHA256 hex dari timestamp + apiKey + recvWindow + query.
+ */
+(function initBybitAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const RECV_WINDOW = 5000;
+
+  /** GET bertanda tangan ke api.bybit.com → JSON */
+  async function signedGet(path, queryString, ApiKey, ApiSecret) {
+    const ts = Date.now().toString();
+    const sign = CryptoJS.HmacSHA256(`${ts}${ApiKey}${RECV_WINDOW}${queryString}`, ApiSecret).toString(CryptoJS.enc.Hex);
+    const response = await fetch(`https://api.bybit.com${path}` + (queryString ? `?${queryString}` : ''), {
+      method: 'GET',
+      headers: {
+        'X-BAPI-API-KEY': ApiKey,
+        'X-BAPI-TIMESTAMP': ts,
+        'X-BAPI-RECV-WINDOW': String(RECV_WINDOW),
+        'X-BAPI-SIGN': sign,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  }
+
+  root.CEX.register({
+    name: 'BYBIT',
+    ui: { label: 'Bybit', short: 'BYBT', badgeClass: 'bg-bybit' },
+    tickers: {
+      url: 'https://api.bybit.com/v5/market/tickers?category=spot',
+      proxy: true,
+      parse: root.CEX.parsers.tickerList('symbol', ['lastPrice', 'last', 'price'], 'result.list')
+    },
+
+    async fetchWalletStatus({ ApiKey, ApiSecret }) {
+      // empty query → fetch all coins
+      const res = await signedGet('/v5/asset/coin/query-info', '', ApiKey, ApiSecret);
+      const rows = (res && res.result && (res.result.rows || res.result.list)) || [];
+      const data = Array.isArray(rows) ? rows : [];
+      const arr = [];
+      const truthy = (v) => (v === true) || (v === 1) || (v === '1') || (String(v).toLowerCase() === 'true');
+      data.forEach(item => {
+        const coin = item?.coin || '';
+        const chains = item?.chains || item?.chainsCommon || item?.networkList || [];
+        (chains || []).forEach(net => {
+          const chain = net?.chain || net?.chainType || net?.network || net?.name || '';
+          const fee = parseFloat(net?.withdrawFee || net?.withdrawMinFee || 0);
+          const dep = (net?.canDeposit === true) || (net?.depositable === true) || truthy(net?.rechargeable) || truthy(net?.chainDeposit);
+          const wd = (net?.canWithdraw === true) || (net?.withdrawable === true) || truthy(net?.chainWithdraw);
+          if (!coin || !chain) return;
+          arr.push({
+            cex: 'BYBIT',
+            tokenName: String(coin).toUpperCase(),
+            chain: String(chain),
+            feeWDs: isFinite(fee) ? fee : 0,
+            depositEnable: !!dep,
+            withdrawEnable: !!wd,
+            contractAddress: net?.contractAddress || '',
+            trading: true // BYBIT tidak menyediakan field trading di endpoint coin/query-info
+          });
+        });
+      });
+      return arr;
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret }) {
+      const data = await signedGet('/v5/account/wallet-balance', 'accountType=UNIFIED', ApiKey, ApiSecret);
+      const coinList = data?.result?.list?.[0]?.coin;
+      return Array.isArray(coinList)
+        ? coinList.map(item => ({
+          symbol: item.coin,
+          amount: parseFloat(item.equity || item.walletBalance || 0) || 0
+        }))
+        : [];
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,84 @@
+// =================================================================================
+// CEX Adapter — GATE
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.GATE (parser 'standard').
+ * - tickers       : api/v4/spot/tickers (via proxy)
+ * - walletStatus  : wallet/withdraw_status (signed) + spot/currencies (publik)
+ * - balances      : spot/accounts (available + locked)
+ * Signature Gate v4: HMAC-SHA512 dari "METHOD\npath\nquery\nsha512(body)\nts".
+ */
+(function initGateAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const PREFIX = "/api/v4";
+
+  function gateSign(secret, ts, method, path, query = "", body = "") {
+    const hashedBody = CryptoJS.SHA512(body).toString(CryptoJS.enc.Hex);
+    const payload = `${method}\n${path}\n${query}\n${hashedBody}\n${ts}`;
+    return CryptoJS.HmacSHA512(payload, secret).toString(CryptoJS.enc.Hex);
+  }
+
+  root.CEX.register({
+    name: 'GATE',
+    ui: { label: 'Gateio', short: 'GATE', badgeClass: 'bg-gateio' },
+    tickers: {
+      url: 'https://api.gateio.ws/api/v4/spot/tickers',
+      proxy: true,
+      parse: root.CEX.parsers.tickerList('currency_pair', ['last', 'last_price', 'close'])
+    },
+
+    async fetchWalletStatus({ cex, ApiKey, ApiSecret }) {
+      const host = "https://cors.gemul-putra.workers.dev/?https://api.gateio.ws";
+      const ts = Math.floor(Date.now() / 1000);
+      const wdPath = "/wallet/withdraw_status";
+      const wdHeaders = { KEY: ApiKey, SIGN: gateSign(ApiSecret, ts, "GET", PREFIX + wdPath), Timestamp: ts };
+      const wdData = await $.ajax({ url: `${host}${PREFIX}${wdPath}`, headers: wdHeaders });
+      const statusData = await $.ajax({ url: `${host}${PREFIX}/spot/currencies` });
+
+      return statusData.flatMap(item =>
+        (item.chains || []).map(chain => {
+          const match = (wdData || []).find(w => (w.currency || '').toUpperCase() === (item.currency || '').toUpperCase()) || {};
+          const chainCode = String(chain.name || chain.chain || chain.network || chain.chain_name || '').toUpperCase();
+          const feeMap = match.withdraw_fix_on_chains || {};
+          const feeOnChain = feeMap[chainCode] ?? feeMap[chain.name] ?? feeMap[chain.chain] ?? 0;
+          return {
+            cex,
+            tokenName: item.currency,
+            chain: chainCode,
+            feeWDs: parseFloat(chain.withdraw_fee || feeOnChain || 0),
+            depositEnable: !Boolean(chain.deposit_disabled),
+            withdrawEnable: !Boolean(chain.withdraw_disabled),
+            contractAddress: chain.addr || '',
+            trading: !item.delisted // GATE: trading = true jika tidak delisted
+          };
+        })
+      );
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret }) {
+      const host = "https://cors-proxy-rosy.vercel.app/api/proxy?url=https://api.gateio.ws";
+      const path = "/spot/accounts";
+      const ts = Math.floor(Date.now() / 1000);
+      const response = await fetch(host + PREFIX + path, {
+        method: "GET",
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Timestamp': ts,
+          'KEY': ApiKey,
+          'SIGN': gateSign(ApiSecret, ts, "GET", PREFIX + path)
+        }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return Array.isArray(data)
+        ? data.map(item => ({
+          symbol: item.currency,
+          amount: (parseFloat(item.available || 0) || 0) + (parseFloat(item.locked || 0) || 0)
+        }))
+        : [];
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,80 @@
+// =================================================================================
+// CEX Adapter — INDODAX
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.INDODAX (parser 'indodax' → { buy, sell } dalam IDR).
+ * Quote IDR: konsumen mengonversi ke USDT (convertIDRtoUSDT / rate USDTIDR).
+ * - tickers       : api/ticker_all (via proxy); pair IDR + turunan USDT dari usdt_idr
+ * - walletStatus  : api/summaries (tanpa detail chain → chain 'INDODAX')
+ * - balances      : tapi getInfo (balance + balance_hold, HMAC-SHA512, via proxykiri)
+ */
+(function initIndodaxAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  function parseTickers(data) {
+    const map = new Map();
+    if (!data || typeof data !== 'object') return map;
+    const tickers = data.tickers || data.Tickers || data;
+    const rateStored = (typeof getFromLocalStorage === 'function') ? Number(getFromLocalStorage('PRICE_RATE_USDT') || 0) : 0;
+    const usdtTicker = tickers['usdt_idr'] || tickers['usdtidr'] || tickers['USDT_IDR'] || tickers['USDTIDR'];
+    const usdtRate = Number(usdtTicker?.last || usdtTicker?.buy || usdtTicker?.sell || rateStored);
+    Object.keys(tickers || {}).forEach(pair => {
+      const info = tickers[pair];
+      const last = Number(info?.last ?? info?.last_price ?? info?.close ?? info?.price ?? info?.sell ?? info?.buy);
+      if (!Number.isFinite(last) || last <= 0) return;
+      const upper = String(pair || '').toUpperCase();
+      if (!upper) return;
+      map.set(upper, last);
+      map.set(upper.replace(/[_-]/g, ''), last);
+      if (upper.endsWith('IDR')) {
+        const base = upper.replace('_IDR', '').replace('IDR', '').replace('-', '');
+        const rate = Number.isFinite(usdtRate) && usdtRate > 0 ? usdtRate : rateStored;
+        if (rate > 0 && base) {
+          const usdtPrice = last / rate;
+          map.set(`${base}USDT`, usdtPrice);
+          map.set(`${base}_USDT`, usdtPrice);
+          map.set(`${base}-USDT`, usdtPrice);
+        }
+      }
+    });
+    return map;
+  }
+
+  root.CEX.register({
+    name: 'INDODAX',
+    ui: { label: 'INDODAX', short: 'INDX', badgeClass: 'bg-indodax' },
+    tickers: {
+      url: 'https://indodax.com/api/ticker_all',
+      proxy: true,
+      parse: parseTickers
+    },
+
+    async fetchWalletStatus({ cex }) {
+      const response = await $.ajax({ url: `https://indodax.com/api/summaries` });
+      const list = response?.tickers || {};
+      return Object.keys(list).map(k => ({ cex, tokenName: k.toUpperCase().replace('IDR', ''), chain: 'INDODAX', feeWDs: 0, depositEnable: true, withdrawEnable: true, trading: true }));
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret }) {
+      const requestBody = `method=getInfo&timestamp=${Date.now()}&recvWindow=5000`;
+      const response = await $.ajax({
+        url: "https://proxykiri.awokawok.workers.dev/?https://indodax.com/tapi",
+        type: "POST",
+        headers: { "Key": ApiKey, "Sign": CryptoJS.HmacSHA512(requestBody, ApiSecret).toString() },
+        data: requestBody
+      });
+      if (!response?.success) throw new Error(response?.error || "NO DATA");
+
+      // balance (available) + balance_hold (in orders) = total aset
+      const combined = {};
+      [response.return?.balance || {}, response.return?.balance_hold || {}].forEach(src => {
+        Object.entries(src).forEach(([symbol, value]) => {
+          const amount = parseFloat(value || 0) || 0;
+          if (amount > 0) combined[symbol] = (combined[symbol] || 0) + amount;
+        });
+      });
+      return Object.entries(combined).map(([symbol, amount]) => ({ symbol: symbol.toUpperCase(), amount }));
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,80 @@
+// =================================================================================
+// CEX Adapter — KUCOIN
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.KUCOIN (parser 'kucoin' → { data: { asks, bids } }).
+ * - tickers       : api/v1/market/allTickers (via proxy)
+ * - walletStatus  : api/v3/currencies (publik, via proxykiri)
+ * - balances      : api/v1/accounts (KC-API-KEY-VERSION 3, passphrase ikut di-HMAC)
+ */
+(function initKucoinAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  root.CEX.register({
+    name: 'KUCOIN',
+    ui: { label: 'KuCoin', short: 'KUCN', badgeClass: 'bg-kucoin' },
+    credentials: { passphrase: true },
+    tickers: {
+      url: 'https://api.kucoin.com/api/v1/market/allTickers',
+      proxy: true,
+      parse: root.CEX.parsers.tickerList('symbol', ['last', 'lastTradedPrice', 'lastPrice', 'close'], 'data.ticker')
+    },
+
+    async fetchWalletStatus() {
+      // Public endpoint: currencies and chains
+      const url = `https://proxykiri.awokawok.workers.dev/?https://api.kucoin.com/api/v3/currencies`;
+      const res = await $.ajax({ url, method: 'GET' });
+      const data = (res && res.data) || [];
+      const arr = [];
+      data.forEach(item => {
+        const coin = item?.currency || item?.coin || '';
+        const chains = item?.chains || item?.networkList || [];
+        (chains || []).forEach(net => {
+          const chainName = net?.chainName || net?.network || net?.name || '';
+          const fee = parseFloat(net?.withdrawalMinFee || net?.withdrawFee || 0);
+          const dep = (net?.isDepositEnabled === true) || (net?.canDeposit === true) || (String(net?.depositEnable).toLowerCase() === 'true');
+          const wd = (net?.isWithdrawEnabled === true) || (net?.canWithdraw === true) || (String(net?.withdrawEnable).toLowerCase() === 'true');
+          if (!coin || !chainName) return;
+          arr.push({
+            cex: 'KUCOIN',
+            tokenName: String(coin).toUpperCase(),
+            chain: String(chainName),
+            feeWDs: isFinite(fee) ? fee : 0,
+            depositEnable: !!dep,
+            withdrawEnable: !!wd,
+            contractAddress: net?.contractAddress || '',
+            trading: true // KUCOIN tidak menyediakan field trading di endpoint currencies
+          });
+        });
+      });
+      return arr;
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret, Passphrase }) {
+      const path = "/api/v1/accounts";
+      const timestamp = Date.now().toString();
+      const signature = CryptoJS.HmacSHA256(timestamp + "GET" + path, ApiSecret).toString(CryptoJS.enc.Base64);
+      const passphraseENC = CryptoJS.HmacSHA256(Passphrase, ApiSecret).toString(CryptoJS.enc.Base64);
+      const response = await fetch(`https://api.kucoin.com${path}`, {
+        method: "GET",
+        headers: {
+          "KC-API-KEY": ApiKey,
+          "KC-API-SIGN": signature,
+          "KC-API-TIMESTAMP": timestamp,
+          "KC-API-PASSPHRASE": passphraseENC,
+          "KC-API-KEY-VERSION": "3",
+          "Content-Type": "application/json"
+        }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      return Array.isArray(data?.data)
+        ? data.data.map(item => ({
+          symbol: item.currency,
+          amount: parseFloat(item.balance || item.available || 0) || 0
+        }))
+        : [];
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,83 @@
+// =================================================================================
+// CEX Adapter — LBANK
+// =================================================================================
+/**
+ * Exchange yang hanya didefinisikan lewat adapter (tidak ada entri di CONFIG_CEX);
+ * registry mengisi CONFIG_CEX.LBANK dari adapter ini saat register.
+ * - orderbook     : v1/depth.do (format standard { asks, bids })
+ * - tickers       : v1/ticker.do?symbol=all (via proxy)
+ * - walletStatus  : v2/assetConfigs.do (publik, deposit + withdraw + fee) — tanpa API key
+ * - balances      : belum tersedia
+ * Ref: https://github.com/LBank-exchange/lbank-official-api-docs/blob/master/API-For-Spot-EN/Market%20REST%20API.md
+ */
+(function initLbankAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const lower = (v) => String(v || '').toLowerCase();
+  const truthy = (v) => (v === true) || (String(v).toLowerCase() === 'true');
+
+  root.CEX.register({
+    name: 'LBANK',
+    color: '#3461ff', // Blue LBank color
+    ui: { label: 'LBank', short: 'LBNK', badgeClass: 'bg-lbank' },
+    credentials: { required: false },
+    links: {
+      tradeToken: ({ token }) => `https://www.lbank.com/trade/${lower(token)}_usdt`,
+      tradePair: ({ pair }) => `https://www.lbank.com/trade/${lower(pair)}_usdt`,
+      withdraw: ({ token }) => `https://www.lbank.com/wallet/account/main/withdrawal/crypto/${lower(token)}`,
+      // user pilih network di halaman deposit
+      deposit: ({ token }) => `https://www.lbank.com/wallet/account/main/deposit/crypto/${lower(token)}`
+    },
+    orderbook: {
+      // Menggunakan domain resmi api.lbkex.com (bukan .info)
+      urlTpl: ({ symbol }) => `https://api.lbkex.com/v1/depth.do?symbol=${lower(symbol)}_usdt&size=5`,
+      parse: root.CEX.parsers.orderbook.standard
+    },
+    tickers: {
+      url: 'https://api.lbkex.com/v1/ticker.do?symbol=all',
+      proxy: true,
+      parse: (data) => {
+        // LBank returns array of tickers or data object with ticker array; simbol format eth_usdt
+        const list = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
+        const map = new Map();
+        list.forEach(item => {
+          const symbol = String(item?.symbol || '').toUpperCase();
+          const price = Number(item?.ticker?.latest ?? item?.latest ?? item?.last);
+          if (!symbol || !Number.isFinite(price)) return;
+          map.set(symbol, price);
+          map.set(symbol.replace(/_/g, ''), price);
+          map.set(symbol.replace(/_/g, '-'), price);
+        });
+        return map;
+      }
+    },
+    fees: { maker: 0.1, taker: 0.1 },
+
+    async fetchWalletStatus() {
+      const res = await $.ajax({ url: `https://api.lbkex.com/v2/assetConfigs.do`, method: 'GET' });
+      const data = (res && res.data) || [];
+      const arr = [];
+      data.forEach(item => {
+        const coin = item?.assetCode || '';
+        if (!coin) return;
+        const fee = parseFloat(item?.drawFee || item?.fee || 0);
+        arr.push({
+          cex: 'LBANK',
+          tokenName: String(coin).toUpperCase(),
+          chain: String(item?.chain || item?.chainName || '').toUpperCase(),
+          feeWDs: isFinite(fee) ? fee : 0,
+          depositEnable: truthy(item?.canDeposit),
+          withdrawEnable: truthy(item?.canDraw),
+          // LBank tidak memberi contract address → diperkaya di snapshot-new.js
+          // (snapshot lama, database token per chain, validasi Web3)
+          contractAddress: '',
+          trading: true, // Assume trading is enabled if coin is listed
+          needsEnrichment: true
+        });
+      });
+      try { if (window.SCAN_LOG_ENABLED) console.log(`[LBANK] ✅ Fetched ${arr.length} coins from assetConfigs endpoint (includes deposit & withdraw status)`); } catch (_) { }
+      return arr;
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,80 @@
+// =================================================================================
+// CEX Adapter — MEXC
+// =================================================================================
+/**
+ * Orderbook, link & fee: CONFIG_CEX.MEXC (parser 'standard').
+ * - tickers       : api/v3/ticker/price (via proxy)
+ * - walletStatus  : capital/config/getall (HMAC-SHA256, via proxykiri)
+ * - balances      : api/v3/account via cors-proxy-rosy, timestamp dari server time MEXC
+ */
+(function initMexcAdapter(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  if (!root.CEX || typeof root.CEX.register !== 'function') return;
+
+  const PROXY_BASE = "https://cors-proxy-rosy.vercel.app/api/proxy"; // ganti jika perlu
+  const sign = (query, secret) => CryptoJS.HmacSHA256(query, secret).toString(CryptoJS.enc.Hex);
+
+  root.CEX.register({
+    name: 'MEXC',
+    ui: { label: 'MEXC', short: 'MEXC', badgeClass: 'bg-mexc' },
+    tickers: {
+      url: 'https://api.mexc.com/api/v3/ticker/price',
+      proxy: true,
+      parse: root.CEX.parsers.tickerList('symbol', 'price')
+    },
+
+    async fetchWalletStatus({ cex, ApiKey, ApiSecret, timestamp }) {
+      const query = `recvWindow=5000&timestamp=${timestamp}`;
+      const url = `https://proxykiri.awokawok.workers.dev/?https://api.mexc.com/api/v3/capital/config/getall?${query}&signature=${sign(query, ApiSecret)}`;
+      const response = await $.ajax({ url, headers: { "X-MEXC-APIKEY": ApiKey } });
+      return response.flatMap(item =>
+        (item.networkList || []).map(net => ({
+          cex,
+          tokenName: item.coin,
+          chain: net.netWork,
+          feeWDs: parseFloat(net.withdrawFee || 0),
+          depositEnable: !!net.depositEnable,
+          withdrawEnable: !!net.withdrawEnable,
+          contractAddress: net.contract || '',
+          trading: true // MEXC tidak menyediakan field trading di API, default true
+        }))
+      );
+    },
+
+    async fetchBalances({ ApiKey, ApiSecret }) {
+      // 1) ambil server time MEXC via proxy (untuk kurangi clock-skew)
+      let serverTime = Date.now();
+      try {
+        const rTime = await fetch(`${PROXY_BASE}?url=${encodeURIComponent("https://api.mexc.com/api/v3/time")}`);
+        const jTime = await rTime.json().catch(() => ({}));
+        if (typeof jTime?.serverTime === "number") serverTime = jTime.serverTime;
+      } catch {
+        /* abaikan, lanjut pakai Date.now() */
+      }
+
+      // 2) query & signature, lalu bungkus URL MEXC ke proxy (HARUS encode)
+      const queryString = new URLSearchParams({ recvWindow: '5000', timestamp: String(serverTime) }).toString();
+      const targetUrl = `https://api.mexc.com/api/v3/account?${queryString}&signature=${sign(queryString, ApiSecret)}`;
+      const resp = await fetch(`${PROXY_BASE}?url=${encodeURIComponent(targetUrl)}`, {
+        method: "GET",
+        headers: { "X-MEXC-APIKEY": ApiKey, "Content-Type": "application/json" }
+      });
+
+      // kadang non-200 tapi berisi JSON error {code,msg}
+      const rawText = await resp.text();
+      let data; try { data = JSON.parse(rawText); } catch { data = rawText; }
+      if (!resp.ok || (data && typeof data === "object" && data.code && data.msg)) {
+        const code = data?.code ?? resp.status;
+        const msg = data?.msg ?? resp.statusText ?? "Unknown error";
+        throw new Error(`MEXC error (${code}): ${msg}`);
+      }
+
+      const balances = Array.isArray(data?.balances) ? data.balances : null;
+      if (!balances) throw new Error("Tidak ada data balances dari MEXC");
+      return balances.map(item => ({
+        symbol: item.asset,
+        amount: (parseFloat(item.free || 0) || 0) + (parseFloat(item.locked || 0) || 0)
+      }));
+    }
+  });
+})(typeof window !== 'undefined' ? window : this);
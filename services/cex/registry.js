@@ -1,4 +1,24 @@
 // CEX registry providing unified registration + link builders
+/**
+ * Satu adapter per exchange (services/cex/adapters/*.js) mendaftar lewat CEX.register().
+ * Entri CONFIG_CEX tetap didaftarkan otomatis sebagai default; adapter melengkapinya.
+ * Konsumen: services/cex.js (orderbook + wallet), api.js (parseOrderbook),
+ * snapshot-new.js & main.js (ticker map), portofolio.html (saldo), main.js (UI/kredensial).
+ *
+ * @typedef {object} CexAdapter
+ * @property {string} name - Kunci exchange (UPPERCASE), sama dengan kunci CONFIG_CEX
+ * @property {{label?: string, short?: string, badgeClass?: string}} [ui] - Dipakai bila tidak ada di CONFIG_UI.CEXES
+ * @property {string} [color] - Warna UI (fallback CONFIG_CEX.WARNA)
+ * @property {object} [links] - Bentuk sama dengan CONFIG_CEX.LINKS ({ tradeToken, tradePair, withdraw, deposit })
+ * @property {{urlTpl: function({symbol: string}): string, parse?: function(object): {asks: Array, bids: Array},
+ *   parser?: string, quote?: string}} [orderbook] - parse → level [[price, qty]] dalam mata uang quote (default USDT)
+ * @property {{url: string, proxy?: boolean, parse: function(object): Map<string, number>}} [tickers] - Peta harga semua pair
+ * @property {function(object): Promise<Array>} [fetchWalletStatus] - ctx { cex, ApiKey, ApiSecret, Passphrase, timestamp }
+ *   → [{ cex, tokenName, chain, feeWDs, depositEnable, withdrawEnable, contractAddress, trading }]
+ * @property {function(object): Promise<Array<{symbol: string, amount: number}>>} [fetchBalances] - ctx sama dengan di atas
+ * @property {{required?: boolean, passphrase?: boolean}} [credentials] - required=false: wallet status tanpa API key
+ * @property {{maker: number, taker: number}} [fees] - Fee spot dalam persen
+ */
 (function initCEXRegistry(global){
   const root = global || (typeof window !== 'undefined' ? window : {});
 
@@ -6,6 +26,53 @@
 
   function normalizeName(name){ return String(name || '').toUpperCase(); }
 
+  // ====== Parser bersama: raw orderbook → { asks: [[price, qty]], bids: [[price, qty]] } ======
+  function toLevels(list){
+    if (!Array.isArray(list)) return [];
+    return list
+      .map(l => Array.isArray(l) ? [parseFloat(l[0]), parseFloat(l[1])] : [parseFloat(l?.price), parseFloat(l?.size ?? l?.amount ?? l?.qty)])
+      .filter(([p, q]) => Number.isFinite(p) && Number.isFinite(q));
+  }
+  const bookOf = (asks, bids) => ({ asks: toLevels(asks), bids: toLevels(bids) });
+
+  const ORDERBOOK_PARSERS = {
+    standard: (raw) => bookOf(raw?.asks, raw?.bids),                   // { asks, bids }
+    kucoin:   (raw) => bookOf(raw?.data?.asks, raw?.data?.bids),       // { data: { asks, bids } }
+    bitget:   (raw) => bookOf(raw?.data?.asks, raw?.data?.bids),
+    bybit:    (raw) => bookOf(raw?.result?.a, raw?.result?.b),         // { result: { a, b } }
+    indodax:  (raw) => bookOf(raw?.sell, raw?.buy)                     // { buy, sell } dalam IDR
+  };
+
+  /**
+   * Ticker map generik: daftar objek → Map simbol → harga, plus varian tanpa/ganti pemisah
+   * (BTC_USDT → BTCUSDT, BTC-USDT) agar resolver pair cukup mencoba beberapa kunci.
+   * @param {string|string[]} symbolKeys - Field simbol (kandidat berurutan)
+   * @param {string|string[]} priceKeys - Field harga (kandidat berurutan)
+   * @param {string} [listPath] - Path ke array di payload (mis. 'data.ticker'); default payload/payload.data
+   */
+  function tickerListParser(symbolKeys, priceKeys, listPath){
+    const symKeys = [].concat(symbolKeys);
+    const pxKeys = [].concat(priceKeys);
+    return (data) => {
+      const list = listPath
+        ? listPath.split('.').reduce((o, k) => o?.[k], data)
+        : (Array.isArray(data) ? data : data?.data);
+      const map = new Map();
+      (Array.isArray(list) ? list : []).forEach(item => {
+        const sym = symKeys.map(k => item?.[k]).find(v => v !== undefined && v !== null && v !== '');
+        const px = pxKeys.map(k => item?.[k]).find(v => v !== undefined && v !== null && v !== '');
+        const symbol = String(sym || '').toUpperCase();
+        const price = Number(px);
+        if (!symbol || !Number.isFinite(price)) return;
+        map.set(symbol, price);
+        map.set(symbol.replace(/[_\-/]/g, ''), price);
+        map.set(symbol.replace(/[\-/]/g, '_'), price);
+        map.set(symbol.replace(/[_/]/g, '-'), price);
+      });
+      return map;
+    };
+  }
+
   function defaultLinkBuilder(name, token, pair){
     const cex = normalizeName(name);
     const T = String(token||'').toUpperCase();
@@ -73,55 +140,158 @@
     };
   }
 
+  function buildLinkBuilder(name, L){
+    return (t, p) => {
+      const T = String(t||'').toUpperCase();
+      const P = String(p||'').toUpperCase();
+      const build = (fn, args) => {
+        try { return typeof fn === 'function' ? fn(args) : null; } catch(_) { return null; }
+      };
+      const base = defaultLinkBuilder(name, T, P);
+      const tradeToken = build(L.tradeToken, { cex: name, token: T, pair: P }) || base.tradeToken;
+      const tradePair  = build(L.tradePair,  { cex: name, token: T, pair: P }) || base.tradePair;
+      const withdrawTokenUrl = build(L.withdraw, { cex: name, token: T, pair: T }) || base.withdrawTokenUrl;
+      const withdrawPairUrl  = build(L.withdraw, { cex: name, token: P, pair: P }) || base.withdrawPairUrl;
+      const depositTokenUrl  = build(L.deposit,  { cex: name, token: T, pair: T }) || base.depositTokenUrl;
+      const depositPairUrl   = build(L.deposit,  { cex: name, token: P, pair: P }) || base.depositPairUrl;
+      const withdrawUrl = withdrawTokenUrl;
+      const depositUrl  = depositPairUrl;
+      return {
+        tradeToken,
+        tradePair,
+        withdrawUrl,
+        depositUrl,
+        withdrawTokenUrl,
+        depositTokenUrl,
+        withdrawPairUrl,
+        depositPairUrl
+      };
+    };
+  }
+
+  /**
+   * Orderbook gabungan CONFIG_CEX.ORDERBOOK ← entri lama ← def adapter.
+   * Adapter boleh hanya memberi { parse, quote } dan memakai urlTpl dari CONFIG_CEX.
+   * Token parser string ('standard', 'kucoin', ...) di-resolve ke ORDERBOOK_PARSERS.
+   */
+  function resolveOrderbook(def, cfg, prev){
+    const ob = Object.assign({}, cfg.ORDERBOOK || {}, prev?.orderbook || {}, def?.orderbook || {});
+    if (typeof ob.urlTpl !== 'function') return null;
+    const token = String((typeof ob.parser === 'string') ? ob.parser : (ob.parserToken || 'standard')).toLowerCase();
+    const parse = (typeof ob.parse === 'function') ? ob.parse
+      : (typeof ob.parser === 'function') ? ob.parser
+      : (ORDERBOOK_PARSERS[token] || ORDERBOOK_PARSERS.standard);
+    const quote = normalizeName(ob.quote || (token === 'indodax' ? 'IDR' : 'USDT'));
+    return { urlTpl: ob.urlTpl, parse, quote, parserToken: token };
+  }
+
+  /**
+   * Exchange yang hanya ada sebagai adapter: isi CONFIG_CEX agar pembaca lama
+   * (filter, form token, settings, wallet chain) ikut mengenalinya.
+   */
+  function hydrateConfig(entry){
+    const cfgAll = root.CONFIG_CEX;
+    if (!cfgAll || cfgAll[entry.name]) return;
+    cfgAll[entry.name] = {
+      WARNA: entry.color,
+      LINKS: entry.links || {},
+      ORDERBOOK: entry.orderbook ? { urlTpl: entry.orderbook.urlTpl, parser: entry.orderbook.parserToken } : undefined,
+      FEES: entry.fees || { maker: 0.1, taker: 0.1 }
+    };
+  }
+
+  const CAPABILITIES = {
+    orderbook: (e) => !!(e.orderbook && typeof e.orderbook.urlTpl === 'function'),
+    tickers: (e) => !!(e.tickers && e.tickers.url && typeof e.tickers.parse === 'function'),
+    walletStatus: (e) => typeof e.fetchWalletStatus === 'function' || typeof e.walletFetcher === 'function',
+    balances: (e) => typeof e.fetchBalances === 'function'
+  };
+
   const CEX = {
+    /**
+     * Daftarkan / lengkapi exchange. Dipanggil ulang untuk nama yang sama → field baru
+     * menimpa, field yang tidak diisi tetap (default CONFIG_CEX + adapter saling melengkapi).
+     * @param {CexAdapter} def
+     */
     register(def){
       const name = normalizeName(def?.name);
       if (!name) return;
+      const prev = _registry.get(name) || null;
       const cfg = root.CONFIG_CEX?.[name] || {};
-      const color = def?.color || cfg.WARNA || '#000';
-      // Build orderbook from def or CONFIG_CEX.ORDERBOOK
-      let orderbook = def?.orderbook || null; // { urlTpl: (coins)=>string, parser: fn | token }
-      if (!orderbook && cfg.ORDERBOOK && typeof cfg.ORDERBOOK.urlTpl === 'function') {
-        orderbook = { urlTpl: cfg.ORDERBOOK.urlTpl, parserToken: cfg.ORDERBOOK.parser };
-      }
-      const walletFetcher = def?.walletFetcher || null;
+      const color = def?.color || prev?.color || cfg.WARNA || '#000';
+      const links = def?.links || prev?.links || cfg.LINKS || null;
+      const orderbook = resolveOrderbook(def, cfg, prev);
+      const fees = def?.fees || prev?.fees || cfg.FEES || null;
+      const walletFetcher = def?.walletFetcher || def?.fetchWalletStatus || prev?.walletFetcher || null;
+      // Build link builder from adapter links / CONFIG_CEX.LINKS
+      const linkBuilder = def?.linkBuilder || ((def?.links || !prev) ? buildLinkBuilder(name, links || {}) : prev.linkBuilder);
 
-      // Build link builder from CONFIG_CEX.LINKS if available
-      let linkBuilder = def?.linkBuilder;
-      if (!linkBuilder) {
-        const L = cfg.LINKS || {};
-        linkBuilder = (t, p) => {
-          const T = String(t||'').toUpperCase();
-          const P = String(p||'').toUpperCase();
-          const build = (fn, args) => {
-            try { return typeof fn === 'function' ? fn(args) : null; } catch(_) { return null; }
-          };
-          const base = defaultLinkBuilder(name, T, P);
-          const tradeToken = build(L.tradeToken, { cex: name, token: T, pair: P }) || base.tradeToken;
-          const tradePair  = build(L.tradePair,  { cex: name, token: T, pair: P }) || base.tradePair;
-          const withdrawTokenUrl = build(L.withdraw, { cex: name, token: T, pair: T }) || base.withdrawTokenUrl;
-          const withdrawPairUrl  = build(L.withdraw, { cex: name, token: P, pair: P }) || base.withdrawPairUrl;
-          const depositTokenUrl  = build(L.deposit,  { cex: name, token: T, pair: T }) || base.depositTokenUrl;
-          const depositPairUrl   = build(L.deposit,  { cex: name, token: P, pair: P }) || base.depositPairUrl;
-          const withdrawUrl = withdrawTokenUrl;
-          const depositUrl  = depositPairUrl;
-          return {
-            tradeToken,
-            tradePair,
-            withdrawUrl,
-            depositUrl,
-            withdrawTokenUrl,
-            depositTokenUrl,
-            withdrawPairUrl,
-            depositPairUrl
-          };
-        };
-      }
-      _registry.set(name, { name, color, orderbook, walletFetcher, linkBuilder });
+      const entry = Object.assign({}, prev || {}, def || {}, {
+        name, color, links, orderbook, fees, walletFetcher, linkBuilder,
+        fetchWalletStatus: walletFetcher,
+        credentials: Object.assign({ required: true, passphrase: false }, prev?.credentials || {}, def?.credentials || {})
+      });
+      _registry.set(name, entry);
+      hydrateConfig(entry);
+      return entry;
     },
     getConfig(name){
       return _registry.get(normalizeName(name)) || null;
     },
+    /** Adapter terdaftar (alias getConfig) */
+    adapter(name){
+      return this.getConfig(name);
+    },
+    /** @param {string} capability - 'orderbook' | 'tickers' | 'walletStatus' | 'balances' */
+    has(name, capability){
+      const e = this.getConfig(name);
+      if (!e) return false;
+      const check = CAPABILITIES[capability];
+      return check ? check(e) : true;
+    },
+    /**
+     * Nama exchange terdaftar, urut CONFIG_UI.CEXES lalu sisanya sesuai urutan daftar.
+     * @param {string} [capability] - Saring yang punya kemampuan tertentu (lihat has())
+     */
+    list(capability){
+      const order = (root.CONFIG_UI?.CEXES || []).map(c => normalizeName(c.key));
+      const names = Array.from(_registry.keys());
+      const rank = (n) => { const i = order.indexOf(n); return i < 0 ? order.length : i; };
+      return names
+        .map((n, i) => ({ n, i }))
+        .sort((a, b) => (rank(a.n) - rank(b.n)) || (a.i - b.i))
+        .map(x => x.n)
+        .filter(n => !capability || this.has(n, capability));
+    },
+    /** Entri UI ({ key, label, short, badgeClass }) untuk exchange terdaftar */
+    uiList(){
+      const uiCfg = root.CONFIG_UI?.CEXES || [];
+      return this.list().map(name => {
+        const fromCfg = uiCfg.find(c => normalizeName(c.key) === name);
+        const ui = this.getConfig(name)?.ui || {};
+        return Object.assign({
+          key: name,
+          label: ui.label || name,
+          short: ui.short || name.slice(0, 4),
+          badgeClass: ui.badgeClass || `bg-${name.toLowerCase()}`
+        }, fromCfg || {});
+      });
+    },
+    /** Mata uang quote orderbook/ticker exchange (USDT, INDODAX → IDR) */
+    quoteOf(name){
+      return this.getConfig(name)?.orderbook?.quote || 'USDT';
+    },
+    /** Raw respons orderbook → { asks, bids } level [[price, qty]] dalam quoteOf(name) */
+    parseOrderbook(name, raw){
+      const e = this.getConfig(name);
+      const parse = e?.orderbook?.parse || ORDERBOOK_PARSERS.standard;
+      try { return parse(raw || {}) || { asks: [], bids: [] }; } catch(_) { return { asks: [], bids: [] }; }
+    },
+    parsers: {
+      orderbook: ORDERBOOK_PARSERS,
+      levels: toLevels,
+      tickerList: tickerListParser
+    },
     color(name){
       const e = this.getConfig(name);
       return (e && e.color) || (root.CONFIG_CEX?.[normalizeName(name)]?.WARNA) || '#000';
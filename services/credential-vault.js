@@ -0,0 +1,381 @@
+// =================================================================================
+// Credential Vault — API key CEX terenkripsi dengan master passphrase
+// =================================================================================
+/**
+ * Credential Vault Module
+ * - Enkripsi CEX_API_KEYS dengan WebCrypto: PBKDF2 (SHA-256) → AES-GCM 256
+ * - Blob terenkripsi disimpan di KV 'CEX_API_KEYS_VAULT'; CEX_API_KEYS (plaintext) dihapus
+ * - Buka sekali per sesi halaman; kunci & data hanya di memori tab ini
+ * - Auto-lock setelah idle (SETTING_SCANNER.vaultIdleMinutes, default CONFIG_VAULT.idleLockMs)
+ * - getCEXCredentials() (secrets.js) dibungkus: vault aktif → ambil dari vault (null saat terkunci)
+ * - exportIDB (storage.js) tidak pernah mengekspor plaintext; blob vault ikut hanya jika mode 'encrypted'
+ *
+ * Konfigurasi: CONFIG_VAULT (config.js)
+ */
+(function initCredentialVault(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const VAULT_KEY = 'CEX_API_KEYS_VAULT';
+  const PLAIN_KEY = 'CEX_API_KEYS';
+  const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'wheel'];
+
+  let cryptoKey = null;   // CryptoKey AES-GCM (non-extractable)
+  let unlockedData = null; // { CEX: { ApiKey, ApiSecret, Passphrase? } }
+  let lastActivity = 0;
+  let lockTimer = null;
+  let pendingPrompt = null;
+  let lastLockedNotice = 0;
+  const listeners = new Set();
+
+  function getConfig() {
+    return Object.assign({ idleLockMs: 15 * 60 * 1000, iterations: 310000, minPassphrase: 8 }, root.CONFIG_VAULT || {});
+  }
+
+  function getIdleMs() {
+    try {
+      const s = (typeof root.getFromLocalStorage === 'function') ? (root.getFromLocalStorage('SETTING_SCANNER', {}) || {}) : {};
+      const minutes = parseFloat(s.vaultIdleMinutes);
+      if (Number.isFinite(minutes) && minutes > 0) return minutes * 60 * 1000;
+    } catch (_) { }
+    return getConfig().idleLockMs;
+  }
+
+  function emit() {
+    const st = status();
+    listeners.forEach(fn => { try { fn(st); } catch (_) { } });
+  }
+
+  function onChange(fn) {
+    if (typeof fn !== 'function') return () => { };
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // ============================ CRYPTO ============================
+
+  function subtle() {
+    const c = root.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+    if (!c || !c.subtle) throw new Error('WebCrypto tidak tersedia (butuh HTTPS / localhost).');
+    return c;
+  }
+
+  function toB64(buf) {
+    const bytes = new Uint8Array(buf);
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+  }
+
+  function fromB64(b64) {
+    const bin = atob(String(b64 || ''));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const c = subtle();
+    const material = await c.subtle.importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+    return c.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function encrypt(key, data) {
+    const c = subtle();
+    const iv = c.getRandomValues(new Uint8Array(12));
+    const cipher = await c.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data || {})));
+    return { iv: toB64(iv), data: toB64(cipher) };
+  }
+
+  async function decrypt(key, blob) {
+    const plain = await subtle().subtle.decrypt({ name: 'AES-GCM', iv: fromB64(blob.iv) }, key, fromB64(blob.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  // ============================ STORAGE ============================
+
+  function getBlob() {
+    try {
+      const blob = (typeof root.getFromLocalStorage === 'function') ? root.getFromLocalStorage(VAULT_KEY, null) : null;
+      return (blob && blob.v === 1 && blob.salt && blob.data) ? blob : null;
+    } catch (_) { return null; }
+  }
+
+  function getPlain() {
+    try {
+      const keys = (typeof root.getFromLocalStorage === 'function') ? root.getFromLocalStorage(PLAIN_KEY, null) : null;
+      return (keys && typeof keys === 'object' && Object.keys(keys).length) ? keys : null;
+    } catch (_) { return null; }
+  }
+
+  async function writeBlob(blob) {
+    if (typeof root.saveToLocalStorageAsync === 'function') {
+      const { ok } = await root.saveToLocalStorageAsync(VAULT_KEY, blob);
+      if (!ok) throw new Error('Gagal menyimpan vault ke IndexedDB.');
+    } else {
+      root.saveToLocalStorage(VAULT_KEY, blob);
+    }
+  }
+
+  function removePlain() {
+    try { if (typeof root.removeFromLocalStorage === 'function') root.removeFromLocalStorage(PLAIN_KEY); } catch (_) { }
+  }
+
+  async function persist() {
+    const prev = getBlob();
+    const sealed = await encrypt(cryptoKey, unlockedData);
+    await writeBlob(Object.assign({}, prev, sealed, { updatedAt: Date.now() }));
+  }
+
+  // ============================ STATE ============================
+
+  function isEnabled() {
+    return !!getBlob();
+  }
+
+  function isUnlocked() {
+    return !!(cryptoKey && unlockedData);
+  }
+
+  function status() {
+    const idleMs = getIdleMs();
+    return {
+      enabled: isEnabled(),
+      unlocked: isUnlocked(),
+      idleMs,
+      lockAt: isUnlocked() ? lastActivity + idleMs : null,
+      plaintextPresent: !!getPlain()
+    };
+  }
+
+  function scheduleLock() {
+    if (lockTimer) clearTimeout(lockTimer);
+    lockTimer = null;
+    if (!isUnlocked()) return;
+    const wait = Math.max(1000, lastActivity + getIdleMs() - Date.now());
+    lockTimer = setTimeout(() => {
+      if (Date.now() - lastActivity >= getIdleMs()) lock();
+      else scheduleLock();
+    }, wait);
+  }
+
+  /** Catat aktivitas user → timer auto-lock mulai ulang. */
+  function touch() {
+    if (!isUnlocked()) return;
+    lastActivity = Date.now();
+    scheduleLock();
+  }
+
+  function setUnlocked(key, data) {
+    cryptoKey = key;
+    unlockedData = data || {};
+    lastActivity = Date.now();
+    scheduleLock();
+    emit();
+  }
+
+  function lock() {
+    const was = isUnlocked();
+    cryptoKey = null;
+    unlockedData = null;
+    if (lockTimer) clearTimeout(lockTimer);
+    lockTimer = null;
+    if (was) emit();
+  }
+
+  function checkPassphrase(passphrase) {
+    const min = getConfig().minPassphrase;
+    if (String(passphrase || '').length < min) throw new Error(`Passphrase minimal ${min} karakter.`);
+  }
+
+  // ============================ API ============================
+
+  /**
+   * Aktifkan vault: API key plaintext yang ada dienkripsi lalu plaintext dihapus.
+   */
+  async function setup(passphrase) {
+    if (isEnabled()) throw new Error('Vault sudah aktif.');
+    checkPassphrase(passphrase);
+    const cfg = getConfig();
+    const salt = subtle().getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, cfg.iterations);
+    const data = getPlain() || {};
+    const sealed = await encrypt(key, data);
+    const now = Date.now();
+    await writeBlob(Object.assign({ v: 1, kdf: 'PBKDF2-SHA256', cipher: 'AES-GCM', iterations: cfg.iterations, salt: toB64(salt), createdAt: now, updatedAt: now }, sealed));
+    removePlain();
+    setUnlocked(key, data);
+    return true;
+  }
+
+  /**
+   * Buka vault. Plaintext yang muncul lagi (restore backup lama / migrasi legacy) ikut dienkripsi.
+   */
+  async function unlock(passphrase) {
+    const blob = getBlob();
+    if (!blob) throw new Error('Vault belum diaktifkan.');
+    const key = await deriveKey(passphrase, fromB64(blob.salt), Number(blob.iterations) || getConfig().iterations);
+    let data;
+    try {
+      data = await decrypt(key, blob);
+    } catch (_) {
+      throw new Error('Passphrase salah.');
+    }
+    const plain = getPlain();
+    setUnlocked(key, plain ? Object.assign({}, data, plain) : data);
+    if (plain) {
+      await persist();
+      removePlain();
+    }
+    return true;
+  }
+
+  /**
+   * Nonaktifkan vault: data dikembalikan ke CEX_API_KEYS plaintext (harus terbuka).
+   */
+  async function disable() {
+    if (!isUnlocked()) throw new Error('Buka vault terlebih dahulu.');
+    const data = Object.assign({}, unlockedData);
+    if (typeof root.saveToLocalStorageAsync === 'function') await root.saveToLocalStorageAsync(PLAIN_KEY, data);
+    else root.saveToLocalStorage(PLAIN_KEY, data);
+    try { root.removeFromLocalStorage(VAULT_KEY); } catch (_) { }
+    lock();
+    return true;
+  }
+
+  /** Semua kredensial (salinan) atau null jika terkunci. */
+  function getAll() {
+    if (!isUnlocked()) return null;
+    touch();
+    return JSON.parse(JSON.stringify(unlockedData));
+  }
+
+  /** Ganti seluruh isi vault (form Settings). */
+  async function saveAll(keys) {
+    if (!isUnlocked()) throw new Error('Vault terkunci.');
+    unlockedData = JSON.parse(JSON.stringify(keys || {}));
+    touch();
+    await persist();
+    emit();
+    return true;
+  }
+
+  function noticeLocked() {
+    const now = Date.now();
+    if (now - lastLockedNotice < 30000) return;
+    lastLockedNotice = now;
+    try {
+      if (typeof toast !== 'undefined' && toast.warning) toast.warning('🔒 Vault API key terkunci. Buka vault untuk memakai API key CEX.');
+    } catch (_) { }
+  }
+
+  /**
+   * Kredensial 1 CEX dari vault. Terkunci → null (+ peringatan).
+   */
+  function getCredentials(cex) {
+    if (!isUnlocked()) { noticeLocked(); return null; }
+    touch();
+    const entry = unlockedData[String(cex || '').toUpperCase()];
+    return entry ? Object.assign({}, entry) : null;
+  }
+
+  function escapeHtml(s) {
+    return String(s || '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  /**
+   * Dialog passphrase (UIkit). Resolve true jika vault berhasil dibuka.
+   */
+  function promptUnlock(reason) {
+    if (pendingPrompt) return pendingPrompt;
+    if (typeof UIkit === 'undefined' || !UIkit.modal) return Promise.resolve(false);
+    pendingPrompt = new Promise((resolve) => {
+      const html = `
+        <form class="uk-form-stacked vault-unlock-form">
+          <div class="uk-modal-body">
+            <h4 class="uk-margin-small-bottom"><span uk-icon="lock"></span> Buka Vault API Key</h4>
+            ${reason ? `<p class="uk-text-small uk-text-meta uk-margin-small">${escapeHtml(reason)}</p>` : ''}
+            <input class="uk-input uk-form-small vault-pass" type="password" placeholder="Master passphrase" autocomplete="current-password">
+            <div class="uk-text-danger uk-text-small uk-margin-small-top vault-error"></div>
+          </div>
+          <div class="uk-modal-footer uk-text-right uk-padding-small">
+            <button class="uk-button uk-button-default uk-button-small uk-modal-close" type="button">Batal</button>
+            <button class="uk-button uk-button-primary uk-button-small" type="submit">Buka</button>
+          </div>
+        </form>`;
+      const dialog = UIkit.modal.dialog(html, { bgClose: false });
+      const el = dialog.$el;
+      let done = false;
+      const finish = (ok) => { if (done) return; done = true; pendingPrompt = null; resolve(ok); };
+      const form = el.querySelector('.vault-unlock-form');
+      const input = el.querySelector('.vault-pass');
+      setTimeout(() => { try { input.focus(); } catch (_) { } }, 50);
+      form.addEventListener('submit', async (ev) => {
+        ev.preventDefault();
+        try {
+          await unlock(input.value);
+          finish(true);
+          dialog.hide();
+        } catch (e) {
+          el.querySelector('.vault-error').textContent = e.message || String(e);
+          input.select();
+        }
+      });
+      UIkit.util.on(el, 'hidden', () => finish(isUnlocked()));
+    });
+    return pendingPrompt;
+  }
+
+  /**
+   * Pastikan kredensial bisa dibaca: vault nonaktif / sudah terbuka → true, selain itu minta passphrase.
+   */
+  async function ensureUnlocked(reason) {
+    if (!isEnabled() || isUnlocked()) return true;
+    return promptUnlock(reason);
+  }
+
+  // ============================ WIRING ============================
+
+  // Bungkus getCEXCredentials (secrets.js): dipakai services/cex.js & portofolio.html
+  const legacyGetCredentials = (typeof root.getCEXCredentials === 'function') ? root.getCEXCredentials : null;
+  root.getCEXCredentials = function (cex) {
+    if (isEnabled()) return getCredentials(cex);
+    return legacyGetCredentials ? legacyGetCredentials(cex) : null;
+  };
+
+  try {
+    if (typeof document !== 'undefined') {
+      const onActivity = (typeof root.throttle === 'function') ? root.throttle(touch, 5000) : touch;
+      ACTIVITY_EVENTS.forEach(ev => document.addEventListener(ev, onActivity, { passive: true, capture: true }));
+    }
+  } catch (_) { }
+
+  const CredentialVault = {
+    VAULT_KEY,
+    isEnabled,
+    isUnlocked,
+    status,
+    setup,
+    unlock,
+    lock,
+    disable,
+    getAll,
+    saveAll,
+    getCredentials,
+    ensureUnlocked,
+    promptUnlock,
+    touch,
+    onChange
+  };
+
+  root.CredentialVault = CredentialVault;
+  if (typeof App.register === 'function') {
+    App.register('Services', { CredentialVault });
+  }
+})(typeof window !== 'undefined' ? window : this);
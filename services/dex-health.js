@@ -0,0 +1,298 @@
+// =================================================================================
+// DEX Health — circuit breaker & health score per strategy aggregator
+// =================================================================================
+/**
+ * DEX Health Module
+ * - Melacak kesehatan setiap strategy di dexStrategies (kyber, dzap-velora, rango-kyber, ...)
+ *   dari hasil request nyata: error rate (rolling window), latency, gagal beruntun
+ * - Circuit breaker per strategy: CLOSED → OPEN (cooldown) → HALF-OPEN (1 request probe) → CLOSED
+ * - getPriceDEX (services/dex.js) memakai isAvailable() untuk auto-routing ke alternative/secondary
+ *   dan canRequest() sebagai gate sebelum request dikirim
+ *
+ * Klasifikasi hasil:
+ * - failure : timeout, network error (status 0), status di tripOnStatus (403/429), 5xx
+ * - neutral : API menjawab tapi tidak ada quote (4xx lain, parse error / no route) → token-spesifik,
+ *             tidak dihitung sebagai gangguan provider
+ * - success : quote valid
+ *
+ * Konfigurasi: CONFIG_DEXS.GLOBAL.circuitBreaker (config.js)
+ */
+(function initDEXHealth(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const DEFAULTS = {
+    enabled: true,
+    failureThreshold: 4,
+    tripOnStatus: [403, 429],
+    tripThreshold: 2,
+    windowSize: 20,
+    minSamples: 8,
+    errorRateThreshold: 0.6,
+    cooldownMs: 60000,
+    maxCooldownMs: 600000
+  };
+
+  const STATES = new Map();
+  const listeners = [];
+
+  function getConfig() {
+    try {
+      return Object.assign({}, DEFAULTS, root.CONFIG_DEXS?.GLOBAL?.circuitBreaker || {});
+    } catch (_) { return Object.assign({}, DEFAULTS); }
+  }
+
+  function isEnabled() {
+    return getConfig().enabled !== false;
+  }
+
+  function keyOf(strategy) {
+    return String(strategy || '').toLowerCase();
+  }
+
+  function getEntry(strategy) {
+    const key = keyOf(strategy);
+    if (!STATES.has(key)) {
+      STATES.set(key, {
+        key,
+        state: 'closed',
+        samples: [],            // [{ ok: boolean, latency: number, ts: number }]
+        consecutiveFailures: 0,
+        openUntil: 0,
+        cooldownMs: 0,
+        trips: 0,
+        probeInFlight: false,
+        lastError: null,        // { statusCode, message, ts }
+        lastTimeoutMs: 0,
+        totals: { success: 0, failure: 0, neutral: 0 }
+      });
+    }
+    return STATES.get(key);
+  }
+
+  function notify(entry) {
+    listeners.forEach(fn => { try { fn(entry.key, describe(entry)); } catch (_) { } });
+  }
+
+  function pushSample(entry, ok, latency) {
+    const cfg = getConfig();
+    entry.samples.push({ ok, latency: Number(latency) || 0, ts: Date.now() });
+    while (entry.samples.length > cfg.windowSize) entry.samples.shift();
+  }
+
+  function errorRate(entry) {
+    if (!entry.samples.length) return 0;
+    return entry.samples.filter(s => !s.ok).length / entry.samples.length;
+  }
+
+  function avgLatency(entry) {
+    const ok = entry.samples.filter(s => s.ok && s.latency > 0);
+    if (!ok.length) return 0;
+    return ok.reduce((a, s) => a + s.latency, 0) / ok.length;
+  }
+
+  // OPEN → HALF-OPEN saat cooldown habis (dievaluasi lazy saat dibaca)
+  function refresh(entry) {
+    if (entry.state === 'open' && Date.now() >= entry.openUntil) {
+      entry.state = 'half-open';
+      entry.probeInFlight = false;
+    }
+    return entry;
+  }
+
+  function trip(entry, reason) {
+    const cfg = getConfig();
+    // Cooldown eksponensial: gagal lagi setelah HALF-OPEN → cooldown x2 (maks maxCooldownMs)
+    entry.cooldownMs = entry.cooldownMs > 0
+      ? Math.min(entry.cooldownMs * 2, cfg.maxCooldownMs)
+      : cfg.cooldownMs;
+    entry.state = 'open';
+    entry.openUntil = Date.now() + entry.cooldownMs;
+    entry.probeInFlight = false;
+    entry.trips++;
+    try { if (root.SCAN_LOG_ENABLED) console.warn(`[DEX CIRCUIT OPEN] ${entry.key.toUpperCase()}: ${reason} - pause ${Math.round(entry.cooldownMs / 1000)}s`); } catch (_) { }
+  }
+
+  function close(entry) {
+    const wasOpen = entry.state !== 'closed';
+    entry.state = 'closed';
+    entry.cooldownMs = 0;
+    entry.openUntil = 0;
+    entry.probeInFlight = false;
+    if (wasOpen) {
+      try { if (root.SCAN_LOG_ENABLED) console.log(`[DEX CIRCUIT CLOSED] ${entry.key.toUpperCase()}: recovered`); } catch (_) { }
+    }
+  }
+
+  /**
+   * Klasifikasi error request: 'failure' (gangguan provider) atau 'neutral' (token-spesifik).
+   * @param {number} statusCode
+   * @param {string} textStatus - textStatus jQuery ('timeout', 'error', 'parsererror', ...)
+   */
+  function classify(statusCode, textStatus) {
+    const cfg = getConfig();
+    const status = Number(statusCode) || 0;
+    const text = String(textStatus || '').toLowerCase();
+    if (text === 'timeout') return 'failure';
+    if (text === 'abort') return 'neutral';
+    if (status === 0) return 'failure';
+    if ((cfg.tripOnStatus || []).includes(status)) return 'failure';
+    if (status >= 500) return 'failure';
+    return 'neutral';
+  }
+
+  /**
+   * Cek tanpa efek samping: apakah strategy boleh dipakai sekarang (untuk routing).
+   * @returns {boolean}
+   */
+  function isAvailable(strategy) {
+    if (!isEnabled() || !strategy) return true;
+    const entry = refresh(getEntry(strategy));
+    if (entry.state === 'closed') return true;
+    if (entry.state === 'half-open') return !entry.probeInFlight;
+    return false;
+  }
+
+  /**
+   * Gate sebelum request dikirim. Di HALF-OPEN hanya 1 request probe yang diizinkan.
+   * @returns {{allowed: boolean, state: string, retryInMs: number}}
+   */
+  function canRequest(strategy) {
+    if (!isEnabled() || !strategy) return { allowed: true, state: 'closed', retryInMs: 0 };
+    const entry = refresh(getEntry(strategy));
+    if (entry.state === 'closed') return { allowed: true, state: 'closed', retryInMs: 0 };
+    if (entry.state === 'half-open' && !entry.probeInFlight) {
+      entry.probeInFlight = true;
+      return { allowed: true, state: 'half-open', retryInMs: 0 };
+    }
+    const retryInMs = entry.state === 'open' ? Math.max(0, entry.openUntil - Date.now()) : 0;
+    return { allowed: false, state: entry.state, retryInMs };
+  }
+
+  /**
+   * @param {string} strategy
+   * @param {{latencyMs?: number, timeoutMs?: number}} [info]
+   */
+  function recordSuccess(strategy, info = {}) {
+    if (!strategy) return;
+    const entry = getEntry(strategy);
+    entry.totals.success++;
+    entry.consecutiveFailures = 0;
+    if (Number(info.timeoutMs) > 0) entry.lastTimeoutMs = Number(info.timeoutMs);
+    pushSample(entry, true, info.latencyMs);
+    if (entry.state !== 'closed') close(entry);
+    notify(entry);
+  }
+
+  /** API menjawab tapi tanpa quote (no route, 400, dst) - provider dianggap hidup. */
+  function recordNeutral(strategy, info = {}) {
+    if (!strategy) return;
+    const entry = getEntry(strategy);
+    entry.totals.neutral++;
+    entry.consecutiveFailures = 0;
+    pushSample(entry, true, info.latencyMs);
+    if (entry.state !== 'closed') close(entry);
+    notify(entry);
+  }
+
+  /**
+   * @param {string} strategy
+   * @param {{statusCode?: number, textStatus?: string, latencyMs?: number, message?: string}} [info]
+   */
+  function recordFailure(strategy, info = {}) {
+    if (!strategy) return;
+    if (classify(info.statusCode, info.textStatus) === 'neutral') return recordNeutral(strategy, info);
+
+    const cfg = getConfig();
+    const entry = refresh(getEntry(strategy));
+    const status = Number(info.statusCode) || 0;
+    entry.totals.failure++;
+    entry.consecutiveFailures++;
+    entry.lastError = { statusCode: status, message: info.message || info.textStatus || '', ts: Date.now() };
+    pushSample(entry, false, info.latencyMs);
+
+    if (isEnabled()) {
+      const rate = errorRate(entry);
+      if (entry.state === 'half-open') {
+        trip(entry, 'probe failed');
+      } else if (entry.state === 'closed') {
+        if ((cfg.tripOnStatus || []).includes(status) && entry.consecutiveFailures >= cfg.tripThreshold) {
+          trip(entry, `HTTP ${status} x${entry.consecutiveFailures}`);
+        } else if (entry.consecutiveFailures >= cfg.failureThreshold) {
+          trip(entry, `${entry.consecutiveFailures} consecutive failures`);
+        } else if (entry.samples.length >= cfg.minSamples && rate >= cfg.errorRateThreshold) {
+          trip(entry, `error rate ${(rate * 100).toFixed(0)}%`);
+        }
+      }
+    }
+    notify(entry);
+  }
+
+  /**
+   * Skor 0-100: 80% dari success rate + 20% dari latency relatif terhadap timeout strategy.
+   */
+  function score(entry) {
+    refresh(entry);
+    if (entry.state === 'open') return 0;
+    if (!entry.samples.length) return 100;
+    const successPart = (1 - errorRate(entry)) * 80;
+    const timeout = entry.lastTimeoutMs || Number(root.CONFIG_DEXS?.GLOBAL?.timeout?.default) || 4000;
+    const latencyPart = Math.max(0, 1 - (avgLatency(entry) / timeout)) * 20;
+    return Math.round(successPart + latencyPart);
+  }
+
+  function describe(entry) {
+    refresh(entry);
+    const s = score(entry);
+    let status = entry.state;
+    if (status === 'closed') status = (s < 70 || entry.consecutiveFailures > 0) ? 'degraded' : 'healthy';
+    return {
+      strategy: entry.key,
+      state: entry.state,
+      status,
+      score: s,
+      errorRate: errorRate(entry),
+      avgLatency: Math.round(avgLatency(entry)),
+      consecutiveFailures: entry.consecutiveFailures,
+      retryInMs: entry.state === 'open' ? Math.max(0, entry.openUntil - Date.now()) : 0,
+      trips: entry.trips,
+      lastError: entry.lastError,
+      samples: entry.samples.length,
+      totals: Object.assign({}, entry.totals)
+    };
+  }
+
+  function getHealth(strategy) {
+    return describe(getEntry(strategy));
+  }
+
+  /** Semua strategy yang pernah dipakai, diurutkan dari yang paling bermasalah. */
+  function snapshot() {
+    return Array.from(STATES.values()).map(describe).sort((a, b) => a.score - b.score || a.strategy.localeCompare(b.strategy));
+  }
+
+  function reset(strategy) {
+    if (strategy) STATES.delete(keyOf(strategy));
+    else STATES.clear();
+    listeners.forEach(fn => { try { fn(strategy ? keyOf(strategy) : null, null); } catch (_) { } });
+  }
+
+  const DEXHealth = {
+    isEnabled,
+    classify,
+    isAvailable,
+    canRequest,
+    recordSuccess,
+    recordNeutral,
+    recordFailure,
+    getHealth,
+    snapshot,
+    reset,
+    onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
+  };
+
+  root.DEXHealth = DEXHealth;
+  if (typeof App.register === 'function') {
+    App.register('Services', { DEXHealth });
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,167 @@
+// =================================================================================
+// DEX Recorder — capture request/response DEX untuk fixture replay offline
+// =================================================================================
+/**
+ * DEX Recorder Module
+ * - Merekam pasangan request/response setiap strategy di dexStrategies (hook di getPriceDEX)
+ * - Output JSONL (satu fixture per baris) untuk diputar ulang oleh tools/dex-replay.js
+ * - Aktif jika CONFIG_APP.APP.DEX_RECORD = true atau DEXRecorder.start() dari console
+ *
+ * Format fixture (satu baris JSON):
+ *   { strategy, dexType, recordedAt, params, request: { url, method, data },
+ *     env: { ALL_GAS_FEES, gasGWEI }, response, expected: { amount_out, FeeSwap, dexTitle } | { error } }
+ *
+ * Catatan keamanan: header request (API key/JWT) dan SavedSettingData TIDAK direkam.
+ * Query param / field body rahasia (apiKey, key, token, secret, auth, ...) di-mask → "REDACTED".
+ */
+(function initDEXRecorder(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const MAX_FIXTURES = 500;
+  const REDACTED = 'REDACTED';
+  // Nama param/field yang berisi kredensial (mis. Rango: routing/bests?apiKey=...)
+  const SECRET_KEY_RE = /^(api[-_]?key|key|token|secret|client[-_]?secret|access[-_]?token|auth|authorization|jwt|x-api-key|password)$/i;
+  const buffer = [];
+  const sinks = [];
+  let manualEnabled = null; // null = ikuti CONFIG_APP.APP.DEX_RECORD
+
+  function isEnabled() {
+    if (manualEnabled !== null) return manualEnabled;
+    try { return root.CONFIG_APP?.APP?.DEX_RECORD === true; } catch (_) { return false; }
+  }
+
+  // amount_in_big adalah BigInt → simpan sebagai string agar bisa di-JSON-kan
+  function serializeParams(params) {
+    const out = {};
+    Object.keys(params || {}).forEach(k => {
+      if (k === 'SavedSettingData') return;
+      const v = params[k];
+      out[k] = (typeof v === 'bigint') ? v.toString() : v;
+    });
+    return out;
+  }
+
+  // Mask nilai query param rahasia. Regex (bukan URL.searchParams) agar URL target di
+  // balik proxy (https://proxy/?https://api/...?apiKey=...) ikut ter-mask.
+  function redactUrl(url) {
+    return String(url || '').replace(/([?&])([^=&#?]+)=([^&#?]*)/g, (m, sep, k) => {
+      let name = k;
+      try { name = decodeURIComponent(k); } catch (_) { }
+      return SECRET_KEY_RE.test(name) ? `${sep}${k}=${REDACTED}` : m;
+    });
+  }
+
+  // Mask field rahasia di body request (object / JSON string / form-urlencoded)
+  function redactData(data) {
+    if (data === null || data === undefined) return data ?? null;
+    if (typeof data === 'string') {
+      const text = data.trim();
+      if (text.startsWith('{') || text.startsWith('[')) {
+        try { return JSON.stringify(redactData(JSON.parse(text))); } catch (_) { return data; }
+      }
+      return text.includes('=') ? redactUrl(`?${data}`).slice(1) : data;
+    }
+    if (Array.isArray(data)) return data.map(redactData);
+    if (typeof data === 'object') {
+      const out = {};
+      Object.keys(data).forEach(k => {
+        out[k] = SECRET_KEY_RE.test(k) ? REDACTED : redactData(data[k]);
+      });
+      return out;
+    }
+    return data;
+  }
+
+  // Snapshot data storage yang dibaca parser (gas fee per chain) agar replay deterministik
+  function captureEnv(chainName) {
+    const env = {};
+    try {
+      if (typeof getFromLocalStorage !== 'function') return env;
+      const chain = String(chainName || '').toLowerCase();
+      const gas = getFromLocalStorage('ALL_GAS_FEES');
+      if (Array.isArray(gas)) env.ALL_GAS_FEES = gas.filter(g => String(g?.chain || '').toLowerCase() === chain);
+      const gwei = getFromLocalStorage('gasGWEI', null);
+      if (gwei !== null && gwei !== undefined) env.gasGWEI = gwei;
+    } catch (_) { }
+    return env;
+  }
+
+  /**
+   * Rekam satu pasangan request/response (dipanggil dari runStrategy di services/dex.js).
+   * @param {object} entry - { strategy, dexType, params, request, response, parsed, error }
+   */
+  function capture(entry) {
+    if (!entry || !entry.strategy) return null;
+    // Strategy multi-DEX (kamino, rubic) hanya mengisi subResults → expected dari quote teratas
+    const raw = entry.parsed || null;
+    const parsed = (raw && raw.amount_out === undefined && Array.isArray(raw.subResults) && raw.subResults.length) ? raw.subResults[0] : raw;
+    const fixture = {
+      strategy: String(entry.strategy).toLowerCase(),
+      dexType: String(entry.dexType || '').toLowerCase(),
+      recordedAt: new Date().toISOString(),
+      params: serializeParams(entry.params),
+      request: {
+        url: redactUrl(entry.request?.url),
+        method: entry.request?.method || 'GET',
+        data: redactData(entry.request?.data)
+      },
+      env: captureEnv(entry.params?.chainName),
+      response: entry.response,
+      expected: entry.error
+        ? { error: String(entry.error.message || entry.error) }
+        : {
+          amount_out: Number(parsed?.amount_out),
+          FeeSwap: Number(parsed?.FeeSwap),
+          dexTitle: parsed?.dexTitle ?? null
+        }
+    };
+    buffer.push(fixture);
+    if (buffer.length > MAX_FIXTURES) buffer.shift();
+    sinks.forEach(fn => { try { fn(fixture); } catch (_) { } });
+    return fixture;
+  }
+
+  function toJSONL(filter) {
+    const f = filter ? String(filter).toLowerCase() : '';
+    return buffer
+      .filter(x => !f || x.strategy === f || x.dexType === f)
+      .map(x => JSON.stringify(x))
+      .join('\n');
+  }
+
+  /** Download fixture sebagai file .jsonl (browser). */
+  function download(filter) {
+    const text = toJSONL(filter);
+    if (!text) {
+      try { if (typeof toast !== 'undefined' && toast.warning) toast.warning('Belum ada fixture DEX yang terekam'); } catch (_) { }
+      return false;
+    }
+    const blob = new Blob([text + '\n'], { type: 'application/x-ndjson' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `dex-fixtures-${filter ? String(filter).toLowerCase() + '-' : ''}${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { try { URL.revokeObjectURL(a.href); a.remove(); } catch (_) { } }, 0);
+    return true;
+  }
+
+  const DEXRecorder = {
+    isEnabled,
+    capture,
+    start() { manualEnabled = true; },
+    stop() { manualEnabled = false; },
+    clear() { buffer.length = 0; },
+    list() { return buffer.slice(); },
+    toJSONL,
+    download,
+    // Sink tambahan (mis. append ke file di headless runner)
+    onCapture(fn) { if (typeof fn === 'function') sinks.push(fn); }
+  };
+
+  root.DEXRecorder = DEXRecorder;
+  if (typeof App.register === 'function') {
+    App.register('Services', { DEXRecorder });
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -2934,8 +2934,13 @@
   /**
    * Quote swap output from a DEX aggregator.
    * Builds request by strategy, applies timeout, and returns parsed amounts.
+   * @param {object} [options]
+   * @param {function(number): void} [options.onDispatch] - Dipanggil saat request benar-benar dikirim
+   *   (setelah antrian HostRateLimiter) dengan lama antrian (ms); scanner memulai deadline sel dari sini
+   * @param {number} [options.deadlineAt] - Batas waktu absolut (ms epoch, dibaca setelah onDispatch):
+   *   timeout ajax dipotong ke sisa waktu; lewat batas → reject 'Request Timeout' tanpa kirim request
    */
-  function getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId) {
+  function getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options = {}) {
     return new Promise((resolve, reject) => {
       const sc_input = sc_input_in.toLowerCase();
       const sc_output = sc_output_in.toLowerCase();
@@ -3071,6 +3076,21 @@
           const strategy = dexStrategies[sKey];
           if (!strategy) return rej(new Error(`Unsupported strategy: ${sKey}`));
 
+          // ✅ Circuit breaker: jangan kirim request ke strategy yang sedang OPEN (services/dex-health.js)
+          const health = root.DEXHealth || null;
+          if (health) {
+            const gate = health.canRequest(sKey);
+            if (!gate.allowed) {
+              return rej({
+                statusCode: 0,
+                pesanDEX: `${sKey.toUpperCase()}: Circuit ${gate.state.toUpperCase()}${gate.retryInMs ? ` (retry ${Math.ceil(gate.retryInMs / 1000)}s)` : ''}`,
+                DEX: sKey.toUpperCase(),
+                isCircuitOpen: true,
+                strategyUsed: sKey
+              });
+            }
+          }
+
           // ✅ Get timeout from global config using resolveStrategyTimeout()
           const timeoutMilliseconds = resolveStrategyTimeout(sKey);
           try { if (window.SCAN_LOG_ENABLED) console.log(`⏱️ [${sKey.toUpperCase()} TIMEOUT] ${timeoutMilliseconds}ms`); } catch (_) { }
@@ -3082,6 +3102,7 @@
           try {
             buildResult = await Promise.resolve(strategy.buildRequest(requestParams));
           } catch (buildErr) {
+            if (health) health.recordFailure(sKey, { statusCode: 0, textStatus: 'error', message: `buildRequest failed: ${buildErr.message}` });
             return rej(new Error(`buildRequest failed: ${buildErr.message}`));
           }
           const { url, method, data, headers } = buildResult;
@@ -3112,23 +3133,58 @@
             });
           } catch (_) { }
 
+          // ✅ Rate limit per host API (core/performance/request-batcher.js), dibagi lintas tab
+          const limiter = root.HostRateLimiter || null;
+          const queuedAt = Date.now();
+          if (limiter) await limiter.acquire(finalUrl);
+          // Antrian limiter di luar timeout: timeout ajax & deadline sel scanner mulai setelah slot didapat
+          try { if (options && typeof options.onDispatch === 'function') options.onDispatch(Date.now() - queuedAt); } catch (_) { }
+
+          // Batas waktu total dari caller (SIZE LADDER): timeout ajax tidak melewati sisa waktu
+          const deadlineAt = Number(options && options.deadlineAt) || 0;
+          const remainingMs = deadlineAt ? deadlineAt - Date.now() : Infinity;
+          if (remainingMs <= 0) {
+            rej({ statusCode: 0, pesanDEX: `${String(sKey || '').toUpperCase()}: Request Timeout (batas waktu habis)`, DEX: String(sKey || '').toUpperCase(), textStatus: 'timeout', strategyUsed: sKey });
+            return;
+          }
+          const ajaxTimeout = Math.min(timeoutMilliseconds, remainingMs);
+          // Timeout karena dipotong deadline caller bukan kesalahan provider → tidak dicatat ke DEXHealth
+          const cappedByDeadline = ajaxTimeout < timeoutMilliseconds;
+
+          const startedAt = Date.now();
           $.ajax({
-            url: finalUrl, method, dataType: 'json', timeout: timeoutMilliseconds, headers, data,
+            url: finalUrl, method, dataType: 'json', timeout: ajaxTimeout, headers, data,
             contentType: data ? 'application/json' : undefined,
-            success: function (response) {
+            success: function (response, textStatus, jqXHR) {
+              if (limiter) limiter.report(finalUrl, jqXHR);
+              // Record/replay: simpan pasangan request/response untuk fixture offline (services/dex-recorder.js)
+              const record = (parsed, parseError) => {
+                try {
+                  if (root.DEXRecorder && root.DEXRecorder.isEnabled()) {
+                    root.DEXRecorder.capture({ strategy: sKey, dexType, params: requestParams, request: { url, method, data }, response, parsed, error: parseError });
+                  }
+                } catch (_) { }
+              };
               try {
                 const parsed = strategy.parseResponse(response, requestParams);
+                record(parsed, null);
+                if (health) health.recordSuccess(sKey, { latencyMs: Date.now() - startedAt, timeoutMs: timeoutMilliseconds });
                 const { amount_out, FeeSwap, dexTitle, subResults, isMultiDex } = parsed;
                 res({
                   dexTitle, sc_input, des_input, sc_output, des_output, FeeSwap, amount_out, apiUrl: url, tableBodyId,
                   subResults: subResults || null, // Pass subResults untuk DZAP
-                  isMultiDex: isMultiDex || false  // Pass flag isMultiDex
+                  isMultiDex: isMultiDex || false, // Pass flag isMultiDex
+                  strategyUsed: sKey               // Strategy yang benar-benar menjawab (primary/alternative/secondary)
                 });
               } catch (error) {
+                record(null, error);
+                // Parse error = API hidup tapi tanpa quote (no route) → bukan gangguan provider
+                if (health) health.recordNeutral(sKey, { latencyMs: Date.now() - startedAt });
                 rej({ statusCode: 500, pesanDEX: `Parse Error: ${error.message}`, DEX: sKey.toUpperCase() });
               }
             },
             error: function (xhr, textStatus) {
+              if (limiter) limiter.report(finalUrl, xhr);
               let status = 0;
               try { status = Number(xhr && xhr.status) || 0; } catch (_) { }
               // Heuristik: jika body JSON menyimpan status upstream (mis. 429) walau XHR 200/parsererror
@@ -3148,6 +3204,7 @@
               else if (status === 200) coreMsg = isParser ? 'Parser Error (200)' : 'XHR Error (200)';
               else if (status > 0) coreMsg = describeHttpStatus(status);
               else coreMsg = `Error: ${textStatus || 'unknown'}`;
+              if (health && !(textStatus === 'timeout' && cappedByDeadline)) health.recordFailure(sKey, { statusCode: status, textStatus, latencyMs: Date.now() - startedAt, message: coreMsg });
 
               const label = status > 0 ? (status === 200 ? '[XHR ERROR 200]' : `[HTTP ${status}]`) : '';
               // FIX: Swap token & pair address untuk arah PairtoToken (DEX→CEX)
@@ -3223,6 +3280,23 @@
         try { if (window.SCAN_LOG_ENABLED) console.log(`[DEX PRIMARY-ONLY] ${chainName?.toUpperCase() || 'CHAIN'} ${normalizedKey.toUpperCase()} ${action}: using='${selectedStrategy}'`); } catch (_) { }
       }
 
+      // ========== CIRCUIT BREAKER ROUTING ==========
+      // Strategy terpilih sedang OPEN (403/429/timeout beruntun) → langsung pakai alternative/secondary
+      // yang sehat, tanpa menunggu request gagal dulu. Lihat services/dex-health.js
+      try {
+        const health = root.DEXHealth;
+        if (health && health.isEnabled() && !health.isAvailable(selectedStrategy)) {
+          const backup = strategyMode === 'fallback' ? fallbackStrategy
+            : (strategyMode === 'rotation' ? (isUsingSecondary ? primary : secondary) : null);
+          if (backup && backup !== selectedStrategy && health.isAvailable(backup)) {
+            try { if (window.SCAN_LOG_ENABLED) console.warn(`[DEX CIRCUIT] ${normalizedKey.toUpperCase()}: '${selectedStrategy}' OPEN, routing to '${backup}'`); } catch (_) { }
+            selectedStrategy = backup;
+            fallbackStrategy = null;
+            isUsingSecondary = backup === secondary;
+          }
+        }
+      } catch (_) { }
+
       // DEBUG: Log strategy selection
       const displayDex = normalizedKey !== String(dexType || '').toLowerCase() ? `${dexType.toUpperCase()}→${normalizedKey.toUpperCase()}` : dexType.toUpperCase();
 
@@ -3266,7 +3340,7 @@
           }
 
           // ROTATION or PRIMARY-ONLY mode: No fallback, throw error directly
-          console.error(`[DEX ERROR] ${chainName?.toUpperCase() || 'CHAIN'} ${dexType.toUpperCase()}: ${selectedStrategy} failed:`, error.message || error.pesanDEX || 'Unknown error');
+          if (!error?.isCircuitOpen) console.error(`[DEX ERROR] ${chainName?.toUpperCase() || 'CHAIN'} ${dexType.toUpperCase()}: ${selectedStrategy} failed:`, error.message || error.pesanDEX || 'Unknown error');
           throw error;
         })
         .finally(() => {
@@ -3282,13 +3356,53 @@
     });
   }
 
+  /**
+   * Quote the same route at several input sizes (size ladder).
+   * Rung dijalankan berurutan (bukan paralel) agar tidak memicu rate limit aggregator.
+   * Tiap rung (termasuk 100%) adalah request terpisah; cache/dedup getPriceDEX hanya berlaku
+   * untuk amount yang sama persis.
+   * @param {Array<number>} amounts - amount_in per rung (dalam unit token input)
+   * @param {object} [options] - Diteruskan ke getPriceDEX (onDispatch)
+   * @param {number} [options.maxTotalMs] - Batas waktu seluruh ladder, dihitung dari request pertama dikirim.
+   *   Timeout tiap rung dipotong ke sisa waktu; rung setelah batas habis tidak di-request (ok: false).
+   * @returns {Promise<Array<{amount_in: number, ok: boolean, response?: object, error?: object}>>}
+   */
+  async function getPriceDEXLadder(sc_input_in, des_input, sc_output_in, des_output, amounts, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, options = {}) {
+    const results = [];
+    const maxTotalMs = Number(options && options.maxTotalMs) || 0;
+    // Deadline ladder dipasang saat rung pertama benar-benar dikirim (antrian HostRateLimiter tidak dihitung)
+    const rungOptions = Object.assign({}, options, {
+      onDispatch: (waitMs) => {
+        if (maxTotalMs > 0 && !rungOptions.deadlineAt) rungOptions.deadlineAt = Date.now() + maxTotalMs;
+        if (options && typeof options.onDispatch === 'function') options.onDispatch(waitMs);
+      }
+    });
+    for (const amount_in of (Array.isArray(amounts) ? amounts : [])) {
+      if (!(Number(amount_in) > 0)) {
+        results.push({ amount_in, ok: false, error: { statusCode: 0, pesanDEX: 'Amount input tidak valid (<= 0)' } });
+        continue;
+      }
+      if (rungOptions.deadlineAt && Date.now() >= rungOptions.deadlineAt) {
+        results.push({ amount_in, ok: false, error: { statusCode: 0, pesanDEX: 'SIZE LADDER: batas waktu habis, rung dilewati' } });
+        continue;
+      }
+      try {
+        const response = await getPriceDEX(sc_input_in, des_input, sc_output_in, des_output, amount_in, PriceRate, dexType, NameToken, NamePair, cex, chainName, codeChain, action, tableBodyId, rungOptions);
+        results.push({ amount_in, ok: true, response });
+      } catch (error) {
+        results.push({ amount_in, ok: false, error });
+      }
+    }
+    return results;
+  }
+
   // ❌ REMOVED: getPriceAltDEX() function (215 lines)
   // Legacy global fallback function that conflicts with CONFIG_DEXS.GLOBAL.allowFallback = false
   // All fallback/rotation logic now handled internally by getPriceDEX() via primary/secondary strategy
   // Date removed: 2026-01-12
 
   if (typeof App.register === 'function') {
-    App.register('Services', { DEX: { dexStrategies, getPriceDEX } });
+    App.register('Services', { DEX: { dexStrategies, getPriceDEX, getPriceDEXLadder } });
   }
 
   // Lightweight DEX registry for link builders and policy
@@ -0,0 +1,250 @@
+// =================================================================================
+// Notify — channel notifikasi sinyal (Telegram, Webhook, Discord, ntfy)
+// =================================================================================
+/**
+ * Notify Module
+ * - Satu pesan (HTML Telegram + data terstruktur) dikirim ke semua channel aktif
+ * - Tipe channel: telegram (sendTelegramHTML), webhook (JSON POST), discord (webhook), ntfy (POST teks)
+ * - Filter per channel: min PNL, chain, CEX, jam tenang (quiet hours, waktu lokal)
+ * - Status (ONLINE, dll) hanya mengikuti jam tenang, tidak difilter PNL/chain/CEX
+ * - Follow-up 'closed' (services/alert-dedup.js) difilter sama seperti sinyal pembukanya
+ *
+ * Daftar channel: SETTING_SCANNER.notifyChannels
+ *   [{ id, type, name, enabled, url, chatId, botToken, minPnl, chains: [], cexes: [], quietStart: 'HH:MM', quietEnd: 'HH:MM' }]
+ * Jika belum pernah diatur → 1 channel Telegram default (CONFIG_TELEGRAM), sama seperti sebelumnya.
+ *
+ * Konfigurasi: CONFIG_NOTIFY (config.js)
+ */
+(function initNotify(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const TYPES = ['telegram', 'webhook', 'discord', 'ntfy'];
+
+  function getConfig() {
+    return Object.assign({ timeoutMs: 8000, maxDiscordLength: 1900 }, root.CONFIG_NOTIFY || {});
+  }
+
+  function toList(v) {
+    if (Array.isArray(v)) return v.map(x => String(x).trim()).filter(Boolean);
+    return String(v || '').split(/[\s,]+/).map(x => x.trim()).filter(Boolean);
+  }
+
+  /**
+   * Normalisasi 1 channel (dari form settings / storage).
+   */
+  function normalizeChannel(raw, idx) {
+    const c = raw || {};
+    const type = TYPES.includes(String(c.type || '').toLowerCase()) ? String(c.type).toLowerCase() : 'webhook';
+    const minPnl = parseFloat(c.minPnl);
+    return {
+      id: String(c.id || `${type}-${idx || 0}`),
+      type,
+      name: String(c.name || '').trim() || type.toUpperCase(),
+      enabled: c.enabled !== false,
+      url: String(c.url || '').trim(),
+      chatId: String(c.chatId || '').trim(),
+      botToken: String(c.botToken || '').trim(),
+      minPnl: Number.isFinite(minPnl) && minPnl > 0 ? minPnl : 0,
+      chains: toList(c.chains).map(x => x.toLowerCase()),
+      cexes: toList(c.cexes).map(x => x.toUpperCase()),
+      quietStart: String(c.quietStart || '').trim(),
+      quietEnd: String(c.quietEnd || '').trim()
+    };
+  }
+
+  function defaultChannels() {
+    return [normalizeChannel({ id: 'telegram-default', type: 'telegram', name: 'TELEGRAM' })];
+  }
+
+  /**
+   * Daftar channel tersimpan. undefined (belum pernah disimpan) → channel Telegram default.
+   */
+  function getChannels() {
+    try {
+      const settings = (typeof root.getFromLocalStorage === 'function') ? (root.getFromLocalStorage('SETTING_SCANNER', {}) || {}) : {};
+      if (!Array.isArray(settings.notifyChannels)) return defaultChannels();
+      return settings.notifyChannels.map(normalizeChannel);
+    } catch (_) { return defaultChannels(); }
+  }
+
+  function parseHM(hm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hm || '').trim());
+    if (!m) return null;
+    const h = Number(m[1]), mi = Number(m[2]);
+    if (h > 23 || mi > 59) return null;
+    return h * 60 + mi;
+  }
+
+  /**
+   * Jam tenang (waktu lokal). Rentang boleh melewati tengah malam (22:00 - 06:00).
+   */
+  function isQuiet(channel, now) {
+    const start = parseHM(channel.quietStart);
+    const end = parseHM(channel.quietEnd);
+    if (start === null || end === null || start === end) return false;
+    const d = now instanceof Date ? now : new Date(now || Date.now());
+    const t = d.getHours() * 60 + d.getMinutes();
+    return start < end ? (t >= start && t < end) : (t >= start || t < end);
+  }
+
+  /**
+   * Cek apakah pesan lolos filter channel.
+   * @returns {string|null} alasan ditolak, null jika lolos
+   */
+  function rejectReason(channel, msg, now) {
+    if (!channel.enabled) return 'disabled';
+    if (isQuiet(channel, now)) return 'quiet';
+    if (msg.kind !== 'signal' && msg.kind !== 'closed') return null;
+    const meta = msg.meta || {};
+    if (channel.minPnl > 0 && !(Number(meta.pnl) >= channel.minPnl)) return 'pnl';
+    if (channel.chains.length && !channel.chains.includes(String(meta.chain || '').toLowerCase())) return 'chain';
+    if (channel.cexes.length && !channel.cexes.includes(String(meta.cex || '').toUpperCase())) return 'cex';
+    return null;
+  }
+
+  // ============================ FORMAT ============================
+
+  function decodeEntities(s) {
+    return String(s || '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  // HTML Telegram → teks polos (link ditulis "teks (url)")
+  function htmlToText(html) {
+    return decodeEntities(String(html || '')
+      .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (_, url, text) => (url && url !== '#') ? `${text} (${url})` : text)
+      .replace(/<[^>]+>/g, ''));
+  }
+
+  // HTML Telegram → markdown Discord
+  function htmlToMarkdown(html) {
+    // Tag dibuang dulu, baru link diubah; <url> mencegah preview embed Discord per link
+    const links = [];
+    const text = String(html || '')
+      .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (_, url, label) => {
+        if (!url || url === '#') return label;
+        links.push(`[${decodeEntities(label)}](<${decodeEntities(url)}>)`);
+        return `\u0000${links.length - 1}\u0000`;
+      })
+      .replace(/<\/?b>/gi, '**')
+      .replace(/<\/?i>/gi, '_')
+      .replace(/<[^>]+>/g, '');
+    return decodeEntities(text).replace(/\u0000(\d+)\u0000/g, (_, i) => links[Number(i)]);
+  }
+
+  // ============================ TRANSPORT ============================
+
+  async function post(url, body, headers) {
+    const cfg = getConfig();
+    const limiter = root.HostRateLimiter || null;
+    if (limiter) await limiter.acquire(url);
+    const ctrl = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+    const timer = ctrl ? setTimeout(() => ctrl.abort(), cfg.timeoutMs) : null;
+    try {
+      const res = await fetch(url, { method: 'POST', headers: headers || {}, body, signal: ctrl ? ctrl.signal : undefined });
+      if (limiter) limiter.report(url, { status: res.status, getResponseHeader: (name) => (res.headers && res.headers.get) ? res.headers.get(name) : null });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return true;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  const senders = {
+    telegram(channel, msg) {
+      // Field kosong → pakai CONFIG_TELEGRAM (chat default)
+      const override = {};
+      if (channel.chatId) override.CHAT_ID = channel.chatId;
+      if (channel.botToken) override.BOT_TOKEN = channel.botToken;
+      if (channel.url) override.PROXY_URL = channel.url;
+      if (typeof root.sendTelegramHTML !== 'function') return Promise.reject(new Error('sendTelegramHTML tidak tersedia'));
+      return root.sendTelegramHTML(msg.html, override);
+    },
+
+    webhook(channel, msg) {
+      if (!channel.url) return Promise.reject(new Error('URL webhook kosong'));
+      return post(channel.url, JSON.stringify({
+        event: msg.kind,
+        title: msg.title || '',
+        text: htmlToText(msg.html),
+        html: msg.html,
+        data: msg.meta || {},
+        channel: channel.name,
+        ts: Date.now()
+      }), { 'Content-Type': 'application/json' });
+    },
+
+    discord(channel, msg) {
+      if (!channel.url) return Promise.reject(new Error('URL Discord webhook kosong'));
+      const max = getConfig().maxDiscordLength;
+      let content = htmlToMarkdown(msg.html);
+      if (content.length > max) content = content.slice(0, max - 3) + '...';
+      return post(channel.url, JSON.stringify({ content }), { 'Content-Type': 'application/json' });
+    },
+
+    ntfy(channel, msg) {
+      if (!channel.url) return Promise.reject(new Error('URL ntfy kosong'));
+      const headers = { 'Content-Type': 'text/plain' };
+      // Header HTTP hanya boleh ASCII (emoji di judul akan ditolak browser)
+      const title = String(msg.title || '').replace(/[^\x20-\x7E]/g, '').replace(/\s+/g, ' ').trim();
+      if (title) headers.Title = title;
+      if (msg.kind === 'signal') headers.Tags = 'moneybag';
+      if (channel.botToken) headers.Authorization = `Bearer ${channel.botToken}`;
+      return post(channel.url, htmlToText(msg.html), headers);
+    }
+  };
+
+  /**
+   * Kirim pesan ke semua channel yang lolos filter.
+   * @param {{kind:'signal'|'closed'|'status', html:string, title?:string, meta?:object}} msg
+   *   meta (signal): { pnl, chain, cex, dex, token, pair, direction, modal }
+   * @returns {Promise<Array<{id:string, name:string, type:string, ok:boolean, skipped?:string, error?:string}>>}
+   */
+  async function dispatch(msg) {
+    const m = Object.assign({ kind: 'signal', html: '', meta: {} }, msg || {});
+    const now = new Date();
+    const jobs = getChannels().map(async (channel) => {
+      const base = { id: channel.id, name: channel.name, type: channel.type };
+      const reason = rejectReason(channel, m, now);
+      if (reason) return Object.assign(base, { ok: false, skipped: reason });
+      try {
+        await senders[channel.type](channel, m);
+        return Object.assign(base, { ok: true });
+      } catch (e) {
+        try { if (root.SCAN_LOG_ENABLED) console.warn(`[NOTIFY] ${channel.name} (${channel.type}) gagal:`, e?.message || e); } catch (_) { }
+        return Object.assign(base, { ok: false, error: String(e?.message || e) });
+      }
+    });
+    return Promise.all(jobs);
+  }
+
+  /**
+   * Kirim pesan uji ke 1 channel (abaikan filter & jam tenang).
+   */
+  async function test(rawChannel) {
+    const channel = normalizeChannel(Object.assign({}, rawChannel, { enabled: true }));
+    const header = (typeof APP_HEADER !== 'undefined') ? APP_HEADER : 'MULTICHECKER';
+    const html = `<b>${header}</b>\nTes notifikasi channel <b>${channel.name}</b> (${channel.type.toUpperCase()})`;
+    await senders[channel.type](channel, { kind: 'test', title: 'Tes notifikasi', html, meta: {} });
+    return true;
+  }
+
+  const Notify = {
+    TYPES,
+    dispatch,
+    test,
+    getChannels,
+    normalizeChannel,
+    isQuiet,
+    rejectReason,
+    htmlToText,
+    htmlToMarkdown
+  };
+
+  root.Notify = Notify;
+  if (typeof App.register === 'function') {
+    App.register('Services', { Notify });
+  }
+})(typeof window !== 'undefined' ? window : this);
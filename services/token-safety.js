@@ -0,0 +1,365 @@
+// =================================================================================
+// Token Safety — screening on-chain kontrak token saat Sinkronisasi Koin
+// =================================================================================
+/**
+ * Token Safety Module
+ * - Hanya baca state (eth_call / eth_getStorageAt / getMultipleAccounts), tidak ada transaksi
+ * - EVM (1 JSON-RPC batch per token lewat RPCManager.fetchRPC):
+ *   - fee       : getter pajak umum (taxFee, buyTax, sellTax, transferFee, basisPointsRate, ...) bernilai > 0
+ *   - proxy     : slot implementasi/beacon EIP-1967 atau slot zeppelinos terisi
+ *   - paused    : paused() == true
+ *   - blacklist : fungsi isBlacklisted/isBlackListed/isBot ada (eth_call tidak revert)
+ *   - decimals  : decimals() berbeda dengan des_in yang dibawa data CEX/database
+ * - Solana (mint jsonParsed): Token-2022 transferFeeConfig / pausableConfig, freezeAuthority, decimals
+ *
+ * Hasil: token.safety = { flags: [], details: {}, decimals, checkedAt, error? }
+ * Konfigurasi: CONFIG_TOKEN_SAFETY (config.js)
+ */
+(function initTokenSafety(global) {
+  const root = global || (typeof window !== 'undefined' ? window : {});
+  const App = root.App || (root.App = {});
+
+  const STORAGE_KEY = 'SNAPSHOT_SAFETY_CHECK';
+
+  const SLOTS = {
+    'EIP-1967 impl': '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    'EIP-1967 beacon': '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+    'zeppelinos impl': '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3'
+  };
+
+  const SELECTORS = {
+    decimals: '0x313ce567',  // decimals()
+    paused: '0x5c975abb',    // paused()
+    fee: {
+      '_taxFee()': '0x3b124fe7',
+      'taxFee()': '0xa071dcf4',
+      'buyTax()': '0x4f7041a5',
+      'sellTax()': '0xcc1776d3',
+      'transferFee()': '0xacb2ad6f',
+      'basisPointsRate()': '0xdd644f72',
+      '_liquidityFee()': '0x6bc87c3a'
+    },
+    // Dipanggil dengan address(0) → cukup tahu fungsi ada atau tidak
+    blacklist: {
+      'isBlacklisted(address)': '0xfe575a87',
+      'isBlackListed(address)': '0xe47d6060',
+      'isBot(address)': '0x3bbac579'
+    }
+  };
+
+  const ZERO_ARG = '0'.repeat(64);
+  const BADGE_STYLE = 'display:inline-block; color:#fff; padding:1px 5px; border-radius:3px; font-size:10px; font-weight:600; margin:1px 2px;';
+
+  function getConfig() {
+    return Object.assign({ concurrency: 3, delayMs: 150, timeoutMs: 10000, ttlMs: 24 * 60 * 60 * 1000, flags: {} }, root.CONFIG_TOKEN_SAFETY || {});
+  }
+
+  function isEnabled() {
+    try {
+      return (typeof root.getFromLocalStorage === 'function') && root.getFromLocalStorage(STORAGE_KEY, false) === true;
+    } catch (_) { return false; }
+  }
+
+  function setEnabled(on) {
+    try { if (typeof root.saveToLocalStorage === 'function') root.saveToLocalStorage(STORAGE_KEY, !!on); } catch (_) { }
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function isSolanaChain(chainKey) {
+    return String(chainKey || '').toLowerCase() === 'solana';
+  }
+
+  function normalizeSc(chainKey, sc) {
+    const s = String(sc || '').trim();
+    return isSolanaChain(chainKey) ? s : s.toLowerCase();
+  }
+
+  // Word 32 byte → BigInt (null jika bukan hasil uint tunggal)
+  function readWord(hex) {
+    const h = String(hex || '').replace(/^0x/, '');
+    if (h.length !== 64) return null;
+    try { return BigInt('0x' + h); } catch (_) { return null; }
+  }
+
+  async function rpc(chainKey, body) {
+    const cfg = getConfig();
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    };
+    const manager = root.RPCManager;
+    let res;
+    if (manager && typeof manager.fetchRPC === 'function') {
+      res = await manager.fetchRPC(chainKey, init, { timeoutMs: cfg.timeoutMs });
+    } else {
+      const url = (manager && typeof manager.getRPC === 'function') ? manager.getRPC(chainKey) : null;
+      if (!url) throw new Error(`No RPC configured for chain ${chainKey}`);
+      res = await fetch(url, init);
+    }
+    if (!res.ok) throw new Error(`RPC HTTP ${res.status}`);
+    return res.json();
+  }
+
+  // ============================ EVM ============================
+
+  async function screenEvm(chainKey, token) {
+    const sc = normalizeSc(chainKey, token.sc_in);
+    const calls = [];
+    const push = (kind, name, method, params) => calls.push({ kind, name, req: { jsonrpc: '2.0', id: calls.length + 1, method, params } });
+
+    Object.entries(SLOTS).forEach(([name, slot]) => push('proxy', name, 'eth_getStorageAt', [sc, slot, 'latest']));
+    push('paused', 'paused()', 'eth_call', [{ to: sc, data: SELECTORS.paused }, 'latest']);
+    push('decimals', 'decimals()', 'eth_call', [{ to: sc, data: SELECTORS.decimals }, 'latest']);
+    Object.entries(SELECTORS.fee).forEach(([name, sel]) => push('fee', name, 'eth_call', [{ to: sc, data: sel }, 'latest']));
+    Object.entries(SELECTORS.blacklist).forEach(([name, sel]) => push('blacklist', name, 'eth_call', [{ to: sc, data: sel + ZERO_ARG }, 'latest']));
+
+    const results = await rpc(chainKey, calls.map(c => c.req));
+    if (!Array.isArray(results)) {
+      throw new Error((results && results.error && results.error.message) || 'RPC tidak mendukung batch request');
+    }
+    const byId = new Map(results.map(r => [r.id, r]));
+
+    const flags = new Set();
+    const details = {};
+    let onchainDecimals = null;
+
+    calls.forEach((c) => {
+      const r = byId.get(c.req.id);
+      if (!r || r.error || typeof r.result !== 'string') return;
+      const word = readWord(r.result);
+      if (c.kind === 'proxy') {
+        // Slot berisi address (20 byte terakhir) yang tidak nol
+        if (word !== null && word !== 0n) {
+          flags.add('proxy');
+          details.proxy = `${c.name} → 0x${r.result.slice(-40)}`;
+        }
+      } else if (c.kind === 'paused') {
+        if (word === 1n) {
+          flags.add('paused');
+          details.paused = 'paused() = true';
+        }
+      } else if (c.kind === 'decimals') {
+        if (word !== null && word <= 255n) onchainDecimals = Number(word);
+      } else if (c.kind === 'fee') {
+        if (word !== null && word > 0n) {
+          flags.add('fee');
+          details.fee = details.fee ? `${details.fee}, ${c.name}=${word}` : `${c.name}=${word}`;
+        }
+      } else if (c.kind === 'blacklist') {
+        if (word !== null) {
+          flags.add('blacklist');
+          details.blacklist = details.blacklist || c.name;
+        }
+      }
+    });
+
+    return { flags, details, onchainDecimals };
+  }
+
+  // ============================ SOLANA ============================
+
+  function readSolanaMint(account) {
+    const info = account?.data?.parsed?.info;
+    if (!info) return null;
+    const flags = new Set();
+    const details = {};
+    if (info.freezeAuthority) {
+      flags.add('blacklist');
+      details.blacklist = `freezeAuthority ${info.freezeAuthority}`;
+    }
+    (Array.isArray(info.extensions) ? info.extensions : []).forEach(ext => {
+      const name = ext && ext.extension;
+      const state = (ext && ext.state) || {};
+      if (name === 'transferFeeConfig') {
+        const bps = Math.max(
+          Number(state.newerTransferFee?.transferFeeBasisPoints) || 0,
+          Number(state.olderTransferFee?.transferFeeBasisPoints) || 0
+        );
+        if (bps > 0) {
+          flags.add('fee');
+          details.fee = `transferFee ${bps} bps`;
+        }
+      } else if (name === 'pausableConfig' && state.paused === true) {
+        flags.add('paused');
+        details.paused = 'pausableConfig.paused = true';
+      } else if (name === 'permanentDelegate' && state.delegate) {
+        flags.add('blacklist');
+        details.blacklist = `permanentDelegate ${state.delegate}`;
+      } else if (name === 'transferHook' && state.programId) {
+        // Program hook bisa diganti authority → perlakukan seperti kontrak upgradeable
+        flags.add('proxy');
+        details.proxy = `transferHook ${state.programId}`;
+      }
+    });
+    const decimals = Number(info.decimals);
+    return { flags, details, onchainDecimals: Number.isFinite(decimals) ? decimals : null };
+  }
+
+  // ============================ SCREENING ============================
+
+  function finalize(token, raw) {
+    const flags = raw.flags;
+    const details = raw.details;
+    const recorded = Number(token.des_in || token.decimals || 0);
+    if (raw.onchainDecimals !== null && recorded > 0 && recorded !== raw.onchainDecimals) {
+      flags.add('decimals');
+      details.decimals = `on-chain ${raw.onchainDecimals} ≠ data ${recorded}`;
+    }
+    return {
+      flags: Array.from(flags),
+      details,
+      decimals: raw.onchainDecimals,
+      checkedAt: Date.now()
+    };
+  }
+
+  function isFresh(safety) {
+    if (!safety || safety.error || !safety.checkedAt) return false;
+    return Date.now() - Number(safety.checkedAt) < getConfig().ttlMs;
+  }
+
+  /**
+   * Screening banyak token 1 chain. token.safety diisi langsung (mutasi).
+   * @param {string} chainKey
+   * @param {Array<object>} tokens - record snapshot ({ sc_in, des_in, safety? })
+   * @param {{force?:boolean, onProgress?:(done:number,total:number)=>void}} [opts]
+   * @returns {Promise<{checked:number, flagged:number, failed:number}>}
+   */
+  async function screenTokens(chainKey, tokens, opts = {}) {
+    const cfg = getConfig();
+    const list = (Array.isArray(tokens) ? tokens : []).filter(t => {
+      const sc = String(t && t.sc_in || '').trim();
+      return sc && sc !== '0x' && sc.length >= 6;
+    });
+
+    // Token dengan SC sama (beda CEX) cukup diperiksa sekali
+    const groups = new Map();
+    list.forEach(t => {
+      const key = normalizeSc(chainKey, t.sc_in);
+      if (!opts.force && isFresh(t.safety)) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    });
+
+    const keys = Array.from(groups.keys());
+    const summary = { checked: 0, flagged: 0, failed: 0 };
+    const apply = (key, raw, error) => {
+      groups.get(key).forEach(t => {
+        t.safety = error
+          ? { flags: [], details: {}, decimals: null, checkedAt: Date.now(), error }
+          : finalize(t, { flags: new Set(raw.flags), details: Object.assign({}, raw.details), onchainDecimals: raw.onchainDecimals });
+      });
+      summary.checked++;
+      if (error) summary.failed++;
+      else if (groups.get(key).some(t => t.safety.flags.length)) summary.flagged++;
+      if (typeof opts.onProgress === 'function') opts.onProgress(summary.checked, keys.length);
+    };
+
+    if (isSolanaChain(chainKey)) {
+      for (let i = 0; i < keys.length; i += 100) {
+        const chunk = keys.slice(i, i + 100);
+        try {
+          const res = await rpc(chainKey, { jsonrpc: '2.0', id: 1, method: 'getMultipleAccounts', params: [chunk, { encoding: 'jsonParsed' }] });
+          if (res.error) throw new Error(res.error.message || JSON.stringify(res.error));
+          const values = Array.isArray(res.result?.value) ? res.result.value : [];
+          chunk.forEach((key, idx) => {
+            const raw = readSolanaMint(values[idx]);
+            apply(key, raw, raw ? null : 'Akun mint tidak ditemukan');
+          });
+        } catch (e) {
+          chunk.forEach(key => apply(key, null, String(e?.message || e)));
+        }
+        if (i + 100 < keys.length && cfg.delayMs > 0) await sleep(cfg.delayMs);
+      }
+      return summary;
+    }
+
+    const concurrency = Math.max(1, cfg.concurrency | 0);
+    for (let i = 0; i < keys.length; i += concurrency) {
+      const slice = keys.slice(i, i + concurrency);
+      await Promise.all(slice.map(async (key) => {
+        try {
+          const raw = await screenEvm(chainKey, groups.get(key)[0]);
+          apply(key, raw, null);
+        } catch (e) {
+          apply(key, null, String(e?.message || e));
+        }
+      }));
+      if (i + concurrency < keys.length && cfg.delayMs > 0) await sleep(cfg.delayMs);
+    }
+
+    try { if (root.SCAN_LOG_ENABLED) console.log(`[TokenSafety] ${chainKey}: ${summary.checked} kontrak, ${summary.flagged} ditandai, ${summary.failed} gagal`); } catch (_) { }
+    return summary;
+  }
+
+  /**
+   * Salin hasil screening ke record TOKEN_<CHAIN> & TOKEN_MULTICHAIN yang SC-nya sama.
+   * @returns {number} jumlah record yang diperbarui
+   */
+  function applyToStoredTokens(chainKey, screenedTokens) {
+    const chainLower = String(chainKey || '').toLowerCase();
+    const bySc = new Map();
+    (screenedTokens || []).forEach(t => {
+      if (t && t.safety && t.sc_in) bySc.set(normalizeSc(chainLower, t.sc_in), t.safety);
+    });
+    if (!bySc.size || typeof root.getFromLocalStorage !== 'function') return 0;
+
+    let updated = 0;
+    const patch = (key, matchChain) => {
+      const list = root.getFromLocalStorage(key, []);
+      if (!Array.isArray(list) || !list.length) return;
+      let dirty = false;
+      const next = list.map(rec => {
+        if (!rec || (matchChain && String(rec.chain || '').toLowerCase() !== chainLower)) return rec;
+        const safety = bySc.get(normalizeSc(chainLower, rec.sc_in));
+        if (!safety) return rec;
+        dirty = true;
+        updated++;
+        return Object.assign({}, rec, { safety });
+      });
+      if (dirty) root.saveToLocalStorage(key, next);
+    };
+    patch(`TOKEN_${chainLower.toUpperCase()}`, false);
+    patch('TOKEN_MULTICHAIN', true);
+    return updated;
+  }
+
+  /**
+   * Badge HTML untuk tabel (kosong jika belum pernah diperiksa).
+   */
+  function renderBadges(safety) {
+    if (!safety || typeof safety !== 'object') return '';
+    const defs = getConfig().flags || {};
+    const details = safety.details || {};
+    const checked = safety.checkedAt ? new Date(safety.checkedAt).toLocaleString() : '-';
+    if (safety.error) {
+      return `<span class="safety-badge" style="${BADGE_STYLE} background:#9e9e9e;" title="Cek keamanan gagal (${checked}): ${String(safety.error).replace(/"/g, '&quot;')}">SAFETY?</span>`;
+    }
+    if (!Array.isArray(safety.flags) || !safety.flags.length) {
+      return `<span class="safety-badge" style="${BADGE_STYLE} background:#43a047;" title="Cek keamanan ${checked}: tidak ada temuan">SAFE</span>`;
+    }
+    return safety.flags.map(flag => {
+      const def = defs[flag] || { label: String(flag).toUpperCase(), color: '#757575', title: flag };
+      const title = `${def.title}${details[flag] ? ` — ${details[flag]}` : ''} (${checked})`.replace(/"/g, '&quot;');
+      return `<span class="safety-badge" style="${BADGE_STYLE} background:${def.color};" title="${title}">${def.label}</span>`;
+    }).join('');
+  }
+
+  const TokenSafety = {
+    isEnabled,
+    setEnabled,
+    screenTokens,
+    applyToStoredTokens,
+    renderBadges,
+    readSolanaMint
+  };
+
+  root.TokenSafety = TokenSafety;
+  if (typeof App.register === 'function') {
+    App.register('Services', { TokenSafety });
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -14,11 +14,13 @@
 // - processSnapshotForCex(): Main orchestrator for snapshot process
 // - fetchCexData(): Fetch wallet status from CEX APIs
 // - validateTokenData(): Validate and enrich token with decimals/SC
+// - prefetchWeb3TokenData(): Batch decimals/symbol/name (Multicall3 aggregate3 / Solana getMultipleAccounts)
 // - saveToSnapshot(): Save to IndexedDB snapshot storage
+// - Cek keamanan token opsional (services/token-safety.js) → token.safety
 //
 // Price Fetching:
 // - PRIORITY 1: getPriceCEX() dari services/cex.js (orderbook-based, lebih akurat)
-// - FALLBACK: fetchPriceMapForCex() dengan ticker API (jika services/cex.js tidak tersedia)
+// - FALLBACK: fetchPriceMapForCex() dengan ticker API adapter (services/cex/adapters/*.js)
 //
 // Sumber Harga Rate:
 // - Orderbook API dari masing-masing CEX (via services/cex.js::getPriceCEX)
@@ -65,6 +67,13 @@
 //    - Batch delay: 500ms jeda antar batch (configurable)
 //    - Safe for public RPC nodes with strict rate limits
 //
+// 6. ✅ Batched Web3 metadata (Multicall3)
+//    - Sebelum validasi: semua SC tanpa decimals diambil per chain dalam beberapa eth_call
+//      Multicall3.aggregate3 (WEB3_MULTICALL_CHUNK token per call, 3 sub-call per token)
+//    - Solana: getMultipleAccounts (jsonParsed) maks 100 mint per request
+//    - Hasil masuk web3 cache → validateTokenData tidak perlu request per token
+//      (jeda snapshotRequestDelay hanya untuk token yang masih perlu request tunggal)
+//
 // BREAKING CHANGE: perTokenCallback API
 // - OLD: callback(token) - receives individual token object
 // - NEW: callback(tokens) - receives ARRAY of token objects
@@ -114,6 +123,12 @@
     const WEB3_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
     const WEB3_PENDING_REQUESTS = new Map(); // Track pending requests untuk deduplication
 
+    // Multicall3: alamat sama di semua chain EVM (https://www.multicall3.com)
+    const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+    const MULTICALL3_AGGREGATE3 = '0x82ad56cb'; // aggregate3((address,bool,bytes)[])
+    const WEB3_MULTICALL_CHUNK = 100;           // Token per aggregate3 (x3 sub-call)
+    const SOLANA_ACCOUNTS_CHUNK = 100;          // Batas getMultipleAccounts
+
     /**
      * Get default decimals by chain
      * Solana tokens typically use 6 or 9 decimals (not 18 like EVM)
@@ -344,117 +359,16 @@
         return url;
     }
 
-    // Generic price parser to reduce duplication
-    function createGenericPriceParser(symbolPath, pricePath, dataPath = null) {
-        return (data) => {
-            const list = dataPath ? (dataPath.split('.').reduce((o, k) => o?.[k], data) || []) : (Array.isArray(data) ? data : []);
-            const map = new Map();
-            list.forEach(item => {
-                const symbol = String(item?.[symbolPath] || '').toUpperCase();
-                const price = Number(item?.[pricePath]);
-                if (!symbol || !Number.isFinite(price)) return;
-                map.set(symbol, price);
-                // Handle pairs like "BTC-USDT" or "BTC_USDT"
-                map.set(symbol.replace(/[_-]/g, ''), price);
-            });
-            return map;
-        };
+    // Ticker endpoint & parser per CEX berasal dari adapter (services/cex/registry.js)
+    function getTickerEndpoint(cexUpper) {
+        const tickers = window.CEX?.adapter?.(cexUpper)?.tickers;
+        return (tickers && tickers.url && typeof tickers.parse === 'function') ? tickers : null;
     }
 
-    const PRICE_ENDPOINTS = {
-        BINANCE: {
-            url: 'https://data-api.binance.vision/api/v3/ticker/price',
-            proxy: false,
-            parser: (data) => {
-                const list = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
-                const map = new Map();
-                list.forEach(item => {
-                    const symbol = String(item?.symbol || '').toUpperCase();
-                    const price = Number(item?.price ?? item?.lastPrice ?? item?.last);
-                    if (!symbol || !Number.isFinite(price)) return;
-                    map.set(symbol, price);
-                });
-                return map;
-            }
-        },
-        MEXC: {
-            url: 'https://api.mexc.com/api/v3/ticker/price',
-            proxy: true,
-            parser: createGenericPriceParser('symbol', 'price')
-        },
-        GATE: {
-            url: 'https://api.gateio.ws/api/v4/spot/tickers',
-            proxy: true,
-            parser: createGenericPriceParser('currency_pair', 'last')
-        },
-        KUCOIN: {
-            url: 'https://api.kucoin.com/api/v1/market/allTickers',
-            proxy: true,
-            parser: createGenericPriceParser('symbol', 'last', 'data.ticker')
-        },
-        OKX: {
-            url: 'https://www.okx.com/api/v5/market/tickers?instType=SPOT',
-            proxy: true,
-            parser: createGenericPriceParser('instId', 'last', 'data')
-        },
-        BITGET: {
-            url: 'https://api.bitget.com/api/v2/spot/market/tickers',
-            proxy: false,
-            parser: (data) => {
-                const list = Array.isArray(data?.data) ? data.data
-                              : Array.isArray(data?.data?.list) ? data.data.list : [];
-                const map = new Map();
-                list.forEach(item => {
-                    const symbol = String(item?.symbol || item?.instId || '').toUpperCase();
-                    const price = Number(item?.lastPr ?? item?.close);
-                    if (!symbol || !Number.isFinite(price)) return;
-                    map.set(symbol, price);
-                });
-                return map;
-            }
-        },
-        BYBIT: {
-            url: 'https://api.bybit.com/v5/market/tickers?category=spot',
-            proxy: true,
-            parser: createGenericPriceParser('symbol', 'lastPrice', 'result.list')
-        },
-        INDODAX: {
-            url: 'https://indodax.com/api/ticker_all',
-            proxy: true,
-            parser: (data) => {
-                const payload = data?.tickers || data || {};
-                const map = new Map();
-                Object.keys(payload).forEach(key => {
-                    const info = payload[key];
-                    const price = Number(info?.last ?? info?.last_price ?? info?.close);
-                    if (!Number.isFinite(price)) return;
-                    const upperKey = String(key || '').toUpperCase();
-                    map.set(upperKey, price);
-                    map.set(upperKey.replace(/[_-]/g, ''), price);
-                });
-                return map;
-            }
-        },
-        LBANK: {
-            url: 'https://api.lbkex.com/v1/ticker.do?symbol=all',
-            proxy: true,
-            parser: (data) => {
-                // LBank returns array of tickers or data object with ticker array
-                const list = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
-                const map = new Map();
-                list.forEach(item => {
-                    const symbol = String(item?.symbol || '').toUpperCase();
-                    const price = Number(item?.ticker?.latest ?? item?.latest ?? item?.last);
-                    if (!symbol || !Number.isFinite(price)) return;
-                    // LBank uses underscore format like eth_usdt
-                    map.set(symbol, price);
-                    map.set(symbol.replace(/_/g, ''), price); // Also add without underscore
-                    map.set(symbol.replace(/_/g, '-'), price); // Also add with dash
-                });
-                return map;
-            }
-        }
-    };
+    // Quote harga per CEX (INDODAX → IDR); non-USDT selalu pakai quote exchange
+    function getCexQuote(cexUpper) {
+        try { return window.CEX?.quoteOf?.(cexUpper) || 'USDT'; } catch(_) { return 'USDT'; }
+    }
 
     const PRICE_CACHE = new Map();
     const PRICE_CACHE_TTL = 60000;
@@ -464,8 +378,9 @@
         const base = String(baseSymbol || '').toUpperCase();
         const cexUpper = String(cex || '').toUpperCase();
 
-        // Special handling for INDODAX - always use IDR pairs
-        const quote = (cexUpper === 'INDODAX') ? 'IDR' : String(quoteSymbol || 'USDT').toUpperCase();
+        // Exchange ber-quote non-USDT (INDODAX) selalu pakai pair quote exchange (IDR)
+        const cexQuote = getCexQuote(cexUpper);
+        const quote = (cexQuote !== 'USDT') ? cexQuote : String(quoteSymbol || 'USDT').toUpperCase();
 
         if (!base || !quote) return NaN;
 
@@ -508,7 +423,8 @@
 
     async function fetchPriceMapForCex(cexName) {
         const upper = String(cexName || '').toUpperCase();
-        if (!upper || !PRICE_ENDPOINTS[upper]) return new Map();
+        const endpoint = getTickerEndpoint(upper);
+        if (!upper || !endpoint) return new Map();
 
         const now = Date.now();
         const cached = PRICE_CACHE.get(upper);
@@ -516,7 +432,6 @@
             return cached.map;
         }
 
-        const endpoint = PRICE_ENDPOINTS[upper];
         let url = endpoint.url;
         if (endpoint.proxy) {
             url = proxPrice(url);
@@ -564,7 +479,7 @@
                     }
                     // =============================================
 
-                    const map = endpoint.parser(data) || new Map();
+                    const map = endpoint.parse(data) || new Map();
 
                     // Validate parsed map has data
                     if (map.size === 0) {
@@ -645,8 +560,8 @@
             // Convert tokens to snapshot format
             const snapshotTokens = tokens.map(token => {
                 const cexUpper = String(token.cex || '').toUpperCase();
-                // Default currency: INDODAX uses IDR, others use USDT
-                const defaultCurrency = (cexUpper === 'INDODAX') ? 'IDR' : 'USDT';
+                // Default currency: quote exchange (INDODAX → IDR), lainnya USDT
+                const defaultCurrency = getCexQuote(cexUpper);
 
                 return {
                     cex: cexUpper,
@@ -663,7 +578,8 @@
                     tradeable: token.tradeable,
                     current_price: Number.isFinite(Number(token.current_price)) ? Number(token.current_price) : 0,
                     price_currency: token.price_currency || defaultCurrency,
-                    price_timestamp: token.price_timestamp || null
+                    price_timestamp: token.price_timestamp || null,
+                    safety: token.safety || null
                 };
             });
 
@@ -993,7 +909,10 @@
 
             try {
                 // console.log(`🔍 ${symbol}: Fetching decimals from Web3 for ${sc}`);
-                const web3Data = await fetchWeb3TokenData(sc, chainKey, web3Cache);
+                // Solana base58 case-sensitive: pakai SC asli (snapshotMap tetap pakai lowercase)
+                const isSolanaChain = String(chainKey || '').toLowerCase() === 'solana';
+                const web3Sc = isSolanaChain ? String(token.sc_in || sc).trim() : sc;
+                const web3Data = await fetchWeb3TokenData(web3Sc, chainKey, web3Cache);
 
                 if (web3Data && web3Data.decimals && web3Data.decimals > 0) {
                     token.des_in = web3Data.decimals;
@@ -1151,6 +1070,11 @@
                 throw new Error(`No RPC configured for chain ${chainKey}`);
             }
 
+            // RPC pool dengan failover (rpc-manager.js): endpoint berikutnya dicoba saat 429/5xx/network error
+            const rpcFetch = (init) => (window.RPCManager && typeof window.RPCManager.fetchRPC === 'function')
+                ? window.RPCManager.fetchRPC(chainKey, init)
+                : fetch(rpc, init);
+
             // Create fetch promise and store it for deduplication
             const fetchPromise = (async () => {
                 try {
@@ -1162,7 +1086,7 @@
 
                         // ========== SOLANA: Use getTokenSupply RPC method ==========
                         if (isSolana) {
-                            const solanaResponse = await fetch(rpc, {
+                            const solanaResponse = await rpcFetch({
                                 method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
                                 body: JSON.stringify({
@@ -1210,7 +1134,7 @@
                             const symbolData = '0x95d89b41';   // symbol()
                             const nameData = '0x06fdde03';     // name()
 
-                            const batchResponse = await fetch(rpc, {
+                            const batchResponse = await rpcFetch({
                                 method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
                                 body: JSON.stringify([
@@ -1324,6 +1248,17 @@
             // Remove 0x prefix
             let hex = hexString.startsWith('0x') ? hexString.slice(2) : hexString;
 
+            // Token lama (MKR, SAI, ...) mengembalikan bytes32, bukan string dinamis
+            if (hex.length === 64) {
+                let str = '';
+                for (let i = 0; i < hex.length; i += 2) {
+                    const charCode = parseInt(hex.substr(i, 2), 16);
+                    if (charCode === 0) break;
+                    str += String.fromCharCode(charCode);
+                }
+                return str;
+            }
+
             // ABI string encoding: first 32 bytes = offset, next 32 bytes = length, then data
             // Skip first 64 chars (offset), next 64 chars for length
             const lengthHex = hex.slice(64, 128);
@@ -1348,11 +1283,151 @@
         }
     }
 
+    // ====================
+    // WEB3 BATCH (MULTICALL3 / getMultipleAccounts)
+    // ====================
+
+    function hexWord(n) {
+        return Number(n).toString(16).padStart(64, '0');
+    }
+
+    // Encode aggregate3((address target, bool allowFailure, bytes callData)[])
+    // Semua callData 4 byte (selector) → tiap tuple tepat 5 word (160 byte)
+    function encodeAggregate3(calls) {
+        const n = calls.length;
+        let head = hexWord(0x20) + hexWord(n);
+        let tail = '';
+        calls.forEach((call, i) => {
+            head += hexWord(n * 32 + i * 160);
+            const target = String(call.target).toLowerCase().replace(/^0x/, '').padStart(64, '0');
+            const data = String(call.data).replace(/^0x/, '');
+            tail += target + hexWord(1) + hexWord(0x60) + hexWord(data.length / 2) + data.padEnd(64, '0');
+        });
+        return MULTICALL3_AGGREGATE3 + head + tail;
+    }
+
+    // Decode hasil aggregate3: (bool success, bytes returnData)[]
+    function decodeAggregate3(hexString) {
+        const hex = String(hexString || '').replace(/^0x/, '');
+        const word = (pos) => parseInt(hex.slice(pos * 2, pos * 2 + 64), 16);
+        const arrayStart = word(0);
+        const n = word(arrayStart);
+        const base = arrayStart + 32;
+        const out = [];
+        for (let i = 0; i < n; i++) {
+            const tuple = base + word(base + i * 32);
+            const success = word(tuple) === 1;
+            const dataPos = tuple + word(tuple + 32);
+            const len = word(dataPos);
+            const data = hex.slice((dataPos + 32) * 2, (dataPos + 32 + len) * 2);
+            out.push({ success, data: '0x' + data });
+        }
+        return out;
+    }
+
+    /**
+     * Ambil decimals/symbol/name banyak token sekaligus lalu simpan ke web3Cache.
+     * EVM: eth_call ke Multicall3.aggregate3 (3 sub-call per token, allowFailure=true)
+     * Solana: getMultipleAccounts (jsonParsed) → decimals dari akun mint
+     * Token yang gagal tidak di-cache → tetap jatuh ke fetchWeb3TokenData per token.
+     * @returns {Promise<number>} jumlah token yang berhasil masuk cache
+     */
+    async function prefetchWeb3TokenData(contracts, chainKey, web3Cache, progressCallback = null) {
+        if (!web3Cache || !CONFIG_CHAINS[chainKey]) return 0;
+        const isSolana = chainKey.toLowerCase() === 'solana';
+
+        const unique = [];
+        const seen = new Set();
+        (contracts || []).forEach(raw => {
+            const contract = isSolana ? String(raw || '').trim() : String(raw || '').toLowerCase().trim();
+            if (!contract || contract === '0x' || seen.has(contract)) return;
+            if (!isSolana && !/^0x[0-9a-f]{40}$/.test(contract)) return;
+            seen.add(contract);
+            if (!getWeb3CacheEntry(web3Cache, contract, chainKey)) unique.push(contract);
+        });
+        if (unique.length === 0) return 0;
+
+        const rpc = (window.RPCManager && typeof window.RPCManager.getRPC === 'function')
+            ? window.RPCManager.getRPC(chainKey)
+            : null;
+        if (!rpc) return 0;
+
+        const rpcCall = async (method, params) => {
+            const init = {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+            };
+            const res = (window.RPCManager && typeof window.RPCManager.fetchRPC === 'function')
+                ? await window.RPCManager.fetchRPC(chainKey, init)
+                : await fetch(rpc, init);
+            if (!res.ok) throw new Error(`RPC ${method} failed (${res.status})`);
+            const json = await res.json();
+            if (json.error) throw new Error(`RPC Error: ${json.error.message || JSON.stringify(json.error)}`);
+            return json.result;
+        };
+
+        const chunkSize = isSolana ? SOLANA_ACCOUNTS_CHUNK : WEB3_MULTICALL_CHUNK;
+        const totalChunks = Math.ceil(unique.length / chunkSize);
+        let cached = 0;
+
+        for (let c = 0; c < totalChunks; c++) {
+            const chunk = unique.slice(c * chunkSize, (c + 1) * chunkSize);
+            if (progressCallback) {
+                progressCallback(`Batch Web3 ${chainKey.toUpperCase()}: ${c + 1}/${totalChunks} (${chunk.length} token)...`);
+            }
+
+            try {
+                if (isSolana) {
+                    const result = await rpcCall('getMultipleAccounts', [chunk, { encoding: 'jsonParsed' }]);
+                    const values = Array.isArray(result?.value) ? result.value : [];
+                    chunk.forEach((mint, i) => {
+                        const decimals = values[i]?.data?.parsed?.info?.decimals;
+                        if (typeof decimals !== 'number' || decimals < 0) return;
+                        setWeb3CacheEntry(web3Cache, mint, chainKey, { decimals, symbol: '', name: '' });
+                        cached++;
+                    });
+                } else {
+                    // ABI method signatures for ERC20: decimals(), symbol(), name()
+                    const calls = [];
+                    chunk.forEach(target => {
+                        calls.push({ target, data: '0x313ce567' });
+                        calls.push({ target, data: '0x95d89b41' });
+                        calls.push({ target, data: '0x06fdde03' });
+                    });
+                    const raw = await rpcCall('eth_call', [{ to: MULTICALL3_ADDRESS, data: encodeAggregate3(calls) }, 'latest']);
+                    const results = decodeAggregate3(raw);
+                    if (results.length !== calls.length) {
+                        throw new Error(`Multicall3 result mismatch (${results.length}/${calls.length})`);
+                    }
+
+                    chunk.forEach((contract, i) => {
+                        const [dec, sym, nm] = results.slice(i * 3, i * 3 + 3);
+                        // Tanpa decimals valid (bukan ERC20 / EOA) → biarkan fallback per token
+                        if (!dec.success || dec.data.length < 66) return;
+                        const decimals = parseInt(dec.data.slice(0, 66), 16);
+                        if (!Number.isFinite(decimals) || decimals > 255) return;
+                        const symbol = (sym.success && sym.data !== '0x') ? decodeAbiString(sym.data) : '';
+                        const name = (nm.success && nm.data !== '0x') ? decodeAbiString(nm.data) : '';
+                        setWeb3CacheEntry(web3Cache, contract, chainKey, { decimals, symbol, name });
+                        cached++;
+                    });
+                }
+            } catch(e) {
+                // Chain tanpa Multicall3 / RPC menolak payload besar → fallback per token
+                try { if (window.SCAN_LOG_ENABLED) console.warn(`[Web3 Batch] ${chainKey} chunk ${c + 1}/${totalChunks} gagal:`, e?.message || e); } catch(_) {}
+            }
+        }
+
+        try { if (window.SCAN_LOG_ENABLED) console.log(`[Web3 Batch] ${chainKey}: ${cached}/${unique.length} token masuk cache`); } catch(_) {}
+        return cached;
+    }
+
     // ====================
     // MAIN SNAPSHOT PROCESS
     // ====================
 
-    async function processSnapshotForCex(chainKey, selectedCex, perTokenCallback = null) {
+    async function processSnapshotForCex(chainKey, selectedCex, perTokenCallback = null, options = {}) {
         if (!selectedCex || selectedCex.length === 0) return;
 
         const chainConfig = CONFIG_CHAINS[chainKey];
@@ -1675,6 +1750,26 @@
         try { if (window.SCAN_LOG_ENABLED) console.log(`[Web3 Fetch] Config: BATCH_SIZE=${BATCH_SIZE}, BATCH_DELAY=${BATCH_DELAY}ms, WEB3_REQUEST_DELAY=${WEB3_REQUEST_DELAY}ms`); } catch(_) {}
         // ==========================================
 
+        // ========== BATCH WEB3 PREFETCH (MULTICALL3) ==========
+        // Token dengan SC tapi tanpa decimals (dan belum ada di snapshot/cache) diambil sekaligus.
+        // Sisanya (gagal batch / SC hasil lookup symbol) tetap lewat fetchWeb3TokenData per token.
+        const needsWeb3Request = (token) => {
+            const hasDecimals = token.des_in > 0 && token.decimals > 0;
+            const sc = String(token.sc_in || '').trim();
+            if (hasDecimals || !sc || sc === '0x') return false;
+            const existing = snapshotMap[sc.toLowerCase()];
+            if (existing && existing.des_in > 0) return false;
+            return !(web3Cache && getWeb3CacheEntry(web3Cache, sc, chainKey));
+        };
+
+        const prefetchContracts = allTokens.filter(needsWeb3Request).map(t => String(t.sc_in).trim());
+        if (prefetchContracts.length > 0) {
+            await prefetchWeb3TokenData(prefetchContracts, chainKey, web3Cache, (message) => {
+                if (window.SnapshotOverlay) window.SnapshotOverlay.updateMessage(`Validasi Data ${chainDisplay}`, message);
+            });
+        }
+        // ==========================================
+
         // Process tokens in parallel batches
         for (let batchStart = 0; batchStart < allTokens.length; batchStart += BATCH_SIZE) {
             const batchEnd = Math.min(batchStart + BATCH_SIZE, allTokens.length);
@@ -1700,7 +1795,8 @@
                 batch.map(async (token, batchIndex) => {
                     // STAGGERED DELAY: Token 0=0ms, Token 1=150ms, Token 2=300ms, dst
                     // Ini mencegah semua request dikirim bersamaan ke RPC
-                    if (batchIndex > 0 && WEB3_REQUEST_DELAY > 0) {
+                    // Token yang sudah punya decimals / sudah di-cache batch tidak perlu jeda
+                    if (batchIndex > 0 && WEB3_REQUEST_DELAY > 0 && needsWeb3Request(token)) {
                         await sleep(batchIndex * WEB3_REQUEST_DELAY);
                     }
 
@@ -1843,6 +1939,38 @@
             // console.log(`   🌐 From Web3: ${web3FetchCount}`);
             // console.log(`   ❌ Errors: ${errorCount}`);
 
+            // ========== PHASE 2B: CEK KEAMANAN TOKEN (OPSIONAL) ==========
+            // Fee-on-transfer, proxy, paused, blacklist, decimals beda → token.safety (services/token-safety.js)
+            const safetyCheck = options.safetyCheck !== undefined
+                ? !!options.safetyCheck
+                : !!(window.TokenSafety && window.TokenSafety.isEnabled());
+            if (safetyCheck && window.TokenSafety && enrichedTokens.length > 0) {
+                if (window.SnapshotOverlay) {
+                    window.SnapshotOverlay.updateMessage(
+                        `Cek Keamanan ${chainDisplay}`,
+                        `Memeriksa kontrak token via RPC (eth_call)...`
+                    );
+                }
+                try {
+                    const safetySummary = await window.TokenSafety.screenTokens(chainKey, enrichedTokens, {
+                        onProgress: (done, total) => {
+                            if (window.SnapshotOverlay && (done === total || done % 10 === 0)) {
+                                window.SnapshotOverlay.updateProgress(done, total, `Cek keamanan ${done}/${total} kontrak`);
+                            }
+                        }
+                    });
+                    window.TokenSafety.applyToStoredTokens(chainKey, enrichedTokens);
+                    if (safetySummary.flagged > 0 && typeof toast !== 'undefined' && toast.warning) {
+                        toast.warning(`🛡️ ${safetySummary.flagged} kontrak ${chainDisplay} ditandai (fee/proxy/paused/blacklist/decimals)`, {
+                            duration: 5000,
+                            position: 'bottom-right'
+                        });
+                    }
+                } catch(safetyErr) {
+                    try { if (window.SCAN_LOG_ENABLED) console.warn('[TokenSafety] Screening gagal:', safetyErr?.message || safetyErr); } catch(_) {}
+                }
+            }
+
             // ========== PHASE 3: FETCH HARGA CEX ==========
         // Setelah semua data token lengkap & tersimpan, fetch harga untuk semua koin
         if (window.SnapshotOverlay) {
@@ -1968,7 +2096,7 @@
                     // Set semua token di CEX ini ke harga 0
                     tokenList.forEach(token => {
                         const cexUpper = String(cexName || '').toUpperCase();
-                        const quoteSymbol = (cexUpper === 'INDODAX') ? 'IDR' : (String(token.symbol_out || '').trim() || 'USDT');
+                        const quoteSymbol = (getCexQuote(cexUpper) !== 'USDT') ? getCexQuote(cexUpper) : (String(token.symbol_out || '').trim() || 'USDT');
 
                         token.current_price = 0;
                         token.price_currency = quoteSymbol;
@@ -1991,8 +2119,8 @@
                         processedPriceCount += 1;
                         const cexUpper = String(cexName || '').toUpperCase();
 
-                        // Set quote symbol based on CEX - INDODAX always uses IDR
-                        const quoteSymbol = (cexUpper === 'INDODAX') ? 'IDR' : (String(token.symbol_out || '').trim() || 'USDT');
+                        // Set quote symbol based on CEX - quote non-USDT (INDODAX: IDR) selalu dipakai
+                        const quoteSymbol = (getCexQuote(cexUpper) !== 'USDT') ? getCexQuote(cexUpper) : (String(token.symbol_out || '').trim() || 'USDT');
 
                         // OPTIMIZED: Update progress setiap 5% saja untuk mengurangi DOM updates
                         const progressPercent = Math.floor((processedPriceCount / totalPriceCount) * 100);
@@ -2096,6 +2224,9 @@
                 // Update tokens dengan harga terbaru
                 enrichedTokens.forEach(token => {
                     const key = `${token.cex}_${token.symbol_in}_${token.sc_in || 'NOSC'}`;
+                    // Cek keamanan tidak dijalankan kali ini → pertahankan hasil sebelumnya
+                    const prev = tokenMap.get(key);
+                    if (!token.safety && prev && prev.safety) token.safety = prev.safety;
                     tokenMap.set(key, token); // This will update existing with latest price
                 });
 
@@ -554,15 +554,35 @@
     // ============================
     // BACKUP & RESTORE HELPERS
     // ============================
-    window.exportIDB = async function () {
+    // Kredensial CEX: plaintext (CEX_API_KEYS) tidak pernah diekspor; blob vault
+    // (services/credential-vault.js) ikut hanya jika credentials = 'encrypted'
+    const CREDENTIAL_PLAIN_KEY = 'CEX_API_KEYS';
+    const CREDENTIAL_VAULT_KEY = 'CEX_API_KEYS_VAULT';
+
+    /**
+     * @param {{credentials?: 'encrypted'|'none'}} [opts] - default CONFIG_VAULT.exportCredentials || 'encrypted'
+     */
+    window.exportIDB = async function (opts) {
         try {
-            const items = await idbGetAll();
+            const mode = (opts && opts.credentials) || (window.CONFIG_VAULT && window.CONFIG_VAULT.exportCredentials) || 'encrypted';
+            const prefix = String(window.storagePrefix || '');
+            let hasPlain = false, hasVault = false;
+            const items = (await idbGetAll()).filter(it => {
+                const key = (it && typeof it.key === 'string' && prefix && it.key.startsWith(prefix)) ? it.key.slice(prefix.length) : String(it && it.key);
+                if (key === CREDENTIAL_PLAIN_KEY) { hasPlain = hasPlain || !!(it.val && Object.keys(it.val).length); return false; }
+                if (key === CREDENTIAL_VAULT_KEY) { hasVault = true; return mode === 'encrypted'; }
+                return true;
+            });
+            const included = mode === 'encrypted' && hasVault;
             return {
                 schema: 'kv-v1',
                 db: DB_NAME,
                 store: STORE_KV,
                 prefix: (window.storagePrefix || ''),
                 exportedAt: new Date().toISOString(),
+                credentials: included ? 'encrypted' : 'none',
+                // API key tersimpan tapi tidak ikut (vault belum aktif / mode 'none') → UI memberi peringatan
+                credentialsOmitted: (hasPlain || hasVault) && !included,
                 count: items.length,
                 items
             };
@@ -731,6 +751,21 @@ function downloadTokenScannerCSV() {
 // ============================
 // MERGE TOKENS HELPER
 // ============================
+/**
+ * Identitas token untuk merge: symbol_in|symbol_out|chain (tanpa CEX, case-insensitive)
+ * Dipakai juga oleh diff/merge restore backup (backup-manager.js)
+ * @param {Object} token
+ * @returns {string}
+ */
+function getTokenMergeKey(token) {
+    const t = token || {};
+    return [
+        String(t.symbol_in || '').toUpperCase(),
+        String(t.symbol_out || '').toUpperCase(),
+        String(t.chain || '').toLowerCase()
+    ].join('|');
+}
+
 /**
  * Merge imported tokens with existing tokens
  * - Match based on: symbol_in, symbol_out, chain (WITHOUT CEX)
@@ -754,12 +789,7 @@ function mergeTokens(existingTokens, newTokens) {
     existing.forEach((token, index) => {
         // ✅ FIX: Key without CEX - one token can exist on multiple CEX
         // Key: symbol_in|symbol_out|chain (case-insensitive)
-        const key = [
-            String(token.symbol_in || '').toUpperCase(),
-            String(token.symbol_out || '').toUpperCase(),
-            String(token.chain || '').toLowerCase()
-        ].join('|');
-        existingMap.set(key, { token, index });
+        existingMap.set(getTokenMergeKey(token), { token, index });
     });
 
     // Start with copy of existing tokens
@@ -768,13 +798,7 @@ function mergeTokens(existingTokens, newTokens) {
     // Process each imported token
     imported.forEach(importedToken => {
         // ✅ FIX: Key without CEX
-        const key = [
-            String(importedToken.symbol_in || '').toUpperCase(),
-            String(importedToken.symbol_out || '').toUpperCase(),
-            String(importedToken.chain || '').toLowerCase()
-        ].join('|');
-
-        const existingEntry = existingMap.get(key);
+        const existingEntry = existingMap.get(getTokenMergeKey(importedToken));
 
         if (existingEntry) {
             // MATCH FOUND → UPDATE existing token
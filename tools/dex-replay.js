@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * =================================================================================
+ * DEX FIXTURE REPLAY (NODE)
+ * =================================================================================
+ *
+ * Memutar ulang fixture request/response DEX (direkam oleh services/dex-recorder.js)
+ * secara offline melalui parseResponse setiap strategy di dexStrategies, lalu
+ * membandingkan output ter-normalisasi (amount_out, FeeSwap, dexTitle) dengan
+ * nilai `expected` di fixture. Dipakai untuk mendeteksi perubahan shape response
+ * aggregator sebelum terlihat sebagai sel error di UI.
+ *
+ * Fixture: file JSONL (satu JSON per baris), default di fixtures/dex/*.jsonl.
+ * Cara merekam:
+ * - Browser: set CONFIG_APP.APP.DEX_RECORD = true (atau DEXRecorder.start() di console),
+ *   jalankan scan, lalu DEXRecorder.download() / DEXRecorder.download('kyber')
+ * - Node: node tools/headless-scan.js --tokens tokens.json --record fixtures/dex/kyber.jsonl
+ *
+ * Usage:
+ *   node tools/dex-replay.js [file.jsonl|dir ...] [--strategy kyber] [--check-request] [--update] [--json]
+ *
+ * Exit code 1 jika ada fixture yang gagal atau tidak ada fixture yang diputar.
+ *
+ * fixtures/dex/ berisi minimal 1 fixture SINTETIS per strategy (`synthetic: true`, tanpa
+ * recordedAt): response disusun tangan mengikuti shape API, `expected` dihitung manual
+ * dari response (rumusnya di field `note`), bukan dari output parser. --update tidak
+ * menimpa `expected` fixture sintetis; ganti dengan rekaman asli bila tersedia.
+ *
+ * --check-request memakai API key dummy (0x, OKX DEX) karena secrets.js tidak dimuat;
+ * yang dibandingkan hanya origin + path + method, bukan header/signature.
+ *
+ * @module tools/dex-replay
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./headless-scan.js');
+
+const DEFAULT_DIR = path.resolve(__dirname, '..', 'fixtures', 'dex');
+const REL_TOLERANCE = 1e-9;
+
+function listFixtureFiles(inputs) {
+    const targets = inputs.length ? inputs : [DEFAULT_DIR];
+    const files = [];
+    targets.forEach(t => {
+        if (!fs.existsSync(t)) return;
+        if (fs.statSync(t).isDirectory()) {
+            fs.readdirSync(t).filter(f => f.endsWith('.jsonl')).sort().forEach(f => files.push(path.join(t, f)));
+        } else {
+            files.push(t);
+        }
+    });
+    return files;
+}
+
+function readFixtures(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, i) => ({ line: i + 1, text: line.trim() }))
+        .filter(x => x.text)
+        .map(x => {
+            if (x.text.startsWith('//')) return { line: x.line, text: x.text, comment: true };
+            try { return { line: x.line, text: x.text, fixture: JSON.parse(x.text) }; } catch (e) { return { line: x.line, text: x.text, invalid: e.message }; }
+        });
+}
+
+function approxEqual(a, b) {
+    const x = Number(a);
+    const y = Number(b);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return Object.is(x, y);
+    if (x === y) return true;
+    return Math.abs(x - y) <= REL_TOLERANCE * Math.max(Math.abs(x), Math.abs(y));
+}
+
+// Kembalikan params ke bentuk runtime (amount_in_big → BigInt, SavedSettingData kosong)
+function restoreParams(params) {
+    const out = Object.assign({ SavedSettingData: {} }, params || {});
+    if (out.amount_in_big !== undefined && out.amount_in_big !== null) {
+        try { out.amount_in_big = BigInt(out.amount_in_big); } catch (_) { }
+    }
+    return out;
+}
+
+// URL di balik proxy CORS (https://proxy/?https://api/...) → bandingkan URL API tujuannya
+function targetUrl(url) {
+    const raw = String(url || '');
+    const i = raw.indexOf('?http');
+    return new URL(i >= 0 ? raw.slice(i + 1) : raw);
+}
+
+// Strategy multi-DEX (kamino, rubic) hanya mengisi subResults → pakai quote teratas
+function bestQuote(parsed) {
+    if (parsed && parsed.amount_out === undefined && Array.isArray(parsed.subResults) && parsed.subResults.length) return parsed.subResults[0];
+    return parsed;
+}
+
+// Pengganti secrets.js untuk buildRequest yang mewajibkan key (matcha, okx).
+// secretKeyOKX kosong → calculateSignature() mengembalikan null tanpa CryptoJS.
+function stubApiKeys(sandbox) {
+    sandbox.get0xApiKey = () => 'replay-0x-key';
+    sandbox.apiKeysOKXDEX = [{ ApiKeyOKX: 'replay-okx-key', secretKeyOKX: '', PassphraseOKX: 'replay' }];
+}
+
+// Seed storage yang dibaca parser (gas fee) dari snapshot fixture
+function applyEnv(sandbox, env) {
+    sandbox.saveToLocalStorage('ALL_GAS_FEES', (env && env.ALL_GAS_FEES) || undefined);
+    sandbox.saveToLocalStorage('gasGWEI', (env && env.gasGWEI !== undefined) ? env.gasGWEI : undefined);
+}
+
+/**
+ * Putar ulang satu fixture.
+ * @returns {{ok: boolean, problems: string[], actual: object|null}}
+ */
+function replayFixture(sandbox, fixture, options = {}) {
+    const problems = [];
+    const strategies = sandbox.App?.Services?.DEX?.dexStrategies || {};
+    const strategy = strategies[String(fixture.strategy || '').toLowerCase()];
+    if (!strategy) return { ok: false, problems: [`strategy "${fixture.strategy}" tidak ada di dexStrategies`], actual: null };
+
+    applyEnv(sandbox, fixture.env);
+    const params = restoreParams(fixture.params);
+    const expected = fixture.expected || {};
+
+    if (options.checkRequest && typeof strategy.buildRequest === 'function' && fixture.request?.url) {
+        try {
+            const built = strategy.buildRequest(params);
+            if (built && typeof built.then !== 'function') {
+                const a = targetUrl(built.url);
+                const b = targetUrl(fixture.request.url);
+                if (a.origin + a.pathname !== b.origin + b.pathname) problems.push(`request url: ${a.origin + a.pathname} != ${b.origin + b.pathname}`);
+                if (String(built.method || 'GET').toUpperCase() !== String(fixture.request.method || 'GET').toUpperCase()) {
+                    problems.push(`request method: ${built.method} != ${fixture.request.method}`);
+                }
+            }
+        } catch (e) {
+            problems.push(`buildRequest error: ${e.message}`);
+        }
+    }
+
+    let actual = null;
+    try {
+        const parsed = bestQuote(strategy.parseResponse(fixture.response, params));
+        actual = { amount_out: Number(parsed?.amount_out), FeeSwap: Number(parsed?.FeeSwap), dexTitle: parsed?.dexTitle ?? null };
+    } catch (e) {
+        actual = { error: String(e.message || e) };
+    }
+
+    if (expected.error !== undefined) {
+        if (actual.error === undefined) problems.push(`expected parse error "${expected.error}", got amount_out=${actual.amount_out}`);
+    } else if (actual.error !== undefined) {
+        problems.push(`parse error: ${actual.error}`);
+    } else {
+        if (!(actual.amount_out > 0)) problems.push(`amount_out tidak valid: ${actual.amount_out}`);
+        if (!approxEqual(actual.amount_out, expected.amount_out)) problems.push(`amount_out: ${actual.amount_out} != ${expected.amount_out}`);
+        if (!approxEqual(actual.FeeSwap, expected.FeeSwap)) problems.push(`FeeSwap: ${actual.FeeSwap} != ${expected.FeeSwap}`);
+        if (expected.dexTitle !== undefined && (actual.dexTitle ?? null) !== (expected.dexTitle ?? null)) {
+            problems.push(`dexTitle: ${actual.dexTitle} != ${expected.dexTitle}`);
+        }
+    }
+    return { ok: problems.length === 0, problems, actual };
+}
+
+function parseArgs(argv) {
+    const args = { inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--strategy') args.strategy = String(argv[++i] || '').toLowerCase();
+        else if (a === '--check-request') args.checkRequest = true;
+        else if (a === '--update') args.update = true;
+        else if (a === '--json') args.json = true;
+        else if (a === '--help' || a === '-h') args.help = true;
+        else args.inputs.push(a);
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/dex-replay.js [file.jsonl|dir ...] [--strategy NAME] [--check-request] [--update] [--json]');
+        return 0;
+    }
+
+    const files = listFixtureFiles(args.inputs);
+    // Tanpa fixture, replay lolos tanpa memeriksa apa pun → dianggap gagal
+    if (!files.length) {
+        console.log(`Tidak ada fixture (.jsonl) ditemukan${args.inputs.length ? '' : ` di ${DEFAULT_DIR}`}.`);
+        return 1;
+    }
+
+    // Replay murni offline: fetch apa pun dianggap bug
+    const sandbox = createSandbox({ fetch: async (url) => { throw new Error(`Network disabled during replay: ${url}`); } });
+    if (args.checkRequest) stubApiKeys(sandbox);
+    const totals = { pass: 0, fail: 0, skipped: 0 };
+
+    files.forEach(file => {
+        const rows = readFixtures(file);
+        let dirty = false;
+        rows.forEach(row => {
+            const label = `${path.relative(process.cwd(), file)}:${row.line}`;
+            if (row.comment) return;
+            if (row.invalid) {
+                totals.fail++;
+                console.log(`FAIL ${label} JSON tidak valid: ${row.invalid}`);
+                return;
+            }
+            const fx = row.fixture;
+            if (args.strategy && fx.strategy !== args.strategy && fx.dexType !== args.strategy) { totals.skipped++; return; }
+
+            const result = replayFixture(sandbox, fx, { checkRequest: args.checkRequest });
+            // expected fixture sintetis ditulis tangan → jangan diganti output parser
+            if (args.update && result.actual && !fx.synthetic) {
+                fx.expected = result.actual;
+                dirty = true;
+                result.ok = true;
+            }
+            if (result.ok) totals.pass++; else totals.fail++;
+            if (args.json) {
+                console.log(JSON.stringify({ file: label, strategy: fx.strategy, ok: result.ok, problems: result.problems, actual: result.actual }));
+            } else if (!result.ok) {
+                console.log(`FAIL ${label} [${fx.strategy}] ${result.problems.join('; ')}`);
+            }
+        });
+        if (dirty) {
+            fs.writeFileSync(file, rows.map(r => r.fixture ? JSON.stringify(r.fixture) : r.text).join('\n') + '\n');
+        }
+    });
+
+    if (totals.pass + totals.fail === 0) {
+        console.log(`Tidak ada fixture yang diputar${args.strategy ? ` untuk strategy "${args.strategy}"` : ''}.`);
+        return 1;
+    }
+    if (!args.json) {
+        console.log(`[REPLAY] ${totals.pass} pass, ${totals.fail} fail${totals.skipped ? `, ${totals.skipped} skipped` : ''}${args.update ? ' (expected di-update)' : ''}`);
+    }
+    return totals.fail > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { replayFixture, readFixtures, listFixtureFiles };
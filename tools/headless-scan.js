@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * =================================================================================
+ * HEADLESS SCAN RUNNER (NODE)
+ * =================================================================================
+ *
+ * Menjalankan ScanEngine (core/scanner/engine.js) di Node dengan file JS yang
+ * SAMA seperti browser: config.js, services/cex/ (registry + adapter per exchange),
+ * services/cex.js, services/dex.js, api.js,
+ * dom-renderer.js (calculateResult). Semua script dimuat ke satu sandbox `vm`
+ * yang berperan sebagai `window`.
+ *
+ * Adapter yang disediakan runner (pengganti API browser):
+ * - fetch           → global fetch Node (>= 18), bisa diganti via createRunner({ fetch })
+ * - $.ajax/$.getJSON → transport kompatibel jQuery di atas fetch (success/error + Promise)
+ * - getFromLocalStorage / saveToLocalStorage → JSON file (--storage), isi sama dengan
+ *   export IndexedDB browser (SETTING_SCANNER, PRICE_RATE_USDT, ALL_GAS_FEES, ...)
+ *
+ * Usage:
+ *   node tools/headless-scan.js --tokens tokens.json [--storage storage.json]
+ *        [--auto-level] [--levels 2] [--ladder] [--min-pnl 0.5]
+ *        [--interval 60] [--concurrency 3] [--json] [--record fixtures.jsonl]
+ *
+ * tokens.json: array token flat (format sama dengan token yang dipindai browser:
+ *   id, cex, chain, symbol_in, symbol_out, sc_in, sc_out, des_in, des_out, dexs[{dex,left,right}], ...)
+ *
+ * @module tools/headless-scan
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Urutan sama dengan index.html (subset yang dibutuhkan scan)
+const SCRIPTS = [
+    'app-namespace.js',
+    'config.js',
+    'core/performance/request-batcher.js',
+    'services/cex/registry.js',
+    'services/cex/adapters/binance.js',
+    'services/cex/adapters/gate.js',
+    'services/cex/adapters/mexc.js',
+    'services/cex/adapters/kucoin.js',
+    'services/cex/adapters/bybit.js',
+    'services/cex/adapters/bitget.js',
+    'services/cex/adapters/indodax.js',
+    'services/cex/adapters/lbank.js',
+    'utils/helpers/formatting.js',
+    'utils/helpers/chain-helpers.js',
+    'services/cex.js',
+    'services/dex-health.js',
+    'services/dex.js',
+    'services/dex-recorder.js',
+    'api.js',
+    'dom-renderer.js',
+    'core/scanner/engine.js'
+];
+
+/**
+ * Transport kompatibel `$.ajax` di atas fetch.
+ * Mendukung opsi yang dipakai services/*: url, method, headers, data, timeout,
+ * dataType 'json', success(data), error(xhr, textStatus).
+ */
+function createAjax(fetchImpl) {
+    function ajax(urlOrOpts, maybeOpts) {
+        const opts = (typeof urlOrOpts === 'string') ? Object.assign({ url: urlOrOpts }, maybeOpts || {}) : (urlOrOpts || {});
+        const method = String(opts.method || opts.type || 'GET').toUpperCase();
+        const controller = new AbortController();
+        const timer = Number(opts.timeout) > 0 ? setTimeout(() => controller.abort(), Number(opts.timeout)) : null;
+
+        let url = opts.url;
+        let body;
+        if (opts.data !== undefined && opts.data !== null) {
+            if (method === 'GET' && typeof opts.data === 'object') {
+                const qs = new URLSearchParams(opts.data).toString();
+                url += (url.includes('?') ? '&' : '?') + qs;
+            } else {
+                body = (typeof opts.data === 'string') ? opts.data : JSON.stringify(opts.data);
+            }
+        }
+        const headers = Object.assign({}, opts.headers || {});
+        if (body !== undefined && opts.contentType) headers['Content-Type'] = opts.contentType;
+
+        const promise = (async () => {
+            let status = 0;
+            let text = '';
+            let resHeaders = null;
+            // Subset jqXHR: status, responseText, getResponseHeader (dibaca HostRateLimiter)
+            const makeXhr = (textStatus, responseJSON) => ({
+                status, statusText: textStatus, responseText: text, responseJSON,
+                getResponseHeader: (name) => (resHeaders && typeof resHeaders.get === 'function') ? resHeaders.get(name) : null
+            });
+            try {
+                const res = await fetchImpl(url, { method, headers, body, signal: controller.signal });
+                status = res.status;
+                resHeaders = res.headers || null;
+                text = await res.text();
+                if (!res.ok) throw Object.assign(new Error(`HTTP ${status}`), { textStatus: 'error' });
+                const data = text ? JSON.parse(text) : null;
+                if (typeof opts.success === 'function') opts.success(data, 'success', makeXhr('success'));
+                return data;
+            } catch (e) {
+                const textStatus = e.name === 'AbortError' ? 'timeout' : (e instanceof SyntaxError ? 'parsererror' : (e.textStatus || 'error'));
+                let responseJSON;
+                try { responseJSON = text ? JSON.parse(text) : undefined; } catch (_) { }
+                const xhr = makeXhr(textStatus, responseJSON);
+                if (typeof opts.error === 'function') opts.error(xhr, textStatus, e.message);
+                throw xhr;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+        })();
+        // Callback-style caller tidak meng-await; hindari unhandled rejection
+        if (typeof opts.error === 'function') promise.catch(() => { });
+        promise.abort = () => controller.abort();
+        return promise;
+    }
+    return {
+        ajax,
+        getJSON: (url) => ajax({ url, method: 'GET', dataType: 'json' })
+    };
+}
+
+/**
+ * Storage berbasis file JSON (pengganti IndexedDB browser).
+ */
+function createFileStorage(file) {
+    let data = {};
+    if (file && fs.existsSync(file)) {
+        data = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+    }
+    return {
+        getFromLocalStorage: (key, def) => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : def),
+        saveToLocalStorage: (key, value) => {
+            data[key] = value;
+            if (file) fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        },
+        saveToLocalStorageAsync: async (key, value) => {
+            data[key] = value;
+            if (file) fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        }
+    };
+}
+
+/**
+ * Muat script browser (SCRIPTS) ke sandbox `vm` yang berperan sebagai `window`.
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - Implementasi fetch (default: global fetch)
+ * @param {string} [options.storageFile] - File JSON pengganti IndexedDB
+ * @param {boolean} [options.verbose] - Aktifkan SCAN_LOG_ENABLED
+ * @returns {object} sandbox (global window) berisi dexStrategies, calculateResult, ScanEngine, dst.
+ */
+function createSandbox(options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') throw new Error('fetch tidak tersedia (butuh Node >= 18 atau options.fetch)');
+
+    const storage = createFileStorage(options.storageFile);
+    const sandbox = {
+        console, setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask,
+        fetch: fetchImpl, AbortController, URL, URLSearchParams, TextEncoder, TextDecoder,
+        performance, crypto: globalThis.crypto, atob, btoa,
+        $: createAjax(fetchImpl),
+        SCAN_LOG_ENABLED: !!options.verbose
+    };
+    Object.assign(sandbox, storage);
+    sandbox.window = sandbox;
+    sandbox.globalThis = sandbox;
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+
+    SCRIPTS.forEach(rel => {
+        const file = path.join(ROOT, rel);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: rel });
+    });
+    // Settings global yang dibaca services/dex.js (wallet, API key aggregator)
+    sandbox.SavedSettingData = storage.getFromLocalStorage('SETTING_SCANNER', {});
+    return sandbox;
+}
+
+/**
+ * Muat sandbox dan kembalikan ScanEngine siap pakai.
+ * @param {object} [options] - Opsi createSandbox + settings ScanEngine + recordFile
+ * @param {object} [options.settings] - Settings ScanEngine
+ * @param {string} [options.recordFile] - Append fixture DEX (JSONL) ke file ini
+ * @returns {{engine: object, sandbox: object}}
+ */
+function createRunner(options = {}) {
+    const sandbox = createSandbox(options);
+    if (options.recordFile) {
+        sandbox.DEXRecorder.start();
+        sandbox.DEXRecorder.onCapture(fixture => fs.appendFileSync(options.recordFile, JSON.stringify(fixture) + '\n'));
+    }
+    const engine = new sandbox.ScanEngine({
+        deps: { fetch: options.fetch || globalThis.fetch },
+        settings: options.settings || {}
+    });
+    return { engine, sandbox };
+}
+
+function parseArgs(argv) {
+    const args = { levels: 1, minPnl: 0, interval: 0, concurrency: 3 };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        const next = () => argv[++i];
+        if (a === '--tokens') args.tokens = next();
+        else if (a === '--storage') args.storage = next();
+        else if (a === '--auto-level') args.autoLevel = true;
+        else if (a === '--levels') args.levels = parseInt(next(), 10) || 1;
+        else if (a === '--ladder') args.ladder = true;
+        else if (a === '--min-pnl') args.minPnl = parseFloat(next()) || 0;
+        else if (a === '--interval') args.interval = parseInt(next(), 10) || 0;
+        else if (a === '--concurrency') args.concurrency = parseInt(next(), 10) || 1;
+        else if (a === '--json') args.json = true;
+        else if (a === '--record') args.record = next();
+        else if (a === '--verbose') args.verbose = true;
+        else if (a === '--help' || a === '-h') args.help = true;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.tokens) {
+        console.log('Usage: node tools/headless-scan.js --tokens tokens.json [--storage storage.json] [--auto-level] [--levels N] [--ladder] [--min-pnl X] [--interval SEC] [--concurrency N] [--json] [--record fixtures.jsonl] [--verbose]');
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const tokens = JSON.parse(fs.readFileSync(args.tokens, 'utf8'));
+    const { engine } = createRunner({
+        storageFile: args.storage,
+        recordFile: args.record,
+        verbose: args.verbose,
+        settings: {
+            autoLevel: !!args.autoLevel,
+            levels: args.levels,
+            sizeLadder: !!args.ladder,
+            concurrency: args.concurrency
+        }
+    });
+
+    engine.on('dex:update', ({ token, dex, direction, update }) => {
+        const pnl = Number(update.profitLoss);
+        if (!(pnl >= args.minPnl)) return;
+        if (args.json) {
+            console.log(JSON.stringify({
+                ts: Date.now(), cex: token.cex, chain: token.chain, token: token.symbol_in, pair: token.symbol_out,
+                dex, direction, modal: update.Modal, profitLoss: pnl, totalFee: update.totalFee,
+                sizeLadder: update.sizeLadder ? update.sizeLadder.best : null
+            }));
+        } else {
+            const arrow = direction === 'TokentoPair' ? `${token.cex} → ${dex}` : `${dex} → ${token.cex}`;
+            console.log(`[${new Date().toLocaleTimeString()}] ${String(token.chain).toUpperCase()} ${token.symbol_in}/${token.symbol_out} ${arrow.toUpperCase()} modal $${Number(update.Modal).toFixed(2)} PNL ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)}`);
+        }
+    });
+    engine.on('dex:error', ({ token, dex, message }) => {
+        if (args.verbose) console.warn(`[ERROR] ${token.symbol_in} ${dex}: ${message}`);
+    });
+    engine.on('scan:done', (s) => {
+        if (!args.json) console.log(`[DONE] ${s.total} token, ${s.updates} hasil, ${s.errors} error, ${((s.finishedAt - s.startedAt) / 1000).toFixed(1)}s`);
+    });
+
+    let stopping = false;
+    process.on('SIGINT', () => { stopping = true; engine.stop(); });
+
+    do {
+        await engine.run(tokens);
+        if (args.interval > 0 && !stopping) await new Promise(r => setTimeout(r, args.interval * 1000));
+    } while (args.interval > 0 && !stopping);
+}
+
+if (require.main === module) {
+    main().catch(e => { console.error(e); process.exit(1); });
+}
+
+module.exports = { createSandbox, createRunner, createAjax, createFileStorage };
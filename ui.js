@@ -5,6 +5,7 @@
 function showMainSection(sectionIdToShow) {
     const allSections = [
         '#database-viewer-section',
+        '#journal-section',
         '#token-management',
         '#form-setting-app',
         '#update-wallet-section',
@@ -426,6 +427,57 @@ window.clearSignalCards = function () {
     } catch (_) { }
 };
 
+/**
+ * Render badge + panel kesehatan strategy DEX (circuit breaker, services/dex-health.js).
+ * Badge: hijau = semua sehat, kuning = ada yang degraded/half-open, merah = ada circuit OPEN.
+ */
+window.renderDexHealthPanel = function () {
+    try {
+        if (!window.DEXHealth) return;
+        const rows = window.DEXHealth.snapshot();
+        const open = rows.filter(r => r.state === 'open').length;
+        const warn = rows.filter(r => r.status === 'degraded' || r.state === 'half-open').length;
+
+        const $badge = $('#dexHealthBadge');
+        $badge.removeClass('uk-label-success uk-label-warning uk-label-danger')
+            .addClass(open ? 'uk-label-danger' : (warn ? 'uk-label-warning' : 'uk-label-success'))
+            .text(open ? `DEX ${open} OPEN` : (warn ? `DEX ${warn} WARN` : 'DEX OK'));
+
+        const $panel = $('#dexHealthPanel');
+        if (!$panel.length) return;
+        if (!rows.length) { $panel.html('Belum ada request DEX.'); return; }
+
+        const color = { healthy: 'uk-text-success', degraded: 'uk-text-warning', 'half-open': 'uk-text-warning', open: 'uk-text-danger' };
+        const body = rows.map(r => {
+            const last = r.lastError ? `${r.lastError.statusCode || '-'} ${r.lastError.message || ''}` : '-';
+            const retry = r.state === 'open' ? ` (${Math.ceil(r.retryInMs / 1000)}s)` : '';
+            return `<tr>
+                <td class="uk-text-bold">${r.strategy.toUpperCase()}</td>
+                <td class="${color[r.status] || ''} uk-text-bold">${r.status.toUpperCase()}${retry}</td>
+                <td>${r.score}</td>
+                <td>${(r.errorRate * 100).toFixed(0)}%</td>
+                <td>${r.avgLatency ? r.avgLatency + 'ms' : '-'}</td>
+                <td title="${last.replace(/"/g, '&quot;')}">${r.consecutiveFailures}</td>
+            </tr>`;
+        }).join('');
+        $panel.html(`
+            <table class="uk-table uk-table-small uk-table-divider uk-margin-remove">
+                <thead><tr><th>Strategy</th><th>Status</th><th>Skor</th><th>Error</th><th>Latency</th><th>Gagal</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+            <button type="button" id="dexHealthReset" class="uk-button uk-button-default uk-button-small uk-margin-small-top">RESET CIRCUIT</button>`);
+    } catch (_) { }
+};
+
+$(function () {
+    if (!window.DEXHealth) return;
+    const render = typeof window.throttle === 'function' ? window.throttle(window.renderDexHealthPanel, 1000) : window.renderDexHealthPanel;
+    window.DEXHealth.onChange(render);
+    $(document).on('click', '#dexHealthBadge', () => window.renderDexHealthPanel());
+    $(document).on('click', '#dexHealthReset', () => { window.DEXHealth.reset(); window.renderDexHealthPanel(); });
+    window.renderDexHealthPanel();
+});
+
 /** Open and populate the 'Edit Koin' modal by token id. */
 function openEditModalById(id) {
     const m = (typeof getAppMode === 'function') ? getAppMode() : { type: 'multi' };
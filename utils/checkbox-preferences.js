@@ -37,7 +37,11 @@
                 autoVol: filter.autoVol || false,
                 walletCex: filter.walletCex || false,
                 autoLevel: filter.autoLevel || false,
-                autoLevelValue: filter.autoLevelValue || 1
+                autoLevelValue: filter.autoLevelValue || 1,
+                sizeLadder: filter.sizeLadder || false,
+                priorityScan: filter.priorityScan || false,
+                continuousScan: filter.continuousScan || false,
+                cexStream: filter.cexStream || false
             };
         } catch (e) {
             try { if (window.SCAN_LOG_ENABLED) console.warn('[CHECKBOX-PREFS] Failed to get preferences:', e.message); } catch(_) {}
@@ -47,7 +51,11 @@
                 autoVol: false,
                 walletCex: false,
                 autoLevel: false,
-                autoLevelValue: 1
+                autoLevelValue: 1,
+                sizeLadder: false,
+                priorityScan: false,
+                continuousScan: false,
+                cexStream: false
             };
         }
     }
@@ -14,6 +14,7 @@
  * - generateDexLink: Generate direct trade link for a DEX
  * - generateDexCellId: Generate consistent DEX cell ID for skeleton and scanner
  * - getFeeSwap: Calculate estimated swap fee in USD for a chain
+ * - getCexTradingFee: Get maker/taker trading fee rate for a CEX (user override > CONFIG_CEX)
  * - getStableSymbols: Get list of stable coin symbols
  * - getBaseTokenSymbol: Get base token symbol for a chain
  * - getBaseTokenUSD: Get base token USD price for a chain
@@ -256,6 +257,41 @@ function getFeeSwap(chainName) {
     return feeSwap;
 }
 
+/**
+ * Returns the spot trading fee RATE (fraction, 0.001 = 0.1%) for a CEX.
+ * Priority: SETTING_SCANNER.cexFees[CEX][side] > CONFIG_CEX[CEX].FEES[side] > 0.14% (legacy flat fee).
+ * Values in config/settings are stored as PERCENT.
+ * @param {string} cex - The CEX name (e.g., 'BINANCE').
+ * @param {'taker'|'maker'} [side='taker'] - Fee side; scanner uses taker (market order).
+ * @returns {number} Fee rate as a fraction.
+ */
+function getCexTradingFee(cex, side = 'taker') {
+    const DEFAULT_FEE_PERCENT = 0.14;
+    const cexUpper = String(cex || '').toUpperCase();
+    const key = String(side || 'taker').toLowerCase() === 'maker' ? 'maker' : 'taker';
+    const toRate = (v) => {
+        const pct = parseFloat(v);
+        return (Number.isFinite(pct) && pct >= 0) ? pct / 100 : null;
+    };
+
+    try {
+        const settings = (typeof getFromLocalStorage === 'function')
+            ? (getFromLocalStorage('SETTING_SCANNER', {}) || {})
+            : {};
+        const override = (settings.cexFees || {})[cexUpper] || {};
+        const fromUser = toRate(override[key]);
+        if (fromUser !== null) return fromUser;
+    } catch (_) { }
+
+    try {
+        const fees = (window.CONFIG_CEX || {})[cexUpper]?.FEES || {};
+        const fromConfig = toRate(fees[key]);
+        if (fromConfig !== null) return fromConfig;
+    } catch (_) { }
+
+    return DEFAULT_FEE_PERCENT / 100;
+}
+
 // =================================================================================
 // PRICE HELPERS (USD conversion for DEX display)
 // =================================================================================
@@ -332,6 +368,7 @@ function getRPC(chainKey) {
         window.generateDexLink = generateDexLink;
         window.generateDexCellId = generateDexCellId;
         window.getFeeSwap = getFeeSwap;
+        window.getCexTradingFee = getCexTradingFee;
         window.getStableSymbols = getStableSymbols;
         window.getBaseTokenSymbol = getBaseTokenSymbol;
         window.getBaseTokenUSD = getBaseTokenUSD;
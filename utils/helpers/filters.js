@@ -38,6 +38,23 @@
         saveToLocalStorage(key, f);
     }
 
+    // Min streak filter (jumlah scan beruntun spread bertahan, core/scanner/spread-tracker.js)
+    function getStreakFilter() {
+        try {
+            const f = getFromLocalStorage(getActiveFilterKey(), {}) || {};
+            const v = parseInt(f.minStreak, 10);
+            return isFinite(v) && v >= 0 ? v : 0;
+        } catch (_) { return 0; }
+    }
+
+    function setStreakFilter(value) {
+        const v = parseInt(value, 10);
+        const key = getActiveFilterKey();
+        const f = getFromLocalStorage(key, {}) || {};
+        f.minStreak = isFinite(v) && v >= 0 ? v : 0;
+        saveToLocalStorage(key, f);
+    }
+
     function getFilterMulti() {
         const f = getFromLocalStorage('FILTER_MULTICHAIN', null);
         if (f && typeof f === 'object') {
@@ -140,6 +157,8 @@
     if (typeof window !== 'undefined') {
         window.getPNLFilter = getPNLFilter;
         window.setPNLFilter = setPNLFilter;
+        window.getStreakFilter = getStreakFilter;
+        window.setStreakFilter = setStreakFilter;
         window.getFilterMulti = getFilterMulti;
         window.setFilterMulti = setFilterMulti;
         window.getFilterChain = getFilterChain;
@@ -78,6 +78,8 @@
                 $('#BatalEditkoin').show().prop('disabled', false);
                 // Keep STOP button usable during running
                 $('#stopSCAN').prop('disabled', false).show();
+                // PAUSE/RESUME (scan kontinu) ikut aktif; tampil/sembunyi diatur scanner
+                $('#pauseSCAN').prop('disabled', false);
                 // Keep RELOAD usable (already via toolbar allow-list), disable START explicitly
                 $('#startSCAN').prop('disabled', true);
             } else {